@@ -8,12 +8,33 @@ import {
   cancelValidation,
   saveValidation,
   validationActionChanged,
-  validationLevelChanged
+  validationLevelChanged,
+  generateValidator,
+  restoreValidation,
+  syntaxErrorOccurred
 } from 'modules/validation';
 import { namespaceChanged } from 'modules/namespace';
 import { openLink } from 'modules/link';
-import { fetchSampleDocuments } from 'modules/sample-documents';
+import {
+  fetchSampleDocuments,
+  changeSamplePage,
+  changeSampleSize,
+  changeSamplingStrategy,
+  changeScanLimit,
+  cancelSampling,
+  resampleDocuments
+} from 'modules/sample-documents';
 import { changeZeroState, zeroStateChanged } from 'modules/zero-state';
+import { validationDiffOpened, validationDiffClosed } from 'modules/validation-diff';
+import { validationHistoryToggled } from 'modules/validation-history';
+import { importFileLoaded, importClosed, applyImport } from 'modules/validation-import';
+import {
+  validationTemplatesToggled,
+  addValidationTemplate,
+  removeValidationTemplate,
+  mergeValidationTemplate
+} from 'modules/validation-templates';
+import { restoreValidationDraft, discardValidationDraft } from 'modules/validation-draft';
 
 import styles from './compass-schema-validation.less';
 
@@ -50,10 +71,16 @@ const mapStateToProps = (state) => pick(
     'serverVersion',
     'validation',
     'fields',
+    'sampledFields',
     'namespace',
     'sampleDocuments',
     'isZeroState',
-    'editMode'
+    'editMode',
+    'validationDiff',
+    'validationHistory',
+    'validationImport',
+    'validationTemplates',
+    'validationDraft'
   ]
 );
 
@@ -64,15 +91,36 @@ const MappedCompassSchemaValidation = connect(
   mapStateToProps,
   {
     fetchSampleDocuments,
+    changeSamplePage,
+    changeSampleSize,
+    changeSamplingStrategy,
+    changeScanLimit,
+    cancelSampling,
+    resampleDocuments,
     validatorChanged,
     cancelValidation,
     saveValidation,
     namespaceChanged,
     validationActionChanged,
     validationLevelChanged,
+    generateValidator,
+    restoreValidation,
+    syntaxErrorOccurred,
     openLink,
     zeroStateChanged,
-    changeZeroState
+    changeZeroState,
+    validationDiffOpened,
+    validationDiffClosed,
+    validationHistoryToggled,
+    importFileLoaded,
+    importClosed,
+    applyImport,
+    validationTemplatesToggled,
+    addValidationTemplate,
+    removeValidationTemplate,
+    mergeValidationTemplate,
+    restoreValidationDraft,
+    discardValidationDraft
   },
 )(CompassSchemaValidation);
 
@@ -0,0 +1,131 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import { MAX_LIMIT, NATURAL, RANDOM, NEWEST } from 'modules/sample-documents';
+import { formatNumber } from 'utils/format-number';
+
+import styles from './compliance-summary.less';
+
+/**
+ * Describe the documents an estimate is taken from for each strategy.
+ */
+const SCANNED_DOCUMENTS = {
+  [NATURAL]: (scanned) => `the first ${scanned}`,
+  [RANDOM]: (scanned) => `${scanned} random`,
+  [NEWEST]: (scanned) => `the newest ${scanned}`
+};
+
+/**
+ * The compliance summary component, shows how many documents of the
+ * collection pass the validator.
+ */
+class ComplianceSummary extends PureComponent {
+  static displayName = 'ComplianceSummary';
+
+  static propTypes = {
+    compliance: PropTypes.shape({
+      passing: PropTypes.number.isRequired,
+      failing: PropTypes.number.isRequired,
+      total: PropTypes.number.isRequired,
+      isEstimate: PropTypes.bool.isRequired,
+      strategy: PropTypes.string,
+      scanned: PropTypes.number,
+      exempt: PropTypes.number
+    })
+  };
+
+  /**
+   * Render the share of passing documents.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderPercentage() {
+    const compliance = this.props.compliance;
+
+    if (compliance.total) {
+      const percentage = Math.floor(compliance.passing / compliance.total * 1000) / 10;
+
+      return (
+        <span className={classnames(styles['compliance-summary-percentage'])}>
+          {`${percentage}% pass`}
+        </span>
+      );
+    }
+  }
+
+  /**
+   * Render how the failing documents split with validationLevel moderate,
+   * updates of documents that already fail the saved validator are exempt.
+   *
+   * @param {String} prefix - The prefix of estimated numbers.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderExemptions(prefix) {
+    const compliance = this.props.compliance;
+
+    if (typeof compliance.exempt !== 'number') {
+      return null;
+    }
+
+    const rejected = formatNumber(compliance.failing - compliance.exempt);
+
+    return (
+      <span className={classnames(styles['compliance-summary-exemptions'])}>
+        {`(${prefix}${rejected} will be rejected on next update, ${prefix}${formatNumber(compliance.exempt)} exempt as already invalid)`}
+      </span>
+    );
+  }
+
+  /**
+   * Render how exact the numbers are and the documents estimates are taken
+   * from.
+   *
+   * @returns {String} The accuracy.
+   */
+  renderAccuracy() {
+    const compliance = this.props.compliance;
+    const total = formatNumber(compliance.total);
+
+    if (!compliance.isEstimate) {
+      return `Exact, ${total} documents`;
+    }
+
+    const scanned = SCANNED_DOCUMENTS[compliance.strategy || NATURAL](formatNumber(compliance.scanned || MAX_LIMIT));
+
+    return `Estimated from ${scanned} of ${total} documents`;
+  }
+
+  /**
+   * Render ComplianceSummary component.
+   *
+   * @returns {React.Component} The rendered component.
+   */
+  render() {
+    const compliance = this.props.compliance;
+
+    if (!compliance) {
+      return null;
+    }
+
+    const prefix = compliance.isEstimate ? '~' : '';
+
+    return (
+      <div className={classnames(styles['compliance-summary'])}>
+        <span className={classnames(styles['compliance-summary-passing'])}>
+          {`${prefix}${formatNumber(compliance.passing)} passing`}
+        </span>
+        <span className={classnames(styles['compliance-summary-failing'])}>
+          {`${prefix}${formatNumber(compliance.failing)} failing`}
+        </span>
+        {this.renderExemptions(prefix)}
+        {this.renderPercentage()}
+        <span className={classnames(styles['compliance-summary-accuracy'])}>
+          {this.renderAccuracy()}
+        </span>
+      </div>
+    );
+  }
+}
+
+export default ComplianceSummary;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import ComplianceSummary from 'components/compliance-summary';
+import styles from './compliance-summary.less';
+
+describe('ComplianceSummary [Component]', () => {
+  context('when the compliance is exact', () => {
+    let component;
+
+    beforeEach(() => {
+      component = mount(
+        <ComplianceSummary compliance={{ passing: 1500, failing: 500, total: 2000, isEstimate: false }} />
+      );
+    });
+
+    afterEach(() => {
+      component = null;
+    });
+
+    it('renders the counts', () => {
+      expect(component.find(`.${styles['compliance-summary-passing']}`).text()).to.equal('1,500 passing');
+      expect(component.find(`.${styles['compliance-summary-failing']}`).text()).to.equal('500 failing');
+    });
+
+    it('renders the percentage', () => {
+      expect(component.find(`.${styles['compliance-summary-percentage']}`).text()).to.equal('75% pass');
+    });
+
+    it('renders that the counts are exact', () => {
+      expect(component.find(`.${styles['compliance-summary-accuracy']}`).text()).to.equal('Exact, 2,000 documents');
+    });
+  });
+
+  context('when the compliance is estimated', () => {
+    let component;
+
+    beforeEach(() => {
+      component = mount(
+        <ComplianceSummary compliance={{ passing: 150000, failing: 50000, total: 200000, isEstimate: true }} />
+      );
+    });
+
+    afterEach(() => {
+      component = null;
+    });
+
+    it('marks the counts as approximate', () => {
+      expect(component.find(`.${styles['compliance-summary-passing']}`).text()).to.equal('~150,000 passing');
+    });
+
+    it('renders the scanned documents', () => {
+      expect(component.find(`.${styles['compliance-summary-accuracy']}`).text()).to.equal(
+        'Estimated from the first 100,000 of 200,000 documents'
+      );
+    });
+  });
+
+  context('when the compliance is estimated from a random sample', () => {
+    it('renders the strategy and the scanned documents', () => {
+      const component = mount(
+        <ComplianceSummary
+          compliance={{ passing: 1, failing: 1, total: 20000, isEstimate: true, strategy: 'random', scanned: 1000 }} />
+      );
+
+      expect(component.find(`.${styles['compliance-summary-accuracy']}`).text()).to.equal(
+        'Estimated from 1,000 random of 20,000 documents'
+      );
+    });
+  });
+
+  context('when the failing documents are split for validationLevel moderate', () => {
+    it('renders the rejected and exempt documents', () => {
+      const component = mount(
+        <ComplianceSummary compliance={{ passing: 5, failing: 4000, total: 4005, isEstimate: false, exempt: 1000 }} />
+      );
+
+      expect(component.find(`.${styles['compliance-summary-exemptions']}`).text()).to.equal(
+        '(3,000 will be rejected on next update, 1,000 exempt as already invalid)'
+      );
+    });
+  });
+
+  context('when there is no compliance', () => {
+    it('renders nothing', () => {
+      expect(mount(<ComplianceSummary />).html()).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,4 @@
+import ComplianceSummary from './compliance-summary';
+
+export default ComplianceSummary;
+export { ComplianceSummary };
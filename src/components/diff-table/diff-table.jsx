@@ -0,0 +1,125 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import { checkValidator } from 'modules/validation';
+import { formatPath } from 'utils/lint-validator';
+import { diffValidation } from 'utils/diff-validation';
+
+import styles from './diff-table.less';
+
+/**
+ * The validation shape.
+ */
+const VALIDATION_SHAPE = PropTypes.shape({
+  validator: PropTypes.string.isRequired,
+  validationAction: PropTypes.string,
+  validationLevel: PropTypes.string
+});
+
+/**
+ * The diff table component, lists the changes between two validations side
+ * by side.
+ */
+class DiffTable extends Component {
+  static displayName = 'DiffTable';
+
+  static propTypes = {
+    before: VALIDATION_SHAPE.isRequired,
+    after: VALIDATION_SHAPE.isRequired
+  };
+
+  /**
+   * Compare the validations.
+   *
+   * @returns {Array} The changes, null if a validator can not be parsed.
+   */
+  getChanges() {
+    const before = checkValidator(this.props.before.validator);
+    const after = checkValidator(this.props.after.validator);
+
+    if (before.syntaxError || after.syntaxError) {
+      return null;
+    }
+
+    return diffValidation(
+      { ...this.props.before, validator: before.validator },
+      { ...this.props.after, validator: after.validator }
+    );
+  }
+
+  /**
+   * Render a value of a change.
+   *
+   * @param {Object} change - The change.
+   * @param {String} side - Either before or after.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderValue(change, side) {
+    if (!change.hasOwnProperty(side)) {
+      return null;
+    }
+
+    const value = change.option ? change[side] : JSON.stringify(change[side], null, 2);
+
+    return <pre>{value}</pre>;
+  }
+
+  /**
+   * Render a single change.
+   *
+   * @param {Object} change - The change.
+   * @param {Number} index - The index.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderChange(change, index) {
+    return (
+      <tr key={index} className={classnames(styles[`diff-table-${change.kind}`])}>
+        <td className={classnames(styles['diff-table-path'])}>
+          {change.option || formatPath(change.path)}
+        </td>
+        <td className={classnames(styles['diff-table-before'])}>
+          {this.renderValue(change, 'before')}
+        </td>
+        <td className={classnames(styles['diff-table-after'])}>
+          {this.renderValue(change, 'after')}
+        </td>
+      </tr>
+    );
+  }
+
+  /**
+   * Render DiffTable component.
+   *
+   * @returns {React.Component} The rendered component.
+   */
+  render() {
+    const changes = this.getChanges();
+
+    if (!changes || !changes.length) {
+      return (
+        <div className={classnames(styles['diff-table-empty'])}>
+          {changes ? 'There are no changes.' : 'The validator has a syntax error.'}
+        </div>
+      );
+    }
+
+    return (
+      <table className={classnames(styles['diff-table'])}>
+        <thead>
+          <tr>
+            <th>Path</th>
+            <th>Before</th>
+            <th>After</th>
+          </tr>
+        </thead>
+        <tbody>
+          {changes.map(this.renderChange.bind(this))}
+        </tbody>
+      </table>
+    );
+  }
+}
+
+export default DiffTable;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import DiffTable from 'components/diff-table';
+
+import styles from './diff-table.less';
+
+describe('DiffTable [Component]', () => {
+  const before = {
+    validator: '{ $jsonSchema: { required: [\'name\'] } }',
+    validationAction: 'error',
+    validationLevel: 'strict'
+  };
+
+  it('renders a row per change', () => {
+    const after = {
+      validator: '{ $jsonSchema: { required: [\'name\', \'age\'] } }',
+      validationAction: 'warn',
+      validationLevel: 'strict'
+    };
+    const component = mount(<DiffTable before={before} after={after} />);
+
+    expect(component.find('tbody tr')).to.have.length(2);
+    expect(component.find(`.${styles['diff-table-path']}`).first()).
+      to.have.text('$jsonSchema.required[1]');
+  });
+
+  it('renders a message without changes', () => {
+    const component = mount(<DiffTable before={before} after={before} />);
+
+    expect(component.find(`.${styles['diff-table-empty']}`)).
+      to.have.text('There are no changes.');
+  });
+
+  it('renders a message for syntax errors', () => {
+    const after = { ...before, validator: '{' };
+    const component = mount(<DiffTable before={before} after={after} />);
+
+    expect(component.find(`.${styles['diff-table-empty']}`)).
+      to.have.text('The validator has a syntax error.');
+  });
+});
@@ -0,0 +1,4 @@
+import DiffTable from './diff-table';
+
+export default DiffTable;
+export { DiffTable };
@@ -3,16 +3,36 @@ import PropTypes from 'prop-types';
 import classnames from 'classnames';
 import { Document } from '@mongodb-js/compass-crud';
 import HadronDocument from 'hadron-document';
+import HighlightedDocument from 'components/highlighted-document';
 
 import styles from './document-preview.less';
 
 /**
- * The document preview component.
+ * The document preview component, highlights the $jsonSchema violations of
+ * the document when there are any.
  */
 class DocumentPreview extends Component {
   static displayName = 'DocumentPreview';
 
-  static propTypes = { document: PropTypes.object }
+  static propTypes = {
+    document: PropTypes.object,
+    violations: PropTypes.array
+  };
+
+  /**
+   * Renders the document, highlighted when it has violations.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderDocument() {
+    const doc = new HadronDocument(this.props.document);
+
+    if (this.props.violations && this.props.violations.length) {
+      return <HighlightedDocument doc={doc} violations={this.props.violations} tz="UTC" />;
+    }
+
+    return <Document doc={doc} editable={false} tz="UTC" />;
+  }
 
   /**
    * Renders the document preview.
@@ -35,10 +55,7 @@ class DocumentPreview extends Component {
     return (
       <div className={classnames(styles['document-preview'])}>
         <div className={classnames(styles['document-preview-documents'])}>
-          <Document
-            doc={new HadronDocument(this.props.document)}
-            editable={false}
-            tz="UTC" />
+          {this.renderDocument()}
         </div>
       </div>
     );
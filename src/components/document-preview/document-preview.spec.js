@@ -18,4 +18,20 @@ describe('DocumentPreview [Component]', () => {
   it('renders the wrapper div', () => {
     expect(component.find(`.${styles['document-preview']}`)).to.be.present();
   });
+
+  it('renders the compass-crud document without violations', () => {
+    expect(component.find('Document')).to.be.present();
+  });
+
+  context('when the document has violations', () => {
+    it('renders the highlighted document', () => {
+      component = shallow(
+        <DocumentPreview
+          document={{}}
+          violations={[{ path: ['a'], schemaPath: ['$jsonSchema', 'required', 0], keyword: 'required', message: 'is required' }]} />
+      );
+
+      expect(component.find('HighlightedDocument')).to.be.present();
+    });
+  });
 });
@@ -0,0 +1,197 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import AceEditor from 'react-ace';
+import CheckCircle from 'components/check-circle';
+import CrossCircle from 'components/cross-circle';
+import LintMessages from 'components/lint-messages';
+import ValidationSelector from 'components/validation-selector';
+import { checkValidator } from 'modules/validation';
+import { evaluateValidator, isSchemaOnly } from 'utils/evaluate-schema';
+import { getSyntaxErrorMessage } from 'utils/locate-path';
+import {
+  SHELL,
+  SYNTAX_OPTIONS,
+  convertValidator,
+  parseDocument
+} from 'utils/validator-syntax';
+
+import 'mongodb-ace-mode';
+import 'mongodb-ace-theme';
+
+import styles from './document-scratchpad.less';
+
+/**
+ * Options for the ACE editor.
+ */
+const OPTIONS = {
+  tabSize: 2,
+  fontSize: 11,
+  minLines: 8,
+  maxLines: 20,
+  highlightActiveLine: false,
+  showGutter: true,
+  useWorker: false,
+  showPrintMargin: false
+};
+
+/**
+ * The verdict when the document passes the $jsonSchema but the validator
+ * has other query operators, only the server can check those.
+ */
+const CANNOT_EVALUATE = 'Cannot evaluate, only the server checks the query operators besides $jsonSchema';
+
+/**
+ * The document scratchpad component, tests a typed or pasted document
+ * against the validator in the editor. Nothing is sent to the server.
+ */
+class DocumentScratchpad extends Component {
+  static displayName = 'DocumentScratchpad';
+
+  static propTypes = {
+    validator: PropTypes.string.isRequired
+  };
+
+  /**
+   * The component constructor.
+   *
+   * @param {Object} props - The properties.
+   */
+  constructor(props) {
+    super(props);
+    this.state = { text: '', syntax: SHELL };
+  }
+
+  /**
+   * Change the document text.
+   *
+   * @param {String} text - The text.
+   */
+  onTextChange(text) {
+    this.setState({ text });
+  }
+
+  /**
+   * Change the syntax, the document is converted when it parses.
+   *
+   * @param {String} syntax - The syntax.
+   */
+  onSyntaxChange(syntax) {
+    const converted = convertValidator(this.state.text, this.state.syntax, syntax);
+
+    this.setState({
+      syntax,
+      text: converted.syntaxError ? this.state.text : converted.validator
+    });
+  }
+
+  /**
+   * Render the outcome of the evaluation.
+   *
+   * @param {Array} violations - The violations.
+   * @param {Boolean} isComplete - If the validator has no other query
+   * operators than the $jsonSchema.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderVerdict(violations, isComplete) {
+    if (violations.length) {
+      return (
+        <div>
+          <div className={classnames(styles['document-scratchpad-failing'])}>
+            <CrossCircle />
+            Fails validation
+          </div>
+          <LintMessages
+            diagnostics={violations.map((violation) => ({ ...violation, severity: 'error' }))} />
+        </div>
+      );
+    }
+
+    if (!isComplete) {
+      return (
+        <div className={classnames(styles['document-scratchpad-unknown'])}>
+          {CANNOT_EVALUATE}
+        </div>
+      );
+    }
+
+    return (
+      <div className={classnames(styles['document-scratchpad-passing'])}>
+        <CheckCircle />
+        Passes validation
+      </div>
+    );
+  }
+
+  /**
+   * Render the result of testing the document.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderResult() {
+    if (!this.state.text.trim()) {
+      return 'Type or paste a document to test it against the validator.';
+    }
+
+    const parsed = parseDocument(this.state.text, this.state.syntax);
+
+    if (parsed.syntaxError) {
+      return (
+        <div className={classnames(styles['document-scratchpad-error'])}>
+          {getSyntaxErrorMessage(parsed.syntaxError)}
+        </div>
+      );
+    }
+
+    const checkedValidator = checkValidator(this.props.validator);
+
+    if (checkedValidator.syntaxError) {
+      return 'Fix the syntax error of the validator to test the document.';
+    }
+
+    return this.renderVerdict(
+      evaluateValidator(parsed.document, checkedValidator.validator),
+      isSchemaOnly(checkedValidator.validator)
+    );
+  }
+
+  /**
+   * Render DocumentScratchpad component.
+   *
+   * @returns {React.Component} The rendered component.
+   */
+  render() {
+    return (
+      <div className={classnames(styles['document-scratchpad'])}>
+        <div className={classnames(styles['document-scratchpad-header'])}>
+          <span className={classnames(styles['document-scratchpad-title'])}>
+            Test a Document
+          </span>
+          <ValidationSelector
+            id="document-scratchpad-syntax-selector"
+            bsSize="xs"
+            options={SYNTAX_OPTIONS}
+            title={SYNTAX_OPTIONS[this.state.syntax]}
+            label="Syntax"
+            onSelect={this.onSyntaxChange.bind(this)} />
+        </div>
+        <div className={classnames(styles['document-scratchpad-editor'])}>
+          <AceEditor
+            mode="mongodb"
+            theme="mongodb"
+            width="100%"
+            value={this.state.text}
+            onChange={this.onTextChange.bind(this)}
+            editorProps={{$blockScrolling: Infinity}}
+            setOptions={OPTIONS} />
+        </div>
+        <div className={classnames(styles['document-scratchpad-result'])}>
+          {this.renderResult()}
+        </div>
+      </div>
+    );
+  }
+}
+
+export default DocumentScratchpad;
@@ -0,0 +1,93 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import DocumentScratchpad from 'components/document-scratchpad';
+import styles from './document-scratchpad.less';
+
+describe('DocumentScratchpad [Component]', () => {
+  let component;
+
+  /**
+   * Type a document into the scratchpad.
+   *
+   * @param {String} text - The document.
+   */
+  const type = (text) => {
+    component.find('ReactAce').props().onChange(text);
+    component.update();
+  };
+
+  /**
+   * Get the result text.
+   *
+   * @returns {String} The text.
+   */
+  const getResult = () => component.find(`.${styles['document-scratchpad-result']}`).text();
+
+  beforeEach(() => {
+    component = mount(
+      <DocumentScratchpad validator="{ $jsonSchema: { required: ['name'], properties: { age: { bsonType: 'int' } } } }" />
+    );
+  });
+
+  afterEach(() => {
+    component = null;
+  });
+
+  it('asks for a document', () => {
+    expect(getResult()).to.include('Type or paste a document');
+  });
+
+  it('passes a valid document', () => {
+    type('{ name: \'Ann\', age: NumberInt(3) }');
+
+    expect(component.find(`.${styles['document-scratchpad-passing']}`).text()).to.equal('Passes validation');
+  });
+
+  it('fails an invalid document with the reasons', () => {
+    type('{ age: \'3\' }');
+
+    expect(component.find(`.${styles['document-scratchpad-failing']}`)).to.be.present();
+    expect(component.find('LintMessages').props().diagnostics.map((diagnostic) => diagnostic.keyword)).to.deep.equal([
+      'required',
+      'bsonType'
+    ]);
+  });
+
+  it('shows the syntax errors of the document', () => {
+    type('{ name: ');
+
+    expect(component.find(`.${styles['document-scratchpad-error']}`)).to.be.present();
+  });
+
+  it('parses Extended JSON and converts the document', () => {
+    type('{ name: \'Ann\', age: NumberInt(3) }');
+    component.find('ValidationSelector').props().onSelect('canonical');
+    component.update();
+
+    expect(JSON.parse(component.find('ReactAce').props().value).age).to.deep.equal({ $numberInt: '3' });
+    expect(component.find(`.${styles['document-scratchpad-passing']}`)).to.be.present();
+  });
+
+  it('cannot evaluate a validator with other query operators', () => {
+    component.setProps({ validator: '{ $jsonSchema: {}, age: { $gt: 1 } }' });
+    type('{}');
+
+    expect(component.find(`.${styles['document-scratchpad-passing']}`)).to.not.be.present();
+    expect(component.find(`.${styles['document-scratchpad-unknown']}`).text()).
+      to.include('Cannot evaluate');
+  });
+
+  it('cannot evaluate a validator without $jsonSchema', () => {
+    component.setProps({ validator: '{ name: { $exists: true } }' });
+    type('{ name: \'Ann\' }');
+
+    expect(component.find(`.${styles['document-scratchpad-unknown']}`)).to.be.present();
+  });
+
+  it('fails a document that fails the $jsonSchema of a validator with other query operators', () => {
+    component.setProps({ validator: '{ $jsonSchema: { required: [\'name\'] }, age: { $gt: 1 } }' });
+    type('{}');
+
+    expect(component.find(`.${styles['document-scratchpad-failing']}`)).to.be.present();
+  });
+});
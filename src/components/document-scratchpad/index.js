@@ -0,0 +1,4 @@
+import DocumentScratchpad from './document-scratchpad';
+
+export default DocumentScratchpad;
+export { DocumentScratchpad };
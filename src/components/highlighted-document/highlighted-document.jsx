@@ -0,0 +1,87 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import HighlightedElement from 'components/highlighted-element';
+import MissingField from 'components/missing-field';
+import {
+  describeViolations,
+  groupMissingFields,
+  isMissingField
+} from 'utils/evaluate-schema';
+
+import styles from './highlighted-document.less';
+
+/**
+ * The highlighted document component, renders a read-only document with the
+ * fields that violate the $jsonSchema highlighted and the missing ones as
+ * placeholders.
+ */
+class HighlightedDocument extends Component {
+  static displayName = 'HighlightedDocument';
+
+  static propTypes = {
+    doc: PropTypes.object.isRequired,
+    violations: PropTypes.array.isRequired,
+    tz: PropTypes.string
+  };
+
+  /**
+   * Get the violations of the document itself.
+   *
+   * @returns {Array} The violations.
+   */
+  getViolations() {
+    return this.props.violations.filter((violation) => (
+      !isMissingField(violation) && violation.path.length === 0
+    ));
+  }
+
+  /**
+   * Render the elements and the missing fields.
+   *
+   * @returns {Array} The components.
+   */
+  renderElements() {
+    const elements = [];
+
+    for (const element of this.props.doc.elements) {
+      elements.push(
+        <HighlightedElement
+          key={element.uuid}
+          element={element}
+          path={[element.currentKey]}
+          violations={this.props.violations}
+          tz={this.props.tz} />
+      );
+    }
+
+    return elements.concat(groupMissingFields(this.props.violations, []).map((field) => (
+      <MissingField key={`missing-${field.name}`} name={field.name} violations={field.violations} />
+    )));
+  }
+
+  /**
+   * Render HighlightedDocument component.
+   *
+   * @returns {React.Component} The rendered component.
+   */
+  render() {
+    const violations = this.getViolations();
+
+    return (
+      <div
+        className={classnames('document', {
+          [styles['highlighted-document-is-invalid']]: violations.length > 0
+        })}
+        title={violations.length ? describeViolations(violations) : null}>
+        <div className="document-contents">
+          <ol className="document-elements">
+            {this.renderElements()}
+          </ol>
+        </div>
+      </div>
+    );
+  }
+}
+
+export default HighlightedDocument;
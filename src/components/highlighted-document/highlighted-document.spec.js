@@ -0,0 +1,39 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import HadronDocument from 'hadron-document';
+import HighlightedDocument from 'components/highlighted-document';
+import styles from './highlighted-document.less';
+
+describe('HighlightedDocument [Component]', () => {
+  let component;
+
+  beforeEach(() => {
+    const violations = [
+      { path: ['age'], schemaPath: ['$jsonSchema', 'required', 0], keyword: 'required', message: 'is required' },
+      { path: [], schemaPath: ['$jsonSchema', 'minProperties'], keyword: 'minProperties', message: 'must have at least 3 fields' }
+    ];
+
+    component = mount(
+      <HighlightedDocument doc={new HadronDocument({ name: 'Ann' })} violations={violations} tz="UTC" />
+    );
+  });
+
+  afterEach(() => {
+    component = null;
+  });
+
+  it('renders the elements', () => {
+    expect(component.find('HighlightedElement')).to.have.length(1);
+  });
+
+  it('renders the missing root fields', () => {
+    expect(component.find('MissingField').props().name).to.equal('age');
+  });
+
+  it('highlights the document for the rules of the document', () => {
+    const document = component.find('.document');
+
+    expect(document).to.have.className(styles['highlighted-document-is-invalid']);
+    expect(document.props().title).to.equal('must have at least 3 fields ($jsonSchema.minProperties)');
+  });
+});
@@ -0,0 +1,4 @@
+import HighlightedDocument from './highlighted-document';
+
+export default HighlightedDocument;
+export { HighlightedDocument };
@@ -0,0 +1,174 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import { getComponent } from 'hadron-react-bson';
+import MissingField from 'components/missing-field';
+import {
+  describeViolations,
+  groupMissingFields,
+  isMissingField,
+  isNestedPath,
+  isSamePath
+} from 'utils/evaluate-schema';
+
+import styles from './highlighted-element.less';
+
+/**
+ * The highlighted element component, renders a read-only document element
+ * like compass-crud does and highlights it when it violates the $jsonSchema.
+ * Elements with violations below them start expanded.
+ */
+class HighlightedElement extends Component {
+  static displayName = 'HighlightedElement';
+
+  static propTypes = {
+    element: PropTypes.any.isRequired,
+    path: PropTypes.array.isRequired,
+    violations: PropTypes.array.isRequired,
+    tz: PropTypes.string
+  };
+
+  /**
+   * The component constructor.
+   *
+   * @param {Object} props - The properties.
+   */
+  constructor(props) {
+    super(props);
+    this.state = {
+      expanded: props.violations.some((violation) => isNestedPath(violation.path, props.path))
+    };
+  }
+
+  /**
+   * Expand or collapse the element.
+   */
+  onToggle() {
+    this.setState({ expanded: !this.state.expanded });
+  }
+
+  /**
+   * Get the violations of the element itself.
+   *
+   * @returns {Array} The violations.
+   */
+  getViolations() {
+    return this.props.violations.filter((violation) => (
+      !isMissingField(violation) && isSamePath(violation.path, this.props.path)
+    ));
+  }
+
+  /**
+   * Get the class name of a part of an expandable element.
+   *
+   * @param {String} className - The class name of the part.
+   *
+   * @returns {String} The class name.
+   */
+  getClassName(className) {
+    return this.state.expanded ? `${className} ${className}-is-expanded` : className;
+  }
+
+  /**
+   * Get the class name of the highlight.
+   *
+   * @returns {String} The class name, null without violations.
+   */
+  getHighlight() {
+    return this.getViolations().length ? styles['highlighted-element-is-invalid'] : null;
+  }
+
+  /**
+   * Get the tooltip of the violated rules.
+   *
+   * @returns {String} The tooltip, null without violations.
+   */
+  getTitle() {
+    const violations = this.getViolations();
+
+    return violations.length ? describeViolations(violations) : null;
+  }
+
+  /**
+   * Render the child elements and the missing fields.
+   *
+   * @returns {Array} The components.
+   */
+  renderChildren() {
+    if (!this.state.expanded) {
+      return [];
+    }
+
+    const children = [];
+
+    for (const element of this.props.element.elements) {
+      children.push(
+        <HighlightedElement
+          key={element.uuid}
+          element={element}
+          path={this.props.path.concat([element.currentKey])}
+          violations={this.props.violations}
+          tz={this.props.tz} />
+      );
+    }
+
+    return children.concat(groupMissingFields(this.props.violations, this.props.path).map((field) => (
+      <MissingField key={`missing-${field.name}`} name={field.name} violations={field.violations} />
+    )));
+  }
+
+  /**
+   * Render an element with a value.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderElement() {
+    const element = this.props.element;
+    const Value = getComponent(element.currentType);
+
+    return (
+      <li className={classnames('element', this.getHighlight())} title={this.getTitle()}>
+        <div className="element-field">{element.currentKey}</div>
+        <span className="element-separator">:</span>
+        <Value type={element.currentType} value={element.currentValue} tz={this.props.tz} />
+      </li>
+    );
+  }
+
+  /**
+   * Render an element with child elements.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderExpandableElement() {
+    const element = this.props.element;
+
+    return (
+      <li className="expandable-element">
+        <div
+          className={classnames(this.getClassName('expandable-element-header'), this.getHighlight())}
+          title={this.getTitle()}
+          onClick={this.onToggle.bind(this)}>
+          <div className="expandable-element-header-toggle" />
+          <div className="expandable-element-header-field">{element.currentKey}</div>
+          <span className="expandable-element-header-separator">:</span>
+          <div className="expandable-element-header-label">{element.currentType}</div>
+        </div>
+        <ol className={this.getClassName('expandable-element-children')}>
+          {this.renderChildren()}
+        </ol>
+      </li>
+    );
+  }
+
+  /**
+   * Render HighlightedElement component.
+   *
+   * @returns {React.Component} The rendered component.
+   */
+  render() {
+    return this.props.element.elements ? this.renderExpandableElement() : this.renderElement();
+  }
+}
+
+export default HighlightedElement;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import HadronDocument from 'hadron-document';
+import HighlightedElement from 'components/highlighted-element';
+import styles from './highlighted-element.less';
+
+describe('HighlightedElement [Component]', () => {
+  const doc = new HadronDocument({ name: 'A', address: { city: 5 }, tags: ['a'] });
+  const violations = [
+    { path: ['name'], schemaPath: ['$jsonSchema', 'properties', 'name', 'minLength'], keyword: 'minLength', message: 'must be at least 2 characters long' },
+    { path: ['address', 'city'], schemaPath: ['$jsonSchema', 'properties', 'address', 'properties', 'city', 'bsonType'], keyword: 'bsonType', message: 'must be of type \'string\', not \'int\'' },
+    { path: ['address', 'zip'], schemaPath: ['$jsonSchema', 'properties', 'address', 'required', 0], keyword: 'required', message: 'is required' }
+  ];
+
+  /**
+   * Mount the element of a field.
+   *
+   * @param {String} key - The field.
+   *
+   * @returns {ReactWrapper} The component.
+   */
+  const mountElement = (key) => mount(
+    <HighlightedElement element={doc.get(key)} path={[key]} violations={violations} tz="UTC" />
+  );
+
+  context('when the element violates the schema', () => {
+    it('highlights the element with the rule as the tooltip', () => {
+      const element = mountElement('name').find('li.element');
+
+      expect(element).to.have.className(styles['highlighted-element-is-invalid']);
+      expect(element.props().title).to.equal(
+        'must be at least 2 characters long ($jsonSchema.properties.name.minLength)'
+      );
+    });
+  });
+
+  context('when violations are below the element', () => {
+    let component;
+
+    beforeEach(() => {
+      component = mountElement('address');
+    });
+
+    it('starts expanded', () => {
+      expect(component.find('.expandable-element-header')).to.have.className('expandable-element-header-is-expanded');
+    });
+
+    it('highlights the nested field', () => {
+      expect(component.find(`li.${styles['highlighted-element-is-invalid']}`).find('.element-field').text()).to.equal('city');
+    });
+
+    it('renders the missing fields', () => {
+      expect(component.find('MissingField').props().name).to.equal('zip');
+    });
+
+    it('collapses', () => {
+      component.find('.expandable-element-header').simulate('click');
+
+      expect(component.find('HighlightedElement')).to.have.length(1);
+    });
+  });
+
+  context('when the element is valid', () => {
+    it('starts collapsed without highlight', () => {
+      const component = mountElement('tags');
+
+      expect(component.find(`.${styles['highlighted-element-is-invalid']}`)).to.be.not.present();
+      expect(component.find('HighlightedElement')).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,4 @@
+import HighlightedElement from './highlighted-element';
+
+export default HighlightedElement;
+export { HighlightedElement };
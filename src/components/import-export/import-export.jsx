@@ -0,0 +1,247 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import { Modal, DropdownButton, MenuItem } from 'react-bootstrap';
+import { TextButton } from 'hadron-react-buttons';
+import DiffTable from 'components/diff-table';
+import LintMessages from 'components/lint-messages';
+import { checkValidator } from 'modules/validation';
+import { lintValidator } from 'utils/lint-validator';
+import {
+  EXPORT_FORMATS,
+  SCHEMA_FORMATS,
+  exportValidation,
+  getExportFileName,
+  parseValidationFile,
+  downloadFile
+} from 'utils/validation-file';
+import { stringifyValidator } from 'utils/validator-syntax';
+
+import styles from './import-export.less';
+
+/**
+ * The import and export component, moves validation rules between files
+ * and the editor.
+ */
+class ImportExport extends Component {
+  static displayName = 'ImportExport';
+
+  static propTypes = {
+    validation: PropTypes.shape({
+      validator: PropTypes.string.isRequired,
+      validationAction: PropTypes.string.isRequired,
+      validationLevel: PropTypes.string.isRequired
+    }).isRequired,
+    namespace: PropTypes.oneOfType([PropTypes.object, PropTypes.string]).isRequired,
+    isEditable: PropTypes.bool.isRequired,
+    canExport: PropTypes.bool,
+    bsSize: PropTypes.string,
+    validationImport: PropTypes.shape({
+      isVisible: PropTypes.bool.isRequired,
+      fileName: PropTypes.string,
+      validation: PropTypes.object,
+      conversions: PropTypes.array,
+      error: PropTypes.string
+    }).isRequired,
+    importFileLoaded: PropTypes.func.isRequired,
+    importClosed: PropTypes.func.isRequired,
+    applyImport: PropTypes.func.isRequired
+  };
+
+  static defaultProps = {
+    canExport: true,
+    bsSize: 'xs'
+  };
+
+  /**
+   * Open the file picker.
+   */
+  onImportClick() {
+    this.fileInput.click();
+  }
+
+  /**
+   * Read the picked file.
+   *
+   * @param {Object} evt - The change event.
+   */
+  onFileSelect(evt) {
+    const file = evt.target.files[0];
+    const reader = new FileReader();
+
+    if (!file) {
+      return;
+    }
+
+    reader.onload = () => {
+      this.props.importFileLoaded(file.name, parseValidationFile(reader.result));
+    };
+    reader.readAsText(file);
+    evt.target.value = '';
+  }
+
+  /**
+   * Save the current validation to a file.
+   *
+   * @param {String} format - One of the export formats.
+   */
+  onExport(format) {
+    const checkedValidator = checkValidator(this.props.validation.validator);
+    const text = exportValidation(
+      { ...this.props.validation, validator: checkedValidator.validator },
+      format,
+      this.props.namespace.collection
+    );
+
+    if (text !== null) {
+      downloadFile(getExportFileName(this.props.namespace, format), text);
+    }
+  }
+
+  /**
+   * Get the current validation to compare an import with.
+   *
+   * @returns {Object} The validation.
+   */
+  getCurrentValidation() {
+    return {
+      ...this.props.validation,
+      validator: this.props.validation.validator || '{}'
+    };
+  }
+
+  /**
+   * Render the export menu.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderExportButton() {
+    if (!this.props.canExport) {
+      return null;
+    }
+
+    const checkedValidator = checkValidator(this.props.validation.validator);
+    const validator = checkedValidator.validator || {};
+
+    return (
+      <DropdownButton
+        id="validation-export"
+        bsSize={this.props.bsSize}
+        title="Export"
+        disabled={!!checkedValidator.syntaxError}
+        onSelect={this.onExport.bind(this)}>
+        {Object.keys(EXPORT_FORMATS).map((format) => (
+          <MenuItem
+            key={format}
+            eventKey={format}
+            disabled={SCHEMA_FORMATS.indexOf(format) > -1 && !validator.$jsonSchema}>
+            {EXPORT_FORMATS[format]}
+          </MenuItem>
+        ))}
+      </DropdownButton>
+    );
+  }
+
+  /**
+   * Render the changes the import makes.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderImportChanges() {
+    const imported = this.props.validationImport;
+
+    if (imported.error) {
+      return (
+        <div className={classnames(styles['import-export-error'])}>
+          {imported.error}
+        </div>
+      );
+    }
+
+    const before = this.getCurrentValidation();
+    const after = {
+      ...before,
+      ...imported.validation,
+      validator: stringifyValidator(imported.validation.validator)
+    };
+
+    return (
+      <div>
+        <LintMessages
+          diagnostics={(imported.conversions || []).concat(lintValidator(imported.validation.validator))} />
+        <DiffTable before={before} after={after} />
+      </div>
+    );
+  }
+
+  /**
+   * Render the preview of an imported file.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderImportPreview() {
+    const imported = this.props.validationImport;
+
+    if (!imported.isVisible) {
+      return null;
+    }
+
+    return (
+      <Modal
+        show
+        bsSize="large"
+        onHide={this.props.importClosed}
+        dialogClassName={classnames(styles['import-export-preview'])}>
+        <Modal.Header closeButton>
+          <Modal.Title>Import Validation Rules</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <div className={classnames(styles['import-export-file'])}>
+            {imported.fileName}
+          </div>
+          {this.renderImportChanges()}
+        </Modal.Body>
+        <Modal.Footer>
+          <TextButton
+            id="validation-import-cancel"
+            className="btn btn-default btn-sm"
+            text="Cancel"
+            clickHandler={this.props.importClosed} />
+          <TextButton
+            id="validation-import-apply"
+            className="btn btn-primary btn-sm"
+            text="Import"
+            disabled={!!imported.error || !this.props.isEditable}
+            clickHandler={this.props.applyImport} />
+        </Modal.Footer>
+      </Modal>
+    );
+  }
+
+  /**
+   * Render ImportExport component.
+   *
+   * @returns {React.Component} The rendered component.
+   */
+  render() {
+    return (
+      <div className={classnames(styles['import-export'])}>
+        <input
+          type="file"
+          accept=".json,application/json"
+          ref={(input) => { this.fileInput = input; }}
+          onChange={this.onFileSelect.bind(this)} />
+        <TextButton
+          id="validation-import"
+          className={`btn btn-default btn-${this.props.bsSize}`}
+          text="Import"
+          disabled={!this.props.isEditable}
+          clickHandler={this.onImportClick.bind(this)} />
+        {this.renderExportButton()}
+        {this.renderImportPreview()}
+      </div>
+    );
+  }
+}
+
+export default ImportExport;
@@ -0,0 +1,125 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import ImportExport from 'components/import-export';
+
+import styles from './import-export.less';
+
+describe('ImportExport [Component]', () => {
+  const validation = {
+    validator: '{ $jsonSchema: { required: [\'name\'] } }',
+    validationAction: 'error',
+    validationLevel: 'strict'
+  };
+  const namespace = { database: 'db', collection: 'coll' };
+
+  context('when no file is imported', () => {
+    let component;
+
+    beforeEach(() => {
+      component = mount(
+        <ImportExport
+          validation={validation}
+          namespace={namespace}
+          isEditable
+          validationImport={{ isVisible: false }}
+          importFileLoaded={sinon.spy()}
+          importClosed={sinon.spy()}
+          applyImport={sinon.spy()} />
+      );
+    });
+
+    afterEach(() => {
+      component = null;
+    });
+
+    it('renders the import button', () => {
+      expect(component.find('#validation-import').hostNodes()).to.be.present();
+    });
+
+    it('renders the export menu', () => {
+      expect(component.find('DropdownButton')).to.be.present();
+    });
+  });
+
+  context('when it can not export', () => {
+    it('does not render the export menu', () => {
+      const component = mount(
+        <ImportExport
+          validation={validation}
+          namespace={namespace}
+          isEditable
+          canExport={false}
+          validationImport={{ isVisible: false }}
+          importFileLoaded={sinon.spy()}
+          importClosed={sinon.spy()}
+          applyImport={sinon.spy()} />
+      );
+
+      expect(component.find('DropdownButton')).to.be.not.present();
+    });
+  });
+
+  context('when a file is imported', () => {
+    let component;
+    const applyImportSpy = sinon.spy();
+    const validationImport = {
+      isVisible: true,
+      fileName: 'rules.json',
+      validation: { validator: { $jsonSchema: { required: ['name', 'age'] } } },
+      error: null
+    };
+
+    beforeEach(() => {
+      component = mount(
+        <ImportExport
+          validation={validation}
+          namespace={namespace}
+          isEditable
+          validationImport={validationImport}
+          importFileLoaded={sinon.spy()}
+          importClosed={sinon.spy()}
+          applyImport={applyImportSpy} />
+      );
+    });
+
+    afterEach(() => {
+      component.unmount();
+    });
+
+    it('previews the changes', () => {
+      expect(component.find('DiffTable').find('tbody tr')).to.have.length(1);
+    });
+
+    it('applies the import', () => {
+      component.find('#validation-import-apply').hostNodes().simulate('click');
+
+      expect(applyImportSpy).to.have.been.calledOnce;
+    });
+  });
+
+  context('when the imported file is invalid', () => {
+    it('renders the error and disables the import', () => {
+      const component = mount(
+        <ImportExport
+          validation={validation}
+          namespace={namespace}
+          isEditable
+          validationImport={{
+            isVisible: true,
+            fileName: 'rules.json',
+            validation: null,
+            error: 'The file must contain a JSON object.'
+          }}
+          importFileLoaded={sinon.spy()}
+          importClosed={sinon.spy()}
+          applyImport={sinon.spy()} />
+      );
+
+      expect(component.find(`.${styles['import-export-error']}`)).
+        to.have.text('The file must contain a JSON object.');
+      expect(component.find('#validation-import-apply').hostNodes().props().disabled).
+        to.equal(true);
+      component.unmount();
+    });
+  });
+});
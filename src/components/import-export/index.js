@@ -0,0 +1,4 @@
+import ImportExport from './import-export';
+
+export default ImportExport;
+export { ImportExport };
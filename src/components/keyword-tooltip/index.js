@@ -0,0 +1,4 @@
+import KeywordTooltip from './keyword-tooltip';
+
+export default KeywordTooltip;
+export { KeywordTooltip };
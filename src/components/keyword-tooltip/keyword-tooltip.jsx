@@ -0,0 +1,79 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+
+import styles from './keyword-tooltip.less';
+
+/**
+ * The keyword tooltip component, documents the $jsonSchema keyword or query
+ * operator under the mouse.
+ */
+class KeywordTooltip extends PureComponent {
+  static displayName = 'KeywordTooltip';
+
+  static propTypes = {
+    doc: PropTypes.shape({
+      keyword: PropTypes.string.isRequired,
+      description: PropTypes.string.isRequired,
+      values: PropTypes.string,
+      version: PropTypes.string.isRequired,
+      link: PropTypes.string.isRequired
+    }).isRequired,
+    top: PropTypes.number.isRequired,
+    left: PropTypes.number.isRequired,
+    openLink: PropTypes.func.isRequired,
+    onMouseLeave: PropTypes.func
+  };
+
+  /**
+   * Open the documentation of the keyword.
+   */
+  onLinkClick() {
+    this.props.openLink(this.props.doc.link);
+  }
+
+  /**
+   * Render the allowed values.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderValues() {
+    if (this.props.doc.values) {
+      return (
+        <div className={classnames(styles['keyword-tooltip-detail'])}>
+          Values: {this.props.doc.values}
+        </div>
+      );
+    }
+  }
+
+  /**
+   * Render KeywordTooltip component.
+   *
+   * @returns {React.Component} The rendered component.
+   */
+  render() {
+    const doc = this.props.doc;
+
+    return (
+      <div
+        className={classnames(styles['keyword-tooltip'])}
+        style={{ top: this.props.top, left: this.props.left }}
+        onMouseLeave={this.props.onMouseLeave}>
+        <div className={classnames(styles['keyword-tooltip-name'])}>{doc.keyword}</div>
+        <div>{doc.description}</div>
+        {this.renderValues()}
+        <div className={classnames(styles['keyword-tooltip-detail'])}>
+          Requires MongoDB {doc.version} or later
+        </div>
+        <a
+          className={classnames(styles['keyword-tooltip-link'])}
+          onClick={this.onLinkClick.bind(this)}>
+          Documentation
+        </a>
+      </div>
+    );
+  }
+}
+
+export default KeywordTooltip;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import KeywordTooltip from 'components/keyword-tooltip';
+
+import styles from './keyword-tooltip.less';
+
+describe('KeywordTooltip [Component]', () => {
+  let component;
+  const openLinkSpy = sinon.spy();
+  const doc = {
+    keyword: 'minLength',
+    description: 'The shortest string allowed.',
+    values: 'non-negative integer',
+    version: '3.6.0',
+    link: 'https://docs.mongodb.com/manual/reference/operator/query/jsonSchema/#available-keywords'
+  };
+
+  beforeEach(() => {
+    component = mount(
+      <KeywordTooltip doc={doc} top={20} left={10} openLink={openLinkSpy} />
+    );
+  });
+
+  afterEach(() => {
+    component = null;
+  });
+
+  it('renders the keyword', () => {
+    expect(component.find(`.${styles['keyword-tooltip-name']}`)).to.have.text('minLength');
+  });
+
+  it('renders the minimum server version', () => {
+    expect(component.text()).to.include('Requires MongoDB 3.6.0 or later');
+  });
+
+  it('opens the documentation', () => {
+    component.find(`.${styles['keyword-tooltip-link']}`).simulate('click');
+
+    expect(openLinkSpy).to.have.been.calledWith(doc.link);
+  });
+});
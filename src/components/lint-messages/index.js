@@ -0,0 +1,4 @@
+import LintMessages from './lint-messages';
+
+export default LintMessages;
+export { LintMessages };
@@ -0,0 +1,74 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import { formatPath } from 'utils/lint-validator';
+
+import styles from './lint-messages.less';
+
+/**
+ * The icons for the severities.
+ */
+const ICONS = {
+  error: 'fa fa-times-circle',
+  warning: 'fa fa-exclamation-triangle'
+};
+
+/**
+ * The lint messages component, lists the validator diagnostics.
+ */
+class LintMessages extends PureComponent {
+  static displayName = 'LintMessages';
+
+  static propTypes = {
+    diagnostics: PropTypes.arrayOf(PropTypes.shape({
+      severity: PropTypes.string.isRequired,
+      path: PropTypes.array.isRequired,
+      option: PropTypes.string,
+      message: PropTypes.string.isRequired
+    })).isRequired
+  };
+
+  /**
+   * Render a single diagnostic.
+   *
+   * @param {Object} diagnostic - The diagnostic.
+   * @param {Number} index - The index.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderDiagnostic(diagnostic, index) {
+    return (
+      <li
+        key={index}
+        className={classnames(
+          styles['lint-message'],
+          styles[`lint-message-${diagnostic.severity}`]
+        )}>
+        <i className={ICONS[diagnostic.severity]} aria-hidden />
+        <span className={classnames(styles['lint-message-path'])}>
+          {diagnostic.option || formatPath(diagnostic.path)}
+        </span>
+        {diagnostic.message}
+      </li>
+    );
+  }
+
+  /**
+   * Render LintMessages component.
+   *
+   * @returns {React.Component} The rendered component.
+   */
+  render() {
+    if (!this.props.diagnostics.length) {
+      return null;
+    }
+
+    return (
+      <ul className={classnames(styles['lint-messages'])}>
+        {this.props.diagnostics.map(this.renderDiagnostic)}
+      </ul>
+    );
+  }
+}
+
+export default LintMessages;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import LintMessages from 'components/lint-messages';
+
+import styles from './lint-messages.less';
+
+describe('LintMessages [Component]', () => {
+  let component;
+  const diagnostics = [
+    { severity: 'error', path: ['$jsonSchema', 'format'], message: 'Not supported.' },
+    { severity: 'warning', path: ['$jsonSchema', 'required', 0], message: 'Missing.' }
+  ];
+
+  beforeEach(() => {
+    component = mount(<LintMessages diagnostics={diagnostics} />);
+  });
+
+  afterEach(() => {
+    component = null;
+  });
+
+  it('renders the diagnostics', () => {
+    expect(component.find(`.${styles['lint-message']}`)).to.have.length(2);
+  });
+
+  it('renders the paths', () => {
+    expect(component.find(`.${styles['lint-message-path']}`).last()).
+      to.have.text('$jsonSchema.required[0]');
+  });
+});
@@ -1,6 +1,7 @@
 import React, { PureComponent } from 'react';
 import PropTypes from 'prop-types';
 import classnames from 'classnames';
+import { TextButton } from 'hadron-react-buttons';
 
 import styles from './loading-overlay.less';
 
@@ -11,7 +12,27 @@ class LoadingOverlay extends PureComponent {
   static displayName = 'LoadingOverlay';
 
   static propTypes = {
-    text: PropTypes.string.isRequired
+    text: PropTypes.string.isRequired,
+    onCancel: PropTypes.func
+  }
+
+  /**
+   * Render the cancel button when the operation can be cancelled.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderCancel() {
+    if (!this.props.onCancel) {
+      return null;
+    }
+
+    return (
+      <TextButton
+        id="loading-overlay-cancel"
+        className="btn btn-default btn-xs"
+        text="Cancel"
+        clickHandler={this.props.onCancel} />
+    );
   }
 
   /**
@@ -27,6 +48,7 @@ class LoadingOverlay extends PureComponent {
           <div className={classnames(styles['loading-overlay-box-text'])}>
             {this.props.text}
           </div>
+          {this.renderCancel()}
         </div>
       </div>
     );
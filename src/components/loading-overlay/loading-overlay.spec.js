@@ -29,4 +29,19 @@ describe('LoadingOverlay [Component]', () => {
         to.have.text('Loading...');
     });
   });
+
+  context('when the operation can be cancelled', () => {
+    it('renders the cancel button', () => {
+      const onCancelSpy = sinon.spy();
+      const component = mount(<LoadingOverlay text="Loading..." onCancel={onCancelSpy} />);
+
+      component.find('#loading-overlay-cancel').hostNodes().simulate('click');
+
+      expect(onCancelSpy).to.have.been.calledOnce;
+    });
+
+    it('renders no cancel button without a handler', () => {
+      expect(mount(<LoadingOverlay text="Loading..." />).find('#loading-overlay-cancel')).to.be.not.present();
+    });
+  });
 });
@@ -0,0 +1,4 @@
+import MissingField from './missing-field';
+
+export default MissingField;
+export { MissingField };
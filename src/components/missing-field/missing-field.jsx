@@ -0,0 +1,38 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import { describeViolations } from 'utils/evaluate-schema';
+
+import styles from './missing-field.less';
+
+/**
+ * The missing field component, a placeholder row for a field the document
+ * needs but does not have.
+ */
+class MissingField extends PureComponent {
+  static displayName = 'MissingField';
+
+  static propTypes = {
+    name: PropTypes.string.isRequired,
+    violations: PropTypes.array.isRequired
+  };
+
+  /**
+   * Render MissingField component.
+   *
+   * @returns {React.Component} The rendered component.
+   */
+  render() {
+    return (
+      <li
+        className={classnames('element', styles['missing-field'])}
+        title={describeViolations(this.props.violations)}>
+        <div className="element-field">{this.props.name}</div>
+        <span className="element-separator">:</span>
+        <span className={classnames(styles['missing-field-placeholder'])}>missing</span>
+      </li>
+    );
+  }
+}
+
+export default MissingField;
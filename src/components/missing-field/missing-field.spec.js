@@ -0,0 +1,29 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import MissingField from 'components/missing-field';
+import styles from './missing-field.less';
+
+describe('MissingField [Component]', () => {
+  let component;
+
+  beforeEach(() => {
+    component = mount(
+      <MissingField
+        name="age"
+        violations={[{ path: ['age'], schemaPath: ['$jsonSchema', 'required', 0], keyword: 'required', message: 'is required' }]} />
+    );
+  });
+
+  afterEach(() => {
+    component = null;
+  });
+
+  it('renders the field as a placeholder', () => {
+    expect(component.find('.element-field').text()).to.equal('age');
+    expect(component.find(`.${styles['missing-field-placeholder']}`).text()).to.equal('missing');
+  });
+
+  it('shows the violated rule as the tooltip', () => {
+    expect(component.find('li').props().title).to.equal('is required ($jsonSchema.required[0])');
+  });
+});
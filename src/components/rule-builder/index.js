@@ -0,0 +1,4 @@
+import RuleBuilder from './rule-builder';
+
+export default RuleBuilder;
+export { RuleBuilder };
@@ -0,0 +1,98 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import RuleProperty from 'components/rule-property';
+import { checkValidator } from 'modules/validation';
+import {
+  isBuilderSupported,
+  getJsonSchema,
+  setJsonSchema
+} from 'utils/json-schema';
+import { stringifyValidator } from 'utils/validator-syntax';
+
+import styles from './rule-builder.less';
+
+/**
+ * Message when the validator can not be parsed.
+ */
+const SYNTAX_ERROR_MESSAGE = 'Fix the syntax error in the editor to use the rule builder.';
+
+/**
+ * Message when the validator is not a $jsonSchema.
+ */
+const UNSUPPORTED_MESSAGE = 'The rule builder only supports $jsonSchema validators.';
+
+/**
+ * The rule builder component, a tree view of the $jsonSchema validator.
+ */
+class RuleBuilder extends Component {
+  static displayName = 'RuleBuilder';
+
+  static propTypes = {
+    validator: PropTypes.string.isRequired,
+    isEditable: PropTypes.bool.isRequired,
+    onRulesChange: PropTypes.func.isRequired
+  };
+
+  /**
+   * Apply a change to the schema and send back the new validator.
+   *
+   * @param {Object} validator - The parsed validator.
+   * @param {Function} fn - Receives the schema and returns the new one.
+   */
+  update(validator, fn) {
+    const schema = fn(getJsonSchema(validator));
+
+    this.props.onRulesChange(
+      stringifyValidator(setJsonSchema(validator, schema))
+    );
+  }
+
+  /**
+   * Render a message instead of the tree.
+   *
+   * @param {String} message - The message.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderMessage(message) {
+    return (
+      <div className={classnames(styles['rule-builder'])}>
+        <div className={classnames(styles['rule-builder-message'])}>
+          {message}
+        </div>
+      </div>
+    );
+  }
+
+  /**
+   * Render RuleBuilder component.
+   *
+   * @returns {React.Component} The rendered component.
+   */
+  render() {
+    const checkedValidator = checkValidator(this.props.validator);
+    const validator = checkedValidator.validator;
+
+    if (checkedValidator.syntaxError) {
+      return this.renderMessage(SYNTAX_ERROR_MESSAGE);
+    }
+
+    if (!isBuilderSupported(validator)) {
+      return this.renderMessage(UNSUPPORTED_MESSAGE);
+    }
+
+    return (
+      <div className={classnames(styles['rule-builder'])}>
+        <RuleProperty
+          isRoot
+          schema={getJsonSchema(validator)}
+          path={[]}
+          isEditable={this.props.isEditable}
+          update={this.update.bind(this, validator)} />
+      </div>
+    );
+  }
+}
+
+export default RuleBuilder;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import RuleBuilder from 'components/rule-builder';
+
+import styles from './rule-builder.less';
+
+describe('RuleBuilder [Component]', () => {
+  context('when the validator is a $jsonSchema', () => {
+    let component;
+    const onRulesChangeSpy = sinon.spy();
+    const validator = '{ $jsonSchema: { bsonType: \'object\', properties: { name: { bsonType: \'string\' } } } }';
+
+    beforeEach(() => {
+      component = mount(
+        <RuleBuilder
+          validator={validator}
+          isEditable
+          onRulesChange={onRulesChangeSpy} />
+      );
+    });
+
+    afterEach(() => {
+      component = null;
+    });
+
+    it('renders the properties', () => {
+      expect(component.find('RuleProperty')).to.have.length(2);
+    });
+
+    it('sends back the validator when a property is added', () => {
+      component.find('button').last().simulate('click');
+
+      expect(onRulesChangeSpy.lastCall.args[0]).to.contain('field: {');
+    });
+  });
+
+  context('when the validator has a syntax error', () => {
+    let component;
+
+    beforeEach(() => {
+      component = mount(
+        <RuleBuilder
+          validator="{ $jsonSchema: "
+          isEditable
+          onRulesChange={sinon.spy()} />
+      );
+    });
+
+    afterEach(() => {
+      component = null;
+    });
+
+    it('renders the message', () => {
+      expect(component.find(`.${styles['rule-builder-message']}`)).to.be.present();
+    });
+  });
+});
@@ -0,0 +1,4 @@
+import RuleProperty from './rule-property';
+
+export default RuleProperty;
+export { RuleProperty };
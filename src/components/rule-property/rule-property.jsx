@@ -0,0 +1,359 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import { TextButton } from 'hadron-react-buttons';
+import {
+  BSON_TYPES,
+  getTypeKeywords,
+  addProperty,
+  removeProperty,
+  renameProperty,
+  setRequired,
+  setKeyword,
+  setBsonType,
+  parseEnum
+} from 'utils/json-schema';
+
+import styles from './rule-property.less';
+
+/**
+ * The labels of the keywords that are edited in a text input.
+ */
+const KEYWORD_LABELS = {
+  minimum: 'Min',
+  maximum: 'Max',
+  minLength: 'Min length',
+  maxLength: 'Max length',
+  pattern: 'Pattern',
+  minItems: 'Min items',
+  maxItems: 'Max items'
+};
+
+/**
+ * The rule property component, renders a single node of the $jsonSchema
+ * tree and its children.
+ */
+class RuleProperty extends Component {
+  static displayName = 'RuleProperty';
+
+  static propTypes = {
+    schema: PropTypes.object.isRequired,
+    path: PropTypes.array.isRequired,
+    parentPath: PropTypes.array,
+    name: PropTypes.string,
+    isRequired: PropTypes.bool,
+    isRoot: PropTypes.bool,
+    isEditable: PropTypes.bool.isRequired,
+    update: PropTypes.func.isRequired
+  };
+
+  static defaultProps = {
+    isRequired: false,
+    isRoot: false
+  };
+
+  /**
+   * Rename the property.
+   *
+   * @param {Object} evt - The blur event.
+   */
+  onNameBlur(evt) {
+    const newName = evt.target.value.trim();
+
+    this.props.update((schema) => renameProperty(
+      schema,
+      this.props.parentPath,
+      this.props.name,
+      newName
+    ));
+  }
+
+  /**
+   * Change the bson type.
+   *
+   * @param {Object} evt - The change event.
+   */
+  onBsonTypeChange(evt) {
+    const bsonType = evt.target.value;
+
+    this.props.update((schema) => setBsonType(schema, this.props.path, bsonType));
+  }
+
+  /**
+   * Toggle the required flag.
+   *
+   * @param {Object} evt - The change event.
+   */
+  onRequiredChange(evt) {
+    const isRequired = evt.target.checked;
+
+    this.props.update((schema) => setRequired(
+      schema,
+      this.props.parentPath,
+      this.props.name,
+      isRequired
+    ));
+  }
+
+  /**
+   * Set a keyword from a text input.
+   *
+   * @param {String} keyword - The keyword.
+   * @param {Object} evt - The blur event.
+   */
+  onKeywordBlur(keyword, evt) {
+    const text = evt.target.value.trim();
+    let value = text;
+
+    if (keyword === 'enum') {
+      value = parseEnum(text, this.props.schema.bsonType);
+    } else if (keyword !== 'pattern' && text !== '') {
+      value = Number(text);
+
+      if (isNaN(value)) {
+        return;
+      }
+    }
+
+    this.props.update((schema) => setKeyword(schema, this.props.path, keyword, value));
+  }
+
+  /**
+   * Add a child property.
+   */
+  onAddProperty() {
+    this.props.update((schema) => addProperty(schema, this.props.path));
+  }
+
+  /**
+   * Remove the property.
+   */
+  onRemove() {
+    this.props.update((schema) => removeProperty(
+      schema,
+      this.props.parentPath,
+      this.props.name
+    ));
+  }
+
+  /**
+   * Submit text inputs on enter.
+   *
+   * @param {Object} evt - The key down event.
+   */
+  onKeyDown(evt) {
+    if (evt.key === 'Enter') {
+      evt.target.blur();
+    }
+  }
+
+  /**
+   * Render the bson type selector.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderBsonType() {
+    const bsonType = this.props.schema.bsonType;
+    const value = Array.isArray(bsonType) ? bsonType.join(' | ') : (bsonType || '');
+    const options = BSON_TYPES.map((type) => (
+      <option key={type} value={type}>{type}</option>
+    ));
+
+    if (BSON_TYPES.indexOf(value) === -1) {
+      options.unshift(
+        <option key="current" value={value} disabled>{value || 'any'}</option>
+      );
+    }
+
+    return (
+      <select
+        className={classnames(styles['rule-property-type'])}
+        value={value}
+        disabled={!this.props.isEditable}
+        onChange={this.onBsonTypeChange.bind(this)}>
+        {options}
+      </select>
+    );
+  }
+
+  /**
+   * Render a keyword text input.
+   *
+   * @param {String} keyword - The keyword.
+   * @param {String} label - The label.
+   * @param {String} value - The current value.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderInput(keyword, label, value) {
+    return (
+      <label
+        key={keyword}
+        className={classnames(styles['rule-property-keyword'])}>
+        {label}
+        <input
+          key={value}
+          type="text"
+          defaultValue={value}
+          disabled={!this.props.isEditable}
+          onKeyDown={this.onKeyDown}
+          onBlur={this.onKeywordBlur.bind(this, keyword)} />
+      </label>
+    );
+  }
+
+  /**
+   * Render the inputs for the keywords of the current bson type.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderKeywords() {
+    const schema = this.props.schema;
+    const inputs = getTypeKeywords(schema.bsonType)
+      .filter((keyword) => KEYWORD_LABELS[keyword])
+      .map((keyword) => this.renderInput(
+        keyword,
+        KEYWORD_LABELS[keyword],
+        schema[keyword] === undefined ? '' : String(schema[keyword])
+      ));
+
+    inputs.push(this.renderInput(
+      'enum',
+      'Enum',
+      Array.isArray(schema.enum) ? schema.enum.join(', ') : ''
+    ));
+
+    return (
+      <div className={classnames(styles['rule-property-keywords'])}>
+        {inputs}
+      </div>
+    );
+  }
+
+  /**
+   * Render the header with the name, type, required and remove controls.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderHeader() {
+    const hasName = this.props.name !== undefined;
+
+    return (
+      <div className={classnames(styles['rule-property-header'])}>
+        {hasName ?
+          <input
+            key={this.props.name}
+            type="text"
+            className={classnames(styles['rule-property-name'])}
+            defaultValue={this.props.name}
+            disabled={!this.props.isEditable}
+            onKeyDown={this.onKeyDown}
+            onBlur={this.onNameBlur.bind(this)} /> :
+          <span className={classnames(styles['rule-property-items'])}>items</span>
+        }
+        {this.renderBsonType()}
+        {hasName ?
+          <label className={classnames(styles['rule-property-required'])}>
+            <input
+              type="checkbox"
+              checked={this.props.isRequired}
+              disabled={!this.props.isEditable}
+              onChange={this.onRequiredChange.bind(this)} />
+            Required
+          </label> :
+          null
+        }
+        {hasName && this.props.isEditable ?
+          <TextButton
+            className="btn btn-default btn-xs"
+            text="Remove"
+            clickHandler={this.onRemove.bind(this)} /> :
+          null
+        }
+      </div>
+    );
+  }
+
+  /**
+   * Render the child properties of an object node.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderProperties() {
+    const schema = this.props.schema;
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+
+    return (
+      <div className={classnames(styles['rule-property-children'])}>
+        {Object.keys(properties).map((key) => (
+          <RuleProperty
+            key={key}
+            name={key}
+            schema={properties[key]}
+            path={this.props.path.concat(['properties', key])}
+            parentPath={this.props.path}
+            isRequired={required.indexOf(key) > -1}
+            isEditable={this.props.isEditable}
+            update={this.props.update} />
+        ))}
+        {this.props.isEditable ?
+          <TextButton
+            className="btn btn-default btn-xs"
+            text="Add Property"
+            clickHandler={this.onAddProperty.bind(this)} /> :
+          null
+        }
+      </div>
+    );
+  }
+
+  /**
+   * Render the items node of an array node.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderItems() {
+    const items = this.props.schema.items;
+
+    if (items && !Array.isArray(items)) {
+      return (
+        <div className={classnames(styles['rule-property-children'])}>
+          <RuleProperty
+            schema={items}
+            path={this.props.path.concat(['items'])}
+            isEditable={this.props.isEditable}
+            update={this.props.update} />
+        </div>
+      );
+    }
+  }
+
+  /**
+   * Render RuleProperty component.
+   *
+   * @returns {React.Component} The rendered component.
+   */
+  render() {
+    const bsonType = this.props.schema.bsonType;
+
+    if (this.props.isRoot) {
+      return (
+        <div className={classnames(styles['rule-property-root'])}>
+          {this.renderProperties()}
+        </div>
+      );
+    }
+
+    return (
+      <div className={classnames(styles['rule-property'])}>
+        {this.renderHeader()}
+        {this.renderKeywords()}
+        {bsonType === 'object' ? this.renderProperties() : null}
+        {bsonType === 'array' ? this.renderItems() : null}
+      </div>
+    );
+  }
+}
+
+export default RuleProperty;
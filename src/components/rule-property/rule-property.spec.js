@@ -0,0 +1,47 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import RuleProperty from 'components/rule-property';
+
+import styles from './rule-property.less';
+
+describe('RuleProperty [Component]', () => {
+  let component;
+  const updateSpy = sinon.spy();
+  const schema = {
+    bsonType: 'array',
+    items: { bsonType: 'int', minimum: 1 }
+  };
+
+  beforeEach(() => {
+    component = mount(
+      <RuleProperty
+        name="scores"
+        schema={schema}
+        path={['properties', 'scores']}
+        parentPath={[]}
+        isRequired
+        isEditable
+        update={updateSpy} />
+    );
+  });
+
+  afterEach(() => {
+    component = null;
+  });
+
+  it('renders the wrapper div', () => {
+    expect(component.find(`.${styles['rule-property']}`)).to.have.length(2);
+  });
+
+  it('renders the array items', () => {
+    expect(component.find(`.${styles['rule-property-items']}`)).to.be.present();
+  });
+
+  it('updates the schema when the type changes', () => {
+    component.find('select').first().simulate('change', { target: { value: 'string' } });
+
+    expect(updateSpy.lastCall.args[0]({ properties: { scores: schema } })).to.deep.equal({
+      properties: { scores: { bsonType: 'string' } }
+    });
+  });
+});
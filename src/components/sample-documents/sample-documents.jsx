@@ -1,13 +1,38 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import classnames from 'classnames';
+import { TextButton } from 'hadron-react-buttons';
 import CheckCircle from 'components/check-circle';
 import CrossCircle from 'components/cross-circle';
+import ComplianceSummary from 'components/compliance-summary';
 import DocumentPreview from 'components/document-preview';
+import LintMessages from 'components/lint-messages';
 import LoadingOverlay from 'components/loading-overlay';
+import SamplingSettings from 'components/sampling-settings';
+import { checkValidator } from 'modules/validation';
+import {
+  INITIAL_STATE,
+  MAX_TIME_MS,
+  MATCHING,
+  NOT_MATCHING,
+  EXEMPT,
+  SAMPLING_STRATEGIES,
+  hasNextDocument
+} from 'modules/sample-documents';
+import { evaluateValidator } from 'utils/evaluate-schema';
 
 import styles from './sample-documents.less';
 
+/**
+ * The state of a side.
+ */
+const SIDE_SHAPE = PropTypes.shape({
+  documents: PropTypes.array.isRequired,
+  index: PropTypes.number.isRequired,
+  isComplete: PropTypes.bool.isRequired,
+  isLoading: PropTypes.bool.isRequired
+});
+
 /**
  * The Sample Documents editor component.
  */
@@ -16,10 +41,34 @@ class SampleDocuments extends Component {
 
   static propTypes = {
     sampleDocuments: PropTypes.shape({
-      matching: PropTypes.object,
-      notmatching: PropTypes.object,
-      isLoading: PropTypes.bool
-    })
+      matching: SIDE_SHAPE,
+      notmatching: SIDE_SHAPE,
+      exempt: SIDE_SHAPE,
+      savedValidator: PropTypes.string,
+      sampleSize: PropTypes.number,
+      strategy: PropTypes.string,
+      scanLimit: PropTypes.number,
+      sampledStrategy: PropTypes.string,
+      compliance: PropTypes.object,
+      isLoading: PropTypes.bool,
+      isCancelled: PropTypes.bool,
+      isTimedOut: PropTypes.bool
+    }),
+    cancelSampling: PropTypes.func,
+    resampleDocuments: PropTypes.func,
+    changeSamplePage: PropTypes.func,
+    changeSampleSize: PropTypes.func,
+    changeSamplingStrategy: PropTypes.func,
+    changeScanLimit: PropTypes.func
+  };
+
+  static defaultProps = {
+    cancelSampling: () => {},
+    resampleDocuments: () => {},
+    changeSamplePage: () => {},
+    changeSampleSize: () => {},
+    changeSamplingStrategy: () => {},
+    changeScanLimit: () => {}
   };
 
   /**
@@ -30,8 +79,193 @@ class SampleDocuments extends Component {
    * @returns {Boolean} If the component should update.
    */
   shouldComponentUpdate(nextProps) {
+    return nextProps.sampleDocuments !== this.props.sampleDocuments;
+  }
+
+  /**
+   * Show another document of a side.
+   *
+   * @param {String} side - The side, matching or notmatching.
+   * @param {Number} index - The index of the document.
+   */
+  onPageChange(side, index) {
+    this.props.changeSamplePage(side, index);
+  }
+
+  /**
+   * Get the sample documents state.
+   *
+   * @returns {Object} The state.
+   */
+  getSampleDocuments() {
+    return { ...INITIAL_STATE, ...this.props.sampleDocuments };
+  }
+
+  /**
+   * Get the shown document of a side.
+   *
+   * @param {String} side - The side, matching or notmatching.
+   *
+   * @returns {Object} The document.
+   */
+  getDocument(side) {
+    const current = this.getSampleDocuments()[side];
+
+    return current.documents[current.index];
+  }
+
+  /**
+   * Get the $jsonSchema rules the shown failing document of a side violates.
+   *
+   * @param {String} side - The side, notmatching or exempt.
+   *
+   * @returns {Array} The violations.
+   */
+  getViolations(side) {
+    const validator = this.getSampleDocuments().validator;
+    const document = this.getDocument(side);
+
+    if (!validator || !document) {
+      return [];
+    }
+
+    const checkedValidator = checkValidator(validator);
+
+    return checkedValidator.syntaxError ? [] : evaluateValidator(document, checkedValidator.validator);
+  }
+
+  /**
+   * Render the compliance and the sampling settings.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderHeader() {
+    const sampleDocuments = this.getSampleDocuments();
+
+    return (
+      <div className={classnames(styles['sample-documents-header'])}>
+        <ComplianceSummary compliance={sampleDocuments.compliance} />
+        <SamplingSettings
+          strategy={sampleDocuments.strategy}
+          sampleSize={sampleDocuments.sampleSize}
+          scanLimit={sampleDocuments.scanLimit}
+          changeSamplingStrategy={this.props.changeSamplingStrategy}
+          changeSampleSize={this.props.changeSampleSize}
+          changeScanLimit={this.props.changeScanLimit} />
+      </div>
+    );
+  }
+
+  /**
+   * Render why the last sample did not finish.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderInterruption() {
+    const sampleDocuments = this.getSampleDocuments();
+    let message;
+
+    if (sampleDocuments.isTimedOut) {
+      message = `Sampling timed out after ${MAX_TIME_MS / 1000} seconds. Scanning fewer documents may help.`;
+    } else if (sampleDocuments.isCancelled) {
+      message = 'Sampling was cancelled.';
+    } else {
+      return null;
+    }
+
+    return (
+      <div className={classnames(styles['sample-documents-interruption'])}>
+        {message}
+        <TextButton
+          id="sample-documents-resample"
+          className="btn btn-default btn-xs"
+          text="Sample Again"
+          clickHandler={this.props.resampleDocuments} />
+      </div>
+    );
+  }
+
+  /**
+   * Render the strategy the shown documents were sampled with.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderStrategy() {
+    const strategy = this.getSampleDocuments().sampledStrategy;
+
+    if (strategy) {
+      return (
+        <span className={classnames(styles['sample-documents-strategy'])}>
+          {SAMPLING_STRATEGIES[strategy]}
+        </span>
+      );
+    }
+  }
+
+  /**
+   * Render the paging of a side.
+   *
+   * @param {String} side - The side, matching or notmatching.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderPager(side) {
+    const sampleDocuments = this.getSampleDocuments();
+    const current = sampleDocuments[side];
+
+    if (current.documents.length < 2 && !hasNextDocument(sampleDocuments, side)) {
+      return null;
+    }
+
+    const total = `${current.documents.length}${current.isComplete ? '' : '+'}`;
+
     return (
-      nextProps.sampleDocuments.isLoading !== this.props.sampleDocuments.isLoading
+      <div className={classnames(styles['sample-documents-pager'])}>
+        <TextButton
+          id={`${side}-documents-previous`}
+          className="btn btn-default btn-xs"
+          text="Previous"
+          disabled={current.index === 0}
+          clickHandler={this.onPageChange.bind(this, side, current.index - 1)} />
+        <span className={classnames(styles['sample-documents-position'])}>
+          {current.isLoading ? 'Loading...' : `${current.index + 1} of ${total}`}
+        </span>
+        <TextButton
+          id={`${side}-documents-next`}
+          className="btn btn-default btn-xs"
+          text="Next"
+          disabled={current.isLoading || !hasNextDocument(sampleDocuments, side)}
+          clickHandler={this.onPageChange.bind(this, side, current.index + 1)} />
+      </div>
+    );
+  }
+
+  /**
+   * Render why the shown document of a side failed validation.
+   *
+   * @param {String} side - The side, notmatching or exempt.
+   * @param {Array} violations - The violations of the document.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderViolations(side, violations) {
+    if (!this.getDocument(side)) {
+      return null;
+    }
+
+    if (!violations.length) {
+      return (
+        <div className={classnames(styles['sample-documents-violations'])}>
+          The document meets every $jsonSchema rule, it fails the other query operators of the validator.
+        </div>
+      );
+    }
+
+    return (
+      <div className={classnames(styles['sample-documents-violations'])}>
+        <LintMessages
+          diagnostics={violations.map((violation) => ({ ...violation, severity: 'error' }))} />
+      </div>
     );
   }
 
@@ -41,7 +275,7 @@ class SampleDocuments extends Component {
    * @returns {React.Component} The component.
    */
   renderMatchingDocuments() {
-    const title = 'Sample Document That Passed Validation';
+    const title = 'Sample Documents That Passed Validation';
 
     return (
       <div className={classnames(
@@ -52,37 +286,74 @@ class SampleDocuments extends Component {
         <span className={classnames(styles['matching-documents-title'])}>
           {title}
         </span>
+        {this.renderStrategy()}
+        {this.renderPager(MATCHING)}
         <DocumentPreview
-          document={this.props.sampleDocuments.matching}
+          document={this.getDocument(MATCHING)}
         />
       </div>
     );
   }
 
   /**
-   * Render not matching documents.
+   * Render the shown failing document of a side and why it failed.
+   *
+   * @param {String} side - The side, notmatching or exempt.
+   * @param {String} title - The title.
    *
    * @returns {React.Component} The component.
    */
-  renderNotMatchingDocuments() {
-    const title = 'Sample Document That Failed Validation';
+  renderFailingDocuments(side, title) {
+    const violations = this.getViolations(side);
 
     return (
       <div className={classnames(
         styles['document-container'],
-        styles['notmatching-documents']
+        styles[`${side}-documents`]
       )}>
         <CrossCircle />
         <span className={classnames(styles['matching-documents-title'])}>
           {title}
         </span>
+        {this.renderStrategy()}
+        {this.renderPager(side)}
         <DocumentPreview
-          document={this.props.sampleDocuments.notmatching}
+          document={this.getDocument(side)}
+          violations={violations}
         />
+        {this.renderViolations(side, violations)}
       </div>
     );
   }
 
+  /**
+   * Render not matching documents. With validationLevel moderate these are
+   * only the documents that pass the saved validator.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderNotMatchingDocuments() {
+    const title = this.getSampleDocuments().savedValidator ?
+      'Sample Documents That Will Be Rejected on Next Update' :
+      'Sample Documents That Failed Validation';
+
+    return this.renderFailingDocuments(NOT_MATCHING, title);
+  }
+
+  /**
+   * Render the failing documents that already fail the saved validator,
+   * their updates are exempt with validationLevel moderate.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderExemptDocuments() {
+    if (!this.getSampleDocuments().savedValidator) {
+      return null;
+    }
+
+    return this.renderFailingDocuments(EXEMPT, 'Sample Documents Exempt as Already Invalid');
+  }
+
   /**
    * Render ValidationEditor component.
    *
@@ -91,13 +362,18 @@ class SampleDocuments extends Component {
   render() {
     return (
       <div className={classnames(styles['sample-documents'])}>
-        <div className={classnames(styles['sample-documents-content'])}>
+        {this.renderHeader()}
+        {this.renderInterruption()}
+        <div className={classnames(styles['sample-documents-content'], {
+          [styles['sample-documents-content-is-moderate']]: !!this.getSampleDocuments().savedValidator
+        })}>
           { this.props.sampleDocuments.isLoading ?
-            <LoadingOverlay text="Sampling Document..." /> :
+            <LoadingOverlay text="Sampling Document..." onCancel={this.props.cancelSampling} /> :
             null
           }
           {this.renderMatchingDocuments()}
           {this.renderNotMatchingDocuments()}
+          {this.renderExemptDocuments()}
         </div>
       </div>
     );
@@ -5,16 +5,40 @@ import styles from './sample-documents.less';
 
 describe('SampleDocuments [Component]', () => {
   let component;
+  let changeSamplePageSpy;
+  let changeSampleSizeSpy;
+  let sampleDocuments;
 
   beforeEach(() => {
-    const sampleDocuments = {
-      matching: {},
-      notmatching: {},
+    sampleDocuments = {
+      matching: {
+        documents: [{ _id: 1 }, { _id: 2 }],
+        index: 0,
+        isComplete: false,
+        isLoading: false
+      },
+      notmatching: {
+        documents: [{ _id: 3 }],
+        index: 0,
+        isComplete: true,
+        isLoading: false
+      },
+      sampleSize: 10,
+      strategy: 'random',
+      scanLimit: 100000,
+      sampledStrategy: 'random',
+      compliance: { passing: 2, failing: 1, total: 3, isEstimate: false },
+      validator: '{ $jsonSchema: { required: [\'name\'] } }',
       isLoading: false
     };
 
+    changeSamplePageSpy = sinon.spy();
+    changeSampleSizeSpy = sinon.spy();
     component = mount(
-      <SampleDocuments sampleDocuments={sampleDocuments} />
+      <SampleDocuments
+        sampleDocuments={sampleDocuments}
+        changeSamplePage={changeSamplePageSpy}
+        changeSampleSize={changeSampleSizeSpy} />
     );
   });
 
@@ -25,4 +49,81 @@ describe('SampleDocuments [Component]', () => {
   it('renders the wrapper div', () => {
     expect(component.find(`.${styles['sample-documents']}`)).to.be.present();
   });
+
+  it('renders the compliance', () => {
+    expect(component.find('ComplianceSummary')).to.be.present();
+  });
+
+  it('renders the position of the shown document', () => {
+    expect(component.find(`.${styles['sample-documents-position']}`).text()).to.equal('1 of 2+');
+  });
+
+  it('does not page a side with a single document', () => {
+    expect(component.find('#notmatching-documents-next')).to.be.not.present();
+  });
+
+  it('pages to the next document', () => {
+    component.find('#matching-documents-next').hostNodes().simulate('click');
+
+    expect(changeSamplePageSpy).to.have.been.calledWith('matching', 1);
+  });
+
+  it('renders the strategy of the samples', () => {
+    expect(component.find(`.${styles['sample-documents-strategy']}`).first().text()).to.equal('Random ($sample)');
+  });
+
+  it('changes the sample size', () => {
+    component.find('#sampling-settings-toggle').hostNodes().simulate('click');
+    component.find('ValidationSelector#sample-size-selector').props().onSelect('20');
+
+    expect(changeSampleSizeSpy).to.have.been.calledWith('20');
+  });
+
+  it('lists why the failing document failed', () => {
+    const messages = component.find(`.${styles['sample-documents-violations']}`).find('LintMessages');
+
+    expect(messages.props().diagnostics).to.have.length(1);
+    expect(messages.text()).to.include('nameis required');
+  });
+
+  it('tells when no $jsonSchema rule explains the failure', () => {
+    component.setProps({ sampleDocuments: { ...sampleDocuments, validator: '{ _id: 1 }' } });
+
+    expect(component.find(`.${styles['sample-documents-violations']}`).text()).to.include(
+      'fails the other query operators'
+    );
+  });
+
+  it('cancels the running sample', () => {
+    const cancelSamplingSpy = sinon.spy();
+
+    component.setProps({ sampleDocuments: { ...sampleDocuments, isLoading: true }, cancelSampling: cancelSamplingSpy });
+    component.find('#loading-overlay-cancel').hostNodes().simulate('click');
+
+    expect(cancelSamplingSpy).to.have.been.calledOnce;
+  });
+
+  it('tells when sampling timed out and samples again', () => {
+    const resampleDocumentsSpy = sinon.spy();
+
+    component.setProps({ sampleDocuments: { ...sampleDocuments, isTimedOut: true }, resampleDocuments: resampleDocumentsSpy });
+    component.find('#sample-documents-resample').hostNodes().simulate('click');
+
+    expect(component.find(`.${styles['sample-documents-interruption']}`).text()).to.include('Sampling timed out');
+    expect(resampleDocumentsSpy).to.have.been.calledOnce;
+  });
+
+  it('separates the exempt documents with validationLevel moderate', () => {
+    component.setProps({
+      sampleDocuments: {
+        ...sampleDocuments,
+        savedValidator: '{}',
+        exempt: { documents: [{ _id: 4 }], index: 0, isComplete: true, isLoading: false }
+      }
+    });
+
+    expect(component.find(`.${styles['sample-documents-content-is-moderate']}`)).to.be.present();
+    expect(component.find(`.${styles['notmatching-documents']}`).text()).to.include('Will Be Rejected on Next Update');
+    expect(component.find(`.${styles['exempt-documents']}`).text()).to.include('Exempt as Already Invalid');
+  });
 });
@@ -0,0 +1,4 @@
+import SamplingSettings from './sampling-settings';
+
+export default SamplingSettings;
+export { SamplingSettings };
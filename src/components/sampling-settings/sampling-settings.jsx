@@ -0,0 +1,127 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import { TextButton } from 'hadron-react-buttons';
+import ValidationSelector from 'components/validation-selector';
+import {
+  SAMPLING_STRATEGIES,
+  SAMPLE_SIZES,
+  SCAN_LIMITS
+} from 'modules/sample-documents';
+import { formatNumber } from 'utils/format-number';
+
+import styles from './sampling-settings.less';
+
+/**
+ * Create the options of a list of numbers.
+ *
+ * @param {Array} numbers - The numbers.
+ *
+ * @returns {Object} The options.
+ */
+const toOptions = (numbers) => numbers.reduce((options, number) => {
+  options[number] = formatNumber(number);
+
+  return options;
+}, {});
+
+/**
+ * The sample size options.
+ */
+const SAMPLE_SIZE_OPTIONS = toOptions(SAMPLE_SIZES);
+
+/**
+ * The scan limit options.
+ */
+const SCAN_LIMIT_OPTIONS = toOptions(SCAN_LIMITS);
+
+/**
+ * The sampling settings component, a popover to pick how the sample
+ * documents are taken.
+ */
+class SamplingSettings extends Component {
+  static displayName = 'SamplingSettings';
+
+  static propTypes = {
+    strategy: PropTypes.string.isRequired,
+    sampleSize: PropTypes.number.isRequired,
+    scanLimit: PropTypes.number.isRequired,
+    changeSamplingStrategy: PropTypes.func.isRequired,
+    changeSampleSize: PropTypes.func.isRequired,
+    changeScanLimit: PropTypes.func.isRequired
+  };
+
+  /**
+   * The component constructor.
+   *
+   * @param {Object} props - The properties.
+   */
+  constructor(props) {
+    super(props);
+    this.state = { isOpen: false };
+  }
+
+  /**
+   * Open or close the popover.
+   */
+  onToggle() {
+    this.setState({ isOpen: !this.state.isOpen });
+  }
+
+  /**
+   * Render the popover.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderPopover() {
+    if (!this.state.isOpen) {
+      return null;
+    }
+
+    return (
+      <div className={classnames(styles['sampling-settings-popover'])}>
+        <ValidationSelector
+          id="sampling-strategy-selector"
+          bsSize="xs"
+          options={SAMPLING_STRATEGIES}
+          title={SAMPLING_STRATEGIES[this.props.strategy]}
+          label="Strategy"
+          onSelect={this.props.changeSamplingStrategy} />
+        <ValidationSelector
+          id="sample-size-selector"
+          bsSize="xs"
+          options={SAMPLE_SIZE_OPTIONS}
+          title={formatNumber(this.props.sampleSize)}
+          label="Documents per side"
+          onSelect={this.props.changeSampleSize} />
+        <ValidationSelector
+          id="scan-limit-selector"
+          bsSize="xs"
+          options={SCAN_LIMIT_OPTIONS}
+          title={formatNumber(this.props.scanLimit)}
+          label="Documents scanned"
+          onSelect={this.props.changeScanLimit} />
+      </div>
+    );
+  }
+
+  /**
+   * Render SamplingSettings component.
+   *
+   * @returns {React.Component} The rendered component.
+   */
+  render() {
+    return (
+      <div className={classnames(styles['sampling-settings'])}>
+        <TextButton
+          id="sampling-settings-toggle"
+          className="btn btn-default btn-xs"
+          text="Sampling Settings"
+          clickHandler={this.onToggle.bind(this)} />
+        {this.renderPopover()}
+      </div>
+    );
+  }
+}
+
+export default SamplingSettings;
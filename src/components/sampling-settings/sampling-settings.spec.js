@@ -0,0 +1,63 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import SamplingSettings from 'components/sampling-settings';
+import styles from './sampling-settings.less';
+
+describe('SamplingSettings [Component]', () => {
+  let component;
+  let changeSamplingStrategySpy;
+  let changeSampleSizeSpy;
+  let changeScanLimitSpy;
+
+  beforeEach(() => {
+    changeSamplingStrategySpy = sinon.spy();
+    changeSampleSizeSpy = sinon.spy();
+    changeScanLimitSpy = sinon.spy();
+    component = mount(
+      <SamplingSettings
+        strategy="newest"
+        sampleSize={10}
+        scanLimit={100000}
+        changeSamplingStrategy={changeSamplingStrategySpy}
+        changeSampleSize={changeSampleSizeSpy}
+        changeScanLimit={changeScanLimitSpy} />
+    );
+  });
+
+  afterEach(() => {
+    component = null;
+  });
+
+  it('starts closed', () => {
+    expect(component.find(`.${styles['sampling-settings-popover']}`)).to.be.not.present();
+  });
+
+  context('when the popover is open', () => {
+    beforeEach(() => {
+      component.find('#sampling-settings-toggle').hostNodes().simulate('click');
+    });
+
+    it('renders the current settings', () => {
+      expect(component.find('ValidationSelector#sampling-strategy-selector').props().title).to.equal('Newest by _id');
+      expect(component.find('ValidationSelector#scan-limit-selector').props().title).to.equal('100,000');
+    });
+
+    it('changes the strategy', () => {
+      component.find('ValidationSelector#sampling-strategy-selector').props().onSelect('random');
+
+      expect(changeSamplingStrategySpy).to.have.been.calledWith('random');
+    });
+
+    it('changes the scan limit', () => {
+      component.find('ValidationSelector#scan-limit-selector').props().onSelect('1000');
+
+      expect(changeScanLimitSpy).to.have.been.calledWith('1000');
+    });
+
+    it('closes', () => {
+      component.find('#sampling-settings-toggle').hostNodes().simulate('click');
+
+      expect(component.find(`.${styles['sampling-settings-popover']}`)).to.be.not.present();
+    });
+  });
+});
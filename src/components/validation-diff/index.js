@@ -0,0 +1,4 @@
+import ValidationDiff from './validation-diff';
+
+export default ValidationDiff;
+export { ValidationDiff };
@@ -0,0 +1,95 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import { Modal } from 'react-bootstrap';
+import { TextButton } from 'hadron-react-buttons';
+import DiffTable from 'components/diff-table';
+
+import styles from './validation-diff.less';
+
+/**
+ * The validation used before the first fetch.
+ */
+const EMPTY_VALIDATION = {
+  validator: '{}',
+  validationAction: 'error',
+  validationLevel: 'strict'
+};
+
+/**
+ * The validation diff component, compares the saved validation with the
+ * pending changes.
+ */
+class ValidationDiff extends Component {
+  static displayName = 'ValidationDiff';
+
+  static propTypes = {
+    validation: PropTypes.shape({
+      validator: PropTypes.string.isRequired,
+      validationAction: PropTypes.string.isRequired,
+      validationLevel: PropTypes.string.isRequired,
+      prevValidation: PropTypes.object
+    }).isRequired,
+    isVisible: PropTypes.bool.isRequired,
+    isConfirming: PropTypes.bool.isRequired,
+    closeDiff: PropTypes.func.isRequired,
+    confirmUpdate: PropTypes.func.isRequired
+  };
+
+  /**
+   * Render the confirm button when the diff confirms an update.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderConfirmButton() {
+    if (this.props.isConfirming) {
+      return (
+        <TextButton
+          id="validation-diff-confirm"
+          className="btn btn-primary btn-sm"
+          text="Confirm Update"
+          clickHandler={this.props.confirmUpdate} />
+      );
+    }
+  }
+
+  /**
+   * Render ValidationDiff component.
+   *
+   * @returns {React.Component} The rendered component.
+   */
+  render() {
+    if (!this.props.isVisible) {
+      return null;
+    }
+
+    return (
+      <Modal
+        show
+        bsSize="large"
+        onHide={this.props.closeDiff}
+        dialogClassName={classnames(styles['validation-diff'])}>
+        <Modal.Header closeButton>
+          <Modal.Title>
+            {this.props.isConfirming ? 'Review Validation Update' : 'Pending Validation Changes'}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <DiffTable
+            before={this.props.validation.prevValidation || EMPTY_VALIDATION}
+            after={this.props.validation} />
+        </Modal.Body>
+        <Modal.Footer>
+          <TextButton
+            id="validation-diff-close"
+            className="btn btn-default btn-sm"
+            text={this.props.isConfirming ? 'Cancel' : 'Close'}
+            clickHandler={this.props.closeDiff} />
+          {this.renderConfirmButton()}
+        </Modal.Footer>
+      </Modal>
+    );
+  }
+}
+
+export default ValidationDiff;
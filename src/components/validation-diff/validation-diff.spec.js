@@ -0,0 +1,91 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import ValidationDiff from 'components/validation-diff';
+
+describe('ValidationDiff [Component]', () => {
+  const validation = {
+    validator: '{\n  $jsonSchema: {\n    required: [\'name\', \'age\']\n  }\n}',
+    validationAction: 'warn',
+    validationLevel: 'strict',
+    prevValidation: {
+      validator: '{\n  $jsonSchema: {\n    required: [\'name\']\n  }\n}',
+      validationAction: 'error',
+      validationLevel: 'strict'
+    }
+  };
+
+  context('when it is not visible', () => {
+    it('renders nothing', () => {
+      const component = mount(
+        <ValidationDiff
+          validation={validation}
+          isVisible={false}
+          isConfirming={false}
+          closeDiff={sinon.spy()}
+          confirmUpdate={sinon.spy()} />
+      );
+
+      expect(component.find('table')).to.be.not.present();
+    });
+  });
+
+  context('when it is visible', () => {
+    let component;
+    const closeDiffSpy = sinon.spy();
+
+    beforeEach(() => {
+      component = mount(
+        <ValidationDiff
+          validation={validation}
+          isVisible
+          isConfirming={false}
+          closeDiff={closeDiffSpy}
+          confirmUpdate={sinon.spy()} />
+      );
+    });
+
+    afterEach(() => {
+      component.unmount();
+    });
+
+    it('renders a row per change', () => {
+      expect(component.find('tbody tr')).to.have.length(2);
+    });
+
+    it('does not render the confirm button', () => {
+      expect(component.find('#validation-diff-confirm')).to.be.not.present();
+    });
+
+    it('closes the diff', () => {
+      component.find('#validation-diff-close').hostNodes().simulate('click');
+
+      expect(closeDiffSpy).to.have.been.calledOnce;
+    });
+  });
+
+  context('when it confirms an update', () => {
+    let component;
+    const confirmUpdateSpy = sinon.spy();
+
+    beforeEach(() => {
+      component = mount(
+        <ValidationDiff
+          validation={validation}
+          isVisible
+          isConfirming
+          closeDiff={sinon.spy()}
+          confirmUpdate={confirmUpdateSpy} />
+      );
+    });
+
+    afterEach(() => {
+      component.unmount();
+    });
+
+    it('confirms the update', () => {
+      component.find('#validation-diff-confirm').hostNodes().simulate('click');
+
+      expect(confirmUpdateSpy).to.have.been.calledOnce;
+    });
+  });
+});
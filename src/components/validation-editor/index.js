@@ -1,4 +1,4 @@
-import ValidationEditor from './validation-editor';
+import ValidationEditor, { GENERATE_DISABLED_MESSAGE } from './validation-editor';
 
 export default ValidationEditor;
-export { ValidationEditor };
+export { ValidationEditor, GENERATE_DISABLED_MESSAGE };
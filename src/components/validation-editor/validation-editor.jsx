@@ -4,10 +4,40 @@ import classnames from 'classnames';
 import AceEditor from 'react-ace';
 import ace from 'brace';
 import { debounce } from 'lodash';
-import { ValidationAutoCompleter } from 'mongodb-ace-autocompleter';
 import { TextButton } from 'hadron-react-buttons';
 import { InfoSprinkle } from 'hadron-react-components';
 import ValidationSelector from 'components/validation-selector';
+import RuleBuilder from 'components/rule-builder';
+import LintMessages from 'components/lint-messages';
+import ValidationDiff from 'components/validation-diff';
+import ValidationHistory from 'components/validation-history';
+import ImportExport from 'components/import-export';
+import ValidationTemplates from 'components/validation-templates';
+import KeywordTooltip from 'components/keyword-tooltip';
+import { checkValidator } from 'modules/validation';
+import { MODERATE } from 'modules/sample-documents';
+import { INITIAL_STATE as VALIDATION_DIFF_STATE } from 'modules/validation-diff';
+import { INITIAL_STATE as VALIDATION_HISTORY_STATE } from 'modules/validation-history';
+import { INITIAL_STATE as VALIDATION_IMPORT_STATE } from 'modules/validation-import';
+import { INITIAL_STATE as VALIDATION_TEMPLATES_STATE } from 'modules/validation-templates';
+import { lintValidator, hasLintErrors } from 'utils/lint-validator';
+import { checkCompatibility } from 'utils/check-compatibility';
+import {
+  locatePaths,
+  locatePath,
+  locateSyntaxError,
+  getSyntaxErrorMessage
+} from 'utils/locate-path';
+import { parseValidationFile } from 'utils/validation-file';
+import { findKeywordDoc } from 'utils/keyword-docs';
+import SchemaAutoCompleter from 'utils/schema-autocompleter';
+import {
+  SHELL,
+  SYNTAX_OPTIONS,
+  parseValidator,
+  stringifyValidator,
+  convertValidator
+} from 'utils/validator-syntax';
 
 import styles from './validation-editor.less';
 
@@ -52,6 +82,55 @@ const ACTION_HELP_URL = 'https://docs.mongodb.com/manual/reference/command/collM
  */
 const LEVEL_HELP_URL = 'https://docs.mongodb.com/manual/reference/command/collMod/#validationLevel';
 
+/**
+ * The views to edit the validator with.
+ */
+const VIEW_OPTIONS = { editor: 'Editor', builder: 'Rule Builder' };
+
+/**
+ * The name pasted JSON Schemas are previewed under.
+ */
+const PASTE_SOURCE = 'Pasted JSON Schema';
+
+/**
+ * Hint for generating rules when no fields were sampled yet.
+ */
+export const GENERATE_DISABLED_MESSAGE = 'No sampled fields are available to generate rules from.';
+
+/**
+ * The distance of the keyword tooltip below the mouse.
+ */
+const TOOLTIP_OFFSET = 12;
+
+/**
+ * The state the editor renders.
+ */
+const STATE_KEYS = ['view', 'hoverDoc', 'syntax'];
+
+/**
+ * The validation values the editor renders.
+ */
+const VALIDATION_KEYS = [
+  'validator',
+  'validationAction',
+  'validationLevel',
+  'error',
+  'syntaxError',
+  'isChanged'
+];
+
+/**
+ * The other properties the editor renders.
+ */
+const UPDATE_PROPS = [
+  'serverVersion',
+  'sampledFields',
+  'validationDiff',
+  'validationHistory',
+  'validationImport',
+  'validationTemplates'
+];
+
 /**
  * The validation editor component.
  */
@@ -61,12 +140,27 @@ class ValidationEditor extends Component {
   static propTypes = {
     fetchSampleDocuments: PropTypes.func.isRequired,
     validatorChanged: PropTypes.func.isRequired,
+    syntaxErrorOccurred: PropTypes.func.isRequired,
     validationActionChanged: PropTypes.func.isRequired,
     validationLevelChanged: PropTypes.func.isRequired,
     cancelValidation: PropTypes.func.isRequired,
     saveValidation: PropTypes.func.isRequired,
+    generateValidator: PropTypes.func.isRequired,
+    validationDiffOpened: PropTypes.func.isRequired,
+    validationDiffClosed: PropTypes.func.isRequired,
+    validationHistoryToggled: PropTypes.func.isRequired,
+    restoreValidation: PropTypes.func.isRequired,
+    importFileLoaded: PropTypes.func.isRequired,
+    importClosed: PropTypes.func.isRequired,
+    applyImport: PropTypes.func.isRequired,
+    validationTemplatesToggled: PropTypes.func.isRequired,
+    addValidationTemplate: PropTypes.func.isRequired,
+    removeValidationTemplate: PropTypes.func.isRequired,
+    mergeValidationTemplate: PropTypes.func.isRequired,
+    namespace: PropTypes.oneOfType([PropTypes.object, PropTypes.string]),
     serverVersion: PropTypes.string,
     fields: PropTypes.array,
+    sampledFields: PropTypes.object,
     validation: PropTypes.shape({
       validator: PropTypes.string.isRequired,
       validationAction: PropTypes.string.isRequired,
@@ -75,12 +169,33 @@ class ValidationEditor extends Component {
       syntaxError: PropTypes.object,
       error: PropTypes.object
     }),
+    validationDiff: PropTypes.shape({
+      isVisible: PropTypes.bool.isRequired,
+      isConfirming: PropTypes.bool.isRequired
+    }),
+    validationHistory: PropTypes.shape({
+      isVisible: PropTypes.bool.isRequired,
+      versions: PropTypes.array.isRequired
+    }),
+    validationImport: PropTypes.object,
+    validationTemplates: PropTypes.shape({
+      isVisible: PropTypes.bool.isRequired,
+      custom: PropTypes.array.isRequired
+    }),
     openLink: PropTypes.func.isRequired,
     isEditable: PropTypes.bool.isRequired
   };
 
+  static defaultProps = {
+    validationDiff: VALIDATION_DIFF_STATE,
+    validationHistory: VALIDATION_HISTORY_STATE,
+    validationImport: VALIDATION_IMPORT_STATE,
+    validationTemplates: VALIDATION_TEMPLATES_STATE
+  };
+
   /**
-   * Set up the autocompleters once on initialization.
+   * Set up the autocompleters once on initialization. The Extended JSON
+   * text is kept with the shell syntax validator it was converted from.
    *
    * @param {Object} props - The properties.
    */
@@ -88,31 +203,35 @@ class ValidationEditor extends Component {
     super(props);
     const textCompleter = tools.textCompleter;
 
-    this.completer = new ValidationAutoCompleter(
+    this.completer = new SchemaAutoCompleter(
       props.serverVersion,
       textCompleter,
-      props.fields
+      props.fields,
+      props.sampledFields
     );
     this.debounceFetchSampleDocuments = debounce(this.props.fetchSampleDocuments, 750);
+    this.state = { view: 'editor', hoverDoc: null, syntax: SHELL };
+    this.text = '';
+    this.syncedValidator = null;
+    this.hasTextError = false;
+    this.locatedText = null;
+    this.pathOffsets = {};
   }
 
   /**
    * Should the component update?
    *
    * @param {Object} nextProps - The next properties.
+   * @param {Object} nextState - The next state.
    *
    * @returns {Boolean} If the component should update.
    */
-  shouldComponentUpdate(nextProps) {
+  shouldComponentUpdate(nextProps, nextState) {
     return (
-      nextProps.validation.validator !== this.props.validation.validator ||
-      nextProps.validation.validationAction !== this.props.validation.validationAction ||
-      nextProps.validation.validationLevel !== this.props.validation.validationLevel ||
-      nextProps.validation.error !== this.props.validation.error ||
-      nextProps.validation.syntaxError !== this.props.validation.syntaxError ||
-      nextProps.validation.isChanged !== this.props.validation.isChanged ||
-      nextProps.serverVersion !== this.props.serverVersion ||
-      nextProps.fields.length !== this.props.fields.length
+      STATE_KEYS.some((key) => nextState[key] !== this.state[key]) ||
+      nextProps.fields.length !== this.props.fields.length ||
+      VALIDATION_KEYS.some((key) => nextProps.validation[key] !== this.props.validation[key]) ||
+      UPDATE_PROPS.some((key) => nextProps[key] !== this.props[key])
     );
   }
 
@@ -120,25 +239,366 @@ class ValidationEditor extends Component {
    * If there are new fields update autocompleter with new fields.
    */
   componentDidUpdate() {
-    this.completer.update(this.props.fields);
+    this.completer.update(this.props.fields, this.props.sampledFields);
     this.completer.version = this.props.serverVersion;
   }
 
   /**
-   * Save validator changes.
+   * Save validator changes, a validator with errors is not saved.
    */
   onValidatorSave() {
-    this.props.saveValidation(this.props.validation);
+    if (!this.hasErrors() && !hasLintErrors(this.getDiagnostics())) {
+      this.props.saveValidation(this.props.validation);
+    }
+  }
+
+  /**
+   * Save validator changes once they were reviewed in the diff, a
+   * validator with errors is not saved.
+   */
+  onValidatorConfirm() {
+    if (!this.hasErrors() && !hasLintErrors(this.getDiagnostics())) {
+      this.props.saveValidation(this.props.validation, true);
+    }
+  }
+
+  /**
+   * Show the pending changes without updating.
+   */
+  onReviewChanges() {
+    this.props.validationDiffOpened(false);
+  }
+
+  /**
+   * Show or hide the saved versions.
+   */
+  onHistoryToggle() {
+    this.props.validationHistoryToggled(!this.props.validationHistory.isVisible);
+  }
+
+  /**
+   * Show the template gallery.
+   */
+  onTemplatesOpen() {
+    this.props.validationTemplatesToggled(true);
+  }
+
+  /**
+   * Hide the template gallery.
+   */
+  onTemplatesClose() {
+    this.props.validationTemplatesToggled(false);
+  }
+
+  /**
+   * Insert a filled in template at the cursor, the change is saved like
+   * a typed one.
+   *
+   * @param {String} text - The template text.
+   */
+  onTemplateInsert(text) {
+    this.props.validationTemplatesToggled(false);
+    this.aceEditor.editor.insert(text);
+    this.aceEditor.editor.focus();
+  }
+
+  /**
+   * Move the cursor to the syntax error, in the editor view.
+   *
+   * @param {Object} position - The row and column of the error.
+   */
+  onJumpToError(position) {
+    if (this.state.view === 'editor') {
+      this.moveCursor(position);
+    } else {
+      this.setState({ view: 'editor' }, () => this.moveCursor(position));
+    }
+  }
+
+  /**
+   * Listen to the mouse on the loaded editor.
+   *
+   * @param {Object} editor - The ACE editor.
+   */
+  onEditorLoad(editor) {
+    editor.on('mousemove', (evt) => this.onEditorMouseMove(evt));
+  }
+
+  /**
+   * Document the keyword under the mouse. The tooltip stays while the mouse
+   * moves from the keyword to it.
+   *
+   * @param {Object} evt - The ACE mouse event.
+   */
+  onEditorMouseMove(evt) {
+    const position = evt.getDocumentPosition();
+    const text = this.getText();
+    const doc = findKeywordDoc(text, position.row, position.column, this.getPathOffsets(text));
+    const current = this.state.hoverDoc;
+
+    if (!doc) {
+      if (current && position.row !== current.row && position.row !== current.row + 1) {
+        this.setState({ hoverDoc: null });
+      }
+
+      return;
+    }
+
+    if (current && current.row === doc.row && current.column === doc.column) {
+      return;
+    }
+
+    const bounds = this.editorContainer.getBoundingClientRect();
+
+    this.setState({
+      hoverDoc: {
+        ...doc,
+        top: evt.clientY - bounds.top + TOOLTIP_OFFSET,
+        left: evt.clientX - bounds.left
+      }
+    });
+  }
+
+  /**
+   * Hide the keyword tooltip.
+   */
+  onHoverEnd() {
+    if (this.state.hoverDoc) {
+      this.setState({ hoverDoc: null });
+    }
   }
 
   /**
-   * Save validator changes.
+   * Save validator changes. Extended JSON is saved as shell syntax when it
+   * can be parsed, otherwise its syntax error is.
    *
    * @param {Object} validator - The validator.
    */
   onValidatorChange(validator) {
+    this.onHoverEnd();
+
+    if (this.state.syntax === SHELL) {
+      this.props.validatorChanged(validator);
+      this.updateSampleDocuments();
+
+      return;
+    }
+
+    const parsed = parseValidator(validator, this.state.syntax);
+
+    this.text = validator;
+    this.hasTextError = !!parsed.syntaxError;
+
+    if (parsed.syntaxError) {
+      this.props.syntaxErrorOccurred(parsed.syntaxError);
+
+      return;
+    }
+
+    this.syncedValidator = stringifyValidator(parsed.validator);
+    this.props.validatorChanged(this.syncedValidator);
+    this.debounceFetchSampleDocuments(this.syncedValidator, false);
+  }
+
+  /**
+   * Convert the validator to another syntax, shell syntax is saved.
+   *
+   * @param {String} syntax - The syntax.
+   */
+  onSyntaxChange(syntax) {
+    const converted = convertValidator(this.getText(), this.state.syntax, syntax);
+
+    if (converted.syntaxError) {
+      return;
+    }
+
+    if (syntax === SHELL) {
+      if (converted.validator !== this.props.validation.validator) {
+        this.props.validatorChanged(converted.validator);
+      }
+    } else {
+      this.text = converted.validator;
+      this.syncedValidator = this.props.validation.validator;
+      this.hasTextError = false;
+    }
+
+    this.setState({ syntax });
+  }
+
+  /**
+   * Offer to convert pasted standard JSON Schemas for MongoDB.
+   *
+   * @param {Object} pasted - The paste event with the text.
+   */
+  onValidatorPaste(pasted) {
+    const result = parseValidationFile(typeof pasted === 'string' ? pasted : pasted.text);
+
+    if (result.validation && result.conversions.length) {
+      this.props.importFileLoaded(PASTE_SOURCE, result);
+    }
+  }
+
+  /**
+   * Save validator changes made in the rule builder.
+   *
+   * @param {String} validator - The validator.
+   */
+  onRulesChange(validator) {
     this.props.validatorChanged(validator);
-    this.updateSampleDocuments();
+    this.debounceFetchSampleDocuments(validator, null);
+  }
+
+  /**
+   * Switch between the editor and the rule builder.
+   *
+   * @param {String} view - The view.
+   */
+  onViewChange(view) {
+    this.setState({ view });
+  }
+
+  /**
+   * Change the validation level. Moderate splits the failing sample
+   * documents by whether they are exempt, so switching to or from it
+   * samples them again.
+   *
+   * @param {String} validationLevel - The validation level.
+   */
+  onValidationLevelChange(validationLevel) {
+    const wasModerate = this.props.validation.validationLevel === MODERATE;
+
+    this.props.validationLevelChanged(validationLevel);
+
+    if ((validationLevel === MODERATE) !== wasModerate) {
+      this.updateSampleDocuments();
+    }
+  }
+
+  /**
+   * Lint the validator when it can be parsed and check it against the
+   * server version.
+   *
+   * @returns {Array} The diagnostics.
+   */
+  getDiagnostics() {
+    const checkedValidator = checkValidator(this.props.validation.validator);
+
+    if (checkedValidator.syntaxError || this.props.validation.syntaxError) {
+      return [];
+    }
+
+    return lintValidator(checkedValidator.validator).concat(checkCompatibility(
+      { ...this.props.validation, validator: checkedValidator.validator },
+      this.props.serverVersion
+    ));
+  }
+
+  /**
+   * Get the position of the syntax error in the validator.
+   *
+   * @returns {Object} The row and column, null without a located error.
+   */
+  getSyntaxErrorPosition() {
+    return locateSyntaxError(this.getText(), this.props.validation.syntaxError);
+  }
+
+  /**
+   * Convert the diagnostics and the syntax error to editor annotations.
+   *
+   * @param {Array} diagnostics - The diagnostics.
+   * @param {Object} errorPosition - The position of the syntax error.
+   *
+   * @returns {Array} The annotations.
+   */
+  getAnnotations(diagnostics, errorPosition) {
+    const text = this.getText();
+    const offsets = this.getPathOffsets(text);
+    const annotations = diagnostics.filter((diagnostic) => !diagnostic.option).map((diagnostic) => ({
+      ...locatePath(text, diagnostic.path, offsets),
+      type: diagnostic.severity,
+      text: diagnostic.message
+    }));
+
+    if (errorPosition) {
+      annotations.push({
+        ...errorPosition,
+        type: 'error',
+        text: getSyntaxErrorMessage(this.props.validation.syntaxError)
+      });
+    }
+
+    return annotations;
+  }
+
+  /**
+   * Get the editor marker of the syntax error.
+   *
+   * @param {Object} errorPosition - The position of the syntax error.
+   *
+   * @returns {Array} The markers.
+   */
+  getMarkers(errorPosition) {
+    if (!errorPosition) {
+      return [];
+    }
+
+    return [{
+      startRow: errorPosition.row,
+      startCol: errorPosition.column,
+      endRow: errorPosition.row,
+      endCol: errorPosition.column + 1,
+      className: styles['validation-syntax-error-marker'],
+      type: 'text'
+    }];
+  }
+
+  /**
+   * Get the text of the editor. Extended JSON is converted again when the
+   * validator changed outside of the editor, or when the syntax error of
+   * the text was cleared by a cancel.
+   *
+   * @returns {String} The text.
+   */
+  getText() {
+    const validator = this.props.validation.validator;
+
+    if (this.state.syntax === SHELL) {
+      return validator;
+    }
+
+    if (validator !== this.syncedValidator || (this.hasTextError && !this.props.validation.syntaxError)) {
+      this.text = convertValidator(validator, SHELL, this.state.syntax).validator || this.text;
+      this.syncedValidator = validator;
+      this.hasTextError = false;
+    }
+
+    return this.text;
+  }
+
+  /**
+   * Get the offsets of the paths of the text, they are located again only
+   * when the text changed.
+   *
+   * @param {String} text - The text.
+   *
+   * @returns {Object} The offsets of the paths.
+   */
+  getPathOffsets(text) {
+    if (text !== this.locatedText) {
+      this.pathOffsets = locatePaths(text);
+      this.locatedText = text;
+    }
+
+    return this.pathOffsets;
+  }
+
+  /**
+   * Get the completers of the editor, the field snippets are shell syntax.
+   *
+   * @returns {Array} The completers.
+   */
+  getCompleters() {
+    return this.state.syntax === SHELL ? [this.completer] : [];
   }
 
   /**
@@ -150,6 +610,18 @@ class ValidationEditor extends Component {
     return (this.props.validation.error || this.props.validation.syntaxError);
   }
 
+  /**
+   * Move the editor cursor.
+   *
+   * @param {Object} position - The row and column.
+   */
+  moveCursor(position) {
+    if (this.aceEditor) {
+      this.aceEditor.editor.gotoLine(position.row + 1, position.column, true);
+      this.aceEditor.editor.focus();
+    }
+  }
+
   /**
    * Update sample documents.
    */
@@ -213,23 +685,225 @@ class ValidationEditor extends Component {
           title={LEVEL_OPTIONS[this.props.validation.validationLevel]}
           label={label}
           disabled={!this.props.isEditable}
-          onSelect={this.props.validationLevelChanged} />
+          onSelect={this.onValidationLevelChange.bind(this)} />
+      </div>
+    );
+  }
+
+  /**
+   * Render the syntax selector.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderSyntaxSelector() {
+    return (
+      <div className={classnames(styles['validation-option'])}>
+        <ValidationSelector
+          id="validation-syntax-selector"
+          bsSize="xs"
+          options={SYNTAX_OPTIONS}
+          title={SYNTAX_OPTIONS[this.state.syntax]}
+          label="Syntax"
+          disabled={!!this.props.validation.syntaxError}
+          onSelect={this.onSyntaxChange.bind(this)} />
+      </div>
+    );
+  }
+
+  /**
+   * Render the button to generate rules from the sampled fields.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderGenerateButton() {
+    const hasFields = Object.keys(this.props.sampledFields || {}).length > 0;
+
+    if (this.props.isEditable) {
+      return (
+        <TextButton
+          id="validation-generate-rules"
+          className="btn btn-default btn-xs"
+          text="Generate Rules From Data"
+          title={hasFields ? null : GENERATE_DISABLED_MESSAGE}
+          disabled={!hasFields}
+          clickHandler={this.props.generateValidator} />
+      );
+    }
+  }
+
+  /**
+   * Render the switch between the editor and the rule builder.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderViewSwitch() {
+    return (
+      <div className={classnames(styles['validation-view-switch'])}>
+        {Object.keys(VIEW_OPTIONS).map((view) => (
+          <TextButton
+            key={view}
+            id={`validation-view-${view}`}
+            className={`btn btn-default btn-xs ${this.state.view === view ? 'active' : ''}`}
+            text={VIEW_OPTIONS[view]}
+            clickHandler={this.onViewChange.bind(this, view)} />
+        ))}
       </div>
     );
   }
 
+  /**
+   * Render the button to show the saved versions.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderHistoryButton() {
+    const history = this.props.validationHistory;
+
+    return (
+      <TextButton
+        id="validation-history-toggle"
+        className={`btn btn-default btn-xs ${history.isVisible ? 'active' : ''}`}
+        text={`History (${history.versions.length})`}
+        clickHandler={this.onHistoryToggle.bind(this)} />
+    );
+  }
+
+  /**
+   * Render the button to show the template gallery.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderTemplatesButton() {
+    return (
+      <TextButton
+        id="validation-templates-toggle"
+        className="btn btn-default btn-xs"
+        text="Templates"
+        disabled={!this.props.isEditable}
+        clickHandler={this.onTemplatesOpen.bind(this)} />
+    );
+  }
+
+  /**
+   * Render the saved versions.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderHistory() {
+    if (this.props.validationHistory.isVisible) {
+      return (
+        <ValidationHistory
+          versions={this.props.validationHistory.versions}
+          isEditable={this.props.isEditable}
+          restoreValidation={this.props.restoreValidation} />
+      );
+    }
+  }
+
+  /**
+   * Render the documentation of the keyword under the mouse.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderKeywordTooltip() {
+    const hoverDoc = this.state.hoverDoc;
+
+    if (hoverDoc) {
+      return (
+        <KeywordTooltip
+          doc={hoverDoc}
+          top={hoverDoc.top}
+          left={hoverDoc.left}
+          openLink={this.props.openLink}
+          onMouseLeave={this.onHoverEnd.bind(this)} />
+      );
+    }
+  }
+
+  /**
+   * Render the validator as text or as a rule tree.
+   *
+   * @param {Array} diagnostics - The lint diagnostics.
+   * @param {Object} errorPosition - The position of the syntax error.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderValidator(diagnostics, errorPosition) {
+    if (this.state.view === 'builder') {
+      return (
+        <RuleBuilder
+          validator={this.props.validation.validator}
+          isEditable={this.props.isEditable}
+          onRulesChange={this.onRulesChange.bind(this)} />
+      );
+    }
+
+    return (
+      <div
+        className={classnames(styles['brace-editor-container'])}
+        ref={(container) => { this.editorContainer = container; }}
+        onMouseLeave={this.onHoverEnd.bind(this)}>
+        <AceEditor
+          ref={(editor) => { this.aceEditor = editor; }}
+          mode="mongodb"
+          theme="mongodb"
+          width="100%"
+          height="100%"
+          value={this.getText()}
+          onChange={this.onValidatorChange.bind(this)}
+          onPaste={this.onValidatorPaste.bind(this)}
+          editorProps={{$blockScrolling: Infinity}}
+          setOptions={OPTIONS}
+          annotations={this.getAnnotations(diagnostics, errorPosition)}
+          markers={this.getMarkers(errorPosition)}
+          readOnly={!this.props.isEditable}
+          onLoad={this.onEditorLoad.bind(this)}
+          onFocus={() => tools.setCompleters(this.getCompleters())} />
+        {this.renderKeywordTooltip()}
+      </div>
+    );
+  }
+
+  /**
+   * Render the location of the syntax error with a link to it.
+   *
+   * @param {Object} errorPosition - The position of the syntax error.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderErrorLocation(errorPosition) {
+    if (errorPosition) {
+      return (
+        <span key="location">
+          {` at line ${errorPosition.row + 1}, column ${errorPosition.column + 1}. `}
+          <a
+            id="validation-jump-to-error"
+            className={classnames(styles['validation-message-link'])}
+            onClick={this.onJumpToError.bind(this, errorPosition)}>
+            Jump to error
+          </a>
+        </span>
+      );
+    }
+  }
+
   /**
    * Render validation message.
    *
+   * @param {Object} errorPosition - The position of the syntax error.
+   *
    * @returns {React.Component} The component.
    */
-  renderValidationMessage() {
+  renderValidationMessage(errorPosition) {
     if (this.hasErrors()) {
       let message = '';
       let colorStyle = '';
 
       if (this.props.validation.syntaxError) {
-        message = this.props.validation.syntaxError.message;
+        message = [
+          getSyntaxErrorMessage(this.props.validation.syntaxError),
+          this.renderErrorLocation(errorPosition)
+        ];
         colorStyle = styles['validation-message-container-syntax-error'];
       } else if (this.props.validation.error) {
         colorStyle = styles['validation-message-container-error'];
@@ -252,22 +926,30 @@ class ValidationEditor extends Component {
   /**
    * Render actions pannel.
    *
+   * @param {Array} diagnostics - The lint diagnostics.
+   *
    * @returns {React.Component} The component.
    */
-  renderActionsPanel() {
+  renderActionsPanel(diagnostics) {
     if (this.props.validation.isChanged) {
       return (
         <div className={classnames(styles['validation-action-container'])}>
           <div className={classnames(styles['validation-action-message'])}>
             Validation modified
           </div>
+          <TextButton
+            id="validation-review-changes"
+            className={`btn btn-default btn-xs ${classnames(styles.review)}`}
+            text="Review Changes"
+            clickHandler={this.onReviewChanges.bind(this)} />
           <TextButton
             className={`btn btn-default btn-xs ${classnames(styles.cancel)}`}
             text="Cancel"
             clickHandler={this.props.cancelValidation} />
           <TextButton
-            className={`btn btn-primary btn-xs ${this.hasErrors() ? 'disabled' : ''}`}
+            className="btn btn-primary btn-xs"
             text="Update"
+            disabled={!!this.hasErrors() || hasLintErrors(diagnostics)}
             clickHandler={this.onValidatorSave.bind(this)} />
         </div>
       );
@@ -280,30 +962,54 @@ class ValidationEditor extends Component {
    * @returns {React.Component} The rendered component.
    */
   render() {
+    const diagnostics = this.getDiagnostics();
+    const errorPosition = this.getSyntaxErrorPosition();
+
     return (
       <div className={classnames(styles['validation-editor'])}>
         <div className={classnames(styles['validation-editor-content'])}>
           <div className={classnames(styles['validation-options-container'])}>
             {this.renderActionSelector()}
             {this.renderLevelSelector()}
+            {this.renderSyntaxSelector()}
+            <div className={classnames(styles['validation-tools'])}>
+              {this.renderGenerateButton()}
+              {this.renderTemplatesButton()}
+              {this.renderHistoryButton()}
+              <ImportExport
+                validation={this.props.validation}
+                namespace={this.props.namespace}
+                isEditable={this.props.isEditable}
+                validationImport={this.props.validationImport}
+                importFileLoaded={this.props.importFileLoaded}
+                importClosed={this.props.importClosed}
+                applyImport={this.props.applyImport} />
+              {this.renderViewSwitch()}
+            </div>
           </div>
           <hr />
-          <div className={classnames(styles['brace-editor-container'])}>
-            <AceEditor
-              mode="mongodb"
-              theme="mongodb"
-              width="100%"
-              height="100%"
-              value={this.props.validation.validator}
-              onChange={this.onValidatorChange.bind(this)}
-              editorProps={{$blockScrolling: Infinity}}
-              setOptions={OPTIONS}
-              readOnly={!this.props.isEditable}
-              onFocus={() => tools.setCompleters([this.completer])} />
-          </div>
-          {this.renderValidationMessage()}
+          {this.renderValidator(diagnostics, errorPosition)}
+          {this.renderValidationMessage(errorPosition)}
+          <LintMessages diagnostics={diagnostics} />
+          {this.renderHistory()}
         </div>
-        {this.renderActionsPanel()}
+        {this.renderActionsPanel(diagnostics)}
+        <ValidationDiff
+          validation={this.props.validation}
+          isVisible={this.props.validationDiff.isVisible}
+          isConfirming={this.props.validationDiff.isConfirming}
+          closeDiff={this.props.validationDiffClosed}
+          confirmUpdate={this.onValidatorConfirm.bind(this)} />
+        <ValidationTemplates
+          isVisible={this.props.validationTemplates.isVisible}
+          custom={this.props.validationTemplates.custom}
+          isEditable={this.props.isEditable}
+          canInsert={this.state.view === 'editor' && this.state.syntax === SHELL}
+          insertTemplate={this.onTemplateInsert.bind(this)}
+          closeTemplates={this.onTemplatesClose.bind(this)}
+          mergeValidationTemplate={this.props.mergeValidationTemplate}
+          addValidationTemplate={this.props.addValidationTemplate}
+          removeValidationTemplate={this.props.removeValidationTemplate} />
       </div>
     );
   }
@@ -3,9 +3,13 @@ import { mount } from 'enzyme';
 import ValidationEditor from 'components/validation-editor';
 import AppRegistry from 'hadron-app-registry';
 import hadronApp from 'hadron-app';
+import { checkValidator } from 'modules/validation';
 import styles from './validation-editor.less';
 
 describe('ValidationEditor [Component]', () => {
+  const namespace = { database: 'db', collection: 'coll' };
+  const validationImport = { isVisible: false };
+
   context('when it is an editable mode', () => {
     let component;
     const setValidatorChangedSpy = sinon.spy();
@@ -15,6 +19,18 @@ describe('ValidationEditor [Component]', () => {
     const saveValidationSpy = sinon.spy();
     const openLinkSpy = sinon.spy();
     const fetchSampleDocumentsSpy = sinon.spy();
+    const generateValidatorSpy = sinon.spy();
+    const validationDiffOpenedSpy = sinon.spy();
+    const validationDiffClosedSpy = sinon.spy();
+    const validationHistoryToggledSpy = sinon.spy();
+    const restoreValidationSpy = sinon.spy();
+    const importFileLoadedSpy = sinon.spy();
+    const importClosedSpy = sinon.spy();
+    const applyImportSpy = sinon.spy();
+    const validationTemplatesToggledSpy = sinon.spy();
+    const addValidationTemplateSpy = sinon.spy();
+    const removeValidationTemplateSpy = sinon.spy();
+    const mergeValidationTemplateSpy = sinon.spy();
     const serverVersion = '3.6.0';
     const fields = [];
     const validation = {
@@ -37,14 +53,29 @@ describe('ValidationEditor [Component]', () => {
       component = mount(
         <ValidationEditor
           validatorChanged={setValidatorChangedSpy}
+          syntaxErrorOccurred={sinon.spy()}
           validationActionChanged={setValidationActionChangedSpy}
           validationLevelChanged={setValidationLevelChangedSpy}
           cancelValidation={setCancelValidationSpy}
           saveValidation={saveValidationSpy}
           fetchSampleDocuments={fetchSampleDocumentsSpy}
+          generateValidator={generateValidatorSpy}
+          validationDiffOpened={validationDiffOpenedSpy}
+          validationDiffClosed={validationDiffClosedSpy}
+          validationHistoryToggled={validationHistoryToggledSpy}
+          restoreValidation={restoreValidationSpy}
+          importFileLoaded={importFileLoadedSpy}
+          importClosed={importClosedSpy}
+          applyImport={applyImportSpy}
+          validationTemplatesToggled={validationTemplatesToggledSpy}
+          addValidationTemplate={addValidationTemplateSpy}
+          removeValidationTemplate={removeValidationTemplateSpy}
+          mergeValidationTemplate={mergeValidationTemplateSpy}
           serverVersion={serverVersion}
           fields={fields}
           validation={validation}
+          namespace={namespace}
+          validationImport={validationImport}
           isEditable={isEditable}
           openLink={openLinkSpy} />
       );
@@ -58,6 +89,37 @@ describe('ValidationEditor [Component]', () => {
       expect(component.find(`.${styles['validation-editor']}`)).to.be.present();
       expect(component.find('ReactAce').props().readOnly).to.be.equal(false);
     });
+
+    it('switches to the rule builder', () => {
+      component.find('#validation-view-builder').hostNodes().simulate('click');
+
+      expect(component.find('RuleBuilder')).to.be.present();
+      expect(component.find('ReactAce')).to.be.not.present();
+    });
+
+    it('offers to convert a pasted JSON Schema', () => {
+      component.find('ReactAce').props().onPaste({ text: '{ "type": "integer" }' });
+
+      expect(importFileLoadedSpy).to.have.been.calledWith('Pasted JSON Schema');
+    });
+
+    it('toggles the history', () => {
+      component.find('#validation-history-toggle').hostNodes().simulate('click');
+
+      expect(validationHistoryToggledSpy).to.have.been.calledWith(true);
+    });
+
+    it('opens the template gallery', () => {
+      component.find('#validation-templates-toggle').hostNodes().simulate('click');
+
+      expect(validationTemplatesToggledSpy).to.have.been.calledWith(true);
+    });
+
+    it('disables generating rules without sampled fields', () => {
+      expect(
+        component.find('#validation-generate-rules').hostNodes().props().disabled
+      ).to.be.equal(true);
+    });
   });
 
   context('when it is a not editable mode', () => {
@@ -69,6 +131,18 @@ describe('ValidationEditor [Component]', () => {
     const saveValidationSpy = sinon.spy();
     const openLinkSpy = sinon.spy();
     const fetchSampleDocumentsSpy = sinon.spy();
+    const generateValidatorSpy = sinon.spy();
+    const validationDiffOpenedSpy = sinon.spy();
+    const validationDiffClosedSpy = sinon.spy();
+    const validationHistoryToggledSpy = sinon.spy();
+    const restoreValidationSpy = sinon.spy();
+    const importFileLoadedSpy = sinon.spy();
+    const importClosedSpy = sinon.spy();
+    const applyImportSpy = sinon.spy();
+    const validationTemplatesToggledSpy = sinon.spy();
+    const addValidationTemplateSpy = sinon.spy();
+    const removeValidationTemplateSpy = sinon.spy();
+    const mergeValidationTemplateSpy = sinon.spy();
     const serverVersion = '3.6.0';
     const fields = [];
     const validation = {
@@ -91,14 +165,29 @@ describe('ValidationEditor [Component]', () => {
       component = mount(
         <ValidationEditor
           validatorChanged={setValidatorChangedSpy}
+          syntaxErrorOccurred={sinon.spy()}
           validationActionChanged={setValidationActionChangedSpy}
           validationLevelChanged={setValidationLevelChangedSpy}
           cancelValidation={setCancelValidationSpy}
           saveValidation={saveValidationSpy}
           fetchSampleDocuments={fetchSampleDocumentsSpy}
+          generateValidator={generateValidatorSpy}
+          validationDiffOpened={validationDiffOpenedSpy}
+          validationDiffClosed={validationDiffClosedSpy}
+          validationHistoryToggled={validationHistoryToggledSpy}
+          restoreValidation={restoreValidationSpy}
+          importFileLoaded={importFileLoadedSpy}
+          importClosed={importClosedSpy}
+          applyImport={applyImportSpy}
+          validationTemplatesToggled={validationTemplatesToggledSpy}
+          addValidationTemplate={addValidationTemplateSpy}
+          removeValidationTemplate={removeValidationTemplateSpy}
+          mergeValidationTemplate={mergeValidationTemplateSpy}
           serverVersion={serverVersion}
           fields={fields}
           validation={validation}
+          namespace={namespace}
+          validationImport={validationImport}
           isEditable={isEditable}
           openLink={openLinkSpy} />
       );
@@ -112,4 +201,330 @@ describe('ValidationEditor [Component]', () => {
       expect(component.find('ReactAce').props().readOnly).to.be.equal(true);
     });
   });
+
+  context('when the validator has lint errors', () => {
+    let component;
+    const validationDiffOpenedSpy = sinon.spy();
+    const validation = {
+      validator: '{ $jsonSchema: { format: \'email\' } }',
+      validationAction: 'error',
+      validationLevel: 'strict',
+      isChanged: true,
+      syntaxError: null,
+      error: null
+    };
+
+    beforeEach(() => {
+      component = mount(
+        <ValidationEditor
+          validatorChanged={sinon.spy()}
+          syntaxErrorOccurred={sinon.spy()}
+          validationActionChanged={sinon.spy()}
+          validationLevelChanged={sinon.spy()}
+          cancelValidation={sinon.spy()}
+          saveValidation={sinon.spy()}
+          fetchSampleDocuments={sinon.spy()}
+          generateValidator={sinon.spy()}
+          validationDiffOpened={validationDiffOpenedSpy}
+          validationDiffClosed={sinon.spy()}
+          validationHistoryToggled={sinon.spy()}
+          restoreValidation={sinon.spy()}
+          importFileLoaded={sinon.spy()}
+          importClosed={sinon.spy()}
+          applyImport={sinon.spy()}
+          validationTemplatesToggled={sinon.spy()}
+          addValidationTemplate={sinon.spy()}
+          removeValidationTemplate={sinon.spy()}
+          mergeValidationTemplate={sinon.spy()}
+          serverVersion="3.6.0"
+          fields={[]}
+          validation={validation}
+          namespace={namespace}
+          validationImport={validationImport}
+          isEditable
+          openLink={sinon.spy()} />
+      );
+    });
+
+    afterEach(() => {
+      component = null;
+    });
+
+    it('renders the lint messages', () => {
+      expect(component.find('LintMessages').find('li')).to.have.length(1);
+    });
+
+    it('annotates the editor', () => {
+      expect(component.find('ReactAce').props().annotations).to.deep.equal([{
+        row: 0,
+        column: 17,
+        type: 'error',
+        text: 'The format keyword is not supported by MongoDB.'
+      }]);
+    });
+
+    it('disables the update button', () => {
+      expect(component.find('button.btn-primary')).to.be.disabled();
+    });
+
+    it('does not save when the update button is clicked', () => {
+      component.find('button.btn-primary').simulate('click');
+      component.instance().onValidatorSave();
+      component.instance().onValidatorConfirm();
+
+      expect(component.props().saveValidation).to.not.have.been.called;
+    });
+
+    it('opens the diff from the actions panel', () => {
+      component.find('#validation-review-changes').hostNodes().simulate('click');
+
+      expect(validationDiffOpenedSpy).to.have.been.calledWith(false);
+    });
+
+    it('documents the operator under the mouse', () => {
+      component.instance().onEditorMouseMove({
+        getDocumentPosition: () => ({ row: 0, column: 4 }),
+        clientX: 10,
+        clientY: 10
+      });
+      component.update();
+
+      expect(component.find('KeywordTooltip').props().doc).to.include({
+        keyword: '$jsonSchema',
+        version: '3.6.0'
+      });
+    });
+
+    it('locates the paths again only when the text changes', () => {
+      const instance = component.instance();
+      const offsets = instance.getPathOffsets(instance.getText());
+
+      expect(instance.getPathOffsets(instance.getText())).to.equal(offsets);
+      expect(instance.getPathOffsets('{ a: 1 }')).to.not.equal(offsets);
+    });
+  });
+  context('when the validator has a syntax error', () => {
+    let component;
+    const validationDiffOpenedSpy = sinon.spy();
+    const validator = '{\n  name: {\n    $exists: true,,\n  }\n}';
+    const validation = {
+      validator,
+      validationAction: 'error',
+      validationLevel: 'strict',
+      isChanged: true,
+      syntaxError: checkValidator(validator).syntaxError,
+      error: null
+    };
+
+    beforeEach(() => {
+      component = mount(
+        <ValidationEditor
+          validatorChanged={sinon.spy()}
+          syntaxErrorOccurred={sinon.spy()}
+          validationActionChanged={sinon.spy()}
+          validationLevelChanged={sinon.spy()}
+          cancelValidation={sinon.spy()}
+          saveValidation={sinon.spy()}
+          fetchSampleDocuments={sinon.spy()}
+          generateValidator={sinon.spy()}
+          validationDiffOpened={validationDiffOpenedSpy}
+          validationDiffClosed={sinon.spy()}
+          validationHistoryToggled={sinon.spy()}
+          restoreValidation={sinon.spy()}
+          importFileLoaded={sinon.spy()}
+          importClosed={sinon.spy()}
+          applyImport={sinon.spy()}
+          validationTemplatesToggled={sinon.spy()}
+          addValidationTemplate={sinon.spy()}
+          removeValidationTemplate={sinon.spy()}
+          mergeValidationTemplate={sinon.spy()}
+          serverVersion="3.6.0"
+          fields={[]}
+          validation={validation}
+          namespace={namespace}
+          validationImport={validationImport}
+          isEditable
+          openLink={sinon.spy()} />
+      );
+    });
+
+    afterEach(() => {
+      component = null;
+    });
+
+    it('annotates the editor at the error', () => {
+      expect(component.find('ReactAce').props().annotations).to.deep.equal([{
+        row: 2,
+        column: 18,
+        type: 'error',
+        text: 'Unexpected token'
+      }]);
+    });
+
+    it('marks the error in the editor', () => {
+      expect(component.find('ReactAce').props().markers[0]).to.include({
+        startRow: 2,
+        startCol: 18,
+        endCol: 19
+      });
+    });
+
+    it('renders the location of the error', () => {
+      expect(component.find(`.${styles['validation-message']}`).text()).to.equal(
+        'Unexpected token at line 3, column 19. Jump to error'
+      );
+    });
+
+    it('jumps to the error from the rule builder', () => {
+      component.find('#validation-view-builder').hostNodes().simulate('click');
+      component.find('#validation-jump-to-error').hostNodes().simulate('click');
+
+      expect(component.find('ReactAce')).to.be.present();
+    });
+  });
+
+  context('when the syntax is switched to Extended JSON', () => {
+    let component;
+    const validatorChangedSpy = sinon.spy();
+    const syntaxErrorOccurredSpy = sinon.spy();
+    const validation = {
+      validator: '{\n  a: 1\n}',
+      validationAction: 'error',
+      validationLevel: 'strict',
+      isChanged: false,
+      syntaxError: null,
+      error: null
+    };
+
+    beforeEach(() => {
+      component = mount(
+        <ValidationEditor
+          validatorChanged={validatorChangedSpy}
+          syntaxErrorOccurred={syntaxErrorOccurredSpy}
+          validationActionChanged={sinon.spy()}
+          validationLevelChanged={sinon.spy()}
+          cancelValidation={sinon.spy()}
+          saveValidation={sinon.spy()}
+          fetchSampleDocuments={sinon.spy()}
+          generateValidator={sinon.spy()}
+          validationDiffOpened={sinon.spy()}
+          validationDiffClosed={sinon.spy()}
+          validationHistoryToggled={sinon.spy()}
+          restoreValidation={sinon.spy()}
+          importFileLoaded={sinon.spy()}
+          importClosed={sinon.spy()}
+          applyImport={sinon.spy()}
+          validationTemplatesToggled={sinon.spy()}
+          addValidationTemplate={sinon.spy()}
+          removeValidationTemplate={sinon.spy()}
+          mergeValidationTemplate={sinon.spy()}
+          serverVersion="3.6.0"
+          fields={[]}
+          validation={validation}
+          namespace={namespace}
+          validationImport={validationImport}
+          isEditable
+          openLink={sinon.spy()} />
+      );
+      component.find('ValidationSelector#validation-syntax-selector').props().onSelect('canonical');
+      component.update();
+    });
+
+    afterEach(() => {
+      component = null;
+    });
+
+    it('converts the validator', () => {
+      expect(JSON.parse(component.find('ReactAce').props().value)).to.deep.equal({
+        a: { $numberInt: '1' }
+      });
+    });
+
+    it('saves valid changes as shell syntax', () => {
+      component.find('ReactAce').props().onChange('{ "a": { "$numberInt": "2" } }');
+
+      expect(validatorChangedSpy).to.have.been.calledWith('{\n  a: 2\n}');
+    });
+
+    it('reports Extended JSON syntax errors', () => {
+      component.find('ReactAce').props().onChange('{ "a": }');
+
+      expect(syntaxErrorOccurredSpy.lastCall.args[0].offset).to.equal(7);
+    });
+
+    it('does not save the unchanged validator when switched back', () => {
+      validatorChangedSpy.resetHistory();
+      component.find('ValidationSelector#validation-syntax-selector').props().onSelect('shell');
+      component.update();
+
+      expect(validatorChangedSpy).to.not.have.been.called;
+      expect(component.find('ReactAce').props().value).to.equal(validation.validator);
+    });
+  });
+
+  context('when the validation level changes', () => {
+    let component;
+    let validationLevelChangedSpy;
+    let fetchSpy;
+
+    beforeEach(() => {
+      validationLevelChangedSpy = sinon.spy();
+      fetchSpy = sinon.spy();
+      component = mount(
+        <ValidationEditor
+          validatorChanged={sinon.spy()}
+          syntaxErrorOccurred={sinon.spy()}
+          validationActionChanged={sinon.spy()}
+          validationLevelChanged={validationLevelChangedSpy}
+          cancelValidation={sinon.spy()}
+          saveValidation={sinon.spy()}
+          fetchSampleDocuments={sinon.spy()}
+          generateValidator={sinon.spy()}
+          validationDiffOpened={sinon.spy()}
+          validationDiffClosed={sinon.spy()}
+          validationHistoryToggled={sinon.spy()}
+          restoreValidation={sinon.spy()}
+          importFileLoaded={sinon.spy()}
+          importClosed={sinon.spy()}
+          applyImport={sinon.spy()}
+          validationTemplatesToggled={sinon.spy()}
+          addValidationTemplate={sinon.spy()}
+          removeValidationTemplate={sinon.spy()}
+          mergeValidationTemplate={sinon.spy()}
+          serverVersion="3.6.0"
+          fields={[]}
+          validation={{
+            validator: '{ a: 1 }',
+            validationAction: 'error',
+            validationLevel: 'strict',
+            isChanged: false,
+            syntaxError: null,
+            error: null
+          }}
+          namespace={namespace}
+          validationImport={validationImport}
+          isEditable
+          openLink={sinon.spy()} />
+      );
+      component.instance().debounceFetchSampleDocuments = fetchSpy;
+    });
+
+    afterEach(() => {
+      component = null;
+    });
+
+    it('samples the documents again when switching to moderate', () => {
+      component.find('ValidationSelector#validation-level-selector').props().onSelect('moderate');
+
+      expect(validationLevelChangedSpy).to.have.been.calledWith('moderate');
+      expect(fetchSpy).to.have.been.calledWith('{ a: 1 }');
+    });
+
+    it('keeps the sample documents when switching between other levels', () => {
+      component.find('ValidationSelector#validation-level-selector').props().onSelect('off');
+
+      expect(validationLevelChangedSpy).to.have.been.calledWith('off');
+      expect(fetchSpy).to.not.have.been.called;
+    });
+  });
 });
@@ -0,0 +1,4 @@
+import ValidationHistory from './validation-history';
+
+export default ValidationHistory;
+export { ValidationHistory };
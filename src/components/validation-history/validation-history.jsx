@@ -0,0 +1,139 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import { TextButton } from 'hadron-react-buttons';
+import DiffTable from 'components/diff-table';
+
+import styles from './validation-history.less';
+
+/**
+ * The validation history component, lists the saved versions of the
+ * namespace and the changes each of them made.
+ */
+class ValidationHistory extends Component {
+  static displayName = 'ValidationHistory';
+
+  static propTypes = {
+    versions: PropTypes.arrayOf(PropTypes.shape({
+      timestamp: PropTypes.number.isRequired,
+      validator: PropTypes.string.isRequired,
+      validationAction: PropTypes.string.isRequired,
+      validationLevel: PropTypes.string.isRequired,
+      connection: PropTypes.string,
+      isObserved: PropTypes.bool
+    })).isRequired,
+    isEditable: PropTypes.bool.isRequired,
+    restoreValidation: PropTypes.func.isRequired
+  };
+
+  /**
+   * Select the newest version.
+   *
+   * @param {Object} props - The properties.
+   */
+  constructor(props) {
+    super(props);
+    this.state = { selected: 0 };
+  }
+
+  /**
+   * Select a version.
+   *
+   * @param {Number} selected - The index of the version.
+   */
+  onVersionSelect(selected) {
+    this.setState({ selected });
+  }
+
+  /**
+   * Load the selected version into the editor.
+   */
+  onVersionRestore() {
+    this.props.restoreValidation(this.props.versions[this.state.selected]);
+  }
+
+  /**
+   * Render a single version. The save time of rules observed on the server
+   * is unknown, they were saved before they were replaced.
+   *
+   * @param {Object} version - The version.
+   * @param {Number} index - The index.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderVersion(version, index) {
+    const date = new Date(version.timestamp).toLocaleString();
+
+    return (
+      <li
+        key={`${version.timestamp}-${index}`}
+        className={classnames({
+          [styles['validation-history-version']]: true,
+          [styles['validation-history-version-selected']]: index === this.state.selected
+        })}
+        onClick={this.onVersionSelect.bind(this, index)}>
+        <div>{version.isObserved ? `Replaced ${date}` : date}</div>
+        <div className={classnames(styles['validation-history-version-details'])}>
+          {version.isObserved ? 'Found on the server, save time unknown, ' : ''}
+          {version.validationAction}, {version.validationLevel}
+          {version.connection ? ` on ${version.connection}` : ''}
+        </div>
+      </li>
+    );
+  }
+
+  /**
+   * Render the changes of the selected version.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderDiff() {
+    const version = this.props.versions[this.state.selected];
+    const previous = this.props.versions[this.state.selected + 1];
+
+    return (
+      <div className={classnames(styles['validation-history-diff'])}>
+        <div className={classnames(styles['validation-history-actions'])}>
+          <span>
+            {previous ? 'Changes from the previous version' : 'The oldest saved version'}
+          </span>
+          <TextButton
+            id="validation-history-restore"
+            className="btn btn-default btn-xs"
+            text="Restore This Version"
+            disabled={!this.props.isEditable}
+            clickHandler={this.onVersionRestore.bind(this)} />
+        </div>
+        {previous ? <DiffTable before={previous} after={version} /> : <pre>{version.validator}</pre>}
+      </div>
+    );
+  }
+
+  /**
+   * Render ValidationHistory component.
+   *
+   * @returns {React.Component} The rendered component.
+   */
+  render() {
+    if (!this.props.versions.length) {
+      return (
+        <div className={classnames(styles['validation-history'])}>
+          <div className={classnames(styles['validation-history-empty'])}>
+            No validation rules were saved for this collection yet.
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className={classnames(styles['validation-history'])}>
+        <ul className={classnames(styles['validation-history-versions'])}>
+          {this.props.versions.map(this.renderVersion.bind(this))}
+        </ul>
+        {this.renderDiff()}
+      </div>
+    );
+  }
+}
+
+export default ValidationHistory;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import ValidationHistory from 'components/validation-history';
+
+import styles from './validation-history.less';
+
+describe('ValidationHistory [Component]', () => {
+  const versions = [{
+    timestamp: 2,
+    validator: '{ $jsonSchema: { required: [\'name\', \'age\'] } }',
+    validationAction: 'error',
+    validationLevel: 'strict',
+    connection: 'localhost:27017'
+  }, {
+    timestamp: 1,
+    validator: '{ $jsonSchema: { required: [\'name\'] } }',
+    validationAction: 'error',
+    validationLevel: 'strict',
+    connection: 'localhost:27017'
+  }];
+
+  context('when there are no versions', () => {
+    it('renders the empty message', () => {
+      const component = mount(
+        <ValidationHistory versions={[]} isEditable restoreValidation={sinon.spy()} />
+      );
+
+      expect(component.find(`.${styles['validation-history-empty']}`)).to.be.present();
+    });
+  });
+
+  context('when there are versions', () => {
+    let component;
+    const restoreValidationSpy = sinon.spy();
+
+    beforeEach(() => {
+      component = mount(
+        <ValidationHistory
+          versions={versions}
+          isEditable
+          restoreValidation={restoreValidationSpy} />
+      );
+    });
+
+    afterEach(() => {
+      component = null;
+    });
+
+    it('renders the versions', () => {
+      expect(component.find(`.${styles['validation-history-version']}`)).to.have.length(2);
+    });
+
+    it('renders the rules observed on the server as replaced', () => {
+      component.setProps({ versions: [versions[0], { ...versions[1], timestamp: 2, isObserved: true }] });
+
+      expect(component.find(`.${styles['validation-history-version']}`).last().text()).
+        to.match(/^Replaced .*Found on the server, save time unknown, error, strict/);
+      expect(component.find(`.${styles['validation-history-version']}`).first().text()).
+        to.not.include('Replaced');
+    });
+
+    it('renders the changes from the previous version', () => {
+      expect(component.find('DiffTable')).to.be.present();
+    });
+
+    it('renders the oldest version without a diff', () => {
+      component.find(`.${styles['validation-history-version']}`).last().simulate('click');
+
+      expect(component.find('DiffTable')).to.be.not.present();
+    });
+
+    it('restores the selected version', () => {
+      component.find(`.${styles['validation-history-version']}`).last().simulate('click');
+      component.find('#validation-history-restore').hostNodes().simulate('click');
+
+      expect(restoreValidationSpy).to.have.been.calledWith(versions[1]);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import ValidationStates from './validation-states';
+import ValidationStates, { STALE_DRAFT_WARNING } from './validation-states';
 
 export default ValidationStates;
-export { ValidationStates };
+export { ValidationStates, STALE_DRAFT_WARNING };
@@ -5,7 +5,14 @@ import { ZeroState, StatusRow } from 'hadron-react-components';
 import { TextButton } from 'hadron-react-buttons';
 import ValidationEditor from 'components/validation-editor';
 import SampleDocuments from 'components/sample-documents';
+import DocumentScratchpad from 'components/document-scratchpad';
+import ImportExport from 'components/import-export';
+import ValidationTemplates from 'components/validation-templates';
 import { ZeroGraphic } from 'components/zero-graphic';
+import { GENERATE_DISABLED_MESSAGE } from 'components/validation-editor';
+import { INITIAL_STATE as VALIDATION_TEMPLATES_STATE } from 'modules/validation-templates';
+import { INITIAL_STATE as VALIDATION_DRAFT_STATE } from 'modules/validation-draft';
+import { isDraftStale } from 'utils/validation-draft';
 
 import styles from './validation-states.less';
 
@@ -18,6 +25,11 @@ export const READ_ONLY_WARNING = {
   oldServerReadOnly: 'Compass no longer supports the visual rule builder for server versions below 3.2. To use the visual rule builder, please'
 };
 
+/**
+ * Warning for a draft of outdated validation rules.
+ */
+export const STALE_DRAFT_WARNING = 'The validation rules on the server changed since this draft was started.';
+
 /**
  * Header for zero state.
  */
@@ -48,9 +60,60 @@ class ValidationStates extends Component {
     isZeroState: PropTypes.bool.isRequired,
     changeZeroState: PropTypes.func.isRequired,
     zeroStateChanged: PropTypes.func.isRequired,
+    generateValidator: PropTypes.func.isRequired,
+    sampledFields: PropTypes.object,
     editMode: PropTypes.object.isRequired,
     openLink: PropTypes.func.isRequired,
-    serverVersion: PropTypes.string
+    serverVersion: PropTypes.string,
+    validation: PropTypes.object,
+    validationDraft: PropTypes.shape({
+      draft: PropTypes.object
+    }),
+    restoreValidationDraft: PropTypes.func.isRequired,
+    discardValidationDraft: PropTypes.func.isRequired,
+    validationTemplates: PropTypes.shape({
+      isVisible: PropTypes.bool.isRequired,
+      custom: PropTypes.array.isRequired
+    }),
+    validationTemplatesToggled: PropTypes.func.isRequired,
+    addValidationTemplate: PropTypes.func.isRequired,
+    removeValidationTemplate: PropTypes.func.isRequired,
+    mergeValidationTemplate: PropTypes.func.isRequired
+  }
+
+  static defaultProps = {
+    validationTemplates: VALIDATION_TEMPLATES_STATE,
+    validationDraft: VALIDATION_DRAFT_STATE
+  }
+
+  /**
+   * Leaves the zero state with rules generated from the sampled fields.
+   */
+  onGenerateRules() {
+    if (!this.canGenerateRules()) {
+      return;
+    }
+
+    this.props.changeZeroState(false);
+    this.props.generateValidator();
+  }
+
+  /**
+   * Shows the template gallery.
+   */
+  onTemplatesOpen() {
+    if (!this.isEditable()) {
+      return;
+    }
+
+    this.props.validationTemplatesToggled(true);
+  }
+
+  /**
+   * Hides the template gallery.
+   */
+  onTemplatesClose() {
+    this.props.validationTemplatesToggled(false);
   }
 
   /**
@@ -67,6 +130,15 @@ class ValidationStates extends Component {
     );
   }
 
+  /**
+   * Checks if rules can be generated from the sampled fields.
+   *
+   * @returns {Boolean} True if the validation is editable and fields were sampled.
+   */
+  canGenerateRules() {
+    return this.isEditable() && Object.keys(this.props.sampledFields || {}).length > 0;
+  }
+
   /**
    * Renders the banner if the validatiion is not editable.
    *
@@ -113,6 +185,79 @@ class ValidationStates extends Component {
     }
   }
 
+  /**
+   * Renders the banner offering the draft of a previous session.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderDraftBanner() {
+    const draft = this.props.validationDraft.draft;
+
+    if (!draft) {
+      return null;
+    }
+
+    const prevValidation = this.props.validation && this.props.validation.prevValidation;
+    const isStale = isDraftStale(draft, prevValidation);
+
+    return (
+      <StatusRow style={isStale ? 'warning' : 'default'}>
+        <div id="validation-draft" className={classnames(styles['validation-draft'])}>
+          <span>
+            Unsaved validation changes from {new Date(draft.timestamp).toLocaleString()} were found.
+            {isStale ? ` ${STALE_DRAFT_WARNING}` : ''}
+          </span>
+          <TextButton
+            id="validation-draft-restore"
+            className="btn btn-default btn-xs"
+            text="Restore Draft"
+            disabled={!this.isEditable() || !prevValidation}
+            clickHandler={this.props.restoreValidationDraft} />
+          <TextButton
+            id="validation-draft-discard"
+            className="btn btn-default btn-xs"
+            text="Discard"
+            clickHandler={this.props.discardValidationDraft} />
+        </div>
+      </StatusRow>
+    );
+  }
+
+  /**
+   * Renders the button to generate rules from the sampled fields.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderGenerateButton() {
+    const hasFields = Object.keys(this.props.sampledFields || {}).length > 0;
+
+    return (
+      <TextButton
+        id="zero-state-generate-rules"
+        className={`btn btn-default btn-lg ${classnames(styles['zero-state-generate'])}`}
+        text="Generate Rules From Data"
+        title={hasFields ? null : GENERATE_DISABLED_MESSAGE}
+        disabled={!this.canGenerateRules()}
+        clickHandler={this.onGenerateRules.bind(this)} />
+    );
+  }
+
+  /**
+   * Renders the button to start from a template.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderTemplatesButton() {
+    return (
+      <TextButton
+        id="zero-state-templates"
+        className={`btn btn-default btn-lg ${classnames(styles['zero-state-templates'])}`}
+        text="Start From Template"
+        disabled={!this.isEditable()}
+        clickHandler={this.onTemplatesOpen.bind(this)} />
+    );
+  }
+
   /**
    * Renders the schema validation zero state.
    *
@@ -132,6 +277,15 @@ class ValidationStates extends Component {
                   }`}
                   text="Add Rule"
                   clickHandler={this.props.changeZeroState.bind(this, false)} />
+                {this.renderGenerateButton()}
+                {this.renderTemplatesButton()}
+                <span className={classnames(styles['zero-state-import'])}>
+                  <ImportExport
+                    {...this.props}
+                    isEditable={this.isEditable()}
+                    canExport={false}
+                    bsSize="lg" />
+                </span>
               </div>
               <a
                 className={classnames(styles['zero-state-link'])}
@@ -140,6 +294,14 @@ class ValidationStates extends Component {
               </a>
             </div>
           </ZeroState>
+          <ValidationTemplates
+            isVisible={this.props.validationTemplates.isVisible}
+            custom={this.props.validationTemplates.custom}
+            isEditable={this.isEditable()}
+            closeTemplates={this.onTemplatesClose.bind(this)}
+            mergeValidationTemplate={this.props.mergeValidationTemplate}
+            addValidationTemplate={this.props.addValidationTemplate}
+            removeValidationTemplate={this.props.removeValidationTemplate} />
         </div>
       );
     }
@@ -156,6 +318,7 @@ class ValidationStates extends Component {
         <div className={classnames(styles['content-container'])}>
           <ValidationEditor {...this.props} isEditable={this.isEditable()} />
           <SampleDocuments {...this.props} />
+          <DocumentScratchpad validator={this.props.validation.validator} />
         </div>
       );
     }
@@ -170,6 +333,7 @@ class ValidationStates extends Component {
     return (
       <div className={classnames(styles['validation-states'])}>
         {this.renderBanner()}
+        {this.renderDraftBanner()}
         {this.renderZeroState()}
         {this.renderContent()}
       </div>
@@ -1,9 +1,12 @@
 import React from 'react';
 import { mount } from 'enzyme';
-import ValidationStates from 'components/validation-states';
+import ValidationStates, { STALE_DRAFT_WARNING } from 'components/validation-states';
 import styles from './validation-states.less';
 
 describe('ValidationStates [Component]', () => {
+  const namespace = { database: 'db', collection: 'coll' };
+  const validationImport = { isVisible: false };
+
   context('when the server version is below than 3.2', () => {
     let component;
     const changeZeroStateSpy = sinon.spy();
@@ -15,6 +18,20 @@ describe('ValidationStates [Component]', () => {
     const setCancelValidationSpy = sinon.spy();
     const saveValidationSpy = sinon.spy();
     const fetchSampleDocumentsSpy = sinon.spy();
+    const generateValidatorSpy = sinon.spy();
+    const validationDiffOpenedSpy = sinon.spy();
+    const validationDiffClosedSpy = sinon.spy();
+    const validationHistoryToggledSpy = sinon.spy();
+    const restoreValidationSpy = sinon.spy();
+    const importFileLoadedSpy = sinon.spy();
+    const importClosedSpy = sinon.spy();
+    const applyImportSpy = sinon.spy();
+    const validationTemplatesToggledSpy = sinon.spy();
+    const addValidationTemplateSpy = sinon.spy();
+    const removeValidationTemplateSpy = sinon.spy();
+    const mergeValidationTemplateSpy = sinon.spy();
+    const restoreValidationDraftSpy = sinon.spy();
+    const discardValidationDraftSpy = sinon.spy();
     const fields = [];
     const validation = {
       validator: '',
@@ -38,13 +55,30 @@ describe('ValidationStates [Component]', () => {
       component = mount(
         <ValidationStates
           validatorChanged={setValidatorChangedSpy}
+          syntaxErrorOccurred={sinon.spy()}
           validationActionChanged={setValidationActionChangedSpy}
           validationLevelChanged={setValidationLevelChangedSpy}
           cancelValidation={setCancelValidationSpy}
           saveValidation={saveValidationSpy}
           fetchSampleDocuments={fetchSampleDocumentsSpy}
+          generateValidator={generateValidatorSpy}
+          validationDiffOpened={validationDiffOpenedSpy}
+          validationDiffClosed={validationDiffClosedSpy}
+          validationHistoryToggled={validationHistoryToggledSpy}
+          restoreValidation={restoreValidationSpy}
+          importFileLoaded={importFileLoadedSpy}
+          importClosed={importClosedSpy}
+          applyImport={applyImportSpy}
+          validationTemplatesToggled={validationTemplatesToggledSpy}
+          addValidationTemplate={addValidationTemplateSpy}
+          removeValidationTemplate={removeValidationTemplateSpy}
+          mergeValidationTemplate={mergeValidationTemplateSpy}
+          restoreValidationDraft={restoreValidationDraftSpy}
+          discardValidationDraft={discardValidationDraftSpy}
           fields={fields}
           validation={validation}
+          namespace={namespace}
+          validationImport={validationImport}
           changeZeroState={changeZeroStateSpy}
           zeroStateChanged={setZeroStateChangedSpy}
           isZeroState={isZeroState}
@@ -85,6 +119,20 @@ describe('ValidationStates [Component]', () => {
     const setCancelValidationSpy = sinon.spy();
     const saveValidationSpy = sinon.spy();
     const fetchSampleDocumentsSpy = sinon.spy();
+    const generateValidatorSpy = sinon.spy();
+    const validationDiffOpenedSpy = sinon.spy();
+    const validationDiffClosedSpy = sinon.spy();
+    const validationHistoryToggledSpy = sinon.spy();
+    const restoreValidationSpy = sinon.spy();
+    const importFileLoadedSpy = sinon.spy();
+    const importClosedSpy = sinon.spy();
+    const applyImportSpy = sinon.spy();
+    const validationTemplatesToggledSpy = sinon.spy();
+    const addValidationTemplateSpy = sinon.spy();
+    const removeValidationTemplateSpy = sinon.spy();
+    const mergeValidationTemplateSpy = sinon.spy();
+    const restoreValidationDraftSpy = sinon.spy();
+    const discardValidationDraftSpy = sinon.spy();
     const fields = [];
     const validation = {
       validator: '',
@@ -108,13 +156,30 @@ describe('ValidationStates [Component]', () => {
       component = mount(
         <ValidationStates
           validatorChanged={setValidatorChangedSpy}
+          syntaxErrorOccurred={sinon.spy()}
           validationActionChanged={setValidationActionChangedSpy}
           validationLevelChanged={setValidationLevelChangedSpy}
           cancelValidation={setCancelValidationSpy}
           saveValidation={saveValidationSpy}
           fetchSampleDocuments={fetchSampleDocumentsSpy}
+          generateValidator={generateValidatorSpy}
+          validationDiffOpened={validationDiffOpenedSpy}
+          validationDiffClosed={validationDiffClosedSpy}
+          validationHistoryToggled={validationHistoryToggledSpy}
+          restoreValidation={restoreValidationSpy}
+          importFileLoaded={importFileLoadedSpy}
+          importClosed={importClosedSpy}
+          applyImport={applyImportSpy}
+          validationTemplatesToggled={validationTemplatesToggledSpy}
+          addValidationTemplate={addValidationTemplateSpy}
+          removeValidationTemplate={removeValidationTemplateSpy}
+          mergeValidationTemplate={mergeValidationTemplateSpy}
+          restoreValidationDraft={restoreValidationDraftSpy}
+          discardValidationDraft={discardValidationDraftSpy}
           fields={fields}
           validation={validation}
+          namespace={namespace}
+          validationImport={validationImport}
           changeZeroState={changeZeroStateSpy}
           zeroStateChanged={setZeroStateChangedSpy}
           isZeroState={isZeroState}
@@ -138,6 +203,23 @@ describe('ValidationStates [Component]', () => {
       expect(component.find({ id: 'hardonReadOnly' })).to.be.not.present();
       expect(component.find({ id: 'writeStateStoreReadOnly' })).to.be.not.present();
     });
+
+    it('disables generating rules and opening the templates', () => {
+      component.setProps({ sampledFields: { name: {} } });
+
+      const generate = component.find('#zero-state-generate-rules').hostNodes();
+      const templates = component.find('#zero-state-templates').hostNodes();
+
+      expect(generate.props().disabled).to.equal(true);
+      expect(templates.props().disabled).to.equal(true);
+
+      generate.simulate('click');
+      templates.simulate('click');
+
+      expect(changeZeroStateSpy).to.not.have.been.called;
+      expect(generateValidatorSpy).to.not.have.been.called;
+      expect(validationTemplatesToggledSpy).to.not.have.been.called;
+    });
   });
 
   context('when the server version is higher than 3.2', () => {
@@ -151,6 +233,20 @@ describe('ValidationStates [Component]', () => {
     const setCancelValidationSpy = sinon.spy();
     const saveValidationSpy = sinon.spy();
     const fetchSampleDocumentsSpy = sinon.spy();
+    const generateValidatorSpy = sinon.spy();
+    const validationDiffOpenedSpy = sinon.spy();
+    const validationDiffClosedSpy = sinon.spy();
+    const validationHistoryToggledSpy = sinon.spy();
+    const restoreValidationSpy = sinon.spy();
+    const importFileLoadedSpy = sinon.spy();
+    const importClosedSpy = sinon.spy();
+    const applyImportSpy = sinon.spy();
+    const validationTemplatesToggledSpy = sinon.spy();
+    const addValidationTemplateSpy = sinon.spy();
+    const removeValidationTemplateSpy = sinon.spy();
+    const mergeValidationTemplateSpy = sinon.spy();
+    const restoreValidationDraftSpy = sinon.spy();
+    const discardValidationDraftSpy = sinon.spy();
     const fields = [];
     const validation = {
       validator: '',
@@ -174,13 +270,30 @@ describe('ValidationStates [Component]', () => {
       component = mount(
         <ValidationStates
           validatorChanged={setValidatorChangedSpy}
+          syntaxErrorOccurred={sinon.spy()}
           validationActionChanged={setValidationActionChangedSpy}
           validationLevelChanged={setValidationLevelChangedSpy}
           cancelValidation={setCancelValidationSpy}
           saveValidation={saveValidationSpy}
           fetchSampleDocuments={fetchSampleDocumentsSpy}
+          generateValidator={generateValidatorSpy}
+          validationDiffOpened={validationDiffOpenedSpy}
+          validationDiffClosed={validationDiffClosedSpy}
+          validationHistoryToggled={validationHistoryToggledSpy}
+          restoreValidation={restoreValidationSpy}
+          importFileLoaded={importFileLoadedSpy}
+          importClosed={importClosedSpy}
+          applyImport={applyImportSpy}
+          validationTemplatesToggled={validationTemplatesToggledSpy}
+          addValidationTemplate={addValidationTemplateSpy}
+          removeValidationTemplate={removeValidationTemplateSpy}
+          mergeValidationTemplate={mergeValidationTemplateSpy}
+          restoreValidationDraft={restoreValidationDraftSpy}
+          discardValidationDraft={discardValidationDraftSpy}
           fields={fields}
           validation={validation}
+          namespace={namespace}
+          validationImport={validationImport}
           changeZeroState={changeZeroStateSpy}
           zeroStateChanged={setZeroStateChangedSpy}
           isZeroState={isZeroState}
@@ -198,6 +311,155 @@ describe('ValidationStates [Component]', () => {
     it('does not render a warning banner', () => {
       expect(component.find('StatusRow')).to.be.not.present();
     });
+
+    it('renders the document scratchpad with the editor', () => {
+      component.setProps({ isZeroState: false });
+
+      expect(component.find('DocumentScratchpad').props().validator).to.equal('');
+    });
+
+    it('opens the template gallery from the zero state', () => {
+      component.find('#zero-state-templates').hostNodes().simulate('click');
+
+      expect(validationTemplatesToggledSpy).to.have.been.calledWith(true);
+    });
+
+    it('does not generate rules without sampled fields', () => {
+      const generate = component.find('#zero-state-generate-rules').hostNodes();
+
+      expect(generate.props().disabled).to.equal(true);
+
+      generate.simulate('click');
+
+      expect(changeZeroStateSpy).to.not.have.been.called;
+      expect(generateValidatorSpy).to.not.have.been.called;
+    });
+
+    it('generates rules from the sampled fields', () => {
+      component.setProps({ sampledFields: { name: {} } });
+      component.find('#zero-state-generate-rules').hostNodes().simulate('click');
+
+      expect(changeZeroStateSpy).to.have.been.calledWith(false);
+      expect(generateValidatorSpy).to.have.been.calledOnce;
+    });
+  });
+
+  context('when a draft of a previous session exists', () => {
+    let component;
+    const changeZeroStateSpy = sinon.spy();
+    const setZeroStateChangedSpy = sinon.spy();
+    const openLinkSpy = sinon.spy();
+    const setValidatorChangedSpy = sinon.spy();
+    const setValidationActionChangedSpy = sinon.spy();
+    const setValidationLevelChangedSpy = sinon.spy();
+    const setCancelValidationSpy = sinon.spy();
+    const saveValidationSpy = sinon.spy();
+    const fetchSampleDocumentsSpy = sinon.spy();
+    const generateValidatorSpy = sinon.spy();
+    const validationDiffOpenedSpy = sinon.spy();
+    const validationDiffClosedSpy = sinon.spy();
+    const validationHistoryToggledSpy = sinon.spy();
+    const restoreValidationSpy = sinon.spy();
+    const importFileLoadedSpy = sinon.spy();
+    const importClosedSpy = sinon.spy();
+    const applyImportSpy = sinon.spy();
+    const validationTemplatesToggledSpy = sinon.spy();
+    const addValidationTemplateSpy = sinon.spy();
+    const removeValidationTemplateSpy = sinon.spy();
+    const mergeValidationTemplateSpy = sinon.spy();
+    const restoreValidationDraftSpy = sinon.spy();
+    const discardValidationDraftSpy = sinon.spy();
+    const fields = [];
+    const validation = {
+      validator: '',
+      validationAction: 'warn',
+      validationLevel: 'moderate',
+      isChanged: false,
+      syntaxError: null,
+      error: null,
+      prevValidation: {
+        validator: '{}',
+        validationAction: 'error',
+        validationLevel: 'strict'
+      }
+    };
+    const validationDraft = {
+      draft: {
+        timestamp: 1,
+        validator: '{ name: { $exists: true } }',
+        validationAction: 'warn',
+        validationLevel: 'moderate',
+        base: { validator: '{ age: { $exists: true } }', validationAction: 'error', validationLevel: 'strict' }
+      }
+    };
+    const sampleDocuments = {};
+    const editMode = {
+      collectionReadOnly: false,
+      hardonReadOnly: false,
+      writeStateStoreReadOnly: false,
+      oldServerReadOnly: false
+    };
+    const isZeroState = true;
+    const serverVersion = '3.2.0';
+
+    beforeEach(() => {
+      component = mount(
+        <ValidationStates
+          validatorChanged={setValidatorChangedSpy}
+          syntaxErrorOccurred={sinon.spy()}
+          validationActionChanged={setValidationActionChangedSpy}
+          validationLevelChanged={setValidationLevelChangedSpy}
+          cancelValidation={setCancelValidationSpy}
+          saveValidation={saveValidationSpy}
+          fetchSampleDocuments={fetchSampleDocumentsSpy}
+          generateValidator={generateValidatorSpy}
+          validationDiffOpened={validationDiffOpenedSpy}
+          validationDiffClosed={validationDiffClosedSpy}
+          validationHistoryToggled={validationHistoryToggledSpy}
+          restoreValidation={restoreValidationSpy}
+          importFileLoaded={importFileLoadedSpy}
+          importClosed={importClosedSpy}
+          applyImport={applyImportSpy}
+          validationTemplatesToggled={validationTemplatesToggledSpy}
+          addValidationTemplate={addValidationTemplateSpy}
+          removeValidationTemplate={removeValidationTemplateSpy}
+          mergeValidationTemplate={mergeValidationTemplateSpy}
+          restoreValidationDraft={restoreValidationDraftSpy}
+          discardValidationDraft={discardValidationDraftSpy}
+          fields={fields}
+          validation={validation}
+          validationDraft={validationDraft}
+          namespace={namespace}
+          validationImport={validationImport}
+          changeZeroState={changeZeroStateSpy}
+          zeroStateChanged={setZeroStateChangedSpy}
+          isZeroState={isZeroState}
+          editMode={editMode}
+          sampleDocuments={sampleDocuments}
+          serverVersion={serverVersion}
+          openLink={openLinkSpy} />
+      );
+    });
+
+    afterEach(() => {
+      component = null;
+    });
+
+    it('warns that the server validation changed', () => {
+      expect(component.find('#validation-draft').text()).to.include(STALE_DRAFT_WARNING);
+    });
+
+    it('restores the draft', () => {
+      component.find('#validation-draft-restore').hostNodes().simulate('click');
+
+      expect(restoreValidationDraftSpy).to.have.been.calledOnce;
+    });
+
+    it('discards the draft', () => {
+      component.find('#validation-draft-discard').hostNodes().simulate('click');
+
+      expect(discardValidationDraftSpy).to.have.been.calledOnce;
+    });
   });
 
   context('when compass is in the read-only mode', () => {
@@ -211,6 +473,20 @@ describe('ValidationStates [Component]', () => {
     const setCancelValidationSpy = sinon.spy();
     const saveValidationSpy = sinon.spy();
     const fetchSampleDocumentsSpy = sinon.spy();
+    const generateValidatorSpy = sinon.spy();
+    const validationDiffOpenedSpy = sinon.spy();
+    const validationDiffClosedSpy = sinon.spy();
+    const validationHistoryToggledSpy = sinon.spy();
+    const restoreValidationSpy = sinon.spy();
+    const importFileLoadedSpy = sinon.spy();
+    const importClosedSpy = sinon.spy();
+    const applyImportSpy = sinon.spy();
+    const validationTemplatesToggledSpy = sinon.spy();
+    const addValidationTemplateSpy = sinon.spy();
+    const removeValidationTemplateSpy = sinon.spy();
+    const mergeValidationTemplateSpy = sinon.spy();
+    const restoreValidationDraftSpy = sinon.spy();
+    const discardValidationDraftSpy = sinon.spy();
     const fields = [];
     const validation = {
       validator: '',
@@ -234,13 +510,30 @@ describe('ValidationStates [Component]', () => {
       component = mount(
         <ValidationStates
           validatorChanged={setValidatorChangedSpy}
+          syntaxErrorOccurred={sinon.spy()}
           validationActionChanged={setValidationActionChangedSpy}
           validationLevelChanged={setValidationLevelChangedSpy}
           cancelValidation={setCancelValidationSpy}
           saveValidation={saveValidationSpy}
           fetchSampleDocuments={fetchSampleDocumentsSpy}
+          generateValidator={generateValidatorSpy}
+          validationDiffOpened={validationDiffOpenedSpy}
+          validationDiffClosed={validationDiffClosedSpy}
+          validationHistoryToggled={validationHistoryToggledSpy}
+          restoreValidation={restoreValidationSpy}
+          importFileLoaded={importFileLoadedSpy}
+          importClosed={importClosedSpy}
+          applyImport={applyImportSpy}
+          validationTemplatesToggled={validationTemplatesToggledSpy}
+          addValidationTemplate={addValidationTemplateSpy}
+          removeValidationTemplate={removeValidationTemplateSpy}
+          mergeValidationTemplate={mergeValidationTemplateSpy}
+          restoreValidationDraft={restoreValidationDraftSpy}
+          discardValidationDraft={discardValidationDraftSpy}
           fields={fields}
           validation={validation}
+          namespace={namespace}
+          validationImport={validationImport}
           changeZeroState={changeZeroStateSpy}
           zeroStateChanged={setZeroStateChangedSpy}
           isZeroState={isZeroState}
@@ -271,6 +564,20 @@ describe('ValidationStates [Component]', () => {
     const setCancelValidationSpy = sinon.spy();
     const saveValidationSpy = sinon.spy();
     const fetchSampleDocumentsSpy = sinon.spy();
+    const generateValidatorSpy = sinon.spy();
+    const validationDiffOpenedSpy = sinon.spy();
+    const validationDiffClosedSpy = sinon.spy();
+    const validationHistoryToggledSpy = sinon.spy();
+    const restoreValidationSpy = sinon.spy();
+    const importFileLoadedSpy = sinon.spy();
+    const importClosedSpy = sinon.spy();
+    const applyImportSpy = sinon.spy();
+    const validationTemplatesToggledSpy = sinon.spy();
+    const addValidationTemplateSpy = sinon.spy();
+    const removeValidationTemplateSpy = sinon.spy();
+    const mergeValidationTemplateSpy = sinon.spy();
+    const restoreValidationDraftSpy = sinon.spy();
+    const discardValidationDraftSpy = sinon.spy();
     const fields = [];
     const validation = {
       validator: '',
@@ -294,13 +601,30 @@ describe('ValidationStates [Component]', () => {
       component = mount(
         <ValidationStates
           validatorChanged={setValidatorChangedSpy}
+          syntaxErrorOccurred={sinon.spy()}
           validationActionChanged={setValidationActionChangedSpy}
           validationLevelChanged={setValidationLevelChangedSpy}
           cancelValidation={setCancelValidationSpy}
           saveValidation={saveValidationSpy}
           fetchSampleDocuments={fetchSampleDocumentsSpy}
+          generateValidator={generateValidatorSpy}
+          validationDiffOpened={validationDiffOpenedSpy}
+          validationDiffClosed={validationDiffClosedSpy}
+          validationHistoryToggled={validationHistoryToggledSpy}
+          restoreValidation={restoreValidationSpy}
+          importFileLoaded={importFileLoadedSpy}
+          importClosed={importClosedSpy}
+          applyImport={applyImportSpy}
+          validationTemplatesToggled={validationTemplatesToggledSpy}
+          addValidationTemplate={addValidationTemplateSpy}
+          removeValidationTemplate={removeValidationTemplateSpy}
+          mergeValidationTemplate={mergeValidationTemplateSpy}
+          restoreValidationDraft={restoreValidationDraftSpy}
+          discardValidationDraft={discardValidationDraftSpy}
           fields={fields}
           validation={validation}
+          namespace={namespace}
+          validationImport={validationImport}
           changeZeroState={changeZeroStateSpy}
           zeroStateChanged={setZeroStateChangedSpy}
           isZeroState={isZeroState}
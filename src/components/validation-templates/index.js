@@ -0,0 +1,4 @@
+import ValidationTemplates from './validation-templates';
+
+export default ValidationTemplates;
+export { ValidationTemplates };
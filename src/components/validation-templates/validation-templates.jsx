@@ -0,0 +1,394 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classnames from 'classnames';
+import { Modal } from 'react-bootstrap';
+import { TextButton } from 'hadron-react-buttons';
+import { checkValidator } from 'modules/validation';
+import {
+  BUILT_IN_TEMPLATES,
+  getDefaultValues,
+  fillTemplate,
+  formatFragment,
+  createTemplate
+} from 'utils/validation-templates';
+
+import styles from './validation-templates.less';
+
+/**
+ * The fragment a new template starts with.
+ */
+const NEW_FRAGMENT = '{\n  \'{{field}}\': {\n    bsonType: \'string\'\n  }\n}';
+
+/**
+ * The state of the new template form.
+ */
+const EMPTY_FORM = {
+  isCreating: false,
+  name: '',
+  description: '',
+  fragment: NEW_FRAGMENT,
+  error: null
+};
+
+/**
+ * The validation templates component, a gallery of parameterized rule
+ * fragments to insert at the cursor or merge into the properties.
+ */
+class ValidationTemplates extends Component {
+  static displayName = 'ValidationTemplates';
+
+  static propTypes = {
+    isVisible: PropTypes.bool.isRequired,
+    custom: PropTypes.array.isRequired,
+    isEditable: PropTypes.bool.isRequired,
+    canInsert: PropTypes.bool,
+    insertTemplate: PropTypes.func,
+    closeTemplates: PropTypes.func.isRequired,
+    mergeValidationTemplate: PropTypes.func.isRequired,
+    addValidationTemplate: PropTypes.func.isRequired,
+    removeValidationTemplate: PropTypes.func.isRequired
+  };
+
+  static defaultProps = {
+    canInsert: false
+  };
+
+  /**
+   * Select the first template.
+   *
+   * @param {Object} props - The properties.
+   */
+  constructor(props) {
+    super(props);
+    this.state = {
+      selected: BUILT_IN_TEMPLATES[0].id,
+      values: getDefaultValues(BUILT_IN_TEMPLATES[0]),
+      ...EMPTY_FORM
+    };
+  }
+
+  /**
+   * Select a template.
+   *
+   * @param {Object} template - The template.
+   */
+  onTemplateSelect(template) {
+    this.setState({ selected: template.id, values: getDefaultValues(template), ...EMPTY_FORM });
+  }
+
+  /**
+   * Change a parameter value.
+   *
+   * @param {String} name - The parameter name.
+   * @param {Object} evt - The change event.
+   */
+  onValueChange(name, evt) {
+    this.setState({ values: { ...this.state.values, [name]: evt.target.value } });
+  }
+
+  /**
+   * Insert the filled in template at the cursor.
+   */
+  onInsert() {
+    this.props.insertTemplate(formatFragment(this.getFragment()));
+  }
+
+  /**
+   * Merge the filled in template into the properties.
+   */
+  onMerge() {
+    this.props.mergeValidationTemplate(this.getFragment());
+  }
+
+  /**
+   * Remove the selected custom template.
+   */
+  onRemove() {
+    this.props.removeValidationTemplate(this.state.selected);
+    this.onTemplateSelect(BUILT_IN_TEMPLATES[0]);
+  }
+
+  /**
+   * Show the new template form.
+   */
+  onCreateStart() {
+    this.setState({ ...EMPTY_FORM, isCreating: true });
+  }
+
+  /**
+   * Change a field of the new template form.
+   *
+   * @param {String} field - The field.
+   * @param {Object} evt - The change event.
+   */
+  onFormChange(field, evt) {
+    this.setState({ [field]: evt.target.value, error: null });
+  }
+
+  /**
+   * Store the new template and select it.
+   */
+  onCreateSave() {
+    const checkedFragment = checkValidator(this.state.fragment);
+
+    if (checkedFragment.syntaxError) {
+      this.setState({ error: `The fragment can not be parsed: ${checkedFragment.syntaxError.message}` });
+
+      return;
+    }
+
+    const result = createTemplate(this.state.name, this.state.description, checkedFragment.validator);
+
+    if (result.error) {
+      this.setState({ error: result.error });
+
+      return;
+    }
+
+    this.props.addValidationTemplate(result.template);
+    this.onTemplateSelect(result.template);
+  }
+
+  /**
+   * Get the built-in and the custom templates.
+   *
+   * @returns {Array} The templates.
+   */
+  getTemplates() {
+    return BUILT_IN_TEMPLATES.concat(this.props.custom);
+  }
+
+  /**
+   * Get the selected template.
+   *
+   * @returns {Object} The template.
+   */
+  getSelectedTemplate() {
+    return this.getTemplates().find((template) => template.id === this.state.selected) ||
+      BUILT_IN_TEMPLATES[0];
+  }
+
+  /**
+   * Get the selected template filled in with the parameter values.
+   *
+   * @returns {Object} The properties fragment.
+   */
+  getFragment() {
+    return fillTemplate(this.getSelectedTemplate(), this.state.values);
+  }
+
+  /**
+   * Render a template of the list.
+   *
+   * @param {Object} template - The template.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderTemplate(template) {
+    return (
+      <li
+        key={template.id}
+        className={classnames({
+          [styles['validation-templates-item']]: true,
+          [styles['validation-templates-item-selected']]:
+            !this.state.isCreating && template.id === this.getSelectedTemplate().id
+        })}
+        onClick={this.onTemplateSelect.bind(this, template)}>
+        <div>{template.name}</div>
+        <div className={classnames(styles['validation-templates-item-description'])}>
+          {template.description}
+        </div>
+      </li>
+    );
+  }
+
+  /**
+   * Render the list of templates.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderTemplates() {
+    return (
+      <div className={classnames(styles['validation-templates-list'])}>
+        <ul>
+          {BUILT_IN_TEMPLATES.map(this.renderTemplate.bind(this))}
+        </ul>
+        <div className={classnames(styles['validation-templates-heading'])}>
+          Custom Templates
+        </div>
+        <ul>
+          {this.props.custom.map(this.renderTemplate.bind(this))}
+        </ul>
+        <TextButton
+          id="validation-templates-new"
+          className="btn btn-default btn-xs"
+          text="New Template"
+          clickHandler={this.onCreateStart.bind(this)} />
+      </div>
+    );
+  }
+
+  /**
+   * Render a parameter input.
+   *
+   * @param {Object} parameter - The parameter.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderParameter(parameter) {
+    return (
+      <label key={parameter.name} className={classnames(styles['validation-templates-field'])}>
+        {parameter.label}
+        <input
+          type="text"
+          className="form-control input-sm"
+          value={this.state.values[parameter.name]}
+          onChange={this.onValueChange.bind(this, parameter.name)} />
+      </label>
+    );
+  }
+
+  /**
+   * Render the selected template with its parameters and a preview.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderDetails() {
+    const template = this.getSelectedTemplate();
+
+    return (
+      <div className={classnames(styles['validation-templates-details'])}>
+        <div className={classnames(styles['validation-templates-title'])}>
+          <span>{template.name}</span>
+          {template.isCustom ?
+            <TextButton
+              id="validation-templates-remove"
+              className="btn btn-default btn-xs"
+              text="Remove"
+              clickHandler={this.onRemove.bind(this)} /> :
+            null
+          }
+        </div>
+        <p>{template.description}</p>
+        {template.parameters.map(this.renderParameter.bind(this))}
+        <pre className={classnames(styles['validation-templates-preview'])}>
+          {formatFragment(this.getFragment())}
+        </pre>
+      </div>
+    );
+  }
+
+  /**
+   * Render the new template form.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderForm() {
+    return (
+      <div className={classnames(styles['validation-templates-details'])}>
+        <label className={classnames(styles['validation-templates-field'])}>
+          Name
+          <input
+            type="text"
+            className="form-control input-sm"
+            value={this.state.name}
+            onChange={this.onFormChange.bind(this, 'name')} />
+        </label>
+        <label className={classnames(styles['validation-templates-field'])}>
+          Description
+          <input
+            type="text"
+            className="form-control input-sm"
+            value={this.state.description}
+            onChange={this.onFormChange.bind(this, 'description')} />
+        </label>
+        <label className={classnames(styles['validation-templates-field'])}>
+          Properties, use {'{{name}}'} for parameters
+          <textarea
+            rows="8"
+            className={`form-control ${classnames(styles['validation-templates-preview'])}`}
+            value={this.state.fragment}
+            onChange={this.onFormChange.bind(this, 'fragment')} />
+        </label>
+        <div className={classnames(styles['validation-templates-error'])}>
+          {this.state.error}
+        </div>
+      </div>
+    );
+  }
+
+  /**
+   * Render the buttons of the current view.
+   *
+   * @returns {React.Component} The component.
+   */
+  renderButtons() {
+    if (this.state.isCreating) {
+      return (
+        <TextButton
+          id="validation-templates-save"
+          className="btn btn-primary btn-sm"
+          text="Save Template"
+          clickHandler={this.onCreateSave.bind(this)} />
+      );
+    }
+
+    return [
+      this.props.canInsert ?
+        <TextButton
+          key="insert"
+          id="validation-templates-insert"
+          className="btn btn-default btn-sm"
+          text="Insert at Cursor"
+          disabled={!this.props.isEditable}
+          clickHandler={this.onInsert.bind(this)} /> :
+        null,
+      <TextButton
+        key="merge"
+        id="validation-templates-merge"
+        className="btn btn-primary btn-sm"
+        text="Merge into Properties"
+        disabled={!this.props.isEditable}
+        clickHandler={this.onMerge.bind(this)} />
+    ];
+  }
+
+  /**
+   * Render ValidationTemplates component.
+   *
+   * @returns {React.Component} The rendered component.
+   */
+  render() {
+    if (!this.props.isVisible) {
+      return null;
+    }
+
+    return (
+      <Modal
+        show
+        bsSize="large"
+        onHide={this.props.closeTemplates}
+        dialogClassName={classnames(styles['validation-templates'])}>
+        <Modal.Header closeButton>
+          <Modal.Title>Rule Templates</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <div className={classnames(styles['validation-templates-content'])}>
+            {this.renderTemplates()}
+            {this.state.isCreating ? this.renderForm() : this.renderDetails()}
+          </div>
+        </Modal.Body>
+        <Modal.Footer>
+          <TextButton
+            id="validation-templates-close"
+            className="btn btn-default btn-sm"
+            text="Close"
+            clickHandler={this.props.closeTemplates} />
+          {this.renderButtons()}
+        </Modal.Footer>
+      </Modal>
+    );
+  }
+}
+
+export default ValidationTemplates;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import ValidationTemplates from 'components/validation-templates';
+
+import styles from './validation-templates.less';
+
+describe('ValidationTemplates [Component]', () => {
+  const custom = [{
+    id: 'custom-1',
+    name: 'SKU',
+    description: 'A product code.',
+    parameters: [{ name: 'field', label: 'field', type: 'value', default: 'sku' }],
+    fragment: { '{{field}}': { bsonType: 'string' } },
+    isCustom: true
+  }];
+
+  context('when it is not visible', () => {
+    it('renders nothing', () => {
+      const component = mount(
+        <ValidationTemplates
+          isVisible={false}
+          custom={[]}
+          isEditable
+          closeTemplates={sinon.spy()}
+          mergeValidationTemplate={sinon.spy()}
+          addValidationTemplate={sinon.spy()}
+          removeValidationTemplate={sinon.spy()} />
+      );
+
+      expect(component.find('Modal')).to.be.not.present();
+    });
+  });
+
+  context('when it is visible', () => {
+    let component;
+    const insertTemplateSpy = sinon.spy();
+    const mergeValidationTemplateSpy = sinon.spy();
+    const addValidationTemplateSpy = sinon.spy();
+    const removeValidationTemplateSpy = sinon.spy();
+
+    beforeEach(() => {
+      component = mount(
+        <ValidationTemplates
+          isVisible
+          custom={custom}
+          isEditable
+          canInsert
+          insertTemplate={insertTemplateSpy}
+          closeTemplates={sinon.spy()}
+          mergeValidationTemplate={mergeValidationTemplateSpy}
+          addValidationTemplate={addValidationTemplateSpy}
+          removeValidationTemplate={removeValidationTemplateSpy} />
+      );
+    });
+
+    afterEach(() => {
+      component.unmount();
+      component = null;
+    });
+
+    it('lists the built-in and the custom templates', () => {
+      expect(component.find(`li.${styles['validation-templates-item']}`)).to.have.length(7);
+    });
+
+    it('inserts the template with its parameters at the cursor', () => {
+      component.find('input[type="text"]').first().simulate('change', { target: { value: 'contact' } });
+      component.find('#validation-templates-insert').hostNodes().simulate('click');
+
+      expect(insertTemplateSpy.lastCall.args[0]).to.match(/^contact: \{/);
+    });
+
+    it('merges the template into the properties', () => {
+      component.find(`li.${styles['validation-templates-item']}`).last().simulate('click');
+      component.find('#validation-templates-merge').hostNodes().simulate('click');
+
+      expect(mergeValidationTemplateSpy).to.have.been.calledWith({ sku: { bsonType: 'string' } });
+    });
+
+    it('removes a custom template', () => {
+      component.find(`li.${styles['validation-templates-item']}`).last().simulate('click');
+      component.find('#validation-templates-remove').hostNodes().simulate('click');
+
+      expect(removeValidationTemplateSpy).to.have.been.calledWith('custom-1');
+    });
+
+    it('saves a new template', () => {
+      component.find('#validation-templates-new').hostNodes().simulate('click');
+      component.find('input[type="text"]').first().simulate('change', { target: { value: 'Name' } });
+      component.find('#validation-templates-save').hostNodes().simulate('click');
+
+      expect(addValidationTemplateSpy.lastCall.args[0]).to.include({ name: 'Name', isCustom: true });
+    });
+
+    it('shows the error of an invalid new template', () => {
+      component.find('#validation-templates-new').hostNodes().simulate('click');
+      component.find('#validation-templates-save').hostNodes().simulate('click');
+
+      expect(component.find(`.${styles['validation-templates-error']}`).text())
+        .to.equal('The template needs a name.');
+    });
+  });
+});
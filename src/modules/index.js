@@ -3,12 +3,18 @@ import { combineReducers } from 'redux';
 import appRegistry, { INITIAL_STATE as APP_REGISTRY_STATE } from 'mongodb-redux-common/app-registry';
 import dataService, { INITIAL_STATE as DS_INITIAL_STATE } from './data-service';
 import fields, { INITIAL_STATE as FIELDS_INITIAL_STATE } from './fields';
+import sampledFields, { INITIAL_STATE as SAMPLED_FIELDS_INITIAL_STATE } from './sampled-fields';
 import namespace, { INITIAL_STATE as NS_INITIAL_STATE } from './namespace';
 import serverVersion, { INITIAL_STATE as SV_INITIAL_STATE } from './server-version';
 import validation, { INITIAL_STATE as VALIDATION_STATE } from './validation';
 import sampleDocuments, { INITIAL_STATE as SAMPLE_DOCUMENTS_STATE } from './sample-documents';
 import isZeroState, { INITIAL_STATE as IS_ZERO_STATE } from './zero-state';
 import editMode, { INITIAL_STATE as EDIT_MODE_STATE } from './edit-mode';
+import validationDiff, { INITIAL_STATE as VALIDATION_DIFF_STATE } from './validation-diff';
+import validationHistory, { INITIAL_STATE as VALIDATION_HISTORY_STATE } from './validation-history';
+import validationImport, { INITIAL_STATE as VALIDATION_IMPORT_STATE } from './validation-import';
+import validationTemplates, { INITIAL_STATE as VALIDATION_TEMPLATES_STATE } from './validation-templates';
+import validationDraft, { INITIAL_STATE as VALIDATION_DRAFT_STATE } from './validation-draft';
 
 /**
  * Reset action constant.
@@ -22,12 +28,18 @@ export const INITIAL_STATE = {
   appRegistry: APP_REGISTRY_STATE,
   dataService: DS_INITIAL_STATE,
   fields: FIELDS_INITIAL_STATE,
+  sampledFields: SAMPLED_FIELDS_INITIAL_STATE,
   namespace: NS_INITIAL_STATE,
   serverVersion: SV_INITIAL_STATE,
   validation: VALIDATION_STATE,
   sampleDocuments: SAMPLE_DOCUMENTS_STATE,
   isZeroState: IS_ZERO_STATE,
-  editMode: EDIT_MODE_STATE
+  editMode: EDIT_MODE_STATE,
+  validationDiff: VALIDATION_DIFF_STATE,
+  validationHistory: VALIDATION_HISTORY_STATE,
+  validationImport: VALIDATION_IMPORT_STATE,
+  validationTemplates: VALIDATION_TEMPLATES_STATE,
+  validationDraft: VALIDATION_DRAFT_STATE
 };
 
 /**
@@ -37,12 +49,18 @@ const appReducer = combineReducers({
   appRegistry,
   dataService,
   fields,
+  sampledFields,
   namespace,
   serverVersion,
   validation,
   sampleDocuments,
   isZeroState,
-  editMode
+  editMode,
+  validationDiff,
+  validationHistory,
+  validationImport,
+  validationTemplates,
+  validationDraft
 });
 
 /**
@@ -1,4 +1,5 @@
 import { checkValidator, syntaxErrorOccurred } from './validation';
+import { isOlder } from 'utils/check-compatibility';
 
 /**
  * Sample documents fetched action.
@@ -10,15 +11,176 @@ export const SAMPLE_DOCUMENTS_FETCHED = 'validation/namespace/SAMPLE_DOCUMENTS_F
  */
 export const LOADING_SAMPLE_DOCUMENTS = 'validation/namespace/LOADING_SAMPLE_DOCUMENTS';
 
+/**
+ * Loading the next documents of a side action name.
+ */
+export const LOADING_SAMPLE_PAGE = 'validation/namespace/LOADING_SAMPLE_PAGE';
+
+/**
+ * The next documents of a side fetched action name.
+ */
+export const SAMPLE_PAGE_FETCHED = 'validation/namespace/SAMPLE_PAGE_FETCHED';
+
+/**
+ * Sample page changed action name.
+ */
+export const SAMPLE_PAGE_CHANGED = 'validation/namespace/SAMPLE_PAGE_CHANGED';
+
+/**
+ * Sample size changed action name.
+ */
+export const SAMPLE_SIZE_CHANGED = 'validation/namespace/SAMPLE_SIZE_CHANGED';
+
+/**
+ * Sampling strategy changed action name.
+ */
+export const SAMPLING_STRATEGY_CHANGED = 'validation/namespace/SAMPLING_STRATEGY_CHANGED';
+
+/**
+ * Scan limit changed action name.
+ */
+export const SCAN_LIMIT_CHANGED = 'validation/namespace/SCAN_LIMIT_CHANGED';
+
+/**
+ * Sampling cancelled action name.
+ */
+export const SAMPLING_CANCELLED = 'validation/namespace/SAMPLING_CANCELLED';
+
+/**
+ * Sampling timed out action name.
+ */
+export const SAMPLING_TIMED_OUT = 'validation/namespace/SAMPLING_TIMED_OUT';
+
+/**
+ * The documents that pass validation.
+ */
+export const MATCHING = 'matching';
+
+/**
+ * The documents that fail validation.
+ */
+export const NOT_MATCHING = 'notmatching';
+
+/**
+ * The documents that fail validation and the saved validator. With
+ * validationLevel moderate their updates are exempt from validation, the
+ * not matching documents are then the ones rejected on their next update.
+ */
+export const EXEMPT = 'exempt';
+
+/**
+ * The validation level that exempts updates of invalid documents.
+ */
+export const MODERATE = 'moderate';
+
+/**
+ * Samples the documents in natural order.
+ */
+export const NATURAL = 'natural';
+
+/**
+ * Samples random documents.
+ */
+export const RANDOM = 'random';
+
+/**
+ * Samples the newest documents by _id.
+ */
+export const NEWEST = 'newest';
+
+/**
+ * The sampling strategies.
+ */
+export const SAMPLING_STRATEGIES = {
+  [NATURAL]: 'Natural order',
+  [RANDOM]: 'Random ($sample)',
+  [NEWEST]: 'Newest by _id'
+};
+
+/**
+ * The sample sizes of each side.
+ */
+export const SAMPLE_SIZES = [1, 5, 10, 20, 50];
+
+/**
+ * The number of documents fetched at once.
+ */
+export const PAGE_SIZE = 5;
+
+/**
+ * The initial state of each side.
+ */
+export const INITIAL_SIDE_STATE = {
+  documents: [],
+  index: 0,
+  isComplete: true,
+  isLoading: false
+};
+
+/**
+ * Collection max limit, the default number of documents scanned.
+ */
+export const MAX_LIMIT = 100000;
+
+/**
+ * The numbers of documents that can be scanned.
+ */
+export const SCAN_LIMITS = [1000, 10000, MAX_LIMIT, 1000000];
+
+/**
+ * The time the server may spend on each sampling query.
+ */
+export const MAX_TIME_MS = 30000;
+
+/**
+ * The error code of queries that exceeded their time limit.
+ */
+const MAX_TIME_MS_EXPIRED = 50;
+
+/**
+ * The error code of results over the 16MB BSON document limit.
+ */
+const BSON_OBJECT_TOO_LARGE = 10334;
+
+/**
+ * The server version that introduced the $facet stage.
+ */
+const FACET_VERSION = '3.4.0';
+
 /**
  * The initial state.
  */
-export const INITIAL_STATE = { isLoading: false };
+export const INITIAL_STATE = {
+  isLoading: false,
+  isCancelled: false,
+  isTimedOut: false,
+  sampleSize: 10,
+  strategy: NATURAL,
+  scanLimit: MAX_LIMIT,
+  sampledStrategy: null,
+  requestId: 0,
+  validator: null,
+  savedValidator: null,
+  count: 0,
+  compliance: null,
+  [MATCHING]: INITIAL_SIDE_STATE,
+  [NOT_MATCHING]: INITIAL_SIDE_STATE,
+  [EXEMPT]: INITIAL_SIDE_STATE
+};
 
 /**
- * Collection max limit.
+ * Create the state of a side from its first documents.
+ *
+ * @param {Array} documents - The documents, undefined without a sample.
+ * @param {Number} limit - The number of documents requested.
+ *
+ * @returns {Object} The side state.
  */
-const MAX_LIMIT = 100000;
+const createSide = (documents, limit) => ({
+  ...INITIAL_SIDE_STATE,
+  documents: documents || [],
+  isComplete: !documents || documents.length < limit
+});
 
 /**
  * Refresh sample document.
@@ -30,24 +192,191 @@ const MAX_LIMIT = 100000;
  */
 const refreshSampleDocuments = (state, action) => ({
   ...state,
-  matching: action.matching,
-  notmatching: action.notmatching,
-  isLoading: false
+  validator: action.validator,
+  savedValidator: action.savedValidator || null,
+  sampledStrategy: action.strategy || null,
+  count: action.count,
+  compliance: action.compliance || null,
+  [MATCHING]: createSide(action.matching, action.limit),
+  [NOT_MATCHING]: createSide(action.notmatching, action.limit),
+  [EXEMPT]: createSide(action.exempt, action.limit),
+  isLoading: false,
+  isCancelled: false,
+  isTimedOut: false
+});
+
+/**
+ * Start loading the next documents of a side.
+ *
+ * @param {Object} state - The state.
+ * @param {Object} action - The action.
+ *
+ * @returns {Object} The new state.
+ */
+const loadSamplePage = (state, action) => ({
+  ...state,
+  [action.side]: { ...state[action.side], isLoading: true }
+});
+
+/**
+ * Add the next documents of a side and show the first of them.
+ *
+ * @param {Object} state - The state.
+ * @param {Object} action - The action.
+ *
+ * @returns {Object} The new state.
+ */
+const addSamplePage = (state, action) => {
+  const side = state[action.side];
+
+  return {
+    ...state,
+    [action.side]: {
+      documents: side.documents.concat(action.documents),
+      index: action.documents.length ? side.documents.length : side.index,
+      isComplete: action.documents.length < action.limit,
+      isLoading: false
+    }
+  };
+};
+
+/**
+ * Show another document of a side.
+ *
+ * @param {Object} state - The state.
+ * @param {Object} action - The action.
+ *
+ * @returns {Object} The new state.
+ */
+const changeSamplePageIndex = (state, action) => ({
+  ...state,
+  [action.side]: { ...state[action.side], index: action.index }
+});
+
+/**
+ * Change the sample size.
+ *
+ * @param {Object} state - The state.
+ * @param {Object} action - The action.
+ *
+ * @returns {Object} The new state.
+ */
+const changeSampleSizeState = (state, action) => ({
+  ...state,
+  sampleSize: action.sampleSize
+});
+
+/**
+ * Change the sampling strategy.
+ *
+ * @param {Object} state - The state.
+ * @param {Object} action - The action.
+ *
+ * @returns {Object} The new state.
+ */
+const changeSamplingStrategyState = (state, action) => ({
+  ...state,
+  strategy: action.strategy
+});
+
+/**
+ * Change the number of documents scanned.
+ *
+ * @param {Object} state - The state.
+ * @param {Object} action - The action.
+ *
+ * @returns {Object} The new state.
+ */
+const changeScanLimitState = (state, action) => ({
+  ...state,
+  scanLimit: action.scanLimit
 });
 
 /**
  * Action creator for sample documents changed events.
  *
- * @param {Object} sampleDocuments - Sample documents.
+ * @param {Object} sampleDocuments - The first documents of each side, the
+ * validator, the saved validator of moderate exemptions and the strategy
+ * they were sampled with, the number of documents in the collection, the
+ * compliance and the number of documents requested.
  *
  * @returns {Object} Validation saved action.
  */
 export const sampleDocumentsFetched = (sampleDocuments) => ({
   type: SAMPLE_DOCUMENTS_FETCHED,
   matching: sampleDocuments.matching,
-  notmatching: sampleDocuments.notmatching
+  notmatching: sampleDocuments.notmatching,
+  exempt: sampleDocuments.exempt,
+  validator: sampleDocuments.validator,
+  savedValidator: sampleDocuments.savedValidator,
+  strategy: sampleDocuments.strategy,
+  count: sampleDocuments.count,
+  compliance: sampleDocuments.compliance,
+  limit: sampleDocuments.limit
 });
 
+/**
+ * Action creator for loading the next documents of a side.
+ *
+ * @param {String} side - The side, matching or notmatching.
+ *
+ * @returns {Object} The action.
+ */
+export const loadingSamplePage = (side) => ({ type: LOADING_SAMPLE_PAGE, side });
+
+/**
+ * Action creator for the next documents of a side.
+ *
+ * @param {String} side - The side, matching or notmatching.
+ * @param {Array} documents - The documents.
+ * @param {Number} limit - The number of documents requested.
+ *
+ * @returns {Object} The action.
+ */
+export const samplePageFetched = (side, documents, limit) => ({
+  type: SAMPLE_PAGE_FETCHED,
+  side,
+  documents,
+  limit
+});
+
+/**
+ * Action creator for sample page changed events.
+ *
+ * @param {String} side - The side, matching or notmatching.
+ * @param {Number} index - The index of the document to show.
+ *
+ * @returns {Object} The action.
+ */
+export const samplePageChanged = (side, index) => ({ type: SAMPLE_PAGE_CHANGED, side, index });
+
+/**
+ * Action creator for sample size changed events.
+ *
+ * @param {Number} sampleSize - The number of documents of each side.
+ *
+ * @returns {Object} The action.
+ */
+export const sampleSizeChanged = (sampleSize) => ({ type: SAMPLE_SIZE_CHANGED, sampleSize });
+
+/**
+ * Action creator for sampling strategy changed events.
+ *
+ * @param {String} strategy - The sampling strategy.
+ *
+ * @returns {Object} The action.
+ */
+export const samplingStrategyChanged = (strategy) => ({ type: SAMPLING_STRATEGY_CHANGED, strategy });
+
+/**
+ * Action creator for scan limit changed events.
+ *
+ * @param {Number} scanLimit - The number of documents scanned.
+ *
+ * @returns {Object} The action.
+ */
+export const scanLimitChanged = (scanLimit) => ({ type: SCAN_LIMIT_CHANGED, scanLimit });
+
 /**
  * Action creator for load sample documents events.
  *
@@ -58,7 +387,44 @@ export const sampleDocumentsFetched = (sampleDocuments) => ({
 const loadSampleDocuments = (state) => ({
   ...state,
   type: LOADING_SAMPLE_DOCUMENTS,
-  isLoading: true
+  requestId: state.requestId + 1,
+  isLoading: true,
+  isCancelled: false,
+  isTimedOut: false
+});
+
+/**
+ * Stop waiting for the running sample, its results are ignored.
+ *
+ * @param {Object} state - The state.
+ *
+ * @returns {Object} The new state.
+ */
+const cancelSample = (state) => ({
+  ...state,
+  [MATCHING]: { ...state[MATCHING], isLoading: false },
+  [NOT_MATCHING]: { ...state[NOT_MATCHING], isLoading: false },
+  [EXEMPT]: { ...state[EXEMPT], isLoading: false },
+  requestId: state.requestId + 1,
+  isLoading: false,
+  isCancelled: true
+});
+
+/**
+ * Drop the sample that ran out of time.
+ *
+ * @param {Object} state - The state.
+ *
+ * @returns {Object} The new state.
+ */
+const timeOutSample = (state) => ({
+  ...state,
+  compliance: null,
+  [MATCHING]: INITIAL_SIDE_STATE,
+  [NOT_MATCHING]: INITIAL_SIDE_STATE,
+  [EXEMPT]: INITIAL_SIDE_STATE,
+  isLoading: false,
+  isTimedOut: true
 });
 
 /**
@@ -68,6 +434,20 @@ const loadSampleDocuments = (state) => ({
  */
 export const loadingSampleDocuments = () => ({ type: LOADING_SAMPLE_DOCUMENTS });
 
+/**
+ * Action creator for sampling cancelled events.
+ *
+ * @returns {Object} The action.
+ */
+export const samplingCancelled = () => ({ type: SAMPLING_CANCELLED });
+
+/**
+ * Action creator for sampling timed out events.
+ *
+ * @returns {Object} The action.
+ */
+export const samplingTimedOut = () => ({ type: SAMPLING_TIMED_OUT });
+
 /**
  * To not have a huge switch statement in the reducer.
  */
@@ -75,6 +455,14 @@ const MAPPINGS = {};
 
 MAPPINGS[SAMPLE_DOCUMENTS_FETCHED] = refreshSampleDocuments;
 MAPPINGS[LOADING_SAMPLE_DOCUMENTS] = loadSampleDocuments;
+MAPPINGS[LOADING_SAMPLE_PAGE] = loadSamplePage;
+MAPPINGS[SAMPLE_PAGE_FETCHED] = addSamplePage;
+MAPPINGS[SAMPLE_PAGE_CHANGED] = changeSamplePageIndex;
+MAPPINGS[SAMPLE_SIZE_CHANGED] = changeSampleSizeState;
+MAPPINGS[SAMPLING_STRATEGY_CHANGED] = changeSamplingStrategyState;
+MAPPINGS[SCAN_LIMIT_CHANGED] = changeScanLimitState;
+MAPPINGS[SAMPLING_CANCELLED] = cancelSample;
+MAPPINGS[SAMPLING_TIMED_OUT] = timeOutSample;
 
 /**
  * Sets zero documents.
@@ -99,48 +487,439 @@ const setZeroDocuments = (dispatch) => dispatch(sampleDocumentsFetched({
 const setSyntaxError = (dispatch, error) => dispatch(syntaxErrorOccurred(error));
 
 /**
- * Fetch sample documents.
+ * Check if a query failed because it exceeded its time limit.
+ *
+ * @param {Object} error - Error.
+ *
+ * @returns {Boolean} If the query timed out.
+ */
+const isTimeout = (error) => error.code === MAX_TIME_MS_EXPIRED || error.codeName === 'MaxTimeMSExpired';
+
+/**
+ * Check if a query failed because its result exceeded the BSON document
+ * size limit.
+ *
+ * @param {Object} error - Error.
+ *
+ * @returns {Boolean} If the result was too large.
+ */
+const isTooLarge = (error) => error.code === BSON_OBJECT_TOO_LARGE || error.codeName === 'BSONObjectTooLarge';
+
+/**
+ * Show the error of a sampling query, unless a newer sample superseded it.
  *
- * @param {Object} docsOptions - Collection of auxiliary options.
+ * @param {Object} docsOptions - The dispatch and if the sample is current.
+ * @param {Object} error - Error.
+ */
+const failSampling = (docsOptions, error) => {
+  if (!docsOptions.isCurrent()) {
+    return;
+  }
+
+  if (isTimeout(error)) {
+    docsOptions.dispatch(samplingTimedOut());
+  } else {
+    setZeroDocuments(docsOptions.dispatch);
+    setSyntaxError(docsOptions.dispatch, error);
+  }
+};
+
+/**
+ * Get the stages that pick the documents a strategy samples from.
+ *
+ * @param {Object} sampling - The strategy and the number of documents
+ * scanned.
+ * @param {Number} count - The number of documents in the collection.
+ *
+ * @returns {Array} The stages.
+ */
+const getScanStages = (sampling, count) => {
+  const isCapped = count > sampling.scanLimit;
+
+  if (sampling.strategy === RANDOM) {
+    return [{ $sample: { size: Math.min(count, sampling.scanLimit) } }];
+  }
+
+  if (sampling.strategy === NEWEST) {
+    return [{ $sort: { _id: -1 } }, ...(isCapped ? [{ $limit: sampling.scanLimit }] : [])];
+  }
+
+  return isCapped ? [{ $limit: sampling.scanLimit }] : [];
+};
+
+/**
+ * Fetch sample documents. The cursors of superseded samples are closed
+ * without reading them and their documents are never passed on.
+ *
+ * @param {Object} docsOptions - Collection of auxiliary options, fail
+ * replaces the handling of errors.
  * @param {Function} callback - Callback function that returns
  * matching or not mathing document.
  */
 const getSampleDocuments = (docsOptions, callback) => {
-  const aggOptions = { allowDiskUse: true };
-  const pipeline = docsOptions.pipeline;
-
-  if (docsOptions.count > MAX_LIMIT) {
-    pipeline.unshift({ $limit: MAX_LIMIT });
-  }
+  const fail = docsOptions.fail || ((error) => failSampling(docsOptions, error));
+  const aggOptions = { allowDiskUse: true, maxTimeMS: MAX_TIME_MS };
+  const pipeline = getScanStages(docsOptions.sampling, docsOptions.count).concat(docsOptions.pipeline);
 
   docsOptions.dataService.aggregate(
     docsOptions.namespace,
-    docsOptions.pipeline,
+    pipeline,
     aggOptions,
     (aggError, cursor) => {
       if (aggError) {
-        setZeroDocuments(docsOptions.dispatch);
-        setSyntaxError(docsOptions.dispatch, aggError);
+        return fail(aggError);
+      }
 
-        return;
+      if (!docsOptions.isCurrent()) {
+        return cursor.close();
       }
 
       cursor.toArray((toArrayError, documents) => {
         if (toArrayError) {
-          setZeroDocuments(docsOptions.dispatch);
-          setSyntaxError(docsOptions.dispatch, toArrayError);
-
-          return;
+          return fail(toArrayError);
         }
 
         cursor.close();
 
-        return callback(documents);
+        if (docsOptions.isCurrent()) {
+          return callback(documents);
+        }
       });
     }
   );
 };
 
+/**
+ * Get the number of a $count stage.
+ *
+ * @param {Array} counts - The results of the $count stage.
+ *
+ * @returns {Number} The number.
+ */
+const getCount = (counts) => (counts.length ? counts[0].count : 0);
+
+/**
+ * Create the compliance of the collection.
+ *
+ * @param {Number} passing - The number of documents that pass validation.
+ * @param {Number} total - The number of documents.
+ * @param {Object} sampling - The strategy and the number of documents
+ * scanned of estimates, null for exact numbers.
+ * @param {Number} exempt - The number of failing documents that fail the
+ * saved validator, only with validationLevel moderate.
+ *
+ * @returns {Object} The compliance.
+ */
+const createCompliance = (passing, total, sampling, exempt) => {
+  const failing = Math.max(total - passing, 0);
+
+  return {
+    passing,
+    failing,
+    total,
+    isEstimate: !!sampling,
+    ...(sampling ? { strategy: sampling.strategy, scanned: sampling.scanLimit } : {}),
+    ...(typeof exempt === 'number' ? { exempt: Math.min(exempt, failing) } : {})
+  };
+};
+
+/**
+ * Count the documents that match a query. Collections over the scan limit
+ * are estimated from the documents the samples are taken from.
+ *
+ * @param {Object} docsOptions - The namespace, dispatch, data service and
+ * sampling.
+ * @param {Object} query - The query.
+ * @param {Number} total - The number of documents in the collection.
+ * @param {Function} callback - Receives the number.
+ */
+const countMatching = (docsOptions, query, total, callback) => {
+  const { dataService, namespace, sampling, isCurrent } = docsOptions;
+
+  if (total > sampling.scanLimit) {
+    getSampleDocuments({
+      ...docsOptions,
+      count: total,
+      pipeline: [
+        { $match: query },
+        { $group: { _id: null, count: { $sum: 1 } } }
+      ]
+    }, (counts) => callback(Math.round(getCount(counts) * total / sampling.scanLimit)));
+  } else {
+    dataService.count(namespace, query, { maxTimeMS: MAX_TIME_MS }, (countError, count) => {
+      if (countError) {
+        return failSampling(docsOptions, countError);
+      }
+
+      if (isCurrent()) {
+        return callback(count);
+      }
+    });
+  }
+};
+
+/**
+ * Count the documents that pass validation and, with a saved validator,
+ * the failing documents that are exempt.
+ *
+ * @param {Object} docsOptions - The namespace, dispatch, data service,
+ * sampling and saved query.
+ * @param {Object} query - The query.
+ * @param {Function} callback - Receives the compliance.
+ */
+const getCompliance = (docsOptions, query, callback) => {
+  const { dataService, namespace, sampling, savedQuery, isCurrent } = docsOptions;
+
+  dataService.count(namespace, {}, { maxTimeMS: MAX_TIME_MS }, (totalError, total) => {
+    if (totalError) {
+      return failSampling(docsOptions, totalError);
+    }
+
+    if (!isCurrent()) {
+      return;
+    }
+
+    const estimate = total > sampling.scanLimit ? sampling : null;
+
+    countMatching(docsOptions, query, total, (passing) => {
+      if (!savedQuery) {
+        return callback(createCompliance(passing, total, estimate));
+      }
+
+      countMatching(docsOptions, getSideQuery(EXEMPT, query, savedQuery), total, (exempt) => {
+        return callback(createCompliance(passing, total, estimate, exempt));
+      });
+    });
+  });
+};
+
+/**
+ * Get the query of a validator.
+ *
+ * @param {String} validator - The validator.
+ *
+ * @returns {Object} The query.
+ */
+const getQuery = (validator) => {
+  const checkedValidator = checkValidator(validator);
+
+  return checkValidator(checkedValidator.validator).validator;
+};
+
+/**
+ * Get the query of the saved validator, null without one.
+ *
+ * @param {String} savedValidator - The saved validator.
+ *
+ * @returns {Object} The query.
+ */
+const getSavedQuery = (savedValidator) => (savedValidator ? getQuery(savedValidator) : null);
+
+/**
+ * Get the saved validator the failing documents are split by, only when
+ * the validation level is moderate.
+ *
+ * @param {Object} validation - The validation state.
+ *
+ * @returns {String} The saved validator, null when not split.
+ */
+const getSavedValidator = (validation) => {
+  if (!validation || validation.validationLevel !== MODERATE || !validation.prevValidation) {
+    return null;
+  }
+
+  const savedValidator = validation.prevValidation.validator;
+
+  return checkValidator(savedValidator).syntaxError ? null : savedValidator;
+};
+
+/**
+ * Get the query of the documents of a side. With a saved query the failing
+ * documents that pass it are not matching and the others are exempt.
+ *
+ * @param {String} side - The side, matching, notmatching or exempt.
+ * @param {Object} query - The query.
+ * @param {Object} savedQuery - The query of the saved validator, if any.
+ *
+ * @returns {Object} The query.
+ */
+const getSideQuery = (side, query, savedQuery) => {
+  if (side === MATCHING) {
+    return query;
+  }
+
+  if (!savedQuery) {
+    return { '$nor': [ query ] };
+  }
+
+  return side === EXEMPT ?
+    { '$nor': [ query, savedQuery ] } :
+    { '$and': [ { '$nor': [ query ] }, savedQuery ] };
+};
+
+/**
+ * Get the pipeline of a page of a side.
+ *
+ * @param {String} side - The side, matching, notmatching or exempt.
+ * @param {Object} query - The query.
+ * @param {Number} skip - The number of documents already loaded.
+ * @param {Number} limit - The number of documents to load.
+ * @param {Object} savedQuery - The query of the saved validator, if any.
+ *
+ * @returns {Array} The pipeline.
+ */
+const getPagePipeline = (side, query, skip, limit, savedQuery) => [
+  { $match: getSideQuery(side, query, savedQuery) },
+  ...(skip ? [{ $skip: skip }] : []),
+  { $limit: limit }
+];
+
+/**
+ * Get the sampling of the sample documents state.
+ *
+ * @param {Object} sampleDocuments - The sample documents state.
+ *
+ * @returns {Object} The strategy and the number of documents scanned.
+ */
+const getSampling = (sampleDocuments) => ({
+  strategy: sampleDocuments.strategy,
+  scanLimit: sampleDocuments.scanLimit
+});
+
+/**
+ * Count the documents and sample each side with a query for each,
+ * on servers without $facet.
+ *
+ * @param {Object} docsOptions - The namespace, dispatch, data service,
+ * sampling, saved query and if the sample is current.
+ * @param {Object} query - The query.
+ * @param {Number} limit - The number of documents of each side.
+ * @param {Function} callback - Receives the compliance and the documents.
+ */
+const getSeparateSample = (docsOptions, query, limit, callback) => {
+  const savedQuery = docsOptions.savedQuery;
+  const sides = savedQuery ? [MATCHING, NOT_MATCHING, EXEMPT] : [MATCHING, NOT_MATCHING];
+
+  getCompliance(docsOptions, query, (compliance) => {
+    const options = { ...docsOptions, count: compliance.total };
+    const sampleSides = (index, sample) => {
+      if (index === sides.length) {
+        return callback(sample);
+      }
+
+      getSampleDocuments({
+        ...options,
+        pipeline: getPagePipeline(sides[index], query, 0, limit, savedQuery)
+      }, (documents) => sampleSides(index + 1, { ...sample, [sides[index]]: documents }));
+    };
+
+    sampleSides(0, { compliance });
+  });
+};
+
+/**
+ * Get the $facet that counts the scanned and passing documents and samples
+ * each side. With a saved query the exempt documents are counted too.
+ *
+ * @param {Object} query - The query.
+ * @param {Number} limit - The number of documents of each side.
+ * @param {Object} savedQuery - The query of the saved validator, if any.
+ *
+ * @returns {Object} The $facet stage.
+ */
+const getFacetStage = (query, limit, savedQuery) => ({
+  $facet: {
+    scanned: [{ $count: 'count' }],
+    passing: [{ $match: query }, { $count: 'count' }],
+    [MATCHING]: getPagePipeline(MATCHING, query, 0, limit),
+    [NOT_MATCHING]: getPagePipeline(NOT_MATCHING, query, 0, limit, savedQuery),
+    ...(savedQuery ? {
+      exempted: [{ $match: getSideQuery(EXEMPT, query, savedQuery) }, { $count: 'count' }],
+      [EXEMPT]: getPagePipeline(EXEMPT, query, 0, limit, savedQuery)
+    } : {})
+  }
+});
+
+/**
+ * Count the documents and sample each side in a single pass over the
+ * scanned documents with $facet. When every document was scanned their
+ * number is the total, otherwise the total is counted for the estimate.
+ * The $facet result is a single document, when the samples of large
+ * documents exceed its size limit each side is sampled separately.
+ *
+ * @param {Object} docsOptions - The namespace, dispatch, data service,
+ * sampling, saved query and if the sample is current.
+ * @param {Object} query - The query.
+ * @param {Number} limit - The number of documents of each side.
+ * @param {Function} callback - Receives the compliance and the documents.
+ */
+const getFacetedSample = (docsOptions, query, limit, callback) => {
+  const { dataService, namespace, sampling, isCurrent } = docsOptions;
+
+  getSampleDocuments({
+    ...docsOptions,
+    // The scan stages always cap the documents at the scan limit.
+    count: Infinity,
+    fail: (error) => {
+      if (isTooLarge(error) && isCurrent()) {
+        getSeparateSample(docsOptions, query, limit, callback);
+      } else {
+        failSampling(docsOptions, error);
+      }
+    },
+    pipeline: [getFacetStage(query, limit, docsOptions.savedQuery)]
+  }, ([facets]) => {
+    const sample = (total) => {
+      const isEstimate = total > sampling.scanLimit;
+      const estimate = (counts) => (isEstimate ?
+        Math.round(getCount(counts) * total / sampling.scanLimit) :
+        getCount(counts));
+
+      return callback({
+        matching: facets[MATCHING],
+        notmatching: facets[NOT_MATCHING],
+        exempt: facets[EXEMPT],
+        compliance: createCompliance(
+          estimate(facets.passing),
+          total,
+          isEstimate ? sampling : null,
+          facets.exempted && estimate(facets.exempted)
+        )
+      });
+    };
+    const scanned = getCount(facets.scanned);
+
+    if (scanned < sampling.scanLimit) {
+      return sample(scanned);
+    }
+
+    dataService.count(namespace, {}, { maxTimeMS: MAX_TIME_MS }, (totalError, total) => {
+      if (totalError) {
+        return failSampling(docsOptions, totalError);
+      }
+
+      if (isCurrent()) {
+        return sample(total);
+      }
+    });
+  });
+};
+
+/**
+ * Check if a side has a document after the shown one, loaded or not.
+ *
+ * @param {Object} sampleDocuments - The sample documents state.
+ * @param {String} side - The side, matching or notmatching.
+ *
+ * @returns {Boolean} If there is a next document.
+ */
+export const hasNextDocument = (sampleDocuments, side) => {
+  const current = sampleDocuments[side];
+
+  return current.index < current.documents.length - 1 ||
+    (!current.isComplete && current.documents.length < sampleDocuments.sampleSize);
+};
+
 /**
  * Fetch sample documents.
  *
@@ -160,44 +939,174 @@ export const fetchSampleDocuments = (validator, error) => {
     const state = getState();
     const dataService = state.dataService.dataService;
     const namespace = state.namespace.ns;
-    const checkedValidator = checkValidator(validator);
-    const query = checkValidator(checkedValidator.validator).validator;
-    const pipeline = [{ $match: query }, { $limit: 1 }];
+    const requestId = state.sampleDocuments.requestId;
+    // Only the results of the latest sample are shown.
+    const isCurrent = () => getState().sampleDocuments.requestId === requestId;
+    const query = getQuery(validator);
+    const sampling = getSampling(state.sampleDocuments);
+    const savedValidator = getSavedValidator(state.validation);
+    const savedQuery = getSavedQuery(savedValidator);
+    // Random samples differ each time, so they are not loaded page by page.
+    const limit = sampling.strategy === RANDOM ?
+      state.sampleDocuments.sampleSize :
+      Math.min(PAGE_SIZE, state.sampleDocuments.sampleSize);
+    // Servers without $facet count and sample each side separately.
+    const getSample = isOlder(state.serverVersion, FACET_VERSION) ? getSeparateSample : getFacetedSample;
 
     if (dataService) {
-      dataService.count(namespace, query, {}, (countError, count) => {
-        if (countError) {
-          setZeroDocuments(dispatch);
-          setSyntaxError(dispatch, countError);
+      const docsOptions = { namespace, dispatch, dataService, sampling, savedQuery, isCurrent };
 
-          return;
-        }
-
-        const docsOptions = {
-          pipeline,
-          namespace,
-          dispatch,
-          dataService,
-          count
-        };
-
-        getSampleDocuments(docsOptions, (matching) => {
-          docsOptions.pipeline = [
-            { $match: { '$nor': [ query ] } },
-            { $limit: 1 }
-          ];
-          getSampleDocuments(docsOptions, (notmatching) => {
-            return dispatch(sampleDocumentsFetched({
-              matching: matching[0],
-              notmatching: notmatching[0]
-            }));
-          });
-        });
+      getSample(docsOptions, query, limit, (sample) => {
+        return dispatch(sampleDocumentsFetched({
+          ...sample,
+          validator,
+          savedValidator,
+          strategy: sampling.strategy,
+          count: sample.compliance.total,
+          limit
+        }));
       });
     }
   };
 };
 
+/**
+ * Show another document of a side, the next documents are loaded when the
+ * loaded ones were all shown.
+ *
+ * @param {String} side - The side, matching or notmatching.
+ * @param {Number} index - The index of the document.
+ *
+ * @returns {Function} The function.
+ */
+export const changeSamplePage = (side, index) => {
+  return (dispatch, getState) => {
+    const state = getState();
+    const dataService = state.dataService.dataService;
+    const sampleDocuments = state.sampleDocuments;
+    const current = sampleDocuments[side];
+
+    if (index < current.documents.length) {
+      return dispatch(samplePageChanged(side, index));
+    }
+
+    if (!dataService || current.isLoading || !hasNextDocument(sampleDocuments, side)) {
+      return;
+    }
+
+    const limit = Math.min(PAGE_SIZE, sampleDocuments.sampleSize - current.documents.length);
+
+    dispatch(loadingSamplePage(side));
+
+    getSampleDocuments({
+      pipeline: getPagePipeline(
+        side,
+        getQuery(sampleDocuments.validator),
+        current.documents.length,
+        limit,
+        getSavedQuery(sampleDocuments.savedValidator)
+      ),
+      namespace: state.namespace.ns,
+      dispatch,
+      dataService,
+      sampling: getSampling(sampleDocuments),
+      // A new sample replaces the one the page belongs to.
+      isCurrent: () => getState().sampleDocuments.requestId === sampleDocuments.requestId &&
+        getState().sampleDocuments[side].documents === current.documents,
+      count: sampleDocuments.count
+    }, (documents) => dispatch(samplePageFetched(side, documents, limit)));
+  };
+};
+
+/**
+ * Change a sampling option and sample the documents again.
+ *
+ * @param {Object} action - The action that changes the option.
+ *
+ * @returns {Function} The function.
+ */
+const resample = (action) => {
+  return (dispatch, getState) => {
+    const validator = getState().sampleDocuments.validator;
+
+    dispatch(action);
+
+    if (validator) {
+      dispatch(fetchSampleDocuments(validator));
+    }
+  };
+};
+
+/**
+ * Change the number of documents of each side and sample them again.
+ *
+ * @param {Number} sampleSize - The number of documents of each side.
+ *
+ * @returns {Function} The function.
+ */
+export const changeSampleSize = (sampleSize) => resample(sampleSizeChanged(Number(sampleSize)));
+
+/**
+ * Change the sampling strategy and sample the documents again.
+ *
+ * @param {String} strategy - The sampling strategy.
+ *
+ * @returns {Function} The function.
+ */
+export const changeSamplingStrategy = (strategy) => resample(samplingStrategyChanged(strategy));
+
+/**
+ * Change the number of documents scanned and sample the documents again.
+ *
+ * @param {Number} scanLimit - The number of documents scanned.
+ *
+ * @returns {Function} The function.
+ */
+export const changeScanLimit = (scanLimit) => resample(scanLimitChanged(Number(scanLimit)));
+
+/**
+ * Read the sampling options of the plugin, the values that cannot be picked
+ * in the sampling menu fall back to the defaults.
+ *
+ * @param {Object} options - The plugin options.
+ *
+ * @returns {Object} The strategy, sample size and scan limit.
+ */
+export const readSamplingOptions = (options) => {
+  const sampleSize = Number(options.sampleSize);
+  const scanLimit = Number(options.scanLimit);
+
+  return {
+    strategy: SAMPLING_STRATEGIES.hasOwnProperty(options.samplingStrategy) ?
+      options.samplingStrategy : INITIAL_STATE.strategy,
+    sampleSize: SAMPLE_SIZES.indexOf(sampleSize) > -1 ? sampleSize : INITIAL_STATE.sampleSize,
+    scanLimit: SCAN_LIMITS.indexOf(scanLimit) > -1 ? scanLimit : INITIAL_STATE.scanLimit
+  };
+};
+
+/**
+ * Stop waiting for the running sample. The server stops its queries when
+ * they reach their time limit, their results are ignored.
+ *
+ * @returns {Function} The function.
+ */
+export const cancelSampling = () => {
+  return (dispatch, getState) => {
+    if (getState().sampleDocuments.isLoading) {
+      dispatch(samplingCancelled());
+    }
+  };
+};
+
+/**
+ * Sample the documents of the validator in the editor again.
+ *
+ * @returns {Function} The function.
+ */
+export const resampleDocuments = () => {
+  return (dispatch, getState) => dispatch(fetchSampleDocuments(getState().validation.validator));
+};
+
 /**
  * Reducer function for handle state changes to status.
  *
@@ -1,9 +1,42 @@
 import reducer, {
   loadingSampleDocuments,
-  LOADING_SAMPLE_DOCUMENTS
+  sampleDocumentsFetched,
+  samplePageFetched,
+  samplePageChanged,
+  sampleSizeChanged,
+  samplingStrategyChanged,
+  scanLimitChanged,
+  loadingSamplePage,
+  changeSamplePage,
+  fetchSampleDocuments,
+  cancelSampling,
+  resampleDocuments,
+  readSamplingOptions,
+  hasNextDocument,
+  INITIAL_STATE,
+  MAX_TIME_MS,
+  MATCHING,
+  NOT_MATCHING,
+  EXEMPT,
+  NATURAL,
+  RANDOM,
+  NEWEST,
+  LOADING_SAMPLE_DOCUMENTS,
+  SAMPLE_DOCUMENTS_FETCHED,
+  SAMPLE_PAGE_FETCHED,
+  SAMPLING_CANCELLED,
+  SAMPLING_TIMED_OUT
 } from 'modules/sample-documents';
 
 describe('sample-documents module', () => {
+  const fetched = reducer(undefined, sampleDocumentsFetched({
+    matching: [{ _id: 1 }, { _id: 2 }],
+    notmatching: [{ _id: 3 }],
+    validator: '{ a: 1 }',
+    count: 2,
+    limit: 2
+  }));
+
   describe('#loadingSampleDocuments', () => {
     it('returns the LOADING_SAMPLE_DOCUMENTS action', () => {
       expect(loadingSampleDocuments()).to.deep.equal({
@@ -12,12 +45,559 @@ describe('sample-documents module', () => {
     });
   });
 
+  describe('#samplePageFetched', () => {
+    it('returns the SAMPLE_PAGE_FETCHED action', () => {
+      expect(samplePageFetched(MATCHING, [], 5)).to.deep.equal({
+        type: SAMPLE_PAGE_FETCHED,
+        side: MATCHING,
+        documents: [],
+        limit: 5
+      });
+    });
+  });
+
+  describe('#hasNextDocument', () => {
+    it('returns true when more documents can be loaded', () => {
+      expect(hasNextDocument(fetched, MATCHING)).to.equal(true);
+    });
+
+    it('returns false when the side has no more documents', () => {
+      expect(hasNextDocument(fetched, NOT_MATCHING)).to.equal(false);
+    });
+
+    it('returns false at the sample size', () => {
+      const sampleDocuments = reducer({ ...fetched, sampleSize: 2 }, samplePageChanged(MATCHING, 1));
+
+      expect(hasNextDocument(sampleDocuments, MATCHING)).to.equal(false);
+    });
+  });
+
+  describe('#readSamplingOptions', () => {
+    it('reads the sizes the sampling menu offers', () => {
+      expect(readSamplingOptions({ samplingStrategy: RANDOM, sampleSize: '5', scanLimit: 1000 })).
+        to.deep.equal({ strategy: RANDOM, sampleSize: 5, scanLimit: 1000 });
+    });
+
+    it('falls back to the defaults', () => {
+      expect(readSamplingOptions({ samplingStrategy: 'toString', sampleSize: 0 })).to.deep.equal({
+        strategy: INITIAL_STATE.strategy,
+        sampleSize: INITIAL_STATE.sampleSize,
+        scanLimit: INITIAL_STATE.scanLimit
+      });
+    });
+  });
+
+  describe('#changeSamplePage', () => {
+    const cursor = {
+      toArray: (callback) => callback(null, [{ _id: 4 }]),
+      close: () => {}
+    };
+    let dataService;
+    let dispatch;
+
+    beforeEach(() => {
+      dataService = { aggregate: sinon.stub().yields(null, cursor) };
+      dispatch = sinon.spy();
+    });
+
+    it('shows a loaded document', () => {
+      changeSamplePage(MATCHING, 1)(dispatch, () => ({
+        dataService: { dataService },
+        namespace: { ns: 'db.coll' },
+        sampleDocuments: fetched
+      }));
+
+      expect(dispatch).to.have.been.calledWith(samplePageChanged(MATCHING, 1));
+      expect(dataService.aggregate).to.not.have.been.called;
+    });
+
+    it('loads the next documents after the loaded ones', () => {
+      const state = {
+        dataService: { dataService },
+        namespace: { ns: 'db.coll' },
+        sampleDocuments: fetched
+      };
+
+      changeSamplePage(MATCHING, 2)(dispatch, () => state);
+
+      expect(dataService.aggregate.firstCall.args[1]).to.deep.equal([
+        { $match: { a: 1 } },
+        { $skip: 2 },
+        { $limit: 5 }
+      ]);
+      expect(dispatch).to.have.been.calledWith(loadingSamplePage(MATCHING));
+      expect(dispatch).to.have.been.calledWith(samplePageFetched(MATCHING, [{ _id: 4 }], 5));
+    });
+  });
+
+  describe('#fetchSampleDocuments', () => {
+    let dispatch;
+    let dataService;
+    let facets;
+
+    /**
+     * Fetch the samples of a collection with the sampling options.
+     *
+     * @param {Object} sampling - The sampling options of the state.
+     * @param {Object} validation - The validation state.
+     *
+     * @returns {Object} The fetched action.
+     */
+    const fetch = (sampling, validation) => {
+      const cursor = {
+        toArray: (callback) => callback(null, [facets]),
+        close: () => {}
+      };
+
+      dataService.aggregate = sinon.stub().yields(null, cursor);
+      fetchSampleDocuments('{ a: 1 }')(dispatch, () => ({
+        dataService: { dataService },
+        namespace: { ns: 'db.coll' },
+        serverVersion: '3.4.0',
+        validation,
+        sampleDocuments: { ...INITIAL_STATE, ...sampling }
+      }));
+
+      return dispatch.lastCall.args[0];
+    };
+
+    beforeEach(() => {
+      dispatch = sinon.spy();
+      dataService = { count: sinon.stub().yields(null, 400000) };
+      facets = {
+        scanned: [{ count: 4 }],
+        passing: [{ count: 3 }],
+        matching: [{ _id: 1 }],
+        notmatching: [{ _id: 2 }]
+      };
+    });
+
+    it('counts and samples both sides in a single aggregation', () => {
+      const action = fetch();
+
+      expect(dataService.aggregate).to.have.been.calledOnce;
+      expect(dataService.aggregate.firstCall.args[1]).to.deep.equal([
+        { $limit: 100000 },
+        {
+          $facet: {
+            scanned: [{ $count: 'count' }],
+            passing: [{ $match: { a: 1 } }, { $count: 'count' }],
+            matching: [{ $match: { a: 1 } }, { $limit: 5 }],
+            notmatching: [{ $match: { $nor: [{ a: 1 }] } }, { $limit: 5 }]
+          }
+        }
+      ]);
+      expect(dataService.count).to.not.have.been.called;
+      expect(action.matching).to.deep.equal([{ _id: 1 }]);
+      expect(action.notmatching).to.deep.equal([{ _id: 2 }]);
+      expect(action.compliance).to.deep.equal({
+        passing: 3,
+        failing: 1,
+        total: 4,
+        isEstimate: false
+      });
+    });
+
+    it('counts the collection to estimate the compliance when the scan limit is reached', () => {
+      facets.scanned = [{ count: 1000 }];
+      facets.passing = [{ count: 500 }];
+
+      const compliance = fetch({ strategy: RANDOM, scanLimit: 1000 }).compliance;
+
+      expect(dataService.aggregate.firstCall.args[1][0]).to.deep.equal({ $sample: { size: 1000 } });
+      expect(dataService.count.firstCall.args[1]).to.deep.equal({});
+      expect(compliance).to.deep.equal({
+        passing: 200000,
+        failing: 200000,
+        total: 400000,
+        isEstimate: true,
+        strategy: RANDOM,
+        scanned: 1000
+      });
+    });
+
+    it('samples each side separately when the $facet result is too large', () => {
+      const cursor = { toArray: sinon.stub(), close: () => {} };
+
+      cursor.toArray.yields(null, [{ _id: 1 }]);
+      cursor.toArray.onFirstCall().yields({ code: 10334, codeName: 'BSONObjectTooLarge' });
+      dataService.count = sinon.stub().yields(null, 4);
+      dataService.aggregate = sinon.stub().yields(null, cursor);
+      fetchSampleDocuments('{ a: 1 }')(dispatch, () => ({
+        dataService: { dataService },
+        namespace: { ns: 'db.coll' },
+        serverVersion: '3.4.0',
+        sampleDocuments: INITIAL_STATE
+      }));
+
+      expect(dataService.aggregate).to.have.been.calledThrice;
+      expect(dispatch.args.map((args) => args[0].type)).to.deep.equal([
+        LOADING_SAMPLE_DOCUMENTS,
+        SAMPLE_DOCUMENTS_FETCHED
+      ]);
+      expect(dispatch.lastCall.args[0].notmatching).to.deep.equal([{ _id: 1 }]);
+    });
+
+    it('separates the exempt documents with validationLevel moderate', () => {
+      facets.exempted = [{ count: 1 }];
+      facets.exempt = [{ _id: 3 }];
+
+      const action = fetch({}, { validationLevel: 'moderate', prevValidation: { validator: '{ b: 1 }' } });
+      const facet = dataService.aggregate.firstCall.args[1][1].$facet;
+
+      expect(facet.notmatching[0]).to.deep.equal({ $match: { $and: [{ $nor: [{ a: 1 }] }, { b: 1 }] } });
+      expect(facet.exempted[0]).to.deep.equal({ $match: { $nor: [{ a: 1 }, { b: 1 }] } });
+      expect(action.savedValidator).to.equal('{ b: 1 }');
+      expect(action.exempt).to.deep.equal([{ _id: 3 }]);
+      expect(action.compliance.exempt).to.equal(1);
+    });
+
+    it('exempts no documents without a prior validator', () => {
+      facets.exempted = [];
+      facets.exempt = [];
+
+      const action = fetch({}, { validationLevel: 'moderate', prevValidation: { validator: '{}' } });
+      const facet = dataService.aggregate.firstCall.args[1][1].$facet;
+
+      expect(facet.exempted[0]).to.deep.equal({ $match: { $nor: [{ a: 1 }, {}] } });
+      expect(action.notmatching).to.deep.equal([{ _id: 2 }]);
+      expect(action.compliance.exempt).to.equal(0);
+    });
+
+    it('samples the exempt documents separately when the $facet result is too large', () => {
+      const cursor = { toArray: sinon.stub(), close: () => {} };
+
+      cursor.toArray.yields(null, [{ _id: 1 }]);
+      cursor.toArray.onFirstCall().yields({ code: 10334, codeName: 'BSONObjectTooLarge' });
+      dataService.count = sinon.stub().yields(null, 4);
+      dataService.count.onSecondCall().yields(null, 1);
+      dataService.count.onThirdCall().yields(null, 2);
+      dataService.aggregate = sinon.stub().yields(null, cursor);
+      fetchSampleDocuments('{ a: 1 }')(dispatch, () => ({
+        dataService: { dataService },
+        namespace: { ns: 'db.coll' },
+        serverVersion: '3.4.0',
+        validation: { validationLevel: 'moderate', prevValidation: { validator: '{ b: 1 }' } },
+        sampleDocuments: INITIAL_STATE
+      }));
+
+      expect(dataService.aggregate.callCount).to.equal(4);
+      expect(dataService.count.lastCall.args[1]).to.deep.equal({ $nor: [{ a: 1 }, { b: 1 }] });
+      expect(dispatch.lastCall.args[0].exempt).to.deep.equal([{ _id: 1 }]);
+      expect(dispatch.lastCall.args[0].compliance).to.include({ passing: 1, failing: 3, exempt: 2 });
+    });
+
+    it('does not separate the exempt documents with other levels', () => {
+      const action = fetch({}, { validationLevel: 'strict', prevValidation: { validator: '{ b: 1 }' } });
+
+      expect(dataService.aggregate.firstCall.args[1][1].$facet.exempted).to.equal(undefined);
+      expect(action.savedValidator).to.equal(null);
+      expect(action.compliance.exempt).to.equal(undefined);
+    });
+
+    it('counts no documents in an empty collection', () => {
+      facets = { scanned: [], passing: [], matching: [], notmatching: [] };
+
+      expect(fetch().compliance.total).to.equal(0);
+    });
+  });
+
+  describe('#fetchSampleDocuments on servers without $facet', () => {
+    /**
+     * Fetch the samples of a collection.
+     *
+     * @param {Number} total - The number of documents.
+     * @param {Array} documents - The documents every aggregation returns.
+     * @param {Object} sampling - The sampling options of the state.
+     *
+     * @returns {Object} The fetched action and the aggregated pipelines.
+     */
+    const sample = (total, documents, sampling) => {
+      const dispatch = sinon.spy();
+      const cursor = {
+        toArray: (callback) => callback(null, documents),
+        close: () => {}
+      };
+      const dataService = {
+        count: (ns, query, options, callback) => callback(null, Object.keys(query).length ? 3 : total),
+        aggregate: sinon.stub().yields(null, cursor)
+      };
+
+      fetchSampleDocuments('{ a: 1 }')(dispatch, () => ({
+        dataService: { dataService },
+        namespace: { ns: 'db.coll' },
+        serverVersion: '3.2.0',
+        sampleDocuments: { ...INITIAL_STATE, ...sampling }
+      }));
+
+      return {
+        action: dispatch.lastCall.args[0],
+        pipelines: dataService.aggregate.args.map((args) => args[1]),
+        dataService
+      };
+    };
+
+    /**
+     * Fetch the samples of a collection.
+     *
+     * @param {Number} total - The number of documents.
+     * @param {Array} documents - The documents every aggregation returns.
+     *
+     * @returns {Object} The fetched action.
+     */
+    const fetch = (total, documents) => sample(total, documents).action;
+
+    it('counts the passing and failing documents', () => {
+      expect(fetch(4, []).compliance).to.deep.equal({
+        passing: 3,
+        failing: 1,
+        total: 4,
+        isEstimate: false
+      });
+    });
+
+    it('estimates the compliance of collections over the max limit', () => {
+      expect(fetch(400000, [{ count: 25000 }]).compliance).to.deep.equal({
+        passing: 100000,
+        failing: 300000,
+        total: 400000,
+        isEstimate: true,
+        strategy: NATURAL,
+        scanned: 100000
+      });
+    });
+
+    it('estimates the compliance from the scan limit', () => {
+      const compliance = sample(400000, [{ count: 500 }], { scanLimit: 1000 }).action.compliance;
+
+      expect(compliance.passing).to.equal(200000);
+      expect(compliance.scanned).to.equal(1000);
+    });
+
+    it('samples the first documents in natural order', () => {
+      expect(sample(400000, [], { scanLimit: 1000 }).pipelines[1]).to.deep.equal([
+        { $limit: 1000 },
+        { $match: { a: 1 } },
+        { $limit: 5 }
+      ]);
+      expect(sample(4, []).pipelines[0]).to.deep.equal([{ $match: { a: 1 } }, { $limit: 5 }]);
+    });
+
+    it('samples the newest documents by _id', () => {
+      expect(sample(4, [], { strategy: NEWEST }).pipelines[0]).to.deep.equal([
+        { $sort: { _id: -1 } },
+        { $match: { a: 1 } },
+        { $limit: 5 }
+      ]);
+    });
+
+    it('counts and samples the exempt documents with validationLevel moderate', () => {
+      const dispatch = sinon.spy();
+      const cursor = { toArray: (callback) => callback(null, [{ _id: 1 }]), close: () => {} };
+      const dataService = {
+        count: (ns, query, options, callback) => callback(null, query.$nor ? 1 : 4),
+        aggregate: sinon.stub().yields(null, cursor)
+      };
+
+      fetchSampleDocuments('{ a: 1 }')(dispatch, () => ({
+        dataService: { dataService },
+        namespace: { ns: 'db.coll' },
+        serverVersion: '3.2.0',
+        validation: { validationLevel: 'moderate', prevValidation: { validator: '{ b: 1 }' } },
+        sampleDocuments: INITIAL_STATE
+      }));
+
+      expect(dataService.aggregate.args.map((args) => args[1][0].$match)).to.deep.equal([
+        { a: 1 },
+        { $and: [{ $nor: [{ a: 1 }] }, { b: 1 }] },
+        { $nor: [{ a: 1 }, { b: 1 }] }
+      ]);
+      expect(dispatch.lastCall.args[0].exempt).to.deep.equal([{ _id: 1 }]);
+      expect(dispatch.lastCall.args[0].compliance.exempt).to.equal(0);
+    });
+
+    it('samples random documents of each side at once', () => {
+      const sampled = sample(400000, [], { strategy: RANDOM, scanLimit: 1000 });
+
+      expect(sampled.pipelines[1]).to.deep.equal([
+        { $sample: { size: 1000 } },
+        { $match: { a: 1 } },
+        { $limit: 10 }
+      ]);
+      expect(sampled.action.strategy).to.equal(RANDOM);
+      expect(sampled.action.compliance.strategy).to.equal(RANDOM);
+    });
+
+    it('limits the time of the aggregations', () => {
+      const dataService = sample(4, []).dataService;
+
+      expect(dataService.aggregate.args[0][2].maxTimeMS).to.equal(MAX_TIME_MS);
+    });
+  });
+
+  describe('when the validator changes while sampling', () => {
+    let state;
+    let dispatched;
+    let dataService;
+    let cursor;
+
+    /**
+     * Dispatch an action to the sample documents state.
+     *
+     * @param {Object} action - The action.
+     */
+    const dispatch = (action) => {
+      dispatched.push(action);
+      state.sampleDocuments = reducer(state.sampleDocuments, action);
+    };
+
+    beforeEach(() => {
+      cursor = {
+        toArray: sinon.stub().yields(null, [{ _id: 1 }]),
+        close: sinon.spy()
+      };
+      dataService = { count: sinon.stub(), aggregate: sinon.stub() };
+      dispatched = [];
+      state = {
+        dataService: { dataService },
+        namespace: { ns: 'db.coll' },
+        serverVersion: '3.2.0',
+        sampleDocuments: INITIAL_STATE
+      };
+    });
+
+    it('ignores the results of the superseded sample', () => {
+      dataService.aggregate.yields(null, cursor);
+      fetchSampleDocuments('{ a: 1 }')(dispatch, () => state);
+      fetchSampleDocuments('{ b: 1 }')(dispatch, () => state);
+
+      dataService.count.getCall(1).args[3](null, 4);
+      dataService.count.getCall(2).args[3](null, 3);
+      dataService.count.getCall(0).args[3](null, 4);
+
+      expect(dataService.count).to.have.been.calledThrice;
+      expect(dispatched.filter((action) => action.type === SAMPLE_DOCUMENTS_FETCHED)).to.have.length(1);
+      expect(state.sampleDocuments.validator).to.equal('{ b: 1 }');
+      expect(state.sampleDocuments.isLoading).to.equal(false);
+    });
+
+    it('keeps loading until the latest sample is fetched', () => {
+      fetchSampleDocuments('{ a: 1 }')(dispatch, () => state);
+      fetchSampleDocuments('{ b: 1 }')(dispatch, () => state);
+
+      dataService.count.getCall(0).args[3](null, 4);
+
+      expect(state.sampleDocuments.isLoading).to.equal(true);
+    });
+
+    it('closes the cursors of the superseded sample without reading them', () => {
+      dataService.count.yields(null, 4);
+      fetchSampleDocuments('{ a: 1 }')(dispatch, () => state);
+      fetchSampleDocuments('{ b: 1 }')(dispatch, () => state);
+
+      dataService.aggregate.getCall(0).args[3](null, cursor);
+
+      expect(cursor.close).to.have.been.calledOnce;
+      expect(cursor.toArray).to.not.have.been.called;
+    });
+
+    it('ignores the errors of the superseded sample', () => {
+      fetchSampleDocuments('{ a: 1 }')(dispatch, () => state);
+      fetchSampleDocuments('{ b: 1 }')(dispatch, () => state);
+
+      dataService.count.getCall(0).args[3](new Error('timeout'));
+
+      expect(dispatched.map((action) => action.type)).to.deep.equal([
+        LOADING_SAMPLE_DOCUMENTS,
+        LOADING_SAMPLE_DOCUMENTS
+      ]);
+    });
+  });
+
+  describe('when sampling is interrupted', () => {
+    let state;
+    let dispatched;
+    let dataService;
+
+    /**
+     * Dispatch an action, or a thunk, to the sample documents state.
+     *
+     * @param {Object|Function} action - The action.
+     */
+    const dispatch = (action) => {
+      if (typeof action === 'function') {
+        action(dispatch, () => state);
+      } else {
+        dispatched.push(action);
+        state.sampleDocuments = reducer(state.sampleDocuments, action);
+      }
+    };
+
+    beforeEach(() => {
+      dataService = { count: sinon.stub(), aggregate: sinon.stub() };
+      dispatched = [];
+      state = {
+        dataService: { dataService },
+        namespace: { ns: 'db.coll' },
+        serverVersion: '3.2.0',
+        validation: { validator: '{ b: 1 }' },
+        sampleDocuments: INITIAL_STATE
+      };
+    });
+
+    it('passes the time limit to the counts', () => {
+      dispatch(fetchSampleDocuments('{ a: 1 }'));
+
+      expect(dataService.count.args[0][2]).to.deep.equal({ maxTimeMS: MAX_TIME_MS });
+    });
+
+    it('reports a timeout instead of a syntax error', () => {
+      dispatch(fetchSampleDocuments('{ a: 1 }'));
+      dataService.count.getCall(0).args[3]({ code: 50, message: 'operation exceeded time limit' });
+
+      expect(dispatched.map((action) => action.type)).to.deep.equal([
+        LOADING_SAMPLE_DOCUMENTS,
+        SAMPLING_TIMED_OUT
+      ]);
+      expect(state.sampleDocuments.isTimedOut).to.equal(true);
+      expect(state.sampleDocuments.isLoading).to.equal(false);
+    });
+
+    it('ignores the results of a cancelled sample', () => {
+      dispatch(fetchSampleDocuments('{ a: 1 }'));
+      dispatch(cancelSampling());
+      dataService.count.getCall(0).args[3](null, 4);
+
+      expect(dispatched.map((action) => action.type)).to.deep.equal([
+        LOADING_SAMPLE_DOCUMENTS,
+        SAMPLING_CANCELLED
+      ]);
+      expect(state.sampleDocuments.isCancelled).to.equal(true);
+      expect(state.sampleDocuments.isLoading).to.equal(false);
+    });
+
+    it('does not cancel when nothing is sampled', () => {
+      dispatch(cancelSampling());
+
+      expect(dispatched).to.deep.equal([]);
+    });
+
+    it('samples the validator in the editor again', () => {
+      dispatch(fetchSampleDocuments('{ a: 1 }'));
+      dispatch(cancelSampling());
+      dispatch(resampleDocuments());
+      dataService.count.getCall(1).args[3](null, 4);
+      dataService.count.getCall(2).args[3](null, 3);
+
+      expect(dataService.count.getCall(2).args[1]).to.deep.equal({ b: 1 });
+      expect(state.sampleDocuments.isCancelled).to.equal(false);
+    });
+  });
+
   describe('#reducer', () => {
     context('when the action is not presented in sample-documents module', () => {
       it('returns the default state', () => {
-        expect(reducer(undefined, { type: 'test' })).to.deep.equal({
-          isLoading: false
-        });
+        expect(reducer(undefined, { type: 'test' })).to.deep.equal(INITIAL_STATE);
       });
     });
 
@@ -28,5 +608,67 @@ describe('sample-documents module', () => {
         expect(sampleDocuments.isLoading).to.equal(true);
       });
     });
+
+    context('when the action is sampleDocumentsFetched', () => {
+      it('shows the first document of each side', () => {
+        expect(fetched.matching).to.deep.equal({
+          documents: [{ _id: 1 }, { _id: 2 }],
+          index: 0,
+          isComplete: false,
+          isLoading: false
+        });
+        expect(fetched.notmatching.isComplete).to.equal(true);
+        expect(fetched.validator).to.equal('{ a: 1 }');
+      });
+
+      it('keeps the exempt documents and the saved validator', () => {
+        const sampleDocuments = reducer(undefined, sampleDocumentsFetched({
+          matching: [],
+          notmatching: [],
+          exempt: [{ _id: 4 }],
+          validator: '{ a: 1 }',
+          savedValidator: '{ b: 1 }',
+          limit: 5
+        }));
+
+        expect(sampleDocuments[EXEMPT].documents).to.deep.equal([{ _id: 4 }]);
+        expect(sampleDocuments.savedValidator).to.equal('{ b: 1 }');
+        expect(fetched[EXEMPT]).to.deep.equal(INITIAL_STATE[EXEMPT]);
+      });
+    });
+
+    context('when the action is samplePageFetched', () => {
+      it('adds the documents and shows the first of them', () => {
+        const sampleDocuments = reducer(fetched, samplePageFetched(MATCHING, [{ _id: 4 }], 5));
+
+        expect(sampleDocuments.matching.documents).to.have.length(3);
+        expect(sampleDocuments.matching.index).to.equal(2);
+        expect(sampleDocuments.matching.isComplete).to.equal(true);
+      });
+    });
+
+    context('when the action is samplePageChanged', () => {
+      it('returns the new state', () => {
+        expect(reducer(fetched, samplePageChanged(MATCHING, 1)).matching.index).to.equal(1);
+      });
+    });
+
+    context('when the action is sampleSizeChanged', () => {
+      it('returns the new state', () => {
+        expect(reducer(fetched, sampleSizeChanged(20)).sampleSize).to.equal(20);
+      });
+    });
+
+    context('when the action is samplingStrategyChanged', () => {
+      it('returns the new state', () => {
+        expect(reducer(fetched, samplingStrategyChanged(RANDOM)).strategy).to.equal(RANDOM);
+      });
+    });
+
+    context('when the action is scanLimitChanged', () => {
+      it('returns the new state', () => {
+        expect(reducer(fetched, scanLimitChanged(1000)).scanLimit).to.equal(1000);
+      });
+    });
   });
 });
@@ -0,0 +1,24 @@
+import { FIELDS_CHANGED } from './fields';
+
+/**
+ * The initial state.
+ */
+export const INITIAL_STATE = {};
+
+/**
+ * Reducer function for handle state changes to sampled fields. Keeps the
+ * sampled fields keyed by path, as received in the fields changed event,
+ * for the features that need the types and nesting.
+ *
+ * @param {Object} state - The sampled fields state.
+ * @param {Object} action - The action.
+ *
+ * @returns {Object} The new state.
+ */
+export default function reducer(state = INITIAL_STATE, action) {
+  if (action.type === FIELDS_CHANGED) {
+    return action.fields || INITIAL_STATE;
+  }
+
+  return state;
+}
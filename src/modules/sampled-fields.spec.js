@@ -0,0 +1,20 @@
+import reducer from 'modules/sampled-fields';
+import { fieldsChanged } from 'modules/fields';
+
+describe('sampled fields module', () => {
+  describe('#reducer', () => {
+    context('when the action is not fields changed', () => {
+      it('returns the default state', () => {
+        expect(reducer(undefined, { type: 'test' })).to.deep.equal({});
+      });
+    });
+
+    context('when the action is fields changed', () => {
+      const fields = { _id: { name: '_id', path: '_id', count: 1, type: 'ObjectID' } };
+
+      it('returns the sampled fields', () => {
+        expect(reducer(undefined, fieldsChanged(fields))).to.deep.equal(fields);
+      });
+    });
+  });
+});
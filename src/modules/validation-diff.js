@@ -0,0 +1,61 @@
+/**
+ * The module action prefix.
+ */
+const PREFIX = 'validation/validation-diff';
+
+/**
+ * Validation diff opened action name.
+ */
+export const VALIDATION_DIFF_OPENED = `${PREFIX}/VALIDATION_DIFF_OPENED`;
+
+/**
+ * Validation diff closed action name.
+ */
+export const VALIDATION_DIFF_CLOSED = `${PREFIX}/VALIDATION_DIFF_CLOSED`;
+
+/**
+ * The initial state.
+ */
+export const INITIAL_STATE = {
+  isVisible: false,
+  isConfirming: false
+};
+
+/**
+ * Reducer function for handle state changes to the validation diff.
+ *
+ * @param {Object} state - The validation diff state.
+ * @param {Object} action - The action.
+ *
+ * @returns {Object} The new state.
+ */
+export default function reducer(state = INITIAL_STATE, action) {
+  if (action.type === VALIDATION_DIFF_OPENED) {
+    return { isVisible: true, isConfirming: action.isConfirming };
+  }
+
+  if (action.type === VALIDATION_DIFF_CLOSED) {
+    return INITIAL_STATE;
+  }
+
+  return state;
+}
+
+/**
+ * Action creator for validation diff opened events.
+ *
+ * @param {Boolean} isConfirming - If the diff confirms an update.
+ *
+ * @returns {Object} The validation diff opened action.
+ */
+export const validationDiffOpened = (isConfirming = false) => ({
+  type: VALIDATION_DIFF_OPENED,
+  isConfirming
+});
+
+/**
+ * Action creator for validation diff closed events.
+ *
+ * @returns {Object} The validation diff closed action.
+ */
+export const validationDiffClosed = () => ({ type: VALIDATION_DIFF_CLOSED });
@@ -0,0 +1,56 @@
+import reducer, {
+  validationDiffOpened,
+  validationDiffClosed,
+  VALIDATION_DIFF_OPENED,
+  VALIDATION_DIFF_CLOSED
+} from 'modules/validation-diff';
+
+describe('validation-diff module', () => {
+  describe('#validationDiffOpened', () => {
+    it('returns the VALIDATION_DIFF_OPENED action', () => {
+      expect(validationDiffOpened(true)).to.deep.equal({
+        type: VALIDATION_DIFF_OPENED,
+        isConfirming: true
+      });
+    });
+  });
+
+  describe('#validationDiffClosed', () => {
+    it('returns the VALIDATION_DIFF_CLOSED action', () => {
+      expect(validationDiffClosed()).to.deep.equal({
+        type: VALIDATION_DIFF_CLOSED
+      });
+    });
+  });
+
+  describe('#reducer', () => {
+    context('when the action is not presented in validation-diff module', () => {
+      it('returns the default state', () => {
+        expect(reducer(undefined, { type: 'test' })).to.deep.equal({
+          isVisible: false,
+          isConfirming: false
+        });
+      });
+    });
+
+    context('when the action is validationDiffOpened', () => {
+      it('returns the new state', () => {
+        expect(reducer(undefined, validationDiffOpened(true))).to.deep.equal({
+          isVisible: true,
+          isConfirming: true
+        });
+      });
+    });
+
+    context('when the action is validationDiffClosed', () => {
+      it('returns the default state', () => {
+        const state = reducer(undefined, validationDiffOpened(false));
+
+        expect(reducer(state, validationDiffClosed())).to.deep.equal({
+          isVisible: false,
+          isConfirming: false
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import {
+  validatorChanged,
+  validationActionChanged,
+  validationLevelChanged
+} from './validation';
+import { fetchSampleDocuments } from './sample-documents';
+import { changeZeroState } from './zero-state';
+import { getConnectionId } from 'utils/validation-history';
+import { createDraft, loadDraft, saveDraft, removeDraft } from 'utils/validation-draft';
+
+/**
+ * The module action prefix.
+ */
+const PREFIX = 'validation/validation-draft';
+
+/**
+ * Validation draft loaded action name.
+ */
+export const VALIDATION_DRAFT_LOADED = `${PREFIX}/VALIDATION_DRAFT_LOADED`;
+
+/**
+ * Validation draft cleared action name.
+ */
+export const VALIDATION_DRAFT_CLEARED = `${PREFIX}/VALIDATION_DRAFT_CLEARED`;
+
+/**
+ * The initial state.
+ */
+export const INITIAL_STATE = {
+  draft: null
+};
+
+/**
+ * Reducer function for handle state changes to the validation draft.
+ *
+ * @param {Object} state - The validation draft state.
+ * @param {Object} action - The action.
+ *
+ * @returns {Object} The new state.
+ */
+export default function reducer(state = INITIAL_STATE, action) {
+  if (action.type === VALIDATION_DRAFT_LOADED) {
+    return { draft: action.draft };
+  }
+
+  if (action.type === VALIDATION_DRAFT_CLEARED) {
+    return INITIAL_STATE;
+  }
+
+  return state;
+}
+
+/**
+ * Action creator for validation draft loaded events.
+ *
+ * @param {Object} draft - The draft of a previous session, null if there is
+ * none.
+ *
+ * @returns {Object} The validation draft loaded action.
+ */
+export const validationDraftLoaded = (draft) => ({
+  type: VALIDATION_DRAFT_LOADED,
+  draft
+});
+
+/**
+ * Action creator for validation draft cleared events.
+ *
+ * @returns {Object} The validation draft cleared action.
+ */
+export const validationDraftCleared = () => ({ type: VALIDATION_DRAFT_CLEARED });
+
+/**
+ * Get the connection id of the state.
+ *
+ * @param {Object} state - The state.
+ *
+ * @returns {String} The connection id.
+ */
+const getConnection = (state) => getConnectionId(state.dataService.dataService);
+
+/**
+ * Load the draft a previous session left for the current namespace.
+ *
+ * @returns {Function} The function.
+ */
+export const loadValidationDraft = () => {
+  return (dispatch, getState) => {
+    const state = getState();
+
+    dispatch(validationDraftLoaded(loadDraft(getConnection(state), state.namespace)));
+  };
+};
+
+/**
+ * Keep the unsaved changes of the current namespace as its draft, or drop
+ * the draft once there are none. A draft that was not restored or
+ * discarded yet is left alone.
+ *
+ * @returns {Function} The function.
+ */
+export const persistValidationDraft = () => {
+  return (dispatch, getState) => {
+    const state = getState();
+
+    if (state.validationDraft.draft || !state.namespace) {
+      return;
+    }
+
+    if (state.validation.isChanged) {
+      const started = loadDraft(getConnection(state), state.namespace);
+
+      saveDraft(getConnection(state), state.namespace, createDraft(state.validation, started));
+    } else {
+      removeDraft(getConnection(state), state.namespace);
+    }
+  };
+};
+
+/**
+ * Load the draft into the editor as an unsaved change.
+ *
+ * @returns {Function} The function.
+ */
+export const restoreValidationDraft = () => {
+  return (dispatch, getState) => {
+    const state = getState();
+    const draft = state.validationDraft.draft;
+
+    if (state.isZeroState) {
+      dispatch(changeZeroState(false));
+    }
+
+    dispatch(validationDraftCleared());
+    dispatch(validatorChanged(draft.validator));
+    dispatch(validationActionChanged(draft.validationAction));
+    dispatch(validationLevelChanged(draft.validationLevel));
+    dispatch(fetchSampleDocuments(draft.validator));
+  };
+};
+
+/**
+ * Drop the draft.
+ *
+ * @returns {Function} The function.
+ */
+export const discardValidationDraft = () => {
+  return (dispatch, getState) => {
+    const state = getState();
+
+    removeDraft(getConnection(state), state.namespace);
+    dispatch(validationDraftCleared());
+  };
+};
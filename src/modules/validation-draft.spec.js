@@ -0,0 +1,76 @@
+import reducer, {
+  validationDraftLoaded,
+  validationDraftCleared,
+  restoreValidationDraft,
+  VALIDATION_DRAFT_LOADED,
+  VALIDATION_DRAFT_CLEARED
+} from 'modules/validation-draft';
+import {
+  validatorChanged,
+  validationActionChanged,
+  validationLevelChanged
+} from 'modules/validation';
+
+describe('validation-draft module', () => {
+  const draft = {
+    timestamp: 1,
+    validator: '{ name: { $exists: true } }',
+    validationAction: 'warn',
+    validationLevel: 'moderate',
+    base: null
+  };
+
+  describe('#validationDraftLoaded', () => {
+    it('returns the VALIDATION_DRAFT_LOADED action', () => {
+      expect(validationDraftLoaded(draft)).to.deep.equal({
+        type: VALIDATION_DRAFT_LOADED,
+        draft
+      });
+    });
+  });
+
+  describe('#validationDraftCleared', () => {
+    it('returns the VALIDATION_DRAFT_CLEARED action', () => {
+      expect(validationDraftCleared()).to.deep.equal({ type: VALIDATION_DRAFT_CLEARED });
+    });
+  });
+
+  describe('#restoreValidationDraft', () => {
+    const dispatch = sinon.spy();
+    const getState = () => ({ isZeroState: false, validationDraft: { draft } });
+
+    before(() => {
+      restoreValidationDraft()(dispatch, getState);
+    });
+
+    it('clears the draft offer', () => {
+      expect(dispatch.firstCall.args[0]).to.deep.equal(validationDraftCleared());
+    });
+
+    it('loads the draft into the editor', () => {
+      expect(dispatch).to.have.been.calledWith(validatorChanged(draft.validator));
+      expect(dispatch).to.have.been.calledWith(validationActionChanged('warn'));
+      expect(dispatch).to.have.been.calledWith(validationLevelChanged('moderate'));
+    });
+  });
+
+  describe('#reducer', () => {
+    context('when the action is not presented in validation-draft module', () => {
+      it('returns the default state', () => {
+        expect(reducer(undefined, { type: 'test' })).to.deep.equal({ draft: null });
+      });
+    });
+
+    context('when the action is validationDraftLoaded', () => {
+      it('returns the new state', () => {
+        expect(reducer(undefined, validationDraftLoaded(draft)).draft).to.equal(draft);
+      });
+    });
+
+    context('when the action is validationDraftCleared', () => {
+      it('returns the new state', () => {
+        expect(reducer({ draft }, validationDraftCleared())).to.deep.equal({ draft: null });
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { isEqual, pick } from 'lodash';
+import { loadHistory, addVersions, getConnectionId } from 'utils/validation-history';
+
+/**
+ * The module action prefix.
+ */
+const PREFIX = 'validation/validation-history';
+
+/**
+ * Validation history loaded action name.
+ */
+export const VALIDATION_HISTORY_LOADED = `${PREFIX}/VALIDATION_HISTORY_LOADED`;
+
+/**
+ * Validation history toggled action name.
+ */
+export const VALIDATION_HISTORY_TOGGLED = `${PREFIX}/VALIDATION_HISTORY_TOGGLED`;
+
+/**
+ * The initial state.
+ */
+export const INITIAL_STATE = {
+  isVisible: false,
+  versions: []
+};
+
+/**
+ * Reducer function for handle state changes to the validation history.
+ *
+ * @param {Object} state - The validation history state.
+ * @param {Object} action - The action.
+ *
+ * @returns {Object} The new state.
+ */
+export default function reducer(state = INITIAL_STATE, action) {
+  if (action.type === VALIDATION_HISTORY_LOADED) {
+    return { ...state, versions: action.versions };
+  }
+
+  if (action.type === VALIDATION_HISTORY_TOGGLED) {
+    return { ...state, isVisible: action.isVisible };
+  }
+
+  return state;
+}
+
+/**
+ * Action creator for validation history loaded events.
+ *
+ * @param {Array} versions - The saved versions, newest first.
+ *
+ * @returns {Object} The validation history loaded action.
+ */
+export const validationHistoryLoaded = (versions) => ({
+  type: VALIDATION_HISTORY_LOADED,
+  versions
+});
+
+/**
+ * Action creator for validation history toggled events.
+ *
+ * @param {Boolean} isVisible - If the history panel is visible.
+ *
+ * @returns {Object} The validation history toggled action.
+ */
+export const validationHistoryToggled = (isVisible) => ({
+  type: VALIDATION_HISTORY_TOGGLED,
+  isVisible
+});
+
+/**
+ * The fields that identify a version.
+ */
+const VERSION_FIELDS = ['validator', 'validationAction', 'validationLevel'];
+
+/**
+ * Check if two versions have the same rules.
+ *
+ * @param {Object} version - A version.
+ * @param {Object} other - The other version, if any.
+ *
+ * @returns {Boolean} If the rules are the same.
+ */
+const isSameVersion = (version, other) => (
+  !!other && isEqual(pick(version, VERSION_FIELDS), pick(other, VERSION_FIELDS))
+);
+
+/**
+ * Load the saved versions of the current namespace.
+ *
+ * @returns {Function} The function.
+ */
+export const loadValidationHistory = () => {
+  return (dispatch, getState) => {
+    const state = getState();
+    const connection = getConnectionId(state.dataService.dataService);
+
+    dispatch(validationHistoryLoaded(loadHistory(connection, state.namespace)));
+  };
+};
+
+/**
+ * Record a successfully saved validation in the history of the current
+ * namespace. The rules it replaced are recorded first when they are not
+ * the newest version, so rules saved outside of Compass can be restored.
+ * Their save time is unknown, they are flagged as observed on the server
+ * at the time they were replaced.
+ *
+ * @param {Object} validation - The validation with the validator as text.
+ *
+ * @returns {Function} The function.
+ */
+export const recordValidation = (validation) => {
+  return (dispatch, getState) => {
+    const state = getState();
+    const connection = getConnectionId(state.dataService.dataService);
+    const prevValidation = state.validation && state.validation.prevValidation;
+    const newest = state.validationHistory && state.validationHistory.versions[0];
+    const timestamp = Date.now();
+    const added = [{ timestamp, ...pick(validation, VERSION_FIELDS), connection }].concat(
+      prevValidation && !isSameVersion(prevValidation, newest) ?
+        [{ timestamp, ...pick(prevValidation, VERSION_FIELDS), connection, isObserved: true }] :
+        []
+    );
+
+    dispatch(validationHistoryLoaded(addVersions(connection, state.namespace, added)));
+  };
+};
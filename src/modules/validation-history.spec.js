@@ -0,0 +1,122 @@
+import reducer, {
+  validationHistoryLoaded,
+  validationHistoryToggled,
+  recordValidation,
+  VALIDATION_HISTORY_LOADED,
+  VALIDATION_HISTORY_TOGGLED
+} from 'modules/validation-history';
+
+describe('validation-history module', () => {
+  describe('#validationHistoryLoaded', () => {
+    it('returns the VALIDATION_HISTORY_LOADED action', () => {
+      expect(validationHistoryLoaded([])).to.deep.equal({
+        type: VALIDATION_HISTORY_LOADED,
+        versions: []
+      });
+    });
+  });
+
+  describe('#validationHistoryToggled', () => {
+    it('returns the VALIDATION_HISTORY_TOGGLED action', () => {
+      expect(validationHistoryToggled(true)).to.deep.equal({
+        type: VALIDATION_HISTORY_TOGGLED,
+        isVisible: true
+      });
+    });
+  });
+
+  describe('#recordValidation', () => {
+    const dispatch = sinon.spy();
+    const getState = () => ({
+      namespace: { database: 'db', collection: `coll-${Date.now()}` },
+      dataService: { dataService: { client: { model: { instanceId: 'localhost:27017' } } } }
+    });
+
+    before(() => {
+      recordValidation({
+        validator: '{}',
+        validationAction: 'error',
+        validationLevel: 'strict'
+      })(dispatch, getState);
+    });
+
+    it('dispatches the recorded version', () => {
+      const versions = dispatch.firstCall.args[0].versions;
+
+      expect(versions[0]).to.include({
+        validator: '{}',
+        validationAction: 'error',
+        validationLevel: 'strict',
+        connection: 'localhost:27017'
+      });
+    });
+
+    context('when the saved rules replaced rules missing from the history', () => {
+      const prevValidation = {
+        validator: '{ a: 1 }',
+        validationAction: 'warn',
+        validationLevel: 'moderate'
+      };
+      let state;
+
+      beforeEach(() => {
+        state = {
+          ...getState(),
+          validation: { prevValidation }
+        };
+      });
+
+      it('records the replaced rules before the saved ones', () => {
+        const record = sinon.spy();
+
+        recordValidation({ validator: '{ b: 1 }', validationAction: 'error', validationLevel: 'strict' })(
+          record,
+          () => state
+        );
+
+        const versions = record.firstCall.args[0].versions;
+
+        expect(versions.map((version) => version.validator)).to.deep.equal(['{ b: 1 }', '{ a: 1 }']);
+        expect(versions[1]).to.include({ ...prevValidation, isObserved: true });
+        expect(versions[0].isObserved).to.equal(undefined);
+      });
+
+      it('does not record the replaced rules when they are the newest version', () => {
+        const record = sinon.spy();
+
+        state.validationHistory = { versions: [{ timestamp: 1, ...prevValidation }] };
+        recordValidation({ validator: '{ b: 1 }', validationAction: 'error', validationLevel: 'strict' })(
+          record,
+          () => state
+        );
+
+        expect(record.firstCall.args[0].versions.map((version) => version.validator)).to.deep.equal(['{ b: 1 }']);
+      });
+    });
+  });
+
+  describe('#reducer', () => {
+    context('when the action is not presented in validation-history module', () => {
+      it('returns the default state', () => {
+        expect(reducer(undefined, { type: 'test' })).to.deep.equal({
+          isVisible: false,
+          versions: []
+        });
+      });
+    });
+
+    context('when the action is validationHistoryLoaded', () => {
+      it('returns the new state', () => {
+        const versions = [{ timestamp: 1 }];
+
+        expect(reducer(undefined, validationHistoryLoaded(versions)).versions).to.equal(versions);
+      });
+    });
+
+    context('when the action is validationHistoryToggled', () => {
+      it('returns the new state', () => {
+        expect(reducer(undefined, validationHistoryToggled(true)).isVisible).to.equal(true);
+      });
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import {
+  validatorChanged,
+  validationActionChanged,
+  validationLevelChanged
+} from './validation';
+import { fetchSampleDocuments } from './sample-documents';
+import { changeZeroState } from './zero-state';
+import { stringifyValidator } from 'utils/validator-syntax';
+
+/**
+ * The module action prefix.
+ */
+const PREFIX = 'validation/validation-import';
+
+/**
+ * Import file loaded action name.
+ */
+export const IMPORT_FILE_LOADED = `${PREFIX}/IMPORT_FILE_LOADED`;
+
+/**
+ * Import closed action name.
+ */
+export const IMPORT_CLOSED = `${PREFIX}/IMPORT_CLOSED`;
+
+/**
+ * The initial state.
+ */
+export const INITIAL_STATE = {
+  isVisible: false,
+  fileName: null,
+  validation: null,
+  conversions: [],
+  error: null
+};
+
+/**
+ * Reducer function for handle state changes to the validation import.
+ *
+ * @param {Object} state - The validation import state.
+ * @param {Object} action - The action.
+ *
+ * @returns {Object} The new state.
+ */
+export default function reducer(state = INITIAL_STATE, action) {
+  if (action.type === IMPORT_FILE_LOADED) {
+    return {
+      isVisible: true,
+      fileName: action.fileName,
+      validation: action.validation,
+      conversions: action.conversions,
+      error: action.error
+    };
+  }
+
+  if (action.type === IMPORT_CLOSED) {
+    return INITIAL_STATE;
+  }
+
+  return state;
+}
+
+/**
+ * Action creator for import file loaded events.
+ *
+ * @param {String} fileName - The file name.
+ * @param {Object} result - The parsed file with error, validation and
+ * conversions.
+ *
+ * @returns {Object} The import file loaded action.
+ */
+export const importFileLoaded = (fileName, result) => ({
+  type: IMPORT_FILE_LOADED,
+  fileName,
+  validation: result.validation,
+  conversions: result.conversions || [],
+  error: result.error
+});
+
+/**
+ * Action creator for import closed events.
+ *
+ * @returns {Object} The import closed action.
+ */
+export const importClosed = () => ({ type: IMPORT_CLOSED });
+
+/**
+ * Load the imported validation into the editor as an unsaved change.
+ *
+ * @returns {Function} The function.
+ */
+export const applyImport = () => {
+  return (dispatch, getState) => {
+    const state = getState();
+    const validation = state.validationImport.validation;
+    const validator = stringifyValidator(validation.validator);
+
+    if (state.isZeroState) {
+      dispatch(changeZeroState(false));
+    }
+
+    dispatch(validatorChanged(validator));
+
+    if (validation.validationAction) {
+      dispatch(validationActionChanged(validation.validationAction));
+    }
+
+    if (validation.validationLevel) {
+      dispatch(validationLevelChanged(validation.validationLevel));
+    }
+
+    dispatch(fetchSampleDocuments(validator));
+    dispatch(importClosed());
+  };
+};
@@ -0,0 +1,98 @@
+import reducer, {
+  importFileLoaded,
+  importClosed,
+  applyImport,
+  IMPORT_FILE_LOADED,
+  IMPORT_CLOSED
+} from 'modules/validation-import';
+import {
+  validatorChanged,
+  validationActionChanged
+} from 'modules/validation';
+
+describe('validation-import module', () => {
+  describe('#importFileLoaded', () => {
+    it('returns the IMPORT_FILE_LOADED action', () => {
+      expect(importFileLoaded('rules.json', { error: null, validation: {} })).to.deep.equal({
+        type: IMPORT_FILE_LOADED,
+        fileName: 'rules.json',
+        validation: {},
+        conversions: [],
+        error: null
+      });
+    });
+  });
+
+  describe('#importClosed', () => {
+    it('returns the IMPORT_CLOSED action', () => {
+      expect(importClosed()).to.deep.equal({ type: IMPORT_CLOSED });
+    });
+  });
+
+  describe('#applyImport', () => {
+    const dispatch = sinon.spy();
+    const getState = () => ({
+      isZeroState: false,
+      validationImport: {
+        validation: {
+          validator: { name: { $exists: true } },
+          validationAction: 'warn'
+        }
+      }
+    });
+
+    before(() => {
+      applyImport()(dispatch, getState);
+    });
+
+    it('loads the validator into the editor', () => {
+      expect(dispatch).to.have.been.calledWith(
+        validatorChanged('{\n  name: {\n    $exists: true\n  }\n}')
+      );
+    });
+
+    it('loads the options the file sets', () => {
+      expect(dispatch).to.have.been.calledWith(validationActionChanged('warn'));
+    });
+
+    it('closes the import', () => {
+      expect(dispatch).to.have.been.calledWith(importClosed());
+    });
+  });
+
+  describe('#reducer', () => {
+    context('when the action is not presented in validation-import module', () => {
+      it('returns the default state', () => {
+        expect(reducer(undefined, { type: 'test' })).to.deep.equal({
+          isVisible: false,
+          fileName: null,
+          validation: null,
+          conversions: [],
+          error: null
+        });
+      });
+    });
+
+    context('when the action is importFileLoaded', () => {
+      it('returns the new state', () => {
+        const result = { error: 'Invalid.', validation: null };
+
+        expect(reducer(undefined, importFileLoaded('rules.json', result))).to.deep.equal({
+          isVisible: true,
+          fileName: 'rules.json',
+          validation: null,
+          conversions: [],
+          error: 'Invalid.'
+        });
+      });
+    });
+
+    context('when the action is importClosed', () => {
+      it('returns the default state', () => {
+        const state = reducer(undefined, importFileLoaded('rules.json', { validation: {} }));
+
+        expect(reducer(state, importClosed()).isVisible).to.equal(false);
+      });
+    });
+  });
+});
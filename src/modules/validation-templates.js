@@ -0,0 +1,139 @@
+import { checkValidator, validatorChanged } from './validation';
+import { fetchSampleDocuments } from './sample-documents';
+import { changeZeroState } from './zero-state';
+import { loadTemplates, addTemplate, removeTemplate, mergeFragment } from 'utils/validation-templates';
+import { stringifyValidator } from 'utils/validator-syntax';
+
+/**
+ * The module action prefix.
+ */
+const PREFIX = 'validation/validation-templates';
+
+/**
+ * Validation templates loaded action name.
+ */
+export const VALIDATION_TEMPLATES_LOADED = `${PREFIX}/VALIDATION_TEMPLATES_LOADED`;
+
+/**
+ * Validation templates toggled action name.
+ */
+export const VALIDATION_TEMPLATES_TOGGLED = `${PREFIX}/VALIDATION_TEMPLATES_TOGGLED`;
+
+/**
+ * The initial state.
+ */
+export const INITIAL_STATE = {
+  isVisible: false,
+  custom: []
+};
+
+/**
+ * Reducer function for handle state changes to the validation templates.
+ *
+ * @param {Object} state - The validation templates state.
+ * @param {Object} action - The action.
+ *
+ * @returns {Object} The new state.
+ */
+export default function reducer(state = INITIAL_STATE, action) {
+  if (action.type === VALIDATION_TEMPLATES_LOADED) {
+    return { ...state, custom: action.custom };
+  }
+
+  if (action.type === VALIDATION_TEMPLATES_TOGGLED) {
+    return { ...state, isVisible: action.isVisible };
+  }
+
+  return state;
+}
+
+/**
+ * Action creator for validation templates loaded events.
+ *
+ * @param {Array} custom - The custom templates.
+ *
+ * @returns {Object} The validation templates loaded action.
+ */
+export const validationTemplatesLoaded = (custom) => ({
+  type: VALIDATION_TEMPLATES_LOADED,
+  custom
+});
+
+/**
+ * Action creator for validation templates toggled events.
+ *
+ * @param {Boolean} isVisible - If the template gallery is visible.
+ *
+ * @returns {Object} The validation templates toggled action.
+ */
+export const validationTemplatesToggled = (isVisible) => ({
+  type: VALIDATION_TEMPLATES_TOGGLED,
+  isVisible
+});
+
+/**
+ * Load the custom templates.
+ *
+ * @returns {Function} The function.
+ */
+export const loadValidationTemplates = () => {
+  return (dispatch) => {
+    dispatch(validationTemplatesLoaded(loadTemplates()));
+  };
+};
+
+/**
+ * Store a custom template.
+ *
+ * @param {Object} template - The template.
+ *
+ * @returns {Function} The function.
+ */
+export const addValidationTemplate = (template) => {
+  return (dispatch) => {
+    dispatch(validationTemplatesLoaded(addTemplate(template)));
+  };
+};
+
+/**
+ * Remove a custom template.
+ *
+ * @param {String} id - The template id.
+ *
+ * @returns {Function} The function.
+ */
+export const removeValidationTemplate = (id) => {
+  return (dispatch) => {
+    dispatch(validationTemplatesLoaded(removeTemplate(id)));
+  };
+};
+
+/**
+ * Merge a filled in template into the properties of the $jsonSchema as an
+ * unsaved change.
+ *
+ * @param {Object} fragment - The properties fragment.
+ *
+ * @returns {Function} The function.
+ */
+export const mergeValidationTemplate = (fragment) => {
+  return (dispatch, getState) => {
+    const state = getState();
+    const current = state.validation.validator || '{}';
+    const checkedValidator = checkValidator(current);
+
+    if (checkedValidator.syntaxError) {
+      return;
+    }
+
+    const validator = stringifyValidator(mergeFragment(checkedValidator.validator, fragment));
+
+    if (state.isZeroState) {
+      dispatch(changeZeroState(false));
+    }
+
+    dispatch(validatorChanged(validator));
+    dispatch(fetchSampleDocuments(validator));
+    dispatch(validationTemplatesToggled(false));
+  };
+};
@@ -0,0 +1,91 @@
+import reducer, {
+  validationTemplatesLoaded,
+  validationTemplatesToggled,
+  mergeValidationTemplate,
+  VALIDATION_TEMPLATES_LOADED,
+  VALIDATION_TEMPLATES_TOGGLED
+} from 'modules/validation-templates';
+import { validatorChanged } from 'modules/validation';
+
+describe('validation-templates module', () => {
+  describe('#validationTemplatesLoaded', () => {
+    it('returns the VALIDATION_TEMPLATES_LOADED action', () => {
+      expect(validationTemplatesLoaded([])).to.deep.equal({
+        type: VALIDATION_TEMPLATES_LOADED,
+        custom: []
+      });
+    });
+  });
+
+  describe('#validationTemplatesToggled', () => {
+    it('returns the VALIDATION_TEMPLATES_TOGGLED action', () => {
+      expect(validationTemplatesToggled(true)).to.deep.equal({
+        type: VALIDATION_TEMPLATES_TOGGLED,
+        isVisible: true
+      });
+    });
+  });
+
+  describe('#mergeValidationTemplate', () => {
+    const fragment = { age: { bsonType: 'int' } };
+
+    context('when the validator is empty in the zero state', () => {
+      const dispatch = sinon.spy();
+      const getState = () => ({ isZeroState: true, validation: { validator: '' } });
+
+      before(() => {
+        mergeValidationTemplate(fragment)(dispatch, getState);
+      });
+
+      it('leaves the zero state', () => {
+        expect(dispatch.firstCall.args[0]).to.be.a('function');
+      });
+
+      it('adds the fragment to a new $jsonSchema', () => {
+        expect(dispatch).to.have.been.calledWith(validatorChanged(
+          '{\n  $jsonSchema: {\n    bsonType: \'object\',\n    properties: {\n      age: {\n        bsonType: \'int\'\n      }\n    }\n  }\n}'
+        ));
+      });
+
+      it('closes the template gallery', () => {
+        expect(dispatch.lastCall.args[0]).to.deep.equal(validationTemplatesToggled(false));
+      });
+    });
+
+    context('when the validator has a syntax error', () => {
+      const dispatch = sinon.spy();
+      const getState = () => ({ isZeroState: false, validation: { validator: '{' } });
+
+      it('does not change the validator', () => {
+        mergeValidationTemplate(fragment)(dispatch, getState);
+
+        expect(dispatch).to.not.have.been.called;
+      });
+    });
+  });
+
+  describe('#reducer', () => {
+    context('when the action is not presented in validation-templates module', () => {
+      it('returns the default state', () => {
+        expect(reducer(undefined, { type: 'test' })).to.deep.equal({
+          isVisible: false,
+          custom: []
+        });
+      });
+    });
+
+    context('when the action is validationTemplatesLoaded', () => {
+      it('returns the new state', () => {
+        const custom = [{ id: 'custom-1' }];
+
+        expect(reducer(undefined, validationTemplatesLoaded(custom)).custom).to.equal(custom);
+      });
+    });
+
+    context('when the action is validationTemplatesToggled', () => {
+      it('returns the new state', () => {
+        expect(reducer(undefined, validationTemplatesToggled(true)).isVisible).to.equal(true);
+      });
+    });
+  });
+});
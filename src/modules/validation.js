@@ -1,9 +1,13 @@
-import EJSON from 'mongodb-extended-json';
 import queryParser from 'mongodb-query-parser';
-import { stringify as javascriptStringify } from 'javascript-stringify';
 import { fetchSampleDocuments } from './sample-documents';
 import { zeroStateChanged } from './zero-state';
 import { globalAppRegistryEmit } from 'mongodb-redux-common/app-registry';
+import { generateSchema } from 'utils/generate-schema';
+import { checkCompatibility } from 'utils/check-compatibility';
+import { lintValidator, hasLintErrors } from 'utils/lint-validator';
+import { stringifyValidator, readLongs } from 'utils/validator-syntax';
+import { validationDiffOpened, validationDiffClosed } from './validation-diff';
+import { recordValidation } from './validation-history';
 import { defaults, isEqual, pick, isObject } from 'lodash';
 
 /**
@@ -74,7 +78,7 @@ export const checkValidator = (validator) => {
     };
   } else {
     try {
-      validation.validator = queryParser.parseFilter(validator);
+      validation.validator = queryParser.parseFilter(readLongs(validator));
     } catch (error) {
       validation.syntaxError = error;
     }
@@ -133,7 +137,7 @@ const setSyntaxError = (state, action) => ({
  */
 const setValidation = (state, action) => {
   const checkedValidator = checkValidator(action.validation.validator);
-  const validator = javascriptStringify(checkedValidator.validator, null, 2);
+  const validator = stringifyValidator(checkedValidator.validator);
 
   return {
     ...state,
@@ -424,11 +428,11 @@ export const fetchValidation = (namespace) => {
               'schema-validation-fetched'
             );
 
-            validation.validator = EJSON.stringify(validation.validator, null, 2);
+            validation.validator = stringifyValidator(validation.validator);
 
             dispatch(zeroStateChanged(false));
-            dispatch(fetchSampleDocuments(validation.validator));
             dispatch(validationFetched(validation));
+            dispatch(fetchSampleDocuments(validation.validator));
 
             return;
           }
@@ -443,13 +447,17 @@ export const fetchValidation = (namespace) => {
 };
 
 /**
- * Save validation.
+ * Save validation. Validators with errors and validations the connected
+ * server does not support fail without sending the collMod, other
+ * validations open the diff of the pending changes until the update is
+ * confirmed.
  *
  * @param {Object} validation - Validation.
+ * @param {Boolean} isConfirmed - If the pending changes were reviewed.
  *
  * @returns {Function} The function.
  */
-export const saveValidation = (validation) => {
+export const saveValidation = (validation, isConfirmed = false) => {
   return (dispatch, getState) => {
     const state = getState();
     const dataService = state.dataService.dataService;
@@ -461,6 +469,25 @@ export const saveValidation = (validation) => {
       validationLevel: validation.validationLevel,
       isChanged: false
     };
+    const incompatibilities = checkCompatibility(savedValidation, state.serverVersion);
+
+    if (checkedValidator.syntaxError || hasLintErrors(lintValidator(checkedValidator.validator))) {
+      return dispatch(validationSaveFailed({
+        message: 'The validator has errors, fix them before updating.'
+      }));
+    }
+
+    if (incompatibilities.length) {
+      return dispatch(validationSaveFailed({
+        message: incompatibilities.map((item) => item.message).join(' ')
+      }));
+    }
+
+    if (!isConfirmed) {
+      return dispatch(validationDiffOpened(true));
+    }
+
+    dispatch(validationDiffClosed());
 
     if (dataService) {
       sendMetrics(
@@ -483,6 +510,11 @@ export const saveValidation = (validation) => {
             return dispatch(validationSaveFailed(error));
           }
 
+          dispatch(recordValidation({
+            ...savedValidation,
+            validator: stringifyValidator(savedValidation.validator)
+          }));
+
           return dispatch(fetchValidation(namespace));
         }
       );
@@ -514,6 +546,38 @@ export const cancelValidation = () => {
   };
 };
 
+/**
+ * Restore a saved version as an unsaved change.
+ *
+ * @param {Object} version - The version from the history.
+ *
+ * @returns {Function} The function.
+ */
+export const restoreValidation = (version) => {
+  return (dispatch) => {
+    dispatch(validatorChanged(version.validator));
+    dispatch(validationActionChanged(version.validationAction));
+    dispatch(validationLevelChanged(version.validationLevel));
+    dispatch(fetchSampleDocuments(version.validator));
+  };
+};
+
+/**
+ * Generate a $jsonSchema validator from the sampled fields and load it into
+ * the editor as an unsaved change.
+ *
+ * @returns {Function} The function.
+ */
+export const generateValidator = () => {
+  return (dispatch, getState) => {
+    const state = getState();
+    const validator = stringifyValidator({ $jsonSchema: generateSchema(state.sampledFields) });
+
+    dispatch(validatorChanged(validator));
+    dispatch(fetchSampleDocuments(validator));
+  };
+};
+
 /**
 * Activate validation.
 *
@@ -8,6 +8,10 @@ import reducer, {
   validationCanceled,
   validationSaveFailed,
   syntaxErrorOccurred,
+  generateValidator,
+  saveValidation,
+  fetchValidation,
+  restoreValidation,
   VALIDATOR_CHANGED,
   VALIDATION_CANCELED,
   VALIDATION_SAVE_FAILED,
@@ -16,6 +20,8 @@ import reducer, {
   VALIDATION_LEVEL_CHANGED,
   SYNTAX_ERROR_OCCURRED
 } from 'modules/validation';
+import { validationDiffOpened, validationDiffClosed } from 'modules/validation-diff';
+import { Long } from 'bson';
 
 describe('validation module', () => {
   describe('#checkValidator', () => {
@@ -116,6 +122,205 @@ describe('validation module', () => {
     });
   });
 
+  describe('#generateValidator', () => {
+    it('dispatches the validator generated from the sampled fields', () => {
+      const dispatch = sinon.spy();
+      const getState = () => ({
+        sampledFields: {
+          name: { name: 'name', path: 'name', count: 1, type: 'String' }
+        }
+      });
+      const validator = javascriptStringify({
+        $jsonSchema: {
+          bsonType: 'object',
+          required: ['name'],
+          properties: { name: { bsonType: 'string' } }
+        }
+      }, null, 2);
+
+      generateValidator()(dispatch, getState);
+
+      expect(dispatch.firstCall.args[0]).to.deep.equal(validatorChanged(validator));
+    });
+  });
+
+  describe('#saveValidation', () => {
+    context('when the server does not support the validator', () => {
+      const dataService = { updateCollection: sinon.spy() };
+      const dispatch = sinon.spy();
+      const getState = () => ({
+        dataService: { dataService },
+        namespace: { database: 'db', collection: 'coll' },
+        serverVersion: '3.4.0'
+      });
+
+      before(() => {
+        saveValidation({
+          validator: '{ $jsonSchema: {} }',
+          validationAction: 'error',
+          validationLevel: 'strict'
+        })(dispatch, getState);
+      });
+
+      it('does not update the collection', () => {
+        expect(dataService.updateCollection).to.not.have.been.called;
+      });
+
+      it('dispatches the save failed action', () => {
+        expect(dispatch).to.have.been.calledWith(validationSaveFailed({
+          message: '$jsonSchema requires MongoDB 3.6.0 or later, the server is 3.4.0.'
+        }));
+      });
+    });
+
+    context('when the validator has lint errors', () => {
+      const dataService = { updateCollection: sinon.spy() };
+      const dispatch = sinon.spy();
+      const getState = () => ({
+        dataService: { dataService },
+        namespace: { database: 'db', collection: 'coll' },
+        serverVersion: '3.6.0'
+      });
+
+      before(() => {
+        saveValidation({
+          validator: '{ $jsonSchema: { format: \'email\' } }',
+          validationAction: 'error',
+          validationLevel: 'strict'
+        }, true)(dispatch, getState);
+      });
+
+      it('does not update the collection', () => {
+        expect(dataService.updateCollection).to.not.have.been.called;
+      });
+
+      it('dispatches the save failed action', () => {
+        expect(dispatch).to.have.been.calledWith(validationSaveFailed({
+          message: 'The validator has errors, fix them before updating.'
+        }));
+      });
+    });
+
+    context('when the changes are not confirmed', () => {
+      const dataService = { updateCollection: sinon.spy() };
+      const dispatch = sinon.spy();
+      const getState = () => ({
+        dataService: { dataService },
+        namespace: { database: 'db', collection: 'coll' },
+        serverVersion: '3.6.0'
+      });
+
+      before(() => {
+        saveValidation({
+          validator: '{ $jsonSchema: {} }',
+          validationAction: 'error',
+          validationLevel: 'strict'
+        })(dispatch, getState);
+      });
+
+      it('does not update the collection', () => {
+        expect(dataService.updateCollection).to.not.have.been.called;
+      });
+
+      it('opens the diff to confirm the update', () => {
+        expect(dispatch).to.have.been.calledWith(validationDiffOpened(true));
+      });
+    });
+
+    context('when the changes are confirmed', () => {
+      const dataService = { database: sinon.spy(), updateCollection: sinon.spy() };
+      const dispatch = sinon.spy();
+      const getState = () => ({
+        dataService: { dataService },
+        namespace: { database: 'db', collection: 'coll' },
+        serverVersion: '3.6.0'
+      });
+
+      before(() => {
+        saveValidation({
+          validator: '{ $jsonSchema: {} }',
+          validationAction: 'error',
+          validationLevel: 'strict'
+        }, true)(dispatch, getState);
+      });
+
+      it('closes the diff', () => {
+        expect(dispatch).to.have.been.calledWith(validationDiffClosed());
+      });
+
+      it('updates the collection', () => {
+        expect(dataService.updateCollection).to.have.been.calledWith('db', {
+          collMod: 'coll',
+          validator: { $jsonSchema: {} },
+          validationAction: 'error',
+          validationLevel: 'strict'
+        });
+      });
+    });
+  });
+
+  describe('#fetchValidation', () => {
+    context('when the validator holds a long beyond the safe integers', () => {
+      const namespace = { database: 'db', collection: 'coll' };
+      const dataService = {
+        database: sinon.spy(),
+        listCollections: (database, filter, callback) => callback(null, [{
+          options: {
+            validator: { count: { $lt: Long.fromString('9007199254740993') } },
+            validationAction: 'error',
+            validationLevel: 'strict'
+          }
+        }]),
+        updateCollection: sinon.spy()
+      };
+      let state;
+
+      before(() => {
+        const dispatch = sinon.spy();
+
+        fetchValidation(namespace)(dispatch, () => ({ dataService: { dataService } }));
+        state = reducer(undefined, dispatch.args.map((args) => args[0]).find((action) => (
+          action.type === VALIDATION_FETCHED
+        )));
+        saveValidation(state, true)(sinon.spy(), () => ({
+          dataService: { dataService },
+          namespace,
+          serverVersion: '3.6.0'
+        }));
+      });
+
+      it('displays the exact long', () => {
+        expect(state.validator).to.include('NumberLong(\'9007199254740993\')');
+      });
+
+      it('saves the exact long', () => {
+        expect(
+          dataService.updateCollection.firstCall.args[1].validator.count.$lt.toString()
+        ).to.equal('9007199254740993');
+      });
+    });
+  });
+
+  describe('#restoreValidation', () => {
+    const dispatch = sinon.spy();
+    const version = {
+      timestamp: 1,
+      validator: '{}',
+      validationAction: 'warn',
+      validationLevel: 'moderate'
+    };
+
+    before(() => {
+      restoreValidation(version)(dispatch);
+    });
+
+    it('loads the version as an unsaved change', () => {
+      expect(dispatch).to.have.been.calledWith(validatorChanged('{}'));
+      expect(dispatch).to.have.been.calledWith(validationActionChanged('warn'));
+      expect(dispatch).to.have.been.calledWith(validationLevelChanged('moderate'));
+    });
+  });
+
   describe('#reducer', () => {
     context('when the action is not presented in validation module', () => {
       it('returns the default state', () => {
@@ -9,17 +9,32 @@ import { serverVersionChanged } from 'modules/server-version';
 import { fetchValidation, activateValidation } from 'modules/validation';
 import { editModeChanged } from 'modules/edit-mode';
 import { changeZeroState } from 'modules/zero-state';
+import { loadValidationHistory } from 'modules/validation-history';
+import { loadValidationTemplates } from 'modules/validation-templates';
+import { loadValidationDraft, persistValidationDraft } from 'modules/validation-draft';
+import {
+  readSamplingOptions,
+  sampleSizeChanged,
+  samplingStrategyChanged,
+  scanLimitChanged
+} from 'modules/sample-documents';
 import {
   localAppRegistryActivated,
   globalAppRegistryActivated
 } from 'mongodb-redux-common/app-registry';
 import semver from 'semver';
+import { debounce } from 'lodash';
 
 /**
  * The lowest supported version.
  */
 const MIN_VERSION = '3.2.0';
 
+/**
+ * The milliseconds edits settle before the draft is written.
+ */
+export const DRAFT_DELAY = 500;
+
 export const setDataProvider = (store, error, dataProvider) => {
   store.dispatch(dataServiceConnected(error, dataProvider));
 };
@@ -70,6 +85,15 @@ const configureStore = (options = {}) => {
     store.dispatch(globalAppRegistryActivated(globalAppRegistry));
   }
 
+  store.dispatch(loadValidationTemplates());
+
+  // The sampling has to be set before the first sample is taken.
+  const sampling = readSamplingOptions(options);
+
+  store.dispatch(samplingStrategyChanged(sampling.strategy));
+  store.dispatch(sampleSizeChanged(sampling.sampleSize));
+  store.dispatch(scanLimitChanged(sampling.scanLimit));
+
   if (options.dataProvider) {
     setDataProvider(
       store,
@@ -93,11 +117,27 @@ const configureStore = (options = {}) => {
     };
 
     store.dispatch(namespaceChanged(namespace));
+    store.dispatch(loadValidationHistory());
 
     if (editMode.collectionReadOnly) {
       store.dispatch(changeZeroState(true));
     } else {
+      store.dispatch(loadValidationDraft());
       store.dispatch(fetchValidation(namespace));
+
+      /**
+       * Keep the unsaved changes as a draft of the namespace, once the
+       * edits settle.
+       */
+      let validation = store.getState().validation;
+      const persistDraft = debounce(() => store.dispatch(persistValidationDraft()), DRAFT_DELAY);
+
+      store.subscribe(() => {
+        if (store.getState().validation !== validation) {
+          validation = store.getState().validation;
+          persistDraft();
+        }
+      });
     }
 
     store.dispatch(editModeChanged(editMode));
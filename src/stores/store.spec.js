@@ -8,7 +8,11 @@ import {
   fetchSampleDocuments
 } from 'modules/validation';
 import { stringify as javascriptStringify } from 'javascript-stringify';
+import { getDraftKey, isDraftStale } from 'utils/validation-draft';
+import { restoreValidationDraft } from 'modules/validation-draft';
+import { zeroStateChanged } from 'modules/zero-state';
 import configureStore from 'stores';
+import { DRAFT_DELAY } from 'stores/store';
 
 describe('Schema Validation Store', () => {
   let store;
@@ -224,6 +228,121 @@ describe('Schema Validation Store', () => {
       });
     });
 
+    context('when the sampling is configured', () => {
+      beforeEach(() => {
+        store = configureStore({
+          samplingStrategy: 'random',
+          sampleSize: '20',
+          scanLimit: 10000
+        });
+      });
+
+      it('sets the sampling options in the state', () => {
+        const sampleDocuments = store.getState().sampleDocuments;
+
+        expect(sampleDocuments.strategy).to.equal('random');
+        expect(sampleDocuments.sampleSize).to.equal(20);
+        expect(sampleDocuments.scanLimit).to.equal(10000);
+      });
+    });
+
+    context('when the sampling options are invalid', () => {
+      beforeEach(() => {
+        store = configureStore({
+          samplingStrategy: 'bogus',
+          sampleSize: 7,
+          scanLimit: 'abc'
+        });
+      });
+
+      it('keeps the default sampling options', () => {
+        const sampleDocuments = store.getState().sampleDocuments;
+
+        expect(sampleDocuments.strategy).to.equal('natural');
+        expect(sampleDocuments.sampleSize).to.equal(10);
+        expect(sampleDocuments.scanLimit).to.equal(100000);
+      });
+    });
+
+    context('when the namespace has a draft', () => {
+      const key = getDraftKey(null, { database: 'db', collection: 'coll' });
+      const draft = {
+        timestamp: 1,
+        validator: '{ a: 1 }',
+        validationAction: 'error',
+        validationLevel: 'strict',
+        base: null
+      };
+      let items;
+      let clock;
+
+      beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        items = {};
+        Object.defineProperty(window, 'localStorage', {
+          configurable: true,
+          value: {
+            getItem: (name) => (items.hasOwnProperty(name) ? items[name] : null),
+            setItem: (name, value) => {
+              items[name] = value;
+            },
+            removeItem: (name) => {
+              delete items[name];
+            }
+          }
+        });
+      });
+
+      afterEach(() => {
+        clock.restore();
+        delete window.localStorage;
+      });
+
+      it('restores the draft when the store is created', () => {
+        items[key] = JSON.stringify(draft);
+        store = configureStore({ namespace: 'db.coll', globalAppRegistry: globalAppRegistry });
+
+        expect(store.getState().validationDraft.draft).to.deep.equal(draft);
+      });
+
+      it('keeps the edited validator as the draft once the edits settle', () => {
+        store = configureStore({ namespace: 'db.coll', globalAppRegistry: globalAppRegistry });
+        store.dispatch(validatorChanged('{ b: 1 }'));
+        store.dispatch(validatorChanged('{ b: 2 }'));
+
+        expect(items[key]).to.equal(undefined);
+
+        clock.tick(DRAFT_DELAY);
+
+        expect(JSON.parse(items[key]).validator).to.equal('{ b: 2 }');
+      });
+
+      it('detects a stale draft after several edits', () => {
+        items[key] = JSON.stringify({
+          ...draft,
+          base: { validator: '{ a: 0 }', validationAction: 'error', validationLevel: 'strict' }
+        });
+        store = configureStore({ namespace: 'db.coll', globalAppRegistry: globalAppRegistry });
+        store.dispatch(validationFetched({
+          validator: { a: 2 },
+          validationAction: 'error',
+          validationLevel: 'strict'
+        }));
+        store.dispatch(zeroStateChanged(false));
+        store.dispatch(restoreValidationDraft());
+        ['{ a: 3 }', '{ a: 4 }', '{ a: 5 }'].forEach((validator) => {
+          store.dispatch(validatorChanged(validator));
+          clock.tick(DRAFT_DELAY);
+        });
+
+        const saved = JSON.parse(items[key]);
+
+        expect(saved.validator).to.equal('{ a: 5 }');
+        expect(saved.timestamp).to.equal(1);
+        expect(isDraftStale(saved, store.getState().validation.prevValidation)).to.equal(true);
+      });
+    });
+
     context('when running in a readonly context', () => {
       beforeEach(() => {
         process.env.HADRON_READONLY = 'true';
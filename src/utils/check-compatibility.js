@@ -0,0 +1,176 @@
+import semver from 'semver';
+import { isPlainObject } from 'lodash';
+import { ERROR } from 'utils/lint-validator';
+
+/**
+ * The server version that introduced each query and expression operator
+ * newer than document validation itself.
+ */
+export const OPERATOR_VERSIONS = {
+  $jsonSchema: '3.6.0',
+  $expr: '3.6.0',
+  $convert: '4.0.0',
+  $toBool: '4.0.0',
+  $toDate: '4.0.0',
+  $toDecimal: '4.0.0',
+  $toDouble: '4.0.0',
+  $toInt: '4.0.0',
+  $toLong: '4.0.0',
+  $toObjectId: '4.0.0',
+  $toString: '4.0.0',
+  $trim: '4.0.0',
+  $ltrim: '4.0.0',
+  $rtrim: '4.0.0',
+  $regexFind: '4.2.0',
+  $regexFindAll: '4.2.0',
+  $regexMatch: '4.2.0',
+  $round: '4.2.0',
+  $binarySize: '4.4.0',
+  $bsonSize: '4.4.0',
+  $first: '4.4.0',
+  $last: '4.4.0',
+  $isNumber: '4.4.0',
+  $replaceOne: '4.4.0',
+  $replaceAll: '4.4.0'
+};
+
+/**
+ * The operators that are not allowed in a validator on any server.
+ */
+export const FORBIDDEN_OPERATORS = [
+  '$near',
+  '$nearSphere',
+  '$text',
+  '$where',
+  '$function',
+  '$accumulator'
+];
+
+/**
+ * The server version that introduced each validation option value.
+ */
+export const OPTION_VERSIONS = {
+  validationAction: {
+    error: '3.2.0',
+    warn: '3.2.0',
+    errorAndLog: '8.1.0'
+  },
+  validationLevel: {
+    off: '3.2.0',
+    strict: '3.2.0',
+    moderate: '3.2.0'
+  }
+};
+
+/**
+ * Check if the server is older than the version.
+ *
+ * @param {String} serverVersion - The server version.
+ * @param {String} version - The version.
+ *
+ * @returns {Boolean} If the server is older.
+ */
+export const isOlder = (serverVersion, version) => {
+  const server = semver.coerce(serverVersion);
+
+  return !!server && semver.lt(server, version);
+};
+
+/**
+ * Check the operators of a validator and its nested values.
+ *
+ * @param {Any} value - The value.
+ * @param {Array} path - The path of the value.
+ * @param {String} serverVersion - The server version.
+ * @param {Array} diagnostics - The diagnostics to add to.
+ */
+const checkOperators = (value, path, serverVersion, diagnostics) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      checkOperators(item, path.concat([index]), serverVersion, diagnostics);
+    });
+
+    return;
+  }
+
+  if (!isPlainObject(value)) {
+    return;
+  }
+
+  Object.keys(value).forEach((key) => {
+    const keyPath = path.concat([key]);
+    const version = OPERATOR_VERSIONS[key];
+
+    if (FORBIDDEN_OPERATORS.indexOf(key) > -1) {
+      diagnostics.push({
+        severity: ERROR,
+        path: keyPath,
+        message: `${key} is not allowed in a validator.`
+      });
+    } else if (version && isOlder(serverVersion, version)) {
+      diagnostics.push({
+        severity: ERROR,
+        path: keyPath,
+        version,
+        message: `${key} requires MongoDB ${version} or later, the server is ${serverVersion}.`
+      });
+    }
+
+    if (key !== '$jsonSchema') {
+      checkOperators(value[key], keyPath, serverVersion, diagnostics);
+    }
+  });
+};
+
+/**
+ * Check the validation options.
+ *
+ * @param {Object} validation - The validation.
+ * @param {String} serverVersion - The server version.
+ * @param {Array} diagnostics - The diagnostics to add to.
+ */
+const checkOptions = (validation, serverVersion, diagnostics) => {
+  Object.keys(OPTION_VERSIONS).forEach((option) => {
+    const value = validation[option];
+    const version = OPTION_VERSIONS[option][value];
+
+    if (value === undefined) {
+      return;
+    }
+
+    if (!version) {
+      diagnostics.push({
+        severity: ERROR,
+        path: [],
+        option,
+        message: `"${value}" is not a valid ${option}.`
+      });
+    } else if (isOlder(serverVersion, version)) {
+      diagnostics.push({
+        severity: ERROR,
+        path: [],
+        option,
+        version,
+        message: `${option} "${value}" requires MongoDB ${version} or later, the server is ${serverVersion}.`
+      });
+    }
+  });
+};
+
+/**
+ * Check the validation for operators and option values the connected server
+ * does not support.
+ *
+ * @param {Object} validation - The validation with the parsed validator.
+ * @param {String} serverVersion - The server version.
+ *
+ * @returns {Array} The diagnostics, option problems have the option name.
+ */
+export const checkCompatibility = (validation, serverVersion) => {
+  const diagnostics = [];
+
+  checkOperators(validation.validator, [], serverVersion, diagnostics);
+  checkOptions(validation, serverVersion, diagnostics);
+
+  return diagnostics;
+};
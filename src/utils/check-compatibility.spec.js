@@ -0,0 +1,50 @@
+import { checkCompatibility } from 'utils/check-compatibility';
+
+describe('check-compatibility utils', () => {
+  describe('#checkCompatibility', () => {
+    const validation = {
+      validator: {
+        $jsonSchema: { bsonType: 'object' },
+        $or: [{ $expr: { $regexMatch: { input: '$name', regex: /^a/ } } }]
+      },
+      validationAction: 'error',
+      validationLevel: 'strict'
+    };
+
+    it('returns no diagnostics on new servers', () => {
+      expect(checkCompatibility(validation, '4.2.1')).to.deep.equal([]);
+    });
+
+    it('reports operators the server does not support', () => {
+      expect(checkCompatibility(validation, '4.0.0')).to.deep.equal([{
+        severity: 'error',
+        path: ['$or', 0, '$expr', '$regexMatch'],
+        version: '4.2.0',
+        message: '$regexMatch requires MongoDB 4.2.0 or later, the server is 4.0.0.'
+      }]);
+    });
+
+    it('reports the operators with their version', () => {
+      expect(checkCompatibility(validation, '3.4.0').map((item) => item.version)).
+        to.deep.equal(['3.6.0', '3.6.0', '4.2.0']);
+    });
+
+    it('reports operators that are never allowed', () => {
+      expect(checkCompatibility({ validator: { $where: 'true' } }, '4.2.0')[0].message).
+        to.equal('$where is not allowed in a validator.');
+    });
+
+    it('reports option values the server does not support', () => {
+      expect(checkCompatibility({
+        validator: {},
+        validationAction: 'errorAndLog'
+      }, '7.0.0')).to.deep.equal([{
+        severity: 'error',
+        path: [],
+        option: 'validationAction',
+        version: '8.1.0',
+        message: 'validationAction "errorAndLog" requires MongoDB 8.1.0 or later, the server is 7.0.0.'
+      }]);
+    });
+  });
+});
@@ -0,0 +1,313 @@
+import { isPlainObject, castArray, flatten, uniq, omit, without } from 'lodash';
+import {
+  WARNING,
+  KEYWORDS,
+  UNSUPPORTED_KEYWORDS,
+  SCHEMA_KEYWORDS,
+  SCHEMA_LIST_KEYWORDS,
+  SCHEMA_MAP_KEYWORDS
+} from 'utils/lint-validator';
+
+/**
+ * The keywords that hold reusable schemas for $ref.
+ */
+const DEFINITION_KEYWORDS = ['definitions', '$defs'];
+
+/**
+ * The bsonTypes of each JSON Schema type.
+ */
+const TYPE_BSON_TYPES = {
+  integer: ['int', 'long'],
+  number: ['number'],
+  string: ['string'],
+  boolean: ['bool'],
+  object: ['object'],
+  array: ['array'],
+  null: ['null']
+};
+
+/**
+ * The draft-06 numeric exclusive bounds and the draft-04 bounds they map to.
+ */
+const EXCLUSIVE_BOUNDS = {
+  exclusiveMinimum: 'minimum',
+  exclusiveMaximum: 'maximum'
+};
+
+/**
+ * Check if an inclusive bound is stricter than an exclusive bound of the
+ * same kind.
+ *
+ * @param {String} bound - The inclusive bound keyword, minimum or maximum.
+ * @param {Number} inclusive - The inclusive bound.
+ * @param {Number} exclusive - The exclusive bound.
+ *
+ * @returns {Boolean} If the inclusive bound is stricter.
+ */
+const isStricterInclusiveBound = (bound, inclusive, exclusive) => (
+  bound === 'minimum' ? inclusive > exclusive : inclusive < exclusive
+);
+
+/**
+ * Converts a standard JSON Schema into one MongoDB accepts, noting every
+ * keyword it inlines, rewrites or removes.
+ */
+class SchemaConverter {
+  /**
+   * Create the converter.
+   *
+   * @param {Object} root - The root schema $ref pointers resolve against.
+   */
+  constructor(root) {
+    this.root = root;
+    this.report = [];
+  }
+
+  /**
+   * Note a change in the report.
+   *
+   * @param {Array} path - The path of the keyword.
+   * @param {String} message - The message.
+   */
+  note(path, message) {
+    this.report.push({ severity: WARNING, path, message });
+  }
+
+  /**
+   * Resolve a local JSON pointer.
+   *
+   * @param {String} ref - The reference, e.g. #/definitions/address.
+   *
+   * @returns {Object} The schema, undefined if it can not be resolved.
+   */
+  resolve(ref) {
+    if (typeof ref !== 'string' || (ref !== '#' && ref.indexOf('#/') !== 0)) {
+      return;
+    }
+
+    const target = ref.split('/').slice(1).reduce((schema, token) => {
+      const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+
+      return isPlainObject(schema) ? schema[key] : undefined;
+    }, this.root);
+
+    return isPlainObject(target) ? target : undefined;
+  }
+
+  /**
+   * Convert a schema.
+   *
+   * @param {Any} schema - The schema.
+   * @param {Array} path - The path of the schema.
+   * @param {Array} refs - The references being inlined.
+   *
+   * @returns {Any} The converted schema.
+   */
+  convert(schema, path, refs) {
+    if (!isPlainObject(schema)) {
+      return schema;
+    }
+
+    if (schema.$ref !== undefined) {
+      return this.convertRef(schema, path, refs);
+    }
+
+    const converted = {};
+
+    Object.keys(schema).forEach((keyword) => {
+      this.convertKeyword(schema, keyword, path, refs, converted);
+    });
+
+    return converted;
+  }
+
+  /**
+   * Inline a $ref, merged with its sibling keywords.
+   *
+   * @param {Object} schema - The schema.
+   * @param {Array} path - The path of the schema.
+   * @param {Array} refs - The references being inlined.
+   *
+   * @returns {Object} The converted schema.
+   */
+  convertRef(schema, path, refs) {
+    const ref = schema.$ref;
+    const rest = omit(schema, '$ref');
+    const target = this.resolve(ref);
+
+    if (target === undefined) {
+      this.note(path.concat(['$ref']), `$ref "${ref}" can not be resolved and was removed.`);
+
+      return this.convert(rest, path, refs);
+    }
+
+    if (refs.indexOf(ref) > -1) {
+      this.note(path.concat(['$ref']), `$ref "${ref}" is recursive and was removed.`);
+
+      return this.convert(rest, path, refs);
+    }
+
+    this.note(path.concat(['$ref']), `$ref "${ref}" was inlined.`);
+
+    return this.convert({ ...target, ...rest }, path, refs.concat([ref]));
+  }
+
+  /**
+   * Convert a single keyword into the converted schema.
+   *
+   * @param {Object} schema - The schema.
+   * @param {String} keyword - The keyword.
+   * @param {Array} path - The path of the schema.
+   * @param {Array} refs - The references being inlined.
+   * @param {Object} converted - The converted schema.
+   */
+  convertKeyword(schema, keyword, path, refs, converted) {
+    const value = schema[keyword];
+    const keywordPath = path.concat([keyword]);
+
+    if (DEFINITION_KEYWORDS.indexOf(keyword) > -1) {
+      this.note(keywordPath, `${keyword} was removed, its references are inlined.`);
+    } else if (keyword === 'const') {
+      converted.enum = [value];
+      this.note(keywordPath, 'const was rewritten as a single value enum.');
+    } else if (keyword === 'type') {
+      this.convertType(schema, keywordPath, converted);
+    } else if (EXCLUSIVE_BOUNDS[keyword] && typeof value === 'number') {
+      this.convertExclusiveBound(schema, keyword, keywordPath, converted);
+    } else if (KEYWORDS.indexOf(keyword) === -1) {
+      this.note(keywordPath, UNSUPPORTED_KEYWORDS.indexOf(keyword) > -1 ?
+        `The ${keyword} keyword is not supported by MongoDB and was removed.` :
+        `The unknown keyword ${keyword} was removed.`);
+    } else if (!converted.hasOwnProperty(keyword)) {
+      converted[keyword] = this.convertSubschemas(keyword, value, keywordPath, refs);
+    }
+  }
+
+  /**
+   * Rewrite a numeric exclusive bound as a draft-04 bound. When the schema
+   * also has the inclusive bound the stricter of the two is kept.
+   *
+   * @param {Object} schema - The schema.
+   * @param {String} keyword - The exclusive bound keyword.
+   * @param {Array} path - The path of the keyword.
+   * @param {Object} converted - The converted schema.
+   */
+  convertExclusiveBound(schema, keyword, path, converted) {
+    const bound = EXCLUSIVE_BOUNDS[keyword];
+    const inclusive = schema[bound];
+
+    if (typeof inclusive !== 'number') {
+      converted[bound] = schema[keyword];
+      converted[keyword] = true;
+      this.note(path, `${keyword} was rewritten as ${bound} with ${keyword}: true.`);
+    } else if (isStricterInclusiveBound(bound, inclusive, schema[keyword])) {
+      converted[bound] = inclusive;
+      this.note(path, `${keyword} was removed, ${bound} is stricter.`);
+    } else {
+      converted[bound] = schema[keyword];
+      converted[keyword] = true;
+      this.note(path, `${keyword} was rewritten as ${bound} with ${keyword}: true, replacing the looser ${bound}.`);
+    }
+  }
+
+  /**
+   * Rewrite a type with integer as bsonType, which can express it. When the
+   * schema already has a bsonType the integer type is removed.
+   *
+   * @param {Object} schema - The schema.
+   * @param {Array} path - The path of the type keyword.
+   * @param {Object} converted - The converted schema.
+   */
+  convertType(schema, path, converted) {
+    const types = castArray(schema.type);
+
+    if (types.indexOf('integer') === -1) {
+      converted.type = schema.type;
+
+      return;
+    }
+
+    if (schema.bsonType !== undefined) {
+      const others = without(types, 'integer');
+
+      if (others.length) {
+        converted.type = others.length === 1 ? others[0] : others;
+      }
+      this.note(path, 'type "integer" is not supported by MongoDB and was removed, bsonType sets the type.');
+
+      return;
+    }
+
+    const bsonTypes = uniq(flatten(types.map((type) => TYPE_BSON_TYPES[type] || type)));
+
+    converted.bsonType = bsonTypes.length === 1 ? bsonTypes[0] : bsonTypes;
+    this.note(path, 'type "integer" was rewritten as bsonType.');
+  }
+
+  /**
+   * Convert the subschemas a keyword holds.
+   *
+   * @param {String} keyword - The keyword.
+   * @param {Any} value - The value of the keyword.
+   * @param {Array} path - The path of the keyword.
+   * @param {Array} refs - The references being inlined.
+   *
+   * @returns {Any} The converted value.
+   */
+  convertSubschemas(keyword, value, path, refs) {
+    const isList = keyword === 'items' || SCHEMA_LIST_KEYWORDS.indexOf(keyword) > -1;
+
+    if (isList && Array.isArray(value)) {
+      return value.map((subschema, index) => this.convert(subschema, path.concat([index]), refs));
+    }
+
+    if (keyword === 'items' || SCHEMA_KEYWORDS.indexOf(keyword) > -1) {
+      return this.convert(value, path, refs);
+    }
+
+    if (SCHEMA_MAP_KEYWORDS.indexOf(keyword) > -1 && isPlainObject(value)) {
+      return Object.keys(value).reduce((converted, key) => ({
+        ...converted,
+        [key]: Array.isArray(value[key]) ? value[key] : this.convert(value[key], path.concat([key]), refs)
+      }), {});
+    }
+
+    return value;
+  }
+}
+
+/**
+ * Convert a standard JSON Schema (draft-04 to draft-07) into a $jsonSchema
+ * MongoDB accepts.
+ *
+ * @param {Object} schema - The JSON Schema.
+ * @param {Array} path - The path the schema is used at.
+ *
+ * @returns {Object} The converted schema and the report of every keyword
+ * that was inlined, rewritten or removed.
+ */
+export const convertJsonSchema = (schema, path = ['$jsonSchema']) => {
+  const converter = new SchemaConverter(schema);
+
+  return { schema: converter.convert(schema, path, []), report: converter.report };
+};
+
+/**
+ * Convert the $jsonSchema of a validator.
+ *
+ * @param {Object} validator - The parsed validator.
+ *
+ * @returns {Object} The converted validator and the report.
+ */
+export const convertValidator = (validator) => {
+  if (!isPlainObject(validator) || !isPlainObject(validator.$jsonSchema)) {
+    return { validator, report: [] };
+  }
+
+  const converted = convertJsonSchema(validator.$jsonSchema);
+
+  return {
+    validator: { ...validator, $jsonSchema: converted.schema },
+    report: converted.report
+  };
+};
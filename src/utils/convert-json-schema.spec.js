@@ -0,0 +1,152 @@
+import { convertJsonSchema, convertValidator } from 'utils/convert-json-schema';
+
+describe('convert-json-schema utils', () => {
+  describe('#convertJsonSchema', () => {
+    it('keeps supported keywords', () => {
+      const schema = {
+        bsonType: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string', minLength: 1 } }
+      };
+
+      expect(convertJsonSchema(schema)).to.deep.equal({ schema, report: [] });
+    });
+
+    it('rewrites integer types as bsonType', () => {
+      const result = convertJsonSchema({
+        properties: { age: { type: ['integer', 'null'] } }
+      });
+
+      expect(result.schema).to.deep.equal({
+        properties: { age: { bsonType: ['int', 'long', 'null'] } }
+      });
+      expect(result.report).to.deep.equal([{
+        severity: 'warning',
+        path: ['$jsonSchema', 'properties', 'age', 'type'],
+        message: 'type "integer" was rewritten as bsonType.'
+      }]);
+    });
+
+    it('removes integer types next to a bsonType', () => {
+      const result = convertJsonSchema({
+        properties: {
+          age: { bsonType: 'int', type: 'integer' },
+          count: { bsonType: 'long', type: ['integer', 'null'] }
+        }
+      });
+
+      expect(result.schema).to.deep.equal({
+        properties: {
+          age: { bsonType: 'int' },
+          count: { bsonType: 'long', type: 'null' }
+        }
+      });
+      expect(result.report.map((conversion) => conversion.path)).to.deep.equal([
+        ['$jsonSchema', 'properties', 'age', 'type'],
+        ['$jsonSchema', 'properties', 'count', 'type']
+      ]);
+      expect(result.report[0].message).to.equal(
+        'type "integer" is not supported by MongoDB and was removed, bsonType sets the type.'
+      );
+    });
+
+    it('inlines references and removes the definitions', () => {
+      const result = convertJsonSchema({
+        definitions: { name: { type: 'string' } },
+        properties: {
+          first: { $ref: '#/definitions/name' },
+          last: { $ref: '#/definitions/name', maxLength: 10 }
+        }
+      });
+
+      expect(result.schema).to.deep.equal({
+        properties: {
+          first: { type: 'string' },
+          last: { type: 'string', maxLength: 10 }
+        }
+      });
+      expect(result.report.map((item) => item.message)).to.deep.equal([
+        'definitions was removed, its references are inlined.',
+        '$ref "#/definitions/name" was inlined.',
+        '$ref "#/definitions/name" was inlined.'
+      ]);
+    });
+
+    it('removes recursive and unresolved references', () => {
+      const result = convertJsonSchema({
+        definitions: { node: { properties: { next: { $ref: '#/definitions/node' } } } },
+        properties: {
+          head: { $ref: '#/definitions/node' },
+          other: { $ref: 'other.json#/address' }
+        }
+      });
+
+      expect(result.schema).to.deep.equal({
+        properties: { head: { properties: { next: {} } }, other: {} }
+      });
+      expect(result.report.map((item) => item.message)).to.include.members([
+        '$ref "#/definitions/node" is recursive and was removed.',
+        '$ref "other.json#/address" can not be resolved and was removed.'
+      ]);
+    });
+
+    it('rewrites const and numeric exclusive bounds', () => {
+      expect(convertJsonSchema({ const: 'a', exclusiveMinimum: 0 }).schema).to.deep.equal({
+        enum: ['a'],
+        minimum: 0,
+        exclusiveMinimum: true
+      });
+    });
+
+    it('keeps the stricter of the inclusive and exclusive bounds', () => {
+      const result = convertJsonSchema({
+        minimum: 10,
+        exclusiveMinimum: 5,
+        exclusiveMaximum: 20,
+        maximum: 30
+      });
+
+      expect(result.schema).to.deep.equal({
+        minimum: 10,
+        maximum: 20,
+        exclusiveMaximum: true
+      });
+      expect(result.report.map((item) => item.message)).to.deep.equal([
+        'exclusiveMinimum was removed, minimum is stricter.',
+        'exclusiveMaximum was rewritten as maximum with exclusiveMaximum: true, replacing the looser maximum.'
+      ]);
+    });
+
+    it('removes unsupported keywords in subschemas', () => {
+      const result = convertJsonSchema({
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        items: [{ format: 'email', default: '' }],
+        anyOf: [{ examples: [1] }]
+      });
+
+      expect(result.schema).to.deep.equal({ items: [{}], anyOf: [{}] });
+      expect(result.report.map((item) => item.path)).to.deep.equal([
+        ['$jsonSchema', '$schema'],
+        ['$jsonSchema', 'items', 0, 'format'],
+        ['$jsonSchema', 'items', 0, 'default'],
+        ['$jsonSchema', 'anyOf', 0, 'examples']
+      ]);
+    });
+  });
+
+  describe('#convertValidator', () => {
+    it('converts the $jsonSchema and keeps the other operators', () => {
+      expect(convertValidator({
+        $jsonSchema: { type: 'integer' },
+        status: { $in: ['A', 'B'] }
+      }).validator).to.deep.equal({
+        $jsonSchema: { bsonType: ['int', 'long'] },
+        status: { $in: ['A', 'B'] }
+      });
+    });
+
+    it('does not convert validators without $jsonSchema', () => {
+      expect(convertValidator({ a: 1 })).to.deep.equal({ validator: { a: 1 }, report: [] });
+    });
+  });
+});
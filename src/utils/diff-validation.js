@@ -0,0 +1,94 @@
+import EJSON from 'mongodb-extended-json';
+import { isEqual, isPlainObject } from 'lodash';
+
+/**
+ * The added change kind.
+ */
+export const ADDED = 'added';
+
+/**
+ * The removed change kind.
+ */
+export const REMOVED = 'removed';
+
+/**
+ * The changed change kind.
+ */
+export const CHANGED = 'changed';
+
+/**
+ * The validation options that are compared.
+ */
+const OPTIONS = ['validationAction', 'validationLevel'];
+
+/**
+ * Structurally compare two extended JSON values. Object keys are compared
+ * regardless of their order, arrays element by element.
+ *
+ * @param {Any} before - The previous value.
+ * @param {Any} after - The current value.
+ * @param {Array} path - The path of the values.
+ * @param {Array} changes - The changes to add to.
+ *
+ * @returns {Array} The changes with kind, path, before and after.
+ */
+export const diffValues = (before, after, path = [], changes = []) => {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    Object.keys(before).forEach((key) => {
+      if (!after.hasOwnProperty(key)) {
+        changes.push({ kind: REMOVED, path: path.concat([key]), before: before[key] });
+      } else {
+        diffValues(before[key], after[key], path.concat([key]), changes);
+      }
+    });
+    Object.keys(after).forEach((key) => {
+      if (!before.hasOwnProperty(key)) {
+        changes.push({ kind: ADDED, path: path.concat([key]), after: after[key] });
+      }
+    });
+  } else if (Array.isArray(before) && Array.isArray(after)) {
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+      if (i >= after.length) {
+        changes.push({ kind: REMOVED, path: path.concat([i]), before: before[i] });
+      } else if (i >= before.length) {
+        changes.push({ kind: ADDED, path: path.concat([i]), after: after[i] });
+      } else {
+        diffValues(before[i], after[i], path.concat([i]), changes);
+      }
+    }
+  } else if (!isEqual(before, after)) {
+    changes.push({ kind: CHANGED, path, before, after });
+  }
+
+  return changes;
+};
+
+/**
+ * Compare two validations with parsed validators. The validators are
+ * compared as extended JSON so BSON values are compared by value.
+ *
+ * @param {Object} before - The previous validation.
+ * @param {Object} after - The current validation.
+ *
+ * @returns {Array} The changes, option changes have the option name.
+ */
+export const diffValidation = (before, after) => {
+  const changes = diffValues(
+    EJSON.serialize(before.validator),
+    EJSON.serialize(after.validator)
+  );
+
+  OPTIONS.forEach((option) => {
+    if (before[option] !== after[option]) {
+      changes.push({
+        kind: CHANGED,
+        path: [],
+        option,
+        before: before[option],
+        after: after[option]
+      });
+    }
+  });
+
+  return changes;
+};
@@ -0,0 +1,67 @@
+import { checkValidator } from 'modules/validation';
+import { diffValues, diffValidation } from 'utils/diff-validation';
+
+describe('diff-validation utils', () => {
+  describe('#diffValues', () => {
+    it('ignores the key order', () => {
+      expect(diffValues({ a: 1, b: { c: 2, d: 3 } }, { b: { d: 3, c: 2 }, a: 1 })).to.deep.equal([]);
+    });
+
+    it('returns added, removed and changed values', () => {
+      expect(diffValues({ a: 1, b: 2 }, { b: 3, c: 4 })).to.deep.equal([
+        { kind: 'removed', path: ['a'], before: 1 },
+        { kind: 'changed', path: ['b'], before: 2, after: 3 },
+        { kind: 'added', path: ['c'], after: 4 }
+      ]);
+    });
+
+    it('compares arrays by index', () => {
+      expect(diffValues({ required: ['a'] }, { required: ['a', 'b'] })).to.deep.equal([
+        { kind: 'added', path: ['required', 1], after: 'b' }
+      ]);
+    });
+  });
+
+  describe('#diffValidation', () => {
+    const before = {
+      validator: checkValidator('{ _id: { $ne: ObjectId(\'5b5f1d1b1a3e4e2c3c6b7a8e\') } }').validator,
+      validationAction: 'error',
+      validationLevel: 'strict'
+    };
+
+    it('compares BSON values by value', () => {
+      const after = {
+        ...before,
+        validator: checkValidator('{ _id: { $ne: ObjectId(\'5b5f1d1b1a3e4e2c3c6b7a8e\') } }').validator
+      };
+
+      expect(diffValidation(before, after)).to.deep.equal([]);
+    });
+
+    it('returns BSON values as extended JSON', () => {
+      const after = {
+        ...before,
+        validator: checkValidator('{ _id: { $ne: ObjectId(\'5b5f1d1b1a3e4e2c3c6b7a8f\') } }').validator
+      };
+
+      expect(diffValidation(before, after)).to.deep.equal([{
+        kind: 'changed',
+        path: ['_id', '$ne', '$oid'],
+        before: '5b5f1d1b1a3e4e2c3c6b7a8e',
+        after: '5b5f1d1b1a3e4e2c3c6b7a8f'
+      }]);
+    });
+
+    it('returns the changed options', () => {
+      const after = { ...before, validationLevel: 'moderate' };
+
+      expect(diffValidation(before, after)).to.deep.equal([{
+        kind: 'changed',
+        path: [],
+        option: 'validationLevel',
+        before: 'strict',
+        after: 'moderate'
+      }]);
+    });
+  });
+});
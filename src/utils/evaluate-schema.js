@@ -0,0 +1,584 @@
+import { EJSON } from 'bson';
+import { isEqual, isPlainObject } from 'lodash';
+import { formatPath } from 'utils/lint-validator';
+
+/**
+ * The BSON types of the BSON values.
+ */
+const BSON_VALUE_TYPES = {
+  ObjectID: 'objectId',
+  ObjectId: 'objectId',
+  Long: 'long',
+  Int32: 'int',
+  Double: 'double',
+  Decimal128: 'decimal',
+  Timestamp: 'timestamp',
+  Binary: 'binData',
+  BSONRegExp: 'regex',
+  Code: 'javascript',
+  Symbol: 'symbol',
+  BSONSymbol: 'symbol',
+  MinKey: 'minKey',
+  MaxKey: 'maxKey',
+  DBRef: 'object'
+};
+
+/**
+ * The BSON types each type alias and JSON type stands for.
+ */
+const TYPE_GROUPS = {
+  number: ['int', 'long', 'double', 'decimal'],
+  boolean: ['bool']
+};
+
+/**
+ * The keywords violated by missing fields.
+ */
+const MISSING_KEYWORDS = ['required', 'dependencies'];
+
+/**
+ * The largest 32-bit integer.
+ */
+const MAX_INT32 = 2147483647;
+
+/**
+ * The smallest 32-bit integer.
+ */
+const MIN_INT32 = -2147483648;
+
+/**
+ * The precision multipleOf is checked with.
+ */
+const EPSILON = 1e-9;
+
+/**
+ * The BSON types of the JavaScript primitives.
+ */
+const PRIMITIVE_TYPES = {
+  boolean: 'bool',
+  string: 'string',
+  undefined: 'undefined'
+};
+
+/**
+ * Get the numeric types a plain number fits.
+ *
+ * @param {Number} value - The number.
+ *
+ * @returns {Array} The BSON types.
+ */
+const getNumberTypes = (value) => {
+  if (!Number.isInteger(value)) {
+    return ['double'];
+  }
+
+  return (value >= MIN_INT32 && value <= MAX_INT32 ? ['int'] : []).concat(['long', 'double']);
+};
+
+/**
+ * Get the BSON type of an object value.
+ *
+ * @param {Object} value - The object.
+ *
+ * @returns {String} The BSON type.
+ */
+const getObjectType = (value) => {
+  if (value._bsontype) {
+    return value._bsontype === 'Code' && value.scope ?
+      'javascriptWithScope' :
+      BSON_VALUE_TYPES[value._bsontype] || 'object';
+  }
+
+  if (value instanceof Date) {
+    return 'date';
+  }
+
+  if (value instanceof RegExp) {
+    return 'regex';
+  }
+
+  return Array.isArray(value) ? 'array' : 'object';
+};
+
+/**
+ * Get the BSON types a value can have. Plain numbers lost their BSON type
+ * when they were read, so they have every numeric type they fit.
+ *
+ * @param {Any} value - The value.
+ *
+ * @returns {Array} The BSON types.
+ */
+export const getBsonTypes = (value) => {
+  if (value === null) {
+    return ['null'];
+  }
+
+  if (typeof value === 'number') {
+    return getNumberTypes(value);
+  }
+
+  return [PRIMITIVE_TYPES[typeof value] || getObjectType(value)];
+};
+
+/**
+ * Get the number of a plain or BSON numeric value.
+ *
+ * @param {Any} value - The value.
+ *
+ * @returns {Number} The number, undefined if the value is not numeric.
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  if (!value || TYPE_GROUPS.number.indexOf(BSON_VALUE_TYPES[value._bsontype]) === -1) {
+    return;
+  }
+
+  if (value._bsontype === 'Long') {
+    return value.toNumber();
+  }
+
+  return value._bsontype === 'Decimal128' ? parseFloat(value.toString()) : value.valueOf();
+};
+
+/**
+ * Check if two values are equal, numbers of any type by their value.
+ *
+ * @param {Any} value - The value.
+ * @param {Any} other - The other value.
+ *
+ * @returns {Boolean} If they are equal.
+ */
+const isBsonEqual = (value, other) => {
+  const number = toNumber(value);
+
+  if (number !== undefined && toNumber(other) !== undefined) {
+    return number === toNumber(other);
+  }
+
+  return isEqual(
+    EJSON.serialize({ value }, { relaxed: true }),
+    EJSON.serialize({ value: other }, { relaxed: true })
+  );
+};
+
+/**
+ * Convert a pattern keyword to a regular expression.
+ *
+ * @param {Any} pattern - The string, RegExp or BSONRegExp pattern.
+ *
+ * @returns {RegExp} The regular expression.
+ */
+const toRegExp = (pattern) => {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+
+  if (pattern && pattern._bsontype === 'BSONRegExp') {
+    return new RegExp(pattern.pattern, pattern.options.replace(/[^imsu]/g, ''));
+  }
+
+  return new RegExp(pattern);
+};
+
+/**
+ * Format the types of a type keyword for messages.
+ *
+ * @param {Any} types - The type or the types.
+ *
+ * @returns {String} The formatted types.
+ */
+const formatTypes = (types) => [].concat(types).map((type) => `'${type}'`).join(' or ');
+
+/**
+ * Create a violation of a keyword.
+ *
+ * @param {Object} context - The path in the document and in the validator.
+ * @param {String} keyword - The keyword.
+ * @param {String} message - The message.
+ * @param {Object} extra - The keys of the violated rule and the field below
+ * the keyword.
+ *
+ * @returns {Object} The violation with the document path, the schema path,
+ * the keyword and the message.
+ */
+const createViolation = (context, keyword, message, extra = { schema: [], path: [] }) => ({
+  path: context.path.concat(extra.path),
+  schemaPath: context.schemaPath.concat([keyword], extra.schema),
+  keyword,
+  message
+});
+
+/**
+ * Check a value against a list of types.
+ *
+ * @param {String} keyword - The keyword.
+ * @param {Any} value - The value.
+ * @param {Any} types - The type or the types.
+ * @param {Object} context - The paths.
+ *
+ * @returns {Array} The violations.
+ */
+const checkTypes = (keyword, value, types, context) => {
+  const valueTypes = getBsonTypes(value);
+  const allowed = [].concat(types).reduce((all, type) => all.concat(TYPE_GROUPS[type] || [type]), []);
+
+  if (valueTypes.some((type) => allowed.indexOf(type) > -1)) {
+    return [];
+  }
+
+  return [createViolation(context, keyword, `must be of type ${formatTypes(types)}, not '${valueTypes[0]}'`)];
+};
+
+/**
+ * Check a number against a bound.
+ *
+ * @param {String} keyword - The keyword.
+ * @param {Boolean} isBroken - If the number breaks the bound.
+ * @param {String} message - The message.
+ * @param {Object} context - The paths.
+ *
+ * @returns {Array} The violations.
+ */
+const checkBound = (keyword, isBroken, message, context) => (
+  isBroken ? [createViolation(context, keyword, message)] : []
+);
+
+/**
+ * Get the names a list requires that an object does not have.
+ *
+ * @param {Object} value - The object.
+ * @param {Array} names - The names.
+ *
+ * @returns {Array} The missing names with their index in the list.
+ */
+const findMissing = (value, names) => names
+  .map((name, index) => ({ name, index }))
+  .filter((item) => !Object.prototype.hasOwnProperty.call(value, item.name));
+
+/**
+ * Get the keys of an object that match a regular expression.
+ *
+ * @param {Object} value - The object.
+ * @param {Any} pattern - The pattern.
+ *
+ * @returns {Array} The keys.
+ */
+const matchKeys = (value, pattern) => Object.keys(value).filter((key) => toRegExp(pattern).test(key));
+
+/**
+ * Check if a schema holds for a value.
+ *
+ * @param {Any} value - The value.
+ * @param {Object} schema - The schema.
+ *
+ * @returns {Boolean} If it holds.
+ */
+const isValid = (value, schema) => evaluateSchema(value, schema).length === 0;
+
+/**
+ * The checks of the keywords that apply to any value.
+ */
+const ANY_CHECKS = {
+  bsonType: (value, types, context) => checkTypes('bsonType', value, types, context),
+  type: (value, types, context) => checkTypes('type', value, types, context),
+  enum: (value, values, context) => (
+    values.some((item) => isBsonEqual(item, value)) ?
+      [] :
+      [createViolation(context, 'enum', 'must be one of the enum values')]
+  ),
+  allOf: (value, schemas, context) => schemas.reduce((violations, schema, index) => (
+    violations.concat(evaluateSchema(value, schema, context.path, context.schemaPath.concat(['allOf', index])))
+  ), []),
+  anyOf: (value, schemas, context) => (
+    schemas.some((schema) => isValid(value, schema)) ?
+      [] :
+      [createViolation(context, 'anyOf', 'must match at least one schema of anyOf')]
+  ),
+  oneOf: (value, schemas, context) => {
+    const count = schemas.filter((schema) => isValid(value, schema)).length;
+
+    return count === 1 ? [] : [createViolation(context, 'oneOf', `must match exactly one schema of oneOf, matches ${count}`)];
+  },
+  not: (value, schema, context) => (
+    isValid(value, schema) ? [createViolation(context, 'not', 'must not match the schema of not')] : []
+  )
+};
+
+/**
+ * The checks of the numeric keywords.
+ */
+const NUMBER_CHECKS = {
+  multipleOf: (number, divisor, context) => {
+    const quotient = number / toNumber(divisor);
+
+    return checkBound('multipleOf', Math.abs(quotient - Math.round(quotient)) > EPSILON,
+      `must be a multiple of ${toNumber(divisor)}`, context);
+  },
+  maximum: (number, maximum, context, schema) => (
+    schema.exclusiveMaximum ?
+      checkBound('maximum', number >= toNumber(maximum), `must be less than ${toNumber(maximum)}`, context) :
+      checkBound('maximum', number > toNumber(maximum), `must be at most ${toNumber(maximum)}`, context)
+  ),
+  minimum: (number, minimum, context, schema) => (
+    schema.exclusiveMinimum ?
+      checkBound('minimum', number <= toNumber(minimum), `must be greater than ${toNumber(minimum)}`, context) :
+      checkBound('minimum', number < toNumber(minimum), `must be at least ${toNumber(minimum)}`, context)
+  )
+};
+
+/**
+ * The checks of the string keywords.
+ */
+const STRING_CHECKS = {
+  maxLength: (string, length, context) => checkBound('maxLength', Array.from(string).length > toNumber(length),
+    `must be at most ${toNumber(length)} characters long`, context),
+  minLength: (string, length, context) => checkBound('minLength', Array.from(string).length < toNumber(length),
+    `must be at least ${toNumber(length)} characters long`, context),
+  pattern: (string, pattern, context) => checkBound('pattern', !toRegExp(pattern).test(string),
+    `must match the pattern ${toRegExp(pattern)}`, context)
+};
+
+/**
+ * The checks of the object keywords.
+ */
+const OBJECT_CHECKS = {
+  maxProperties: (object, count, context) => checkBound('maxProperties',
+    Object.keys(object).length > toNumber(count), `must have at most ${toNumber(count)} fields`, context),
+  minProperties: (object, count, context) => checkBound('minProperties',
+    Object.keys(object).length < toNumber(count), `must have at least ${toNumber(count)} fields`, context),
+  required: (object, names, context) => findMissing(object, names).map((item) => (
+    createViolation(context, 'required', 'is required', { schema: [item.index], path: [item.name] })
+  )),
+  properties: (object, properties, context) => Object.keys(properties)
+    .filter((key) => Object.prototype.hasOwnProperty.call(object, key))
+    .reduce((violations, key) => violations.concat(evaluateSchema(
+      object[key],
+      properties[key],
+      context.path.concat([key]),
+      context.schemaPath.concat(['properties', key])
+    )), []),
+  patternProperties: (object, patterns, context) => Object.keys(patterns)
+    .reduce((violations, pattern) => matchKeys(object, pattern).reduce((all, key) => all.concat(evaluateSchema(
+      object[key],
+      patterns[pattern],
+      context.path.concat([key]),
+      context.schemaPath.concat(['patternProperties', pattern])
+    )), violations), []),
+  additionalProperties: (object, additional, context, schema) => Object.keys(object)
+    .filter((key) => !Object.prototype.hasOwnProperty.call(schema.properties || {}, key))
+    .filter((key) => !Object.keys(schema.patternProperties || {}).some((pattern) => toRegExp(pattern).test(key)))
+    .reduce((violations, key) => violations.concat(additional === false ?
+      [createViolation(context, 'additionalProperties', 'is not allowed', { schema: [], path: [key] })] :
+      evaluateSchema(object[key], additional, context.path.concat([key]), context.schemaPath.concat(['additionalProperties']))
+    ), []),
+  dependencies: (object, dependencies, context) => Object.keys(dependencies)
+    .filter((key) => Object.prototype.hasOwnProperty.call(object, key))
+    .reduce((violations, key) => violations.concat(Array.isArray(dependencies[key]) ?
+      findMissing(object, dependencies[key]).map((item) => createViolation(
+        context, 'dependencies', `is required when ${key} is present`, { schema: [key, item.index], path: [item.name] }
+      )) :
+      evaluateSchema(object, dependencies[key], context.path, context.schemaPath.concat(['dependencies', key]))
+    ), [])
+};
+
+/**
+ * The checks of the array keywords.
+ */
+const ARRAY_CHECKS = {
+  maxItems: (array, count, context) => checkBound('maxItems', array.length > toNumber(count),
+    `must have at most ${toNumber(count)} items`, context),
+  minItems: (array, count, context) => checkBound('minItems', array.length < toNumber(count),
+    `must have at least ${toNumber(count)} items`, context),
+  uniqueItems: (array, isUnique, context) => checkBound('uniqueItems',
+    isUnique === true && array.some((item, index) => array.slice(0, index).some((other) => isBsonEqual(item, other))),
+    'must not have duplicate items', context),
+  items: (array, items, context) => array.reduce((violations, item, index) => {
+    if (Array.isArray(items) && index >= items.length) {
+      return violations;
+    }
+
+    return violations.concat(evaluateSchema(
+      item,
+      Array.isArray(items) ? items[index] : items,
+      context.path.concat([index]),
+      context.schemaPath.concat(Array.isArray(items) ? ['items', index] : ['items'])
+    ));
+  }, []),
+  additionalItems: (array, additional, context, schema) => (Array.isArray(schema.items) ? array : [])
+    .slice(Array.isArray(schema.items) ? schema.items.length : 0)
+    .reduce((violations, item, offset) => {
+      const index = schema.items.length + offset;
+
+      return violations.concat(additional === false ?
+        [createViolation(context, 'additionalItems', 'is not allowed', { schema: [], path: [index] })] :
+        evaluateSchema(item, additional, context.path.concat([index]), context.schemaPath.concat(['additionalItems'])));
+    }, [])
+};
+
+/**
+ * Get the keyword checks that apply to a value, with the value they check.
+ *
+ * @param {Any} value - The value.
+ *
+ * @returns {Object} The checks and the checked value.
+ */
+const getTypeChecks = (value) => {
+  const number = toNumber(value);
+
+  if (number !== undefined) {
+    return { checks: NUMBER_CHECKS, checked: number };
+  }
+
+  if (typeof value === 'string') {
+    return { checks: STRING_CHECKS, checked: value };
+  }
+
+  if (Array.isArray(value)) {
+    return { checks: ARRAY_CHECKS, checked: value };
+  }
+
+  return { checks: isPlainObject(value) ? OBJECT_CHECKS : {}, checked: value };
+};
+
+/**
+ * Evaluate a value against a $jsonSchema the way MongoDB does.
+ *
+ * @param {Any} value - The value.
+ * @param {Object} schema - The schema.
+ * @param {Array} path - The path of the value in the document.
+ * @param {Array} schemaPath - The path of the schema in the validator.
+ *
+ * @returns {Array} The violations, each with the document path, the schema
+ * path, the keyword and a message.
+ */
+export const evaluateSchema = (value, schema, path = [], schemaPath = ['$jsonSchema']) => {
+  if (!isPlainObject(schema)) {
+    return [];
+  }
+
+  const context = { path, schemaPath };
+  const typeChecks = getTypeChecks(value);
+
+  return Object.keys(schema).reduce((violations, keyword) => {
+    if (ANY_CHECKS[keyword]) {
+      return violations.concat(ANY_CHECKS[keyword](value, schema[keyword], context, schema));
+    }
+
+    if (typeChecks.checks[keyword]) {
+      return violations.concat(typeChecks.checks[keyword](typeChecks.checked, schema[keyword], context, schema));
+    }
+
+    return violations;
+  }, []);
+};
+
+/**
+ * Evaluate a document against the $jsonSchema of a parsed validator, also
+ * in a top level $and. Other query operators are not evaluated.
+ *
+ * @param {Object} document - The document.
+ * @param {Object} validator - The parsed validator.
+ *
+ * @returns {Array} The violations.
+ */
+export const evaluateValidator = (document, validator) => {
+  if (!isPlainObject(validator)) {
+    return [];
+  }
+
+  const clauses = Array.isArray(validator.$and) ? validator.$and : [];
+
+  return clauses.reduce((violations, clause, index) => violations.concat(
+    isPlainObject(clause) && clause.$jsonSchema ?
+      evaluateSchema(document, clause.$jsonSchema, [], ['$and', index, '$jsonSchema']) :
+      []
+  ), validator.$jsonSchema ? evaluateSchema(document, validator.$jsonSchema) : []);
+};
+
+/**
+ * Check if a violation is caused by a missing field, its path is the path
+ * the field is missing at.
+ *
+ * @param {Object} violation - The violation.
+ *
+ * @returns {Boolean} If the field is missing.
+ */
+export const isMissingField = (violation) => MISSING_KEYWORDS.indexOf(violation.keyword) > -1;
+
+/**
+ * Check if two document paths are equal, indexes equal their string keys.
+ *
+ * @param {Array} path - The path.
+ * @param {Array} other - The other path.
+ *
+ * @returns {Boolean} If they are equal.
+ */
+export const isSamePath = (path, other) => (
+  path.length === other.length && path.every((key, index) => String(key) === String(other[index]))
+);
+
+/**
+ * Check if a document path is nested below another one.
+ *
+ * @param {Array} path - The path.
+ * @param {Array} parent - The parent path.
+ *
+ * @returns {Boolean} If the path is below the parent.
+ */
+export const isNestedPath = (path, parent) => (
+  path.length > parent.length && isSamePath(path.slice(0, parent.length), parent)
+);
+
+/**
+ * Describe the rules of violations, one per line.
+ *
+ * @param {Array} violations - The violations.
+ *
+ * @returns {String} The description.
+ */
+export const describeViolations = (violations) => violations
+  .map((violation) => `${violation.message} (${formatPath(violation.schemaPath)})`)
+  .join('\n');
+
+/**
+ * Group the violations of the fields missing below a document path by the
+ * field name.
+ *
+ * @param {Array} violations - The violations.
+ * @param {Array} path - The document path.
+ *
+ * @returns {Array} The missing fields with their name and violations.
+ */
+export const groupMissingFields = (violations, path) => violations
+  .filter((violation) => isMissingField(violation) && isSamePath(violation.path.slice(0, -1), path))
+  .reduce((fields, violation) => {
+    const name = String(violation.path[violation.path.length - 1]);
+    const field = fields.find((item) => item.name === name);
+
+    if (field) {
+      field.violations.push(violation);
+
+      return fields;
+    }
+
+    return fields.concat([{ name, violations: [violation] }]);
+  }, []);
+
+/**
+ * Check if the $jsonSchema is all a validator checks, so the evaluation
+ * tells if a document passes.
+ *
+ * @param {Object} validator - The parsed validator.
+ *
+ * @returns {Boolean} If the validator has no other query operators.
+ */
+export const isSchemaOnly = (validator) => Object.keys(validator).every((key) => {
+  if (key === '$and' && Array.isArray(validator.$and)) {
+    return validator.$and.every((clause) => isPlainObject(clause) && isSchemaOnly(clause));
+  }
+
+  return key === '$jsonSchema';
+});
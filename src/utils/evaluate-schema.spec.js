@@ -0,0 +1,198 @@
+import { Decimal128, Int32, Long, ObjectId } from 'bson';
+import {
+  getBsonTypes,
+  evaluateSchema,
+  evaluateValidator,
+  groupMissingFields,
+  isNestedPath,
+  describeViolations,
+  isSchemaOnly
+} from 'utils/evaluate-schema';
+
+describe('evaluate-schema utils', () => {
+  describe('#getBsonTypes', () => {
+    it('returns the type of BSON values', () => {
+      expect(getBsonTypes(new ObjectId())).to.deep.equal(['objectId']);
+      expect(getBsonTypes(Long.fromNumber(5))).to.deep.equal(['long']);
+      expect(getBsonTypes(Decimal128.fromString('1.2'))).to.deep.equal(['decimal']);
+    });
+
+    it('returns every numeric type a plain number fits', () => {
+      expect(getBsonTypes(5)).to.deep.equal(['int', 'long', 'double']);
+      expect(getBsonTypes(Math.pow(2, 40))).to.deep.equal(['long', 'double']);
+      expect(getBsonTypes(1.5)).to.deep.equal(['double']);
+    });
+
+    it('returns the type of JavaScript values', () => {
+      expect(getBsonTypes(new Date())).to.deep.equal(['date']);
+      expect(getBsonTypes(/a/)).to.deep.equal(['regex']);
+      expect(getBsonTypes([])).to.deep.equal(['array']);
+      expect(getBsonTypes({})).to.deep.equal(['object']);
+      expect(getBsonTypes(null)).to.deep.equal(['null']);
+    });
+  });
+
+  describe('#evaluateSchema', () => {
+    const schema = {
+      bsonType: 'object',
+      required: ['name', 'age'],
+      properties: {
+        name: { bsonType: 'string', minLength: 2 },
+        age: { bsonType: 'int', minimum: 0 },
+        tags: { bsonType: 'array', items: { enum: ['a', 'b'] }, uniqueItems: true },
+        address: {
+          bsonType: 'object',
+          additionalProperties: false,
+          properties: { city: { bsonType: 'string' } }
+        }
+      }
+    };
+
+    it('returns nothing for a valid document', () => {
+      expect(evaluateSchema({ name: 'Ann', age: new Int32(30), tags: ['a'] }, schema)).to.deep.equal([]);
+    });
+
+    it('returns the missing required fields', () => {
+      expect(evaluateSchema({ name: 'Ann' }, schema)).to.deep.equal([{
+        path: ['age'],
+        schemaPath: ['$jsonSchema', 'required', 1],
+        keyword: 'required',
+        message: 'is required'
+      }]);
+    });
+
+    it('returns the violations of nested fields with their paths', () => {
+      const violations = evaluateSchema({
+        name: 'A',
+        age: -1,
+        tags: ['a', 'c', 'a'],
+        address: { city: 5, zip: '1' }
+      }, schema);
+
+      expect(violations.map((violation) => [violation.path, violation.schemaPath])).to.deep.equal([
+        [['name'], ['$jsonSchema', 'properties', 'name', 'minLength']],
+        [['age'], ['$jsonSchema', 'properties', 'age', 'minimum']],
+        [['tags', 1], ['$jsonSchema', 'properties', 'tags', 'items', 'enum']],
+        [['tags'], ['$jsonSchema', 'properties', 'tags', 'uniqueItems']],
+        [['address', 'zip'], ['$jsonSchema', 'properties', 'address', 'additionalProperties']],
+        [['address', 'city'], ['$jsonSchema', 'properties', 'address', 'properties', 'city', 'bsonType']]
+      ]);
+    });
+
+    it('tells the BSON type of the value', () => {
+      expect(evaluateSchema(Long.fromNumber(5), { bsonType: ['string', 'int'] })[0].message).to.equal(
+        'must be of type \'string\' or \'int\', not \'long\''
+      );
+    });
+
+    it('matches numbers of any type with number and the JSON type', () => {
+      expect(evaluateSchema(Decimal128.fromString('1.5'), { bsonType: 'number' })).to.deep.equal([]);
+      expect(evaluateSchema(new Int32(1), { type: 'number' })).to.deep.equal([]);
+      expect(evaluateSchema(true, { type: 'boolean' })).to.deep.equal([]);
+    });
+
+    it('compares numbers of different types by value', () => {
+      expect(evaluateSchema(Long.fromNumber(2), { enum: [2] })).to.deep.equal([]);
+      expect(evaluateSchema(new Date(0), { enum: [new Date(0)] })).to.deep.equal([]);
+    });
+
+    it('applies keywords only to values of their type', () => {
+      expect(evaluateSchema('a', { minimum: 5, minItems: 2, required: ['a'] })).to.deep.equal([]);
+    });
+
+    it('evaluates exclusive bounds and multipleOf', () => {
+      const keywords = (value) => evaluateSchema(value, {
+        maximum: 10, exclusiveMaximum: true, multipleOf: 0.5
+      }).map((violation) => violation.keyword);
+
+      expect(keywords(10)).to.deep.equal(['maximum']);
+      expect(keywords(1.25)).to.deep.equal(['multipleOf']);
+      expect(keywords(9.5)).to.deep.equal([]);
+    });
+
+    it('evaluates patterns and counts characters by code point', () => {
+      expect(evaluateSchema('😀', { maxLength: 1 })).to.deep.equal([]);
+      expect(evaluateSchema('abc', { pattern: '^b' })[0].message).to.equal('must match the pattern /^b/');
+    });
+
+    it('evaluates the combining keywords', () => {
+      expect(evaluateSchema(1, { anyOf: [{ bsonType: 'string' }, { bsonType: 'bool' }] })[0].keyword).to.equal('anyOf');
+      expect(evaluateSchema(1, { oneOf: [{ minimum: 0 }, { maximum: 5 }] })[0].message).to.equal(
+        'must match exactly one schema of oneOf, matches 2'
+      );
+      expect(evaluateSchema(1, { not: { bsonType: 'int' } })[0].keyword).to.equal('not');
+      expect(evaluateSchema(1, { allOf: [{ minimum: 2 }] })[0].schemaPath).to.deep.equal(
+        ['$jsonSchema', 'allOf', 0, 'minimum']
+      );
+    });
+
+    it('evaluates dependencies', () => {
+      expect(evaluateSchema({ card: 1 }, { dependencies: { card: ['billing'] } })).to.deep.equal([{
+        path: ['billing'],
+        schemaPath: ['$jsonSchema', 'dependencies', 'card', 0],
+        keyword: 'dependencies',
+        message: 'is required when card is present'
+      }]);
+    });
+
+    it('evaluates positional items', () => {
+      const violations = evaluateSchema([1, 'a', 2], {
+        items: [{ bsonType: 'int' }, { bsonType: 'int' }],
+        additionalItems: false
+      });
+
+      expect(violations.map((violation) => violation.path)).to.deep.equal([[1], [2]]);
+    });
+  });
+
+  describe('#evaluateValidator', () => {
+    it('evaluates the $jsonSchema in a top level $and', () => {
+      const violations = evaluateValidator({}, {
+        $and: [{ a: 1 }, { $jsonSchema: { required: ['a'] } }]
+      });
+
+      expect(violations[0].schemaPath).to.deep.equal(['$and', 1, '$jsonSchema', 'required', 0]);
+    });
+
+    it('ignores the other query operators', () => {
+      expect(evaluateValidator({ a: 2 }, { a: 1 })).to.deep.equal([]);
+    });
+  });
+
+  describe('#groupMissingFields', () => {
+    it('groups the missing fields of a path by name', () => {
+      const violations = evaluateSchema({ a: { b: 1 } }, {
+        properties: { a: { required: ['c'], dependencies: { b: ['c', 'd'] } } }
+      });
+
+      expect(groupMissingFields(violations, ['a']).map((field) => [field.name, field.violations.length])).to.deep.equal([
+        ['c', 2],
+        ['d', 1]
+      ]);
+      expect(groupMissingFields(violations, [])).to.deep.equal([]);
+    });
+  });
+
+  describe('#isNestedPath', () => {
+    it('compares indexes with their keys', () => {
+      expect(isNestedPath(['a', 0, 'b'], ['a', '0'])).to.equal(true);
+      expect(isNestedPath(['a'], ['a'])).to.equal(false);
+    });
+  });
+
+  describe('#describeViolations', () => {
+    it('describes each rule on a line', () => {
+      expect(describeViolations(evaluateSchema({}, { required: ['a', 'b'] }))).to.equal(
+        'is required ($jsonSchema.required[0])\nis required ($jsonSchema.required[1])'
+      );
+    });
+  });
+
+  describe('#isSchemaOnly', () => {
+    it('checks for query operators besides the $jsonSchema', () => {
+      expect(isSchemaOnly({ $jsonSchema: {}, $and: [{ $jsonSchema: {} }] })).to.equal(true);
+      expect(isSchemaOnly({ $and: [{ $jsonSchema: {} }, { a: 1 }] })).to.equal(false);
+      expect(isSchemaOnly({ $jsonSchema: {}, a: { $gt: 1 } })).to.equal(false);
+    });
+  });
+});
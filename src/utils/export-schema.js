@@ -0,0 +1,504 @@
+import { isPlainObject, castArray, uniq, omit } from 'lodash';
+import {
+  SCHEMA_KEYWORDS,
+  SCHEMA_LIST_KEYWORDS,
+  SCHEMA_MAP_KEYWORDS
+} from 'utils/lint-validator';
+
+/**
+ * The draft-07 meta schema.
+ */
+export const DRAFT_07 = 'http://json-schema.org/draft-07/schema#';
+
+/**
+ * The JSON type and keywords of each bsonType.
+ */
+const BSON_TYPE_SCHEMAS = {
+  double: { type: 'number' },
+  decimal: { type: 'number' },
+  number: { type: 'number' },
+  int: { type: 'integer' },
+  long: { type: 'integer' },
+  string: { type: 'string' },
+  object: { type: 'object' },
+  array: { type: 'array' },
+  bool: { type: 'boolean' },
+  null: { type: 'null' },
+  objectId: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+  date: { type: 'string', format: 'date-time' },
+  binData: { type: 'string', contentEncoding: 'base64' },
+  regex: { type: 'string' },
+  javascript: { type: 'string' },
+  symbol: { type: 'string' },
+  timestamp: { type: 'object' },
+  minKey: { type: 'object' },
+  maxKey: { type: 'object' }
+};
+
+/**
+ * The bsonTypes that have a JSON type of the same meaning.
+ */
+const JSON_BSON_TYPES = ['double', 'number', 'int', 'string', 'object', 'array', 'bool', 'null'];
+
+/**
+ * The TypeScript type of each bsonType and JSON type, BSON classes are
+ * imported from the bson package.
+ */
+const TYPESCRIPT_TYPES = {
+  double: 'number',
+  int: 'number',
+  number: 'number',
+  integer: 'number',
+  long: 'Long',
+  decimal: 'Decimal128',
+  string: 'string',
+  bool: 'boolean',
+  boolean: 'boolean',
+  null: 'null',
+  objectId: 'ObjectId',
+  date: 'Date',
+  binData: 'Binary',
+  regex: 'BSONRegExp',
+  javascript: 'Code',
+  symbol: 'string',
+  timestamp: 'Timestamp',
+  minKey: 'MinKey',
+  maxKey: 'MaxKey'
+};
+
+/**
+ * The TypeScript types that are classes of the bson package.
+ */
+const BSON_CLASSES = [
+  'Long',
+  'Decimal128',
+  'ObjectId',
+  'Binary',
+  'BSONRegExp',
+  'Code',
+  'Timestamp',
+  'MinKey',
+  'MaxKey'
+];
+
+/**
+ * Copy a schema with each of its direct subschemas mapped.
+ *
+ * @param {Object} schema - The schema.
+ * @param {Function} fn - The function to map subschemas with.
+ *
+ * @returns {Object} The copy.
+ */
+const mapSubschemas = (schema, fn) => {
+  const mapped = { ...schema };
+
+  SCHEMA_KEYWORDS.concat(['items']).forEach((keyword) => {
+    if (isPlainObject(schema[keyword])) {
+      mapped[keyword] = fn(schema[keyword]);
+    }
+  });
+
+  SCHEMA_LIST_KEYWORDS.concat(['items']).forEach((keyword) => {
+    if (Array.isArray(schema[keyword])) {
+      mapped[keyword] = schema[keyword].map(fn);
+    }
+  });
+
+  SCHEMA_MAP_KEYWORDS.forEach((keyword) => {
+    if (isPlainObject(schema[keyword])) {
+      mapped[keyword] = Object.keys(schema[keyword]).reduce((map, key) => ({
+        ...map,
+        [key]: Array.isArray(schema[keyword][key]) ? schema[keyword][key] : fn(schema[keyword][key])
+      }), {});
+    }
+  });
+
+  return mapped;
+};
+
+/**
+ * Map the bsonType of a schema back to JSON types. BSON specific types keep
+ * their bsonType in the x-bsonType annotation.
+ *
+ * @param {Object} schema - The schema.
+ *
+ * @returns {Object} The schema with JSON types.
+ */
+const mapBsonType = (schema) => {
+  const bsonTypes = castArray(schema.bsonType);
+  const schemas = bsonTypes.map((bsonType) => BSON_TYPE_SCHEMAS[bsonType] || {});
+  const types = uniq(schemas.map((typeSchema) => typeSchema.type).filter(Boolean));
+  const mapped = omit(schema, 'bsonType');
+
+  if (types.length) {
+    mapped.type = types.length === 1 ? types[0] : types;
+  }
+
+  if (schemas.length === 1) {
+    Object.keys(schemas[0]).forEach((keyword) => {
+      if (keyword !== 'type' && mapped[keyword] === undefined) {
+        mapped[keyword] = schemas[0][keyword];
+      }
+    });
+  }
+
+  if (bsonTypes.some((bsonType) => JSON_BSON_TYPES.indexOf(bsonType) === -1)) {
+    mapped['x-bsonType'] = schema.bsonType;
+  }
+
+  return mapped;
+};
+
+/**
+ * Map draft-04 boolean exclusive bounds to draft-07 numeric ones.
+ *
+ * @param {Object} schema - The schema.
+ *
+ * @returns {Object} The schema with numeric exclusive bounds.
+ */
+const mapExclusiveBounds = (schema) => {
+  const mapped = { ...schema };
+
+  [['exclusiveMinimum', 'minimum'], ['exclusiveMaximum', 'maximum']].forEach(([keyword, bound]) => {
+    if (typeof schema[keyword] === 'boolean') {
+      delete mapped[keyword];
+
+      if (schema[keyword] && schema[bound] !== undefined) {
+        mapped[keyword] = schema[bound];
+        delete mapped[bound];
+      }
+    }
+  });
+
+  return mapped;
+};
+
+/**
+ * Convert a $jsonSchema and its subschemas to draft-07.
+ *
+ * @param {Object} schema - The $jsonSchema.
+ *
+ * @returns {Object} The draft-07 schema.
+ */
+const convertSchema = (schema) => {
+  if (!isPlainObject(schema)) {
+    return schema;
+  }
+
+  const mapped = mapExclusiveBounds(schema.bsonType === undefined ? schema : mapBsonType(schema));
+
+  return mapSubschemas(mapped, convertSchema);
+};
+
+/**
+ * Convert a $jsonSchema to a standard draft-07 JSON Schema document.
+ *
+ * @param {Object} schema - The $jsonSchema.
+ * @param {String} title - The title of the document.
+ *
+ * @returns {Object} The draft-07 document. BSON values in enums are
+ * serialized by JSON.stringify.
+ */
+export const toDraft07 = (schema, title) => ({
+  $schema: DRAFT_07,
+  title,
+  ...convertSchema(schema)
+});
+
+/**
+ * Check if a property name can be used without quotes.
+ *
+ * @param {String} name - The name.
+ *
+ * @returns {Boolean} If it is an identifier.
+ */
+const isIdentifier = (name) => /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name);
+
+/**
+ * Get an interface name from a collection name, e.g. user_accounts to
+ * UserAccounts.
+ *
+ * @param {String} name - The collection name.
+ *
+ * @returns {String} The interface name.
+ */
+export const toTypeName = (name) => {
+  const typeName = String(name || '').split(/[^A-Za-z0-9]+/).filter(Boolean).map((part) => (
+    `${part[0].toUpperCase()}${part.slice(1)}`
+  )).join('');
+
+  return /^[A-Za-z]/.test(typeName) ? typeName : `Document${typeName}`;
+};
+
+/**
+ * The brackets that nest TypeScript types.
+ */
+const TYPE_BRACKETS = { '{': '}', '[': ']', '(': ')', '<': '>' };
+
+/**
+ * Check if a TypeScript type is a union or an intersection at its top
+ * level.
+ *
+ * @param {String} type - The type.
+ *
+ * @returns {Boolean} If it is a compound type.
+ */
+const isCompoundType = (type) => {
+  const closing = [];
+  let quote = null;
+
+  for (let index = 0; index < type.length; index++) {
+    const char = type.charAt(index);
+
+    if (quote) {
+      if (char === '\\') {
+        index++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"') {
+      quote = char;
+    } else if (TYPE_BRACKETS[char]) {
+      closing.push(TYPE_BRACKETS[char]);
+    } else if (char === closing[closing.length - 1]) {
+      closing.pop();
+    } else if (!closing.length && (char === '|' || char === '&')) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Join the members of a union or an intersection, compound members are
+ * wrapped in parentheses so they keep their meaning.
+ *
+ * @param {Array} types - The member types.
+ * @param {String} operator - The operator, | or &.
+ *
+ * @returns {String} The type.
+ */
+const joinTypes = (types, operator) => (
+  types.length === 1 ?
+    types[0] :
+    types.map((type) => (isCompoundType(type) ? `(${type})` : type)).join(` ${operator} `)
+);
+
+/**
+ * Write a description as a doc comment, the end of a comment is escaped.
+ *
+ * @param {String} description - The description.
+ * @param {String} indent - The indentation.
+ *
+ * @returns {String} The comment line.
+ */
+const toDocComment = (description, indent) => (
+  `${indent}/** ${String(description).replace(/\*\//g, '*\\/')} */\n`
+);
+
+/**
+ * Generates TypeScript types from a $jsonSchema, collecting the bson
+ * classes the types use.
+ */
+class TypeScriptGenerator {
+  /**
+   * Create the generator.
+   */
+  constructor() {
+    this.imports = [];
+  }
+
+  /**
+   * Get the TypeScript type of a bsonType or JSON type.
+   *
+   * @param {String} type - The type.
+   * @param {Object} schema - The schema.
+   * @param {String} indent - The indentation.
+   *
+   * @returns {String} The type.
+   */
+  typeOf(type, schema, indent) {
+    if (type === 'object') {
+      return this.objectType(schema, indent);
+    }
+
+    if (type === 'array') {
+      return this.arrayType(schema, indent);
+    }
+
+    return this.use(TYPESCRIPT_TYPES[type] || 'unknown');
+  }
+
+  /**
+   * Get the TypeScript type of an enum value.
+   *
+   * @param {Any} value - The value.
+   *
+   * @returns {String} The literal type or the class of a BSON value.
+   */
+  valueType(value) {
+    if (value === null || ['string', 'number', 'boolean'].indexOf(typeof value) > -1) {
+      return JSON.stringify(value);
+    }
+
+    if (value instanceof Date) {
+      return 'Date';
+    }
+
+    const typeName = value && value._bsontype === 'ObjectID' ? 'ObjectId' : value && value._bsontype;
+
+    return BSON_CLASSES.indexOf(typeName) > -1 ? this.use(typeName) : 'unknown';
+  }
+
+  /**
+   * Use a TypeScript type, importing it when it is a bson class.
+   *
+   * @param {String} typeName - The type name.
+   *
+   * @returns {String} The type name.
+   */
+  use(typeName) {
+    if (BSON_CLASSES.indexOf(typeName) > -1 && this.imports.indexOf(typeName) === -1) {
+      this.imports.push(typeName);
+    }
+
+    return typeName;
+  }
+
+  /**
+   * Get the TypeScript type of a schema.
+   *
+   * @param {Object} schema - The schema.
+   * @param {String} indent - The indentation.
+   *
+   * @returns {String} The type.
+   */
+  schemaType(schema, indent) {
+    if (!isPlainObject(schema)) {
+      return 'unknown';
+    }
+
+    if (Array.isArray(schema.enum)) {
+      return joinTypes(uniq(schema.enum.map((value) => this.valueType(value))), '|');
+    }
+
+    if (Array.isArray(schema.anyOf) || Array.isArray(schema.oneOf)) {
+      return joinTypes((schema.anyOf || schema.oneOf).map((subschema) => (
+        this.schemaType(subschema, indent)
+      )), '|');
+    }
+
+    if (Array.isArray(schema.allOf)) {
+      return joinTypes(schema.allOf.map((subschema) => this.schemaType(subschema, indent)), '&');
+    }
+
+    const types = castArray(schema.bsonType || schema.type || []);
+
+    if (!types.length) {
+      return schema.properties ? this.objectType(schema, indent) : 'unknown';
+    }
+
+    return joinTypes(uniq(types.map((type) => this.typeOf(type, schema, indent))), '|');
+  }
+
+  /**
+   * Get the TypeScript type of an array schema.
+   *
+   * @param {Object} schema - The schema.
+   * @param {String} indent - The indentation.
+   *
+   * @returns {String} The type.
+   */
+  arrayType(schema, indent) {
+    if (Array.isArray(schema.items)) {
+      return `[${schema.items.map((item) => this.schemaType(item, indent)).join(', ')}]`;
+    }
+
+    return `Array<${schema.items ? this.schemaType(schema.items, indent) : 'unknown'}>`;
+  }
+
+  /**
+   * Get the TypeScript type of an object schema.
+   *
+   * @param {Object} schema - The schema.
+   * @param {String} indent - The indentation.
+   *
+   * @returns {String} The type.
+   */
+  objectType(schema, indent) {
+    if (!isPlainObject(schema.properties)) {
+      return 'Record<string, unknown>';
+    }
+
+    return `{\n${this.members(schema, `${indent}  `)}${indent}}`;
+  }
+
+  /**
+   * Get the members of an object schema.
+   *
+   * @param {Object} schema - The schema.
+   * @param {String} indent - The indentation of the members.
+   *
+   * @returns {String} The members, one per line.
+   */
+  members(schema, indent) {
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    const properties = schema.properties || {};
+    const lines = Object.keys(properties).map((name) => {
+      const property = properties[name];
+      const key = isIdentifier(name) ? name : JSON.stringify(name);
+      const optional = required.indexOf(name) > -1 ? '' : '?';
+      const comment = isPlainObject(property) && property.description ?
+        toDocComment(property.description, indent) : '';
+
+      return `${comment}${indent}${key}${optional}: ${this.schemaType(property, indent)};\n`;
+    });
+
+    if (isPlainObject(schema.additionalProperties)) {
+      lines.push(`${indent}[key: string]: ${this.schemaType(schema.additionalProperties, indent)};\n`);
+    } else if (schema.additionalProperties !== false && !lines.length) {
+      lines.push(`${indent}[key: string]: unknown;\n`);
+    }
+
+    return lines.join('');
+  }
+
+  /**
+   * Generate the declaration of the root schema.
+   *
+   * @param {Object} schema - The $jsonSchema.
+   * @param {String} typeName - The name of the type.
+   *
+   * @returns {String} The declaration.
+   */
+  declare(schema, typeName) {
+    const types = castArray(schema.bsonType || schema.type || []);
+    const isObject = types.length ?
+      types.length === 1 && types[0] === 'object' :
+      isPlainObject(schema.properties);
+
+    if (isObject) {
+      return `export interface ${typeName} {\n${this.members(schema, '  ')}}\n`;
+    }
+
+    return `export type ${typeName} = ${this.schemaType(schema, '')};\n`;
+  }
+}
+
+/**
+ * Generate a TypeScript file with the document type of a $jsonSchema.
+ *
+ * @param {Object} schema - The $jsonSchema.
+ * @param {String} name - The collection name.
+ *
+ * @returns {String} The TypeScript source.
+ */
+export const toTypeScript = (schema, name) => {
+  const generator = new TypeScriptGenerator();
+  const declaration = generator.declare(schema, toTypeName(name));
+  const imports = generator.imports.length ?
+    `import { ${generator.imports.sort().join(', ')} } from 'bson';\n\n` : '';
+
+  return `${imports}${declaration}`;
+};
@@ -0,0 +1,120 @@
+import { toDraft07, toTypeScript, toTypeName, DRAFT_07 } from 'utils/export-schema';
+
+describe('export-schema utils', () => {
+  const schema = {
+    bsonType: 'object',
+    required: ['_id', 'name'],
+    properties: {
+      _id: { bsonType: 'objectId' },
+      name: { bsonType: 'string', description: 'The full name.' },
+      age: { bsonType: ['int', 'null'], minimum: 0, exclusiveMinimum: true },
+      'created-at': { bsonType: 'date' },
+      tags: { bsonType: 'array', items: { enum: ['a', 'b'] } },
+      address: {
+        bsonType: 'object',
+        properties: { zip: { bsonType: 'long' } }
+      }
+    }
+  };
+
+  describe('#toDraft07', () => {
+    const document = toDraft07(schema, 'people');
+
+    it('adds the meta schema and title', () => {
+      expect(document.$schema).to.equal(DRAFT_07);
+      expect(document.title).to.equal('people');
+      expect(document.type).to.equal('object');
+    });
+
+    it('maps bsonTypes to JSON types', () => {
+      expect(document.properties.name).to.deep.equal({
+        type: 'string',
+        description: 'The full name.'
+      });
+      expect(document.properties.age.type).to.deep.equal(['integer', 'null']);
+    });
+
+    it('annotates BSON specific types', () => {
+      expect(document.properties._id).to.deep.equal({
+        type: 'string',
+        pattern: '^[0-9a-fA-F]{24}$',
+        'x-bsonType': 'objectId'
+      });
+      expect(document.properties['created-at']).to.deep.equal({
+        type: 'string',
+        format: 'date-time',
+        'x-bsonType': 'date'
+      });
+    });
+
+    it('maps boolean exclusive bounds to numbers', () => {
+      expect(document.properties.age.exclusiveMinimum).to.equal(0);
+      expect(document.properties.age.minimum).to.equal(undefined);
+    });
+
+    it('maps nested schemas', () => {
+      expect(document.properties.address.properties.zip).to.deep.equal({
+        type: 'integer',
+        'x-bsonType': 'long'
+      });
+    });
+  });
+
+  describe('#toTypeScript', () => {
+    it('generates an interface with bson imports', () => {
+      expect(toTypeScript(schema, 'people')).to.equal([
+        'import { Long, ObjectId } from \'bson\';',
+        '',
+        'export interface People {',
+        '  _id: ObjectId;',
+        '  /** The full name. */',
+        '  name: string;',
+        '  age?: number | null;',
+        '  "created-at"?: Date;',
+        '  tags?: Array<"a" | "b">;',
+        '  address?: {',
+        '    zip?: Long;',
+        '  };',
+        '}',
+        ''
+      ].join('\n'));
+    });
+
+    it('generates a type alias for non object schemas', () => {
+      expect(toTypeScript({ anyOf: [{ bsonType: 'string' }, { bsonType: 'int' }] }, 'x')).
+        to.equal('export type X = string | number;\n');
+    });
+
+    it('escapes the end of a comment in descriptions', () => {
+      expect(toTypeScript({ properties: { a: { bsonType: 'string', description: 'a */ b' } } }, 'x')).
+        to.equal('export interface X {\n  /** a *\\/ b */\n  a?: string;\n}\n');
+    });
+
+    it('wraps compound member types in parentheses', () => {
+      expect(toTypeScript({
+        allOf: [
+          { anyOf: [{ bsonType: 'string' }, { bsonType: 'int' }] },
+          { enum: ['a', 'b|c'] }
+        ]
+      }, 'x')).to.equal('export type X = (string | number) & ("a" | "b|c");\n');
+      expect(toTypeScript({
+        anyOf: [
+          { allOf: [{ bsonType: 'object', properties: { a: { bsonType: ['string', 'null'] } } }, { bsonType: 'object' }] },
+          { bsonType: 'array', items: { bsonType: ['string', 'int'] } }
+        ]
+      }, 'x')).to.equal([
+        'export type X = ({',
+        '  a?: string | null;',
+        '} & Record<string, unknown>) | Array<string | number>;',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('#toTypeName', () => {
+    it('converts collection names to pascal case', () => {
+      expect(toTypeName('user_accounts')).to.equal('UserAccounts');
+      expect(toTypeName('2020-logs')).to.equal('Document2020Logs');
+    });
+  });
+});
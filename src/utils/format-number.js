@@ -0,0 +1,8 @@
+/**
+ * Format a number with thousands separators.
+ *
+ * @param {Number} number - The number.
+ *
+ * @returns {String} The formatted number.
+ */
+export const formatNumber = (number) => String(number).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
@@ -0,0 +1,10 @@
+import { formatNumber } from 'utils/format-number';
+
+describe('format-number utils', () => {
+  describe('#formatNumber', () => {
+    it('separates the thousands', () => {
+      expect(formatNumber(1234567)).to.equal('1,234,567');
+      expect(formatNumber(123)).to.equal('123');
+    });
+  });
+});
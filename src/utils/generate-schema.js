@@ -0,0 +1,159 @@
+import { uniq } from 'lodash';
+
+/**
+ * Mapping of sampled field types to bson types.
+ */
+const TYPE_MAPPINGS = {
+  String: 'string',
+  Number: 'number',
+  Double: 'double',
+  Int32: 'int',
+  Long: 'long',
+  Decimal128: 'decimal',
+  Boolean: 'bool',
+  Date: 'date',
+  Null: 'null',
+  Document: 'object',
+  Array: 'array',
+  ObjectID: 'objectId',
+  ObjectId: 'objectId',
+  Binary: 'binData',
+  Timestamp: 'timestamp',
+  RegExp: 'regex',
+  BSONRegExp: 'regex',
+  Code: 'javascript',
+  Symbol: 'symbol',
+  BSONSymbol: 'symbol',
+  MinKey: 'minKey',
+  MaxKey: 'maxKey'
+};
+
+/**
+ * Get the bson types of a sampled field.
+ *
+ * @param {Object} field - The sampled field.
+ *
+ * @returns {Array} The bson types.
+ */
+export const getBsonTypes = (field) => {
+  const types = Array.isArray(field.type) ? field.type : [field.type];
+
+  return uniq(types.map((type) => TYPE_MAPPINGS[type]).filter((type) => type));
+};
+
+/**
+ * Check if the sampled field is in every sampled parent document.
+ *
+ * @param {Object} field - The sampled field.
+ * @param {Number} parentCount - The number of parent documents.
+ *
+ * @returns {Boolean} If the field is always present.
+ */
+const isAlwaysPresent = (field, parentCount) => {
+  const types = Array.isArray(field.type) ? field.type : [field.type];
+
+  if (types.indexOf('Undefined') > -1) {
+    return false;
+  }
+
+  if (field.probability !== undefined) {
+    return field.probability === 1;
+  }
+
+  return field.count === parentCount;
+};
+
+/**
+ * Group the sampled fields by the path of their parent field.
+ *
+ * @param {Object} fields - The sampled fields keyed by path.
+ *
+ * @returns {Object} The child fields keyed by parent path, '' for the root.
+ */
+export const groupByParent = (fields) => Object.keys(fields).reduce((groups, path) => {
+  const field = fields[path];
+  const name = field.name || path;
+  const parentPath = path === name ? '' : path.slice(0, -(name.length + 1));
+
+  groups[parentPath] = (groups[parentPath] || []).concat([field]);
+
+  return groups;
+}, {});
+
+/**
+ * Build the object schema for the children of a field.
+ *
+ * @param {Object} groups - The fields grouped by parent path.
+ * @param {String} path - The parent path.
+ * @param {Number} count - The number of parent documents, when unknown the
+ * most frequent child is assumed to be in every document.
+ *
+ * @returns {Object} The object schema.
+ */
+const buildObject = (groups, path, count) => {
+  const children = groups[path] || [];
+  const parentCount = count === undefined ?
+    children.reduce((max, field) => Math.max(max, field.count || 0), 0) :
+    count;
+  const schema = { bsonType: 'object' };
+  const required = children
+    .filter((field) => isAlwaysPresent(field, parentCount))
+    .map((field) => field.name);
+
+  if (required.length) {
+    schema.required = required;
+  }
+
+  schema.properties = children.reduce((properties, field) => {
+    properties[field.name] = buildProperty(groups, field);
+
+    return properties;
+  }, {});
+
+  return schema;
+};
+
+/**
+ * Build the schema for a single field.
+ *
+ * @param {Object} groups - The fields grouped by parent path.
+ * @param {Object} field - The sampled field.
+ *
+ * @returns {Object} The property schema.
+ */
+const buildProperty = (groups, field) => {
+  const bsonTypes = getBsonTypes(field);
+  const property = {};
+
+  if (bsonTypes.length) {
+    property.bsonType = bsonTypes.length === 1 ? bsonTypes[0] : bsonTypes;
+  }
+
+  if (groups[field.path]) {
+    if (bsonTypes.indexOf('object') > -1) {
+      const nested = buildObject(groups, field.path, field.count);
+
+      property.required = nested.required;
+      property.properties = nested.properties;
+    } else if (bsonTypes.indexOf('array') > -1) {
+      property.items = buildObject(groups, field.path);
+    }
+
+    if (!property.required) {
+      delete property.required;
+    }
+  }
+
+  return property;
+};
+
+/**
+ * Generate a $jsonSchema from the sampled fields. Fields present in every
+ * sampled document are required and fields with mixed types get a bson type
+ * union.
+ *
+ * @param {Object} fields - The sampled fields keyed by path.
+ *
+ * @returns {Object} The schema.
+ */
+export const generateSchema = (fields = {}) => buildObject(groupByParent(fields), '');
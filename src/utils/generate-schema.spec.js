@@ -0,0 +1,67 @@
+import { generateSchema, getBsonTypes } from 'utils/generate-schema';
+
+describe('generate-schema utils', () => {
+  describe('#getBsonTypes', () => {
+    it('maps the sampled types to bson types', () => {
+      expect(getBsonTypes({ type: ['String', 'Int32', 'Undefined'] })).to.deep.equal([
+        'string', 'int'
+      ]);
+    });
+  });
+
+  describe('#generateSchema', () => {
+    const fields = {
+      _id: { name: '_id', path: '_id', count: 10, type: 'ObjectID' },
+      name: { name: 'name', path: 'name', count: 10, type: 'String' },
+      age: { name: 'age', path: 'age', count: 7, type: ['Int32', 'String'] },
+      address: { name: 'address', path: 'address', count: 10, type: 'Document' },
+      'address.city': { name: 'city', path: 'address.city', count: 10, type: 'String' },
+      'address.zip': { name: 'zip', path: 'address.zip', count: 4, type: 'String' },
+      tags: { name: 'tags', path: 'tags', count: 3, type: 'Array' },
+      'tags.label': { name: 'label', path: 'tags.label', count: 5, type: 'String' }
+    };
+
+    it('generates the object schema with required fields', () => {
+      const schema = generateSchema(fields);
+
+      expect(schema.bsonType).to.equal('object');
+      expect(schema.required).to.deep.equal(['_id', 'name', 'address']);
+    });
+
+    it('generates bson type unions for mixed types', () => {
+      expect(generateSchema(fields).properties.age).to.deep.equal({
+        bsonType: ['int', 'string']
+      });
+    });
+
+    it('generates nested objects', () => {
+      expect(generateSchema(fields).properties.address).to.deep.equal({
+        bsonType: 'object',
+        required: ['city'],
+        properties: {
+          city: { bsonType: 'string' },
+          zip: { bsonType: 'string' }
+        }
+      });
+    });
+
+    it('generates array items from the nested fields', () => {
+      expect(generateSchema(fields).properties.tags).to.deep.equal({
+        bsonType: 'array',
+        items: {
+          bsonType: 'object',
+          required: ['label'],
+          properties: { label: { bsonType: 'string' } }
+        }
+      });
+    });
+
+    it('uses the probability when it is available', () => {
+      const schema = generateSchema({
+        name: { name: 'name', path: 'name', count: 1, probability: 0.5, type: 'String' }
+      });
+
+      expect(schema.required).to.equal(undefined);
+    });
+  });
+});
@@ -0,0 +1,312 @@
+import { cloneDeep, get, isPlainObject, omit } from 'lodash';
+
+/**
+ * The BSON types accepted by the $jsonSchema bsonType keyword.
+ */
+export const BSON_TYPES = [
+  'double',
+  'string',
+  'object',
+  'array',
+  'binData',
+  'objectId',
+  'bool',
+  'date',
+  'null',
+  'regex',
+  'javascript',
+  'int',
+  'timestamp',
+  'long',
+  'decimal',
+  'number'
+];
+
+/**
+ * All the type aliases the server accepts for bsonType, including the
+ * deprecated ones the rule builder does not offer.
+ */
+export const BSON_TYPE_ALIASES = BSON_TYPES.concat([
+  'minKey',
+  'maxKey',
+  'symbol',
+  'undefined',
+  'dbPointer',
+  'javascriptWithScope'
+]);
+
+/**
+ * The numeric BSON types.
+ */
+export const NUMERIC_TYPES = ['double', 'int', 'long', 'decimal', 'number'];
+
+/**
+ * The type specific keywords the rule builder can edit.
+ */
+const TYPE_KEYWORDS = {
+  numeric: ['minimum', 'maximum'],
+  string: ['minLength', 'maxLength', 'pattern'],
+  array: ['minItems', 'maxItems', 'items'],
+  object: ['properties', 'required', 'additionalProperties']
+};
+
+/**
+ * The default name prefix for new properties.
+ */
+const PROPERTY_PREFIX = 'field';
+
+/**
+ * Get the keyword group for a bson type.
+ *
+ * @param {String} bsonType - The bson type.
+ *
+ * @returns {String} The keyword group.
+ */
+const getTypeGroup = (bsonType) => (
+  NUMERIC_TYPES.indexOf(bsonType) > -1 ? 'numeric' : bsonType
+);
+
+/**
+ * Get the keywords the rule builder can edit for a bson type.
+ *
+ * @param {String} bsonType - The bson type.
+ *
+ * @returns {Array} The keywords.
+ */
+export const getTypeKeywords = (bsonType) => (
+  TYPE_KEYWORDS[getTypeGroup(bsonType)] || []
+);
+
+/**
+ * Apply a change to a copy of the schema node at the provided path.
+ *
+ * @param {Object} schema - The root schema.
+ * @param {Array} path - The path to the node.
+ * @param {Function} fn - Receives the copied node and mutates it.
+ *
+ * @returns {Object} The new root schema.
+ */
+const updateNode = (schema, path, fn) => {
+  const root = cloneDeep(schema);
+  const node = path.length ? get(root, path) : root;
+
+  fn(node);
+
+  return root;
+};
+
+/**
+ * Generate a property name that is not yet taken in the properties.
+ *
+ * @param {Object} properties - The existing properties.
+ *
+ * @returns {String} The property name.
+ */
+export const nextPropertyName = (properties = {}) => {
+  let index = 0;
+  let name = PROPERTY_PREFIX;
+
+  while (properties.hasOwnProperty(name)) {
+    index++;
+    name = `${PROPERTY_PREFIX}${index}`;
+  }
+
+  return name;
+};
+
+/**
+ * Add a property to the object schema node at the path.
+ *
+ * @param {Object} schema - The root schema.
+ * @param {Array} path - The path to the object node.
+ * @param {String} name - The optional property name.
+ * @param {Object} rule - The optional property rule.
+ *
+ * @returns {Object} The new root schema.
+ */
+export const addProperty = (schema, path, name, rule) => updateNode(schema, path, (node) => {
+  node.properties = node.properties || {};
+  node.properties[name || nextPropertyName(node.properties)] = rule || { bsonType: 'string' };
+});
+
+/**
+ * Remove a property from the object schema node at the path.
+ *
+ * @param {Object} schema - The root schema.
+ * @param {Array} path - The path to the object node.
+ * @param {String} name - The property name.
+ *
+ * @returns {Object} The new root schema.
+ */
+export const removeProperty = (schema, path, name) => updateNode(schema, path, (node) => {
+  delete node.properties[name];
+
+  if (Array.isArray(node.required)) {
+    node.required = node.required.filter((key) => key !== name);
+
+    if (node.required.length === 0) {
+      delete node.required;
+    }
+  }
+});
+
+/**
+ * Rename a property keeping its position and required flag.
+ *
+ * @param {Object} schema - The root schema.
+ * @param {Array} path - The path to the object node.
+ * @param {String} name - The current property name.
+ * @param {String} newName - The new property name.
+ *
+ * @returns {Object} The new root schema.
+ */
+export const renameProperty = (schema, path, name, newName) => {
+  const node = path.length ? get(schema, path) : schema;
+
+  if (!newName || name === newName || node.properties.hasOwnProperty(newName)) {
+    return schema;
+  }
+
+  return updateNode(schema, path, (copy) => {
+    copy.properties = Object.keys(copy.properties).reduce((properties, key) => {
+      properties[key === name ? newName : key] = copy.properties[key];
+
+      return properties;
+    }, {});
+
+    if (Array.isArray(copy.required)) {
+      copy.required = copy.required.map((key) => (key === name ? newName : key));
+    }
+  });
+};
+
+/**
+ * Toggle whether a property is required.
+ *
+ * @param {Object} schema - The root schema.
+ * @param {Array} path - The path to the object node.
+ * @param {String} name - The property name.
+ * @param {Boolean} isRequired - If the property is required.
+ *
+ * @returns {Object} The new root schema.
+ */
+export const setRequired = (schema, path, name, isRequired) => updateNode(schema, path, (node) => {
+  const required = (node.required || []).filter((key) => key !== name);
+
+  if (isRequired) {
+    required.push(name);
+  }
+
+  if (required.length) {
+    node.required = required;
+  } else {
+    delete node.required;
+  }
+});
+
+/**
+ * Set a keyword on the schema node at the path. Empty values remove it.
+ *
+ * @param {Object} schema - The root schema.
+ * @param {Array} path - The path to the node.
+ * @param {String} keyword - The keyword.
+ * @param {Any} value - The value.
+ *
+ * @returns {Object} The new root schema.
+ */
+export const setKeyword = (schema, path, keyword, value) => updateNode(schema, path, (node) => {
+  if (value === undefined || value === '' || (Array.isArray(value) && !value.length)) {
+    delete node[keyword];
+  } else {
+    node[keyword] = value;
+  }
+});
+
+/**
+ * Change the bson type of the node at the path, dropping the keywords that
+ * do not apply to the new type.
+ *
+ * @param {Object} schema - The root schema.
+ * @param {Array} path - The path to the node.
+ * @param {String} bsonType - The new bson type.
+ *
+ * @returns {Object} The new root schema.
+ */
+export const setBsonType = (schema, path, bsonType) => {
+  const node = path.length ? get(schema, path) : schema;
+  const stale = getTypeKeywords(node.bsonType).filter((keyword) => (
+    getTypeKeywords(bsonType).indexOf(keyword) === -1
+  ));
+
+  return updateNode(schema, path, (copy) => {
+    stale.concat(['enum']).forEach((keyword) => delete copy[keyword]);
+    copy.bsonType = bsonType;
+
+    if (bsonType === 'array' && !copy.items) {
+      copy.items = { bsonType: 'string' };
+    }
+  });
+};
+
+/**
+ * Parse the comma separated enum text for the bson type.
+ *
+ * @param {String} text - The text.
+ * @param {String} bsonType - The bson type.
+ *
+ * @returns {Array} The enum values.
+ */
+export const parseEnum = (text, bsonType) => text
+  .split(',')
+  .map((value) => value.trim())
+  .filter((value) => value !== '')
+  .map((value) => {
+    if (NUMERIC_TYPES.indexOf(bsonType) > -1 && !isNaN(Number(value))) {
+      return Number(value);
+    }
+
+    if (bsonType === 'bool') {
+      return value === 'true';
+    }
+
+    return value;
+  });
+
+/**
+ * Check if the validator can be edited with the rule builder, i.e. it is
+ * empty or its $jsonSchema is a plain object.
+ *
+ * @param {Object} validator - The parsed validator.
+ *
+ * @returns {Boolean} If the validator is supported.
+ */
+export const isBuilderSupported = (validator) => (
+  isPlainObject(validator) &&
+  (validator.$jsonSchema === undefined || isPlainObject(validator.$jsonSchema))
+);
+
+/**
+ * Get the $jsonSchema from the parsed validator, defaulting to an empty
+ * object schema.
+ *
+ * @param {Object} validator - The parsed validator.
+ *
+ * @returns {Object} The schema.
+ */
+export const getJsonSchema = (validator) => (
+  validator.$jsonSchema || { bsonType: 'object', properties: {} }
+);
+
+/**
+ * Replace the $jsonSchema in the parsed validator, keeping any other
+ * query operators.
+ *
+ * @param {Object} validator - The parsed validator.
+ * @param {Object} schema - The new schema.
+ *
+ * @returns {Object} The new validator.
+ */
+export const setJsonSchema = (validator, schema) => ({
+  $jsonSchema: schema,
+  ...omit(validator, '$jsonSchema')
+});
@@ -0,0 +1,140 @@
+import {
+  nextPropertyName,
+  addProperty,
+  removeProperty,
+  renameProperty,
+  setRequired,
+  setKeyword,
+  setBsonType,
+  parseEnum,
+  isBuilderSupported,
+  getJsonSchema,
+  setJsonSchema
+} from 'utils/json-schema';
+
+describe('json-schema utils', () => {
+  const schema = {
+    bsonType: 'object',
+    required: ['name'],
+    properties: {
+      name: { bsonType: 'string' },
+      address: {
+        bsonType: 'object',
+        properties: { city: { bsonType: 'string' } }
+      }
+    }
+  };
+
+  describe('#nextPropertyName', () => {
+    it('returns the first free property name', () => {
+      expect(nextPropertyName({ field: {}, field1: {} })).to.equal('field2');
+    });
+  });
+
+  describe('#addProperty', () => {
+    it('adds a string property to the nested object', () => {
+      const result = addProperty(schema, ['properties', 'address']);
+
+      expect(result.properties.address.properties.field).to.deep.equal({
+        bsonType: 'string'
+      });
+    });
+
+    it('does not modify the original schema', () => {
+      addProperty(schema, []);
+
+      expect(schema.properties.field).to.equal(undefined);
+    });
+  });
+
+  describe('#removeProperty', () => {
+    it('removes the property and its required entry', () => {
+      const result = removeProperty(schema, [], 'name');
+
+      expect(result.properties.name).to.equal(undefined);
+      expect(result.required).to.equal(undefined);
+    });
+  });
+
+  describe('#renameProperty', () => {
+    it('renames the property in place and in required', () => {
+      const result = renameProperty(schema, [], 'name', 'title');
+
+      expect(Object.keys(result.properties)).to.deep.equal(['title', 'address']);
+      expect(result.required).to.deep.equal(['title']);
+    });
+
+    it('ignores names that are already taken', () => {
+      expect(renameProperty(schema, [], 'name', 'address')).to.equal(schema);
+    });
+  });
+
+  describe('#setRequired', () => {
+    it('adds the property to required', () => {
+      expect(setRequired(schema, [], 'address', true).required).to.deep.equal([
+        'name', 'address'
+      ]);
+    });
+  });
+
+  describe('#setKeyword', () => {
+    it('sets the keyword', () => {
+      const result = setKeyword(schema, ['properties', 'name'], 'maxLength', 10);
+
+      expect(result.properties.name.maxLength).to.equal(10);
+    });
+
+    it('removes the keyword for empty values', () => {
+      const result = setKeyword(schema, ['properties', 'name'], 'enum', []);
+
+      expect(result.properties.name).to.deep.equal({ bsonType: 'string' });
+    });
+  });
+
+  describe('#setBsonType', () => {
+    it('drops keywords that do not apply and adds items for arrays', () => {
+      const withLength = setKeyword(schema, ['properties', 'name'], 'maxLength', 10);
+      const result = setBsonType(withLength, ['properties', 'name'], 'array');
+
+      expect(result.properties.name).to.deep.equal({
+        bsonType: 'array',
+        items: { bsonType: 'string' }
+      });
+    });
+  });
+
+  describe('#parseEnum', () => {
+    it('parses numbers for numeric types', () => {
+      expect(parseEnum('1, 2,,3', 'int')).to.deep.equal([1, 2, 3]);
+    });
+
+    it('keeps strings for string types', () => {
+      expect(parseEnum('a, 1', 'string')).to.deep.equal(['a', '1']);
+    });
+  });
+
+  describe('#isBuilderSupported', () => {
+    it('supports empty validators', () => {
+      expect(isBuilderSupported({})).to.equal(true);
+    });
+
+    it('does not support non object schemas', () => {
+      expect(isBuilderSupported({ $jsonSchema: 'test' })).to.equal(false);
+    });
+  });
+
+  describe('#getJsonSchema', () => {
+    it('defaults to an empty object schema', () => {
+      expect(getJsonSchema({})).to.deep.equal({ bsonType: 'object', properties: {} });
+    });
+  });
+
+  describe('#setJsonSchema', () => {
+    it('keeps the other query operators', () => {
+      expect(setJsonSchema({ a: 1, $jsonSchema: {} }, schema)).to.deep.equal({
+        $jsonSchema: schema,
+        a: 1
+      });
+    });
+  });
+});
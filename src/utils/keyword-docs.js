@@ -0,0 +1,248 @@
+import { OPERATOR_VERSIONS, FORBIDDEN_OPERATORS } from 'utils/check-compatibility';
+import { SCHEMA_MAP_KEYWORDS } from 'utils/lint-validator';
+import { locatePaths } from 'utils/locate-path';
+
+/**
+ * The server version that introduced document validation.
+ */
+const VALIDATION_VERSION = '3.2.0';
+
+/**
+ * The server version that introduced $jsonSchema.
+ */
+const SCHEMA_VERSION = OPERATOR_VERSIONS.$jsonSchema;
+
+/**
+ * The documentation of the $jsonSchema keywords.
+ */
+const SCHEMA_DOCS_URL = 'https://docs.mongodb.com/manual/reference/operator/query/jsonSchema/#available-keywords';
+
+/**
+ * The documentation of the query operators.
+ */
+const OPERATOR_DOCS_URL = 'https://docs.mongodb.com/manual/reference/operator/query/';
+
+/**
+ * The operators documented on the page of another operator.
+ */
+const OPERATOR_PAGES = {
+  $options: '$regex'
+};
+
+/**
+ * Matches the characters of keywords and operators.
+ */
+const WORD = /[\w$]/;
+
+/**
+ * The description and the allowed values of each $jsonSchema keyword.
+ */
+export const SCHEMA_KEYWORD_DOCS = {
+  bsonType: ['The BSON type or types of the value.', 'string alias or array of aliases, e.g. \'int\' or [\'string\', \'null\']'],
+  type: ['The JSON type or types of the value, integer is not supported.', 'string or array of strings'],
+  enum: ['The value must equal one of the listed values.', 'array of values'],
+  allOf: ['The value must match every subschema.', 'array of schemas'],
+  anyOf: ['The value must match at least one subschema.', 'array of schemas'],
+  oneOf: ['The value must match exactly one subschema.', 'array of schemas'],
+  not: ['The value must not match the subschema.', 'schema'],
+  multipleOf: ['The number must be a multiple of this value.', 'number greater than 0'],
+  maximum: ['The largest number allowed.', 'number'],
+  exclusiveMaximum: ['If true the maximum itself is not allowed.', 'boolean, needs maximum'],
+  minimum: ['The smallest number allowed.', 'number'],
+  exclusiveMinimum: ['If true the minimum itself is not allowed.', 'boolean, needs minimum'],
+  maxLength: ['The longest string allowed.', 'non-negative integer'],
+  minLength: ['The shortest string allowed.', 'non-negative integer'],
+  pattern: ['The string must match the regular expression.', 'string or regular expression'],
+  maxProperties: ['The most fields an object can have.', 'non-negative integer'],
+  minProperties: ['The fewest fields an object must have.', 'non-negative integer'],
+  required: ['The fields an object must have.', 'array of unique field names'],
+  additionalProperties: ['Whether fields not listed in properties are allowed, or the schema they must match.', 'boolean or schema'],
+  properties: ['The schema of each named field.', 'object of field names to schemas'],
+  patternProperties: ['The schema of the fields with names matching each regular expression.', 'object of regular expressions to schemas'],
+  dependencies: ['The fields or the schema an object needs when it has a field.', 'object of field names to an array of field names or a schema'],
+  additionalItems: ['Whether array items after the items list are allowed, or the schema they must match.', 'boolean or schema, with items as an array'],
+  items: ['The schema of every array item, or of each item by position.', 'schema or array of schemas'],
+  maxItems: ['The most items an array can have.', 'non-negative integer'],
+  minItems: ['The fewest items an array must have.', 'non-negative integer'],
+  uniqueItems: ['If true every array item must be unique.', 'boolean'],
+  title: ['A title for the schema, not validated.', 'string'],
+  description: ['A description of the schema, shown in validation errors on MongoDB 5.0+.', 'string']
+};
+
+/**
+ * The description and the allowed values of the query operators.
+ */
+export const OPERATOR_DOCS = {
+  $jsonSchema: ['Validates documents against a JSON Schema.', 'schema object'],
+  $expr: ['Validates documents with an aggregation expression.', 'expression'],
+  $and: ['Every clause must match.', 'array of query clauses'],
+  $or: ['At least one clause must match.', 'array of query clauses'],
+  $nor: ['No clause may match.', 'array of query clauses'],
+  $not: ['The value must not match the operator expression.', 'operator expression or regular expression'],
+  $eq: ['The value must equal the given value.', 'value'],
+  $ne: ['The value must not equal the given value.', 'value'],
+  $gt: ['The value must be greater than the given value.', 'value'],
+  $gte: ['The value must be greater than or equal to the given value.', 'value'],
+  $lt: ['The value must be less than the given value.', 'value'],
+  $lte: ['The value must be less than or equal to the given value.', 'value'],
+  $in: ['The value must equal one of the listed values.', 'array of values'],
+  $nin: ['The value must not equal any of the listed values.', 'array of values'],
+  $exists: ['The field must be present, or absent when false.', 'boolean'],
+  $type: ['The value must be of the BSON type.', 'type alias, number or array of them'],
+  $regex: ['The string must match the regular expression.', 'string or regular expression'],
+  $options: ['The options of $regex.', 'string of i, m, x and s'],
+  $mod: ['The remainder of dividing the value must equal the given one.', '[divisor, remainder]'],
+  $all: ['The array must hold every listed value.', 'array of values'],
+  $elemMatch: ['At least one array item must match every condition.', 'query clauses'],
+  $size: ['The array must have this many items.', 'non-negative integer'],
+  $bitsAllSet: ['Every listed bit must be set.', 'bitmask or array of bit positions'],
+  $bitsAnySet: ['At least one listed bit must be set.', 'bitmask or array of bit positions'],
+  $bitsAllClear: ['Every listed bit must be clear.', 'bitmask or array of bit positions'],
+  $bitsAnyClear: ['At least one listed bit must be clear.', 'bitmask or array of bit positions'],
+  $geoWithin: ['The geometry must lie within the given shape.', 'shape document'],
+  $geoIntersects: ['The geometry must intersect the given GeoJSON geometry.', '{ $geometry: GeoJSON }']
+};
+
+/**
+ * Create the documentation of a query operator.
+ *
+ * @param {String} operator - The operator.
+ *
+ * @returns {Object} The documentation.
+ */
+const getOperatorDoc = (operator) => {
+  const isForbidden = FORBIDDEN_OPERATORS.indexOf(operator) > -1;
+  const doc = OPERATOR_DOCS[operator];
+
+  if (!doc && !isForbidden) {
+    return null;
+  }
+
+  return {
+    keyword: operator,
+    description: isForbidden ? 'This operator is not allowed in a validator.' : doc[0],
+    values: isForbidden ? null : doc[1],
+    version: OPERATOR_VERSIONS[operator] || VALIDATION_VERSION,
+    link: `${OPERATOR_DOCS_URL}${(OPERATOR_PAGES[operator] || operator).slice(1).toLowerCase()}/`
+  };
+};
+
+/**
+ * Create the documentation of a $jsonSchema keyword.
+ *
+ * @param {String} keyword - The keyword.
+ *
+ * @returns {Object} The documentation.
+ */
+const getSchemaKeywordDoc = (keyword) => {
+  const doc = SCHEMA_KEYWORD_DOCS[keyword];
+
+  if (!doc) {
+    return null;
+  }
+
+  return {
+    keyword,
+    description: doc[0],
+    values: doc[1],
+    version: SCHEMA_VERSION,
+    link: SCHEMA_DOCS_URL
+  };
+};
+
+/**
+ * Check if a key path is a keyword of the $jsonSchema rather than a field
+ * name of a properties map.
+ *
+ * @param {Array} path - The key path.
+ *
+ * @returns {Boolean} If it is a keyword.
+ */
+const isSchemaKeyword = (path) => (
+  path.length > 1 &&
+  path[0] === '$jsonSchema' &&
+  SCHEMA_MAP_KEYWORDS.indexOf(path[path.length - 2]) === -1
+);
+
+/**
+ * Get the documentation of a key of the validator.
+ *
+ * @param {Array} path - The key path.
+ *
+ * @returns {Object} The keyword, description, allowed values, minimum
+ * server version and link, null for undocumented keys.
+ */
+export const getKeywordDoc = (path) => {
+  const key = String(path[path.length - 1]);
+
+  if (key.charAt(0) === '$') {
+    return getOperatorDoc(key);
+  }
+
+  return isSchemaKeyword(path) ? getSchemaKeywordDoc(key) : null;
+};
+
+/**
+ * Find the word at a position of the text.
+ *
+ * @param {String} text - The text.
+ * @param {Number} row - The zero based row.
+ * @param {Number} column - The zero based column.
+ *
+ * @returns {Object} The word and its offset, null if there is none.
+ */
+const findWord = (text, row, column) => {
+  const lines = text.split('\n');
+  const line = lines[row] || '';
+  let start = column;
+  let end = column;
+
+  while (start > 0 && WORD.test(line.charAt(start - 1))) {
+    start--;
+  }
+
+  while (end < line.length && WORD.test(line.charAt(end))) {
+    end++;
+  }
+
+  if (start === end) {
+    return null;
+  }
+
+  const lineOffset = lines.slice(0, row).reduce((offset, previous) => offset + previous.length + 1, 0);
+
+  return { word: line.slice(start, end), offset: lineOffset + start, column: start };
+};
+
+/**
+ * Find the documentation of the key at a position of the validator text.
+ *
+ * @param {String} text - The validator text.
+ * @param {Number} row - The zero based row.
+ * @param {Number} column - The zero based column.
+ * @param {Object} offsets - The offsets of the paths, located when missing.
+ *
+ * @returns {Object} The documentation with the row and column of the key,
+ * null if the position is not on a documented key.
+ */
+export const findKeywordDoc = (text, row, column, offsets) => {
+  const found = findWord(text, row, column);
+
+  if (!found) {
+    return null;
+  }
+
+  const located = offsets || locatePaths(text);
+  const key = Object.keys(located).find((path) => (
+    located[path] === found.offset || located[path] === found.offset - 1
+  ));
+  const path = key ? JSON.parse(key) : [];
+
+  if (!path.length || String(path[path.length - 1]) !== found.word) {
+    return null;
+  }
+
+  const doc = getKeywordDoc(path);
+
+  return doc ? { ...doc, row, column: found.column } : null;
+};
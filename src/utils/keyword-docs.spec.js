@@ -0,0 +1,76 @@
+import { findKeywordDoc, getKeywordDoc } from 'utils/keyword-docs';
+
+describe('keyword-docs utils', () => {
+  const text = `{
+  $jsonSchema: {
+    required: ['name'],
+    properties: {
+      pattern: { bsonType: 'string', pattern: '^a' }
+    }
+  },
+  'age': { $gte: 18 },
+  $expr: { $eq: ['$a', '$b'] }
+}`;
+
+  describe('#getKeywordDoc', () => {
+    it('documents query operators', () => {
+      expect(getKeywordDoc(['$or'])).to.include({
+        keyword: '$or',
+        version: '3.2.0',
+        link: 'https://docs.mongodb.com/manual/reference/operator/query/or/'
+      });
+    });
+
+    it('links $options to the $regex page', () => {
+      expect(getKeywordDoc(['a', '$options']).link).to.equal(
+        'https://docs.mongodb.com/manual/reference/operator/query/regex/'
+      );
+    });
+
+    it('uses the version that introduced the operator', () => {
+      expect(getKeywordDoc(['$expr']).version).to.equal('3.6.0');
+    });
+
+    it('notes forbidden operators', () => {
+      expect(getKeywordDoc(['$where']).description).to.equal(
+        'This operator is not allowed in a validator.'
+      );
+    });
+
+    it('does not document unknown operators', () => {
+      expect(getKeywordDoc(['$unknown'])).to.equal(null);
+    });
+  });
+
+  describe('#findKeywordDoc', () => {
+    it('documents $jsonSchema keywords', () => {
+      expect(findKeywordDoc(text, 2, 6)).to.include({
+        keyword: 'required',
+        values: 'array of unique field names',
+        row: 2,
+        column: 4
+      });
+    });
+
+    it('does not document field names that look like keywords', () => {
+      expect(findKeywordDoc(text, 4, 8)).to.equal(null);
+    });
+
+    it('documents keywords of nested schemas', () => {
+      expect(findKeywordDoc(text, 4, 39)).to.include({ keyword: 'pattern' });
+    });
+
+    it('documents operators of fields', () => {
+      expect(findKeywordDoc(text, 7, 12)).to.include({ keyword: '$gte' });
+    });
+
+    it('does not document field names and values', () => {
+      expect(findKeywordDoc(text, 7, 3)).to.equal(null);
+      expect(findKeywordDoc(text, 8, 17)).to.equal(null);
+    });
+
+    it('returns null outside of words', () => {
+      expect(findKeywordDoc(text, 0, 0)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,339 @@
+import { isPlainObject } from 'lodash';
+import { BSON_TYPE_ALIASES } from 'utils/json-schema';
+
+/**
+ * The error severity, blocks updating the validation.
+ */
+export const ERROR = 'error';
+
+/**
+ * The warning severity.
+ */
+export const WARNING = 'warning';
+
+/**
+ * The $jsonSchema keywords MongoDB supports.
+ */
+export const KEYWORDS = [
+  'bsonType',
+  'type',
+  'enum',
+  'allOf',
+  'anyOf',
+  'oneOf',
+  'not',
+  'multipleOf',
+  'maximum',
+  'exclusiveMaximum',
+  'minimum',
+  'exclusiveMinimum',
+  'maxLength',
+  'minLength',
+  'pattern',
+  'maxProperties',
+  'minProperties',
+  'required',
+  'additionalProperties',
+  'properties',
+  'patternProperties',
+  'dependencies',
+  'additionalItems',
+  'items',
+  'maxItems',
+  'minItems',
+  'uniqueItems',
+  'title',
+  'description'
+];
+
+/**
+ * The JSON Schema draft keywords MongoDB does not support.
+ */
+export const UNSUPPORTED_KEYWORDS = [
+  '$ref',
+  '$schema',
+  '$id',
+  'id',
+  'definitions',
+  'default',
+  'format',
+  'const',
+  'contains',
+  'propertyNames',
+  'examples',
+  'if',
+  'then',
+  'else',
+  '$comment'
+];
+
+/**
+ * The JSON types MongoDB accepts for the type keyword.
+ */
+export const JSON_TYPES = ['object', 'array', 'number', 'boolean', 'string', 'null'];
+
+/**
+ * The keyword pairs that define a range.
+ */
+const RANGES = [
+  ['minimum', 'maximum'],
+  ['minLength', 'maxLength'],
+  ['minItems', 'maxItems'],
+  ['minProperties', 'maxProperties']
+];
+
+/**
+ * The keywords that hold a single subschema.
+ */
+export const SCHEMA_KEYWORDS = ['not', 'additionalProperties', 'additionalItems'];
+
+/**
+ * The keywords that hold a list of subschemas.
+ */
+export const SCHEMA_LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf'];
+
+/**
+ * The keywords that hold a map of subschemas.
+ */
+export const SCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', 'dependencies'];
+
+/**
+ * Get the number of a plain or BSON numeric value.
+ *
+ * @param {Any} value - The value.
+ *
+ * @returns {Number} The number, undefined if the value is not numeric.
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  if (value && value._bsontype && typeof value.valueOf() === 'number') {
+    return value.valueOf();
+  }
+};
+
+/**
+ * Create a diagnostic.
+ *
+ * @param {String} severity - The severity.
+ * @param {Array} path - The path of the offending keyword.
+ * @param {String} message - The message.
+ *
+ * @returns {Object} The diagnostic.
+ */
+const diagnostic = (severity, path, message) => ({ severity, path, message });
+
+/**
+ * Format a path as a JSON path, e.g. $jsonSchema.required[0].
+ *
+ * @param {Array} path - The path.
+ *
+ * @returns {String} The formatted path.
+ */
+export const formatPath = (path) => path.reduce((formatted, key) => {
+  if (typeof key === 'number') {
+    return `${formatted}[${key}]`;
+  }
+
+  return formatted ? `${formatted}.${key}` : key;
+}, '');
+
+/**
+ * Check the type and bsonType keywords.
+ *
+ * @param {Object} schema - The schema.
+ * @param {Array} path - The path of the schema.
+ * @param {Array} diagnostics - The diagnostics to add to.
+ */
+const lintTypes = (schema, path, diagnostics) => {
+  const check = (keyword, allowed, hint) => {
+    const values = Array.isArray(schema[keyword]) ? schema[keyword] : [schema[keyword]];
+
+    values.forEach((value, index) => {
+      if (allowed.indexOf(value) === -1) {
+        diagnostics.push(diagnostic(
+          ERROR,
+          path.concat(Array.isArray(schema[keyword]) ? [keyword, index] : [keyword]),
+          `"${value}" is not a valid ${keyword}.${hint(value)}`
+        ));
+      }
+    });
+  };
+
+  if (schema.type !== undefined) {
+    check('type', JSON_TYPES, (value) => (
+      value === 'integer' ? ' Use bsonType "int" or "long" instead.' : ''
+    ));
+  }
+
+  if (schema.bsonType !== undefined) {
+    check('bsonType', BSON_TYPE_ALIASES, () => '');
+  }
+
+  if (schema.type !== undefined && schema.bsonType !== undefined) {
+    diagnostics.push(diagnostic(
+      ERROR,
+      path.concat(['bsonType']),
+      'type and bsonType can not be used together.'
+    ));
+  }
+};
+
+/**
+ * Check the required keyword.
+ *
+ * @param {Object} schema - The schema.
+ * @param {Array} path - The path of the schema.
+ * @param {Array} diagnostics - The diagnostics to add to.
+ */
+const lintRequired = (schema, path, diagnostics) => {
+  const required = schema.required;
+
+  if (required === undefined) {
+    return;
+  }
+
+  if (!Array.isArray(required) || !required.length || required.some((key) => typeof key !== 'string')) {
+    diagnostics.push(diagnostic(
+      ERROR,
+      path.concat(['required']),
+      'required must be a non-empty array of strings.'
+    ));
+
+    return;
+  }
+
+  if (isPlainObject(schema.properties)) {
+    required.forEach((key, index) => {
+      if (!schema.properties.hasOwnProperty(key)) {
+        diagnostics.push(diagnostic(
+          WARNING,
+          path.concat(['required', index]),
+          `"${key}" is required but is not defined in properties.`
+        ));
+      }
+    });
+  }
+};
+
+/**
+ * Check that the minimums are not greater than the maximums.
+ *
+ * @param {Object} schema - The schema.
+ * @param {Array} path - The path of the schema.
+ * @param {Array} diagnostics - The diagnostics to add to.
+ */
+const lintRanges = (schema, path, diagnostics) => {
+  RANGES.forEach(([minKeyword, maxKeyword]) => {
+    const min = toNumber(schema[minKeyword]);
+    const max = toNumber(schema[maxKeyword]);
+
+    if (min !== undefined && max !== undefined && min > max) {
+      diagnostics.push(diagnostic(
+        ERROR,
+        path.concat([minKeyword]),
+        `${minKeyword} (${min}) is greater than ${maxKeyword} (${max}), no value can match.`
+      ));
+    }
+  });
+};
+
+/**
+ * Lint a schema and its subschemas.
+ *
+ * @param {Object} schema - The schema.
+ * @param {Array} path - The path of the schema.
+ * @param {Array} diagnostics - The diagnostics to add to.
+ */
+const lintSchema = (schema, path, diagnostics) => {
+  if (!isPlainObject(schema)) {
+    diagnostics.push(diagnostic(ERROR, path, 'A schema must be an object.'));
+
+    return;
+  }
+
+  Object.keys(schema).forEach((keyword) => {
+    if (UNSUPPORTED_KEYWORDS.indexOf(keyword) > -1) {
+      diagnostics.push(diagnostic(
+        ERROR,
+        path.concat([keyword]),
+        `The ${keyword} keyword is not supported by MongoDB.`
+      ));
+    } else if (KEYWORDS.indexOf(keyword) === -1) {
+      diagnostics.push(diagnostic(
+        ERROR,
+        path.concat([keyword]),
+        `Unknown $jsonSchema keyword ${keyword}.`
+      ));
+    }
+  });
+
+  lintTypes(schema, path, diagnostics);
+  lintRequired(schema, path, diagnostics);
+  lintRanges(schema, path, diagnostics);
+
+  SCHEMA_KEYWORDS.forEach((keyword) => {
+    if (isPlainObject(schema[keyword])) {
+      lintSchema(schema[keyword], path.concat([keyword]), diagnostics);
+    }
+  });
+
+  SCHEMA_LIST_KEYWORDS.forEach((keyword) => {
+    if (Array.isArray(schema[keyword])) {
+      schema[keyword].forEach((subschema, index) => {
+        lintSchema(subschema, path.concat([keyword, index]), diagnostics);
+      });
+    }
+  });
+
+  SCHEMA_MAP_KEYWORDS.forEach((keyword) => {
+    if (isPlainObject(schema[keyword])) {
+      Object.keys(schema[keyword]).forEach((key) => {
+        const value = schema[keyword][key];
+
+        if (keyword !== 'dependencies' || !Array.isArray(value)) {
+          lintSchema(value, path.concat([keyword, key]), diagnostics);
+        }
+      });
+    }
+  });
+
+  if (Array.isArray(schema.items)) {
+    schema.items.forEach((subschema, index) => {
+      lintSchema(subschema, path.concat(['items', index]), diagnostics);
+    });
+  } else if (schema.items !== undefined) {
+    lintSchema(schema.items, path.concat(['items']), diagnostics);
+  }
+};
+
+/**
+ * Lint the $jsonSchema of a parsed validator for mistakes the parser does
+ * not catch.
+ *
+ * @param {Object} validator - The parsed validator.
+ *
+ * @returns {Array} The diagnostics with severity, path and message.
+ */
+export const lintValidator = (validator) => {
+  const diagnostics = [];
+
+  if (isPlainObject(validator) && validator.$jsonSchema !== undefined) {
+    lintSchema(validator.$jsonSchema, ['$jsonSchema'], diagnostics);
+  }
+
+  return diagnostics;
+};
+
+/**
+ * Check if any of the diagnostics is an error.
+ *
+ * @param {Array} diagnostics - The diagnostics.
+ *
+ * @returns {Boolean} If there is an error.
+ */
+export const hasLintErrors = (diagnostics) => diagnostics.some((item) => (
+  item.severity === ERROR
+));
@@ -0,0 +1,91 @@
+import {
+  lintValidator,
+  hasLintErrors,
+  formatPath,
+  ERROR,
+  WARNING
+} from 'utils/lint-validator';
+
+describe('lint-validator utils', () => {
+  describe('#lintValidator', () => {
+    it('returns no diagnostics for a valid schema', () => {
+      expect(lintValidator({
+        $jsonSchema: {
+          bsonType: 'object',
+          required: ['name'],
+          properties: {
+            name: { bsonType: 'string', minLength: 1, maxLength: 10 },
+            tags: { bsonType: 'array', items: { enum: ['a', 'b'] } }
+          }
+        }
+      })).to.deep.equal([]);
+    });
+
+    it('ignores validators without $jsonSchema', () => {
+      expect(lintValidator({ name: { $exists: true } })).to.deep.equal([]);
+    });
+
+    it('reports unknown and unsupported keywords', () => {
+      expect(lintValidator({
+        $jsonSchema: { bsonTyp: 'object', definitions: {} }
+      })).to.deep.equal([
+        {
+          severity: ERROR,
+          path: ['$jsonSchema', 'bsonTyp'],
+          message: 'Unknown $jsonSchema keyword bsonTyp.'
+        },
+        {
+          severity: ERROR,
+          path: ['$jsonSchema', 'definitions'],
+          message: 'The definitions keyword is not supported by MongoDB.'
+        }
+      ]);
+    });
+
+    it('reports invalid types in nested schemas', () => {
+      expect(lintValidator({
+        $jsonSchema: { properties: { age: { type: 'integer' } } }
+      })).to.deep.equal([{
+        severity: ERROR,
+        path: ['$jsonSchema', 'properties', 'age', 'type'],
+        message: '"integer" is not a valid type. Use bsonType "int" or "long" instead.'
+      }]);
+    });
+
+    it('accepts the deprecated bsonType aliases', () => {
+      expect(lintValidator({
+        $jsonSchema: { properties: { code: { bsonType: ['javascriptWithScope', 'symbol'] } } }
+      })).to.deep.equal([]);
+    });
+
+    it('warns about required fields missing from properties', () => {
+      expect(lintValidator({
+        $jsonSchema: { required: ['name'], properties: { age: {} } }
+      })).to.deep.equal([{
+        severity: WARNING,
+        path: ['$jsonSchema', 'required', 0],
+        message: '"name" is required but is not defined in properties.'
+      }]);
+    });
+
+    it('reports minimums greater than maximums', () => {
+      const diagnostics = lintValidator({
+        $jsonSchema: { anyOf: [{ minimum: 5, maximum: 3 }] }
+      });
+
+      expect(diagnostics[0].path).to.deep.equal(['$jsonSchema', 'anyOf', 0, 'minimum']);
+    });
+  });
+
+  describe('#hasLintErrors', () => {
+    it('returns false for warnings only', () => {
+      expect(hasLintErrors([{ severity: WARNING }])).to.equal(false);
+    });
+  });
+
+  describe('#formatPath', () => {
+    it('formats the path as a JSON path', () => {
+      expect(formatPath(['$jsonSchema', 'required', 0])).to.equal('$jsonSchema.required[0]');
+    });
+  });
+});
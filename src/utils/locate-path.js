@@ -0,0 +1,410 @@
+/**
+ * Matches whitespace characters.
+ */
+const WHITESPACE = /\s/;
+
+/**
+ * Matches characters of unquoted keys.
+ */
+const IDENTIFIER = /[\w$]/;
+
+/**
+ * Matches quote characters.
+ */
+const QUOTE = /["'`]/;
+
+/**
+ * Get the key of a path in the offsets map.
+ *
+ * @param {Array} path - The path.
+ *
+ * @returns {String} The key.
+ */
+const toKey = (path) => JSON.stringify(path);
+
+/**
+ * Convert an offset in the text to a row and column.
+ *
+ * @param {String} text - The text.
+ * @param {Number} offset - The offset.
+ *
+ * @returns {Object} The row and column, both zero based.
+ */
+export const toPosition = (text, offset) => {
+  const lines = text.slice(0, offset).split('\n');
+
+  return { row: lines.length - 1, column: lines[lines.length - 1].length };
+};
+
+/**
+ * Convert a row and column to an offset in the text.
+ *
+ * @param {String} text - The text.
+ * @param {Number} row - The zero based row.
+ * @param {Number} column - The zero based column.
+ *
+ * @returns {Number} The offset.
+ */
+export const toOffset = (text, row, column) => text
+  .split('\n')
+  .slice(0, row)
+  .reduce((offset, line) => offset + line.length + 1, column);
+
+/**
+ * Scans the shell syntax text of a validator for the offsets of every key
+ * and array element. The scanner is forgiving, it never throws and keeps
+ * what it found up to the first problem.
+ */
+class PathScanner {
+  /**
+   * Create the scanner.
+   *
+   * @param {String} text - The text.
+   */
+  constructor(text) {
+    this.text = text;
+    this.offset = 0;
+    this.stack = [];
+    this.valuePath = [];
+    this.expectingKey = false;
+    this.offsets = { [toKey([])]: 0 };
+  }
+
+  /**
+   * Get the innermost object or array.
+   *
+   * @returns {Object} The frame.
+   */
+  get frame() {
+    return this.stack[this.stack.length - 1];
+  }
+
+  /**
+   * Record the offset of a path.
+   *
+   * @param {Array} path - The path.
+   * @param {Number} offset - The offset.
+   */
+  record(path, offset) {
+    this.valuePath = path;
+    this.offsets[toKey(path)] = offset;
+  }
+
+  /**
+   * Skip a quoted string.
+   *
+   * @returns {String} The unquoted string.
+   */
+  readString() {
+    const quote = this.text[this.offset];
+    let value = '';
+
+    this.offset++;
+    while (this.offset < this.text.length && this.text[this.offset] !== quote) {
+      if (this.text[this.offset] === '\\') {
+        this.offset++;
+      }
+      value += this.text[this.offset];
+      this.offset++;
+    }
+    this.offset++;
+
+    return value;
+  }
+
+  /**
+   * Skip whitespace and comments.
+   *
+   * @returns {Boolean} If anything was skipped.
+   */
+  skipTrivia() {
+    const text = this.text;
+    const start = this.offset;
+
+    if (WHITESPACE.test(text[start])) {
+      this.offset++;
+    } else if (text.startsWith('//', start)) {
+      const end = text.indexOf('\n', start);
+
+      this.offset = end === -1 ? text.length : end + 1;
+    } else if (text.startsWith('/*', start)) {
+      const end = text.indexOf('*/', start + 2);
+
+      this.offset = end === -1 ? text.length : end + 2;
+    }
+
+    return this.offset !== start;
+  }
+
+  /**
+   * Skip a regex literal.
+   */
+  skipRegex() {
+    this.offset++;
+    while (this.offset < this.text.length && this.text[this.offset] !== '/') {
+      this.offset += this.text[this.offset] === '\\' ? 2 : 1;
+    }
+    this.offset++;
+  }
+
+  /**
+   * Skip a scalar value, including constructor calls and regex literals.
+   */
+  skipScalar() {
+    let depth = 0;
+
+    if (this.text[this.offset] === '/') {
+      this.skipRegex();
+    }
+
+    while (this.offset < this.text.length) {
+      const char = this.text[this.offset];
+
+      if (QUOTE.test(char)) {
+        this.readString();
+        continue;
+      }
+
+      if (depth === 0 && (char === ',' || char === '}' || char === ']')) {
+        return;
+      }
+
+      if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+      }
+
+      this.offset++;
+    }
+  }
+
+  /**
+   * Read an object key.
+   *
+   * @returns {Boolean} If a key could be read.
+   */
+  readKey() {
+    const start = this.offset;
+    let key = '';
+
+    if (QUOTE.test(this.text[start])) {
+      key = this.readString();
+    } else {
+      while (this.offset < this.text.length && IDENTIFIER.test(this.text[this.offset])) {
+        key += this.text[this.offset];
+        this.offset++;
+      }
+    }
+
+    if (this.offset === start) {
+      return false;
+    }
+
+    this.record(this.frame.path.concat([key]), start);
+    this.expectingKey = false;
+
+    return true;
+  }
+
+  /**
+   * Handle the punctuation at the current offset.
+   *
+   * @returns {Boolean} If the character was punctuation.
+   */
+  readPunctuation() {
+    const char = this.text[this.offset];
+    const frame = this.frame;
+
+    if (char === '}' || char === ']') {
+      this.stack.pop();
+      this.expectingKey = false;
+    } else if (char === ',' && frame) {
+      this.expectingKey = frame.type === 'object';
+      frame.index += frame.type === 'array' ? 1 : 0;
+    } else if (char !== ':') {
+      return false;
+    }
+
+    this.offset++;
+
+    return true;
+  }
+
+  /**
+   * Read a value, recording array elements and entering objects and arrays.
+   */
+  readValue() {
+    const char = this.text[this.offset];
+    const frame = this.frame;
+
+    if (frame && frame.type === 'array') {
+      const path = frame.path.concat([frame.index]);
+
+      if (this.offsets[toKey(path)] === undefined) {
+        this.record(path, this.offset);
+      }
+    }
+
+    if (char === '{' || char === '[') {
+      this.stack.push({
+        type: char === '{' ? 'object' : 'array',
+        path: this.valuePath,
+        index: 0
+      });
+      this.expectingKey = char === '{';
+      this.offset++;
+    } else {
+      this.skipScalar();
+    }
+  }
+
+  /**
+   * Scan the text.
+   *
+   * @returns {Object} The offsets keyed by path.
+   */
+  scan() {
+    while (this.offset < this.text.length) {
+      if (this.skipTrivia() || this.readPunctuation()) {
+        continue;
+      }
+
+      if (this.frame && this.frame.type === 'object' && this.expectingKey) {
+        if (!this.readKey()) {
+          break;
+        }
+        continue;
+      }
+
+      this.readValue();
+    }
+
+    return this.offsets;
+  }
+}
+
+/**
+ * Find the offset of every key and array element in the validator text.
+ *
+ * @param {String} text - The text.
+ *
+ * @returns {Object} The offsets keyed by path.
+ */
+export const locatePaths = (text) => new PathScanner(text).scan();
+
+/**
+ * Find the row and column of a path in the validator text, falling back to
+ * the closest ancestor that could be found.
+ *
+ * @param {String} text - The text.
+ * @param {Array} path - The path.
+ * @param {Object} offsets - Optional offsets from a previous scan.
+ *
+ * @returns {Object} The row and column.
+ */
+export const locatePath = (text, path, offsets = locatePaths(text)) => {
+  for (let length = path.length; length >= 0; length--) {
+    const offset = offsets[toKey(path.slice(0, length))];
+
+    if (offset !== undefined) {
+      return toPosition(text, offset);
+    }
+  }
+
+  return { row: 0, column: 0 };
+};
+
+/**
+ * Find where an offset of the validator text is, for completions. An
+ * opening quote right before the offset is ignored.
+ *
+ * @param {String} text - The text.
+ * @param {Number} offset - The offset.
+ *
+ * @returns {Object} The path of the enclosing object at a key, or the path
+ * of the key or array at a value and if it is a key, null outside of the
+ * validator object.
+ */
+export const locateCursor = (text, offset) => {
+  const scanner = new PathScanner(text.slice(0, offset).replace(/["'`]$/, ''));
+
+  scanner.scan();
+
+  const frame = scanner.frame;
+
+  if (!frame) {
+    return null;
+  }
+
+  if (frame.type === 'array') {
+    return { path: frame.path, isKey: false };
+  }
+
+  return scanner.expectingKey ?
+    { path: frame.path, isKey: true } :
+    { path: scanner.valuePath, isKey: false };
+};
+
+/**
+ * The number of characters the parser puts before the validator text, it
+ * parses the text wrapped in parentheses.
+ */
+const PARSER_PREFIX_LENGTH = 1;
+
+/**
+ * Matches the position the parser appends to its messages, e.g. (4:7).
+ */
+const PARSER_POSITION = /\s*\(\d+:\d+\)$/;
+
+/**
+ * Get the offset of a syntax error in the validator text. Extended JSON
+ * errors have the offset, shell syntax errors the parser position.
+ *
+ * @param {Object} syntaxError - The syntax error.
+ *
+ * @returns {Number} The offset, null if the error has no position.
+ */
+const getSyntaxErrorOffset = (syntaxError) => {
+  if (!syntaxError) {
+    return null;
+  }
+
+  if (typeof syntaxError.offset === 'number') {
+    return syntaxError.offset;
+  }
+
+  return typeof syntaxError.pos === 'number' ? syntaxError.pos - PARSER_PREFIX_LENGTH : null;
+};
+
+/**
+ * Find the row and column of a syntax error from the validator parser.
+ *
+ * @param {String} text - The text.
+ * @param {Object} syntaxError - The syntax error.
+ *
+ * @returns {Object} The row and column, null if the error has no position.
+ */
+export const locateSyntaxError = (text, syntaxError) => {
+  const errorOffset = getSyntaxErrorOffset(syntaxError);
+
+  if (errorOffset === null) {
+    return null;
+  }
+
+  const offset = Math.min(Math.max(errorOffset, 0), text.length);
+
+  return toPosition(text, offset);
+};
+
+/**
+ * Get the message of a syntax error without the position the parser
+ * appends, which is off by the parser prefix.
+ *
+ * @param {Object} syntaxError - The syntax error.
+ *
+ * @returns {String} The message.
+ */
+export const getSyntaxErrorMessage = (syntaxError) => (
+  String(syntaxError.message || '').replace(PARSER_POSITION, '')
+);
@@ -0,0 +1,131 @@
+import {
+  locatePath,
+  toPosition,
+  toOffset,
+  locateCursor,
+  locateSyntaxError,
+  getSyntaxErrorMessage
+} from 'utils/locate-path';
+import { checkValidator } from 'modules/validation';
+
+describe('locate-path utils', () => {
+  const text = `{
+  // The rules.
+  $jsonSchema: {
+    'required': ['name', "age"],
+    properties: {
+      name: { bsonType: 'string', pattern: /^[a-z,]+$/ },
+      _id: { enum: [ObjectId('5b5f1d1b1a3e4e2c3c6b7a8e'), 1] }
+    }
+  }
+}`;
+
+  describe('#toPosition', () => {
+    it('returns the zero based row and column', () => {
+      expect(toPosition('{\n  a: 1\n}', 4)).to.deep.equal({ row: 1, column: 2 });
+    });
+  });
+
+  describe('#locatePath', () => {
+    it('finds quoted and unquoted keys', () => {
+      expect(locatePath(text, ['$jsonSchema', 'required'])).to.deep.equal({
+        row: 3, column: 4
+      });
+    });
+
+    it('finds array elements', () => {
+      expect(locatePath(text, ['$jsonSchema', 'required', 1])).to.deep.equal({
+        row: 3, column: 25
+      });
+    });
+
+    it('skips regex literals and constructor calls', () => {
+      expect(locatePath(text, ['$jsonSchema', 'properties', '_id', 'enum', 1])).to.deep.equal({
+        row: 6, column: 58
+      });
+    });
+
+    it('falls back to the closest ancestor', () => {
+      expect(locatePath(text, ['$jsonSchema', 'properties', 'name', 'minimum'])).to.deep.equal({
+        row: 5, column: 6
+      });
+    });
+  });
+
+  describe('#locateSyntaxError', () => {
+    it('returns the position of a parser error', () => {
+      const validator = '{\n  a: 1\n  b: 2\n}';
+
+      expect(locateSyntaxError(validator, checkValidator(validator).syntaxError)).to.deep.equal({
+        row: 2, column: 2
+      });
+    });
+
+    it('corrects the column on the first line', () => {
+      const validator = '{ "a" 1 }';
+
+      expect(locateSyntaxError(validator, checkValidator(validator).syntaxError)).to.deep.equal({
+        row: 0, column: 6
+      });
+    });
+
+    it('returns the position of an Extended JSON error', () => {
+      expect(locateSyntaxError('{\n  "a": }', { message: 'Unexpected token }', offset: 9 })).to.deep.equal({
+        row: 1, column: 7
+      });
+    });
+
+    it('returns null for errors without a position', () => {
+      expect(locateSyntaxError('', { message: 'The validator must be an object.' })).to.equal(null);
+    });
+  });
+
+  describe('#getSyntaxErrorMessage', () => {
+    it('removes the parser position', () => {
+      expect(getSyntaxErrorMessage({ message: 'Unexpected token (1:7)' })).to.equal('Unexpected token');
+    });
+  });
+
+  describe('#toOffset', () => {
+    it('returns the offset of a row and column', () => {
+      expect(toOffset('{\n  a: 1\n}', 1, 2)).to.equal(4);
+    });
+  });
+
+  describe('#locateCursor', () => {
+    const validator = '{\n  $jsonSchema: {\n    properties: {\n      address: { properties: { ';
+
+    it('returns the enclosing object at a key', () => {
+      expect(locateCursor(validator, validator.length)).to.deep.equal({
+        path: ['$jsonSchema', 'properties', 'address', 'properties'],
+        isKey: true
+      });
+    });
+
+    it('ignores an opening quote', () => {
+      expect(locateCursor(`${validator}'`, validator.length + 1).isKey).to.equal(true);
+    });
+
+    it('returns the key path at a value', () => {
+      const partial = '{ $jsonSchema: { bsonType: ';
+
+      expect(locateCursor(partial, partial.length)).to.deep.equal({
+        path: ['$jsonSchema', 'bsonType'],
+        isKey: false
+      });
+    });
+
+    it('returns the array path in an array', () => {
+      const partial = '{ $jsonSchema: { required: [ ';
+
+      expect(locateCursor(partial, partial.length)).to.deep.equal({
+        path: ['$jsonSchema', 'required'],
+        isKey: false
+      });
+    });
+
+    it('returns null outside of the validator', () => {
+      expect(locateCursor('', 0)).to.equal(null);
+    });
+  });
+});
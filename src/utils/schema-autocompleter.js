@@ -0,0 +1,260 @@
+import { ValidationAutoCompleter } from 'mongodb-ace-autocompleter';
+import { locateCursor, toOffset } from 'utils/locate-path';
+import { groupByParent, getBsonTypes } from 'utils/generate-schema';
+import { BSON_TYPE_ALIASES } from 'utils/json-schema';
+import { JSON_TYPES } from 'utils/lint-validator';
+
+/**
+ * The values suggested for a keyword.
+ */
+const KEYWORD_VALUES = {
+  bsonType: BSON_TYPE_ALIASES,
+  type: JSON_TYPES
+};
+
+/**
+ * The server version $jsonSchema completions need.
+ */
+const SCHEMA_VERSION = '3.6.0';
+
+/**
+ * Matches field names that can be keys without quotes.
+ */
+const PLAIN_KEY = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * The ACE string token type.
+ */
+const STRING = 'string';
+
+/**
+ * Get the dotted field path a properties block of the $jsonSchema
+ * describes.
+ *
+ * @param {Array} path - The path of the properties block.
+ *
+ * @returns {String} The field path, '' for the root and null if the path is
+ * not a properties block.
+ */
+export const getFieldPath = (path) => {
+  if (path[0] !== '$jsonSchema' || path[path.length - 1] !== 'properties') {
+    return null;
+  }
+
+  const names = [];
+
+  for (let index = 1; index < path.length - 1; index++) {
+    const key = path[index];
+
+    if (key === 'properties') {
+      index++;
+      names.push(path[index]);
+    } else if (key !== 'items' && typeof key !== 'number' &&
+        ['allOf', 'anyOf', 'oneOf'].indexOf(key) === -1) {
+      return null;
+    }
+  }
+
+  return names.join('.');
+};
+
+/**
+ * Escape the snippet syntax characters of a text.
+ *
+ * @param {String} text - The text.
+ *
+ * @returns {String} The escaped text.
+ */
+const escapeSnippet = (text) => text.replace(/[\\$}]/g, '\\$&');
+
+/**
+ * Create the rule skeleton snippet of a sampled field.
+ *
+ * @param {Object} field - The sampled field.
+ *
+ * @returns {String} The snippet.
+ */
+export const createFieldSnippet = (field) => {
+  const name = escapeSnippet(PLAIN_KEY.test(field.name) ? field.name : `'${field.name.replace(/'/g, '\\\'')}'`);
+  const bsonTypes = getBsonTypes(field);
+  const bsonType = bsonTypes.length > 1 ?
+    `[${bsonTypes.map((type) => `'${type}'`).join(', ')}]` :
+    `'\${1:${bsonTypes[0] || 'string'}}'`;
+
+  if (bsonTypes.length === 1 && bsonTypes[0] === 'object') {
+    return `${name}: {\n\tbsonType: 'object',\n\tproperties: {\n\t\t$0\n\t}\n}`;
+  }
+
+  if (bsonTypes.length === 1 && bsonTypes[0] === 'array') {
+    return `${name}: {\n\tbsonType: 'array',\n\titems: {\n\t\t$0\n\t}\n}`;
+  }
+
+  return `${name}: {\n\tbsonType: ${bsonType}$0\n}`;
+};
+
+/**
+ * Completes validators with the context of the cursor. Inside $jsonSchema
+ * properties it suggests the sampled fields of that nesting level with a
+ * rule skeleton, and the allowed values of bsonType and type. Everything
+ * else is left to the validation autocompleter.
+ */
+class SchemaAutoCompleter {
+  /**
+   * Instantiate a new completer.
+   *
+   * @param {String} version - The version.
+   * @param {TextCompleter} textCompleter - The fallback Ace text completer.
+   * @param {Array} fields - The collection fields.
+   * @param {Object} sampledFields - The sampled fields keyed by path.
+   */
+  constructor(version, textCompleter, fields, sampledFields) {
+    this.completer = new ValidationAutoCompleter(version, textCompleter, fields);
+    this.sampledFields = sampledFields;
+    this.groups = groupByParent(sampledFields || {});
+  }
+
+  /**
+   * Get the server version.
+   *
+   * @returns {String} The version.
+   */
+  get version() {
+    return this.completer.version;
+  }
+
+  /**
+   * Set the server version.
+   *
+   * @param {String} version - The version.
+   */
+  set version(version) {
+    this.completer.version = version;
+  }
+
+  /**
+   * Update the autocompleter with new fields.
+   *
+   * @param {Array} fields - The new fields.
+   * @param {Object} sampledFields - The new sampled fields.
+   */
+  update(fields, sampledFields) {
+    this.completer.update(fields);
+
+    if (sampledFields !== this.sampledFields) {
+      this.sampledFields = sampledFields;
+      this.groups = groupByParent(sampledFields || {});
+    }
+  }
+
+  /**
+   * Get the sampled fields of a nesting level.
+   *
+   * @param {String} fieldPath - The field path of the level.
+   * @param {String} prefix - The string prefix to complete.
+   *
+   * @returns {Array} The completions.
+   */
+  getFieldCompletions(fieldPath, prefix) {
+    return (this.groups[fieldPath] || [])
+      .filter((field) => field.name.startsWith(prefix))
+      .map((field) => ({
+        name: field.name,
+        value: field.name,
+        caption: field.name,
+        snippet: createFieldSnippet(field),
+        score: 2,
+        meta: 'field',
+        version: SCHEMA_VERSION
+      }));
+  }
+
+  /**
+   * Get the values of a keyword, the names of the fields of the level for
+   * required.
+   *
+   * @param {Array} path - The path of the keyword.
+   * @param {String} prefix - The string prefix to complete.
+   * @param {Boolean} isString - If the cursor is in a string.
+   *
+   * @returns {Array} The completions, null if the keyword has no values.
+   */
+  getValueCompletions(path, prefix, isString) {
+    const keyword = path[path.length - 1];
+    let values = KEYWORD_VALUES[keyword];
+
+    if (keyword === 'required') {
+      const fieldPath = getFieldPath(path.slice(0, -1).concat(['properties']));
+
+      values = fieldPath === null ? null : (this.groups[fieldPath] || []).map((field) => field.name);
+    }
+
+    if (!values) {
+      return null;
+    }
+
+    return values
+      .filter((value) => value.startsWith(prefix))
+      .map((value) => ({
+        name: value,
+        value: isString ? value : `'${value}'`,
+        caption: value,
+        score: 2,
+        meta: keyword === 'required' ? 'field' : keyword,
+        version: SCHEMA_VERSION
+      }));
+  }
+
+  /**
+   * Get the completions of a position in the $jsonSchema.
+   *
+   * @param {Object} context - The path and if the position is at a key.
+   * @param {String} prefix - The string prefix to complete.
+   * @param {Boolean} isString - If the cursor is in a string.
+   *
+   * @returns {Array} The completions, null to use the default ones.
+   */
+  getSchemaCompletions(context, prefix, isString) {
+    if (!context.isKey) {
+      return this.getValueCompletions(context.path, prefix, isString);
+    }
+
+    const fieldPath = getFieldPath(context.path);
+
+    return fieldPath === null ? null : this.getFieldCompletions(fieldPath, prefix);
+  }
+
+  /**
+   * Get the completion list for the provided params.
+   *
+   * @param {Editor} editor - The ACE editor.
+   * @param {EditSession} session - The current editor session.
+   * @param {Position} position - The cursor position.
+   * @param {String} prefix - The string prefix to complete.
+   * @param {Function} done - The done callback.
+   *
+   * @returns {Function} The completion function.
+   */
+  getCompletions(editor, session, position, prefix, done) {
+    const text = session.getValue();
+    const context = locateCursor(text, toOffset(text, position.row, position.column - prefix.length));
+
+    if (prefix === '' || !context || context.path[0] !== '$jsonSchema') {
+      return this.completer.getCompletions(editor, session, position, prefix, done);
+    }
+
+    const token = session.getTokenAt(position.row, position.column);
+    const completions = this.getSchemaCompletions(context, prefix, !!token && token.type === STRING);
+
+    if (completions) {
+      return done(null, completions);
+    }
+
+    // The flattened field names of the collection are no keywords.
+    return this.completer.getCompletions(editor, session, position, prefix, (error, defaults) => (
+      done(error, (defaults || []).filter((completion) => completion.meta !== 'field'))
+    ));
+  }
+}
+
+export default SchemaAutoCompleter;
+export { SchemaAutoCompleter };
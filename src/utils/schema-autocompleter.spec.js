@@ -0,0 +1,116 @@
+import SchemaAutoCompleter, {
+  getFieldPath,
+  createFieldSnippet
+} from 'utils/schema-autocompleter';
+
+describe('SchemaAutoCompleter', () => {
+  const sampledFields = {
+    name: { name: 'name', path: 'name', type: 'String' },
+    address: { name: 'address', path: 'address', type: 'Document' },
+    'address.city': { name: 'city', path: 'address.city', type: 'String' },
+    'address.zip': { name: 'zip', path: 'address.zip', type: ['Int32', 'String'] }
+  };
+  const fields = [
+    { name: 'name', value: 'name', score: 1, meta: 'field', version: '0.0.0' },
+    { name: 'address.city', value: 'address.city', score: 1, meta: 'field', version: '0.0.0' }
+  ];
+  const textCompleter = {
+    getCompletions: (editor, session, position, prefix, done) => done(null, [])
+  };
+  const completer = new SchemaAutoCompleter('3.6.0', textCompleter, fields, sampledFields);
+
+  /**
+   * Get the completions at the end of a text.
+   *
+   * @param {String} text - The text.
+   * @param {String} prefix - The prefix.
+   * @param {String} type - The token type at the cursor.
+   *
+   * @returns {Array} The completions.
+   */
+  const complete = (text, prefix, type = 'identifier') => {
+    const lines = text.split('\n');
+    const session = {
+      getValue: () => text,
+      getTokenAt: () => ({ type, value: prefix })
+    };
+    const position = { row: lines.length - 1, column: lines[lines.length - 1].length };
+    const done = sinon.spy();
+
+    completer.getCompletions(null, session, position, prefix, done);
+
+    return done.firstCall.args[1];
+  };
+
+  describe('#getFieldPath', () => {
+    it('returns the root for the top properties block', () => {
+      expect(getFieldPath(['$jsonSchema', 'properties'])).to.equal('');
+    });
+
+    it('returns the dotted path of nested properties blocks', () => {
+      expect(getFieldPath(['$jsonSchema', 'properties', 'tags', 'items', 'properties'])).to.equal('tags');
+    });
+
+    it('returns null outside of properties blocks', () => {
+      expect(getFieldPath(['$jsonSchema', 'patternProperties'])).to.equal(null);
+    });
+  });
+
+  describe('#createFieldSnippet', () => {
+    it('creates a rule with the sampled type', () => {
+      expect(createFieldSnippet(sampledFields.name)).to.equal('name: {\n\tbsonType: \'${1:string}\'$0\n}');
+    });
+
+    it('creates a properties block for documents', () => {
+      expect(createFieldSnippet(sampledFields.address)).to.include('properties: {');
+    });
+  });
+
+  describe('#getCompletions', () => {
+    context('when the cursor is in the root properties block', () => {
+      it('returns the top level fields', () => {
+        const completions = complete('{ $jsonSchema: { properties: { a', 'a');
+
+        expect(completions.map((completion) => completion.name)).to.deep.equal(['address']);
+      });
+    });
+
+    context('when the cursor is in a nested properties block', () => {
+      it('returns the fields of that level', () => {
+        const text = '{ $jsonSchema: { properties: {\n  address: { properties: { c';
+
+        expect(complete(text, 'c').map((completion) => completion.name)).to.deep.equal(['city']);
+      });
+    });
+
+    context('when the cursor is at a bsonType value', () => {
+      it('returns quoted type aliases', () => {
+        const completions = complete('{ $jsonSchema: { bsonType: ob', 'ob');
+
+        expect(completions.map((completion) => completion.value)).to.include('\'object\'');
+      });
+
+      it('returns bare type aliases in a string', () => {
+        const completions = complete('{ $jsonSchema: { bsonType: \'ob', 'ob', 'string');
+
+        expect(completions.map((completion) => completion.value)).to.include('object');
+      });
+    });
+
+    context('when the cursor is in required', () => {
+      it('returns the fields of the level', () => {
+        const text = '{ $jsonSchema: { properties: { address: { required: [\'z';
+
+        expect(complete(text, 'z', 'string').map((completion) => completion.value)).to.deep.equal(['zip']);
+      });
+    });
+
+    context('when the cursor is outside of $jsonSchema', () => {
+      it('returns the flattened field names', () => {
+        const completions = complete('{ addr', 'addr');
+
+        expect(completions.map((completion) => completion.name)).to.include('address.city');
+      });
+    });
+  });
+});
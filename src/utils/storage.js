@@ -0,0 +1,13 @@
+/**
+ * Get the local storage when it is available.
+ *
+ * @returns {Storage} The storage or null.
+ */
+export const getStorage = () => {
+  try {
+    return window.localStorage || null;
+  } catch (error) {
+    // Accessing the storage throws when it is disabled.
+    return null;
+  }
+};
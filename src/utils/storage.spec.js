@@ -0,0 +1,9 @@
+import { getStorage } from 'utils/storage';
+
+describe('storage utils', () => {
+  describe('#getStorage', () => {
+    it('returns null without a local storage', () => {
+      expect(getStorage()).to.equal(null);
+    });
+  });
+});
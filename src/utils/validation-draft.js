@@ -0,0 +1,115 @@
+import { isEqual, pick } from 'lodash';
+import { getStorage } from 'utils/storage';
+
+/**
+ * The prefix of the local storage keys.
+ */
+const KEY_PREFIX = 'compass-schema-validation/draft';
+
+/**
+ * The values of a validation a draft keeps.
+ */
+const VALIDATION_VALUES = ['validator', 'validationAction', 'validationLevel'];
+
+/**
+ * Get the storage key of a draft.
+ *
+ * @param {String} connection - The connection id, null if unknown.
+ * @param {Object} namespace - The namespace.
+ *
+ * @returns {String} The key.
+ */
+export const getDraftKey = (connection, namespace) => (
+  `${KEY_PREFIX}/${connection || 'unknown'}/${namespace.database}.${namespace.collection}`
+);
+
+/**
+ * Create the draft of a changed validation. A draft that was already
+ * started keeps the time it started and the validation it is based on.
+ *
+ * @param {Object} validation - The validation state.
+ * @param {Object} started - The saved draft, null when the draft starts.
+ *
+ * @returns {Object} The timestamp, the validation values and the server
+ * validation the draft is based on.
+ */
+export const createDraft = (validation, started) => {
+  const values = pick(validation, VALIDATION_VALUES);
+
+  if (started) {
+    return { timestamp: started.timestamp, ...values, base: started.base };
+  }
+
+  return {
+    timestamp: Date.now(),
+    ...values,
+    base: validation.prevValidation ? pick(validation.prevValidation, VALIDATION_VALUES) : null
+  };
+};
+
+/**
+ * Check if the server validation changed since the draft was started.
+ *
+ * @param {Object} draft - The draft.
+ * @param {Object} prevValidation - The fetched server validation.
+ *
+ * @returns {Boolean} If the draft is based on an outdated validation.
+ */
+export const isDraftStale = (draft, prevValidation) => (
+  !!draft.base && !!prevValidation &&
+  !isEqual(draft.base, pick(prevValidation, VALIDATION_VALUES))
+);
+
+/**
+ * Load the draft of a namespace.
+ *
+ * @param {String} connection - The connection id.
+ * @param {Object} namespace - The namespace.
+ * @param {Storage} storage - The storage.
+ *
+ * @returns {Object} The draft, null if there is none.
+ */
+export const loadDraft = (connection, namespace, storage = getStorage()) => {
+  if (!storage) {
+    return null;
+  }
+
+  try {
+    const draft = JSON.parse(storage.getItem(getDraftKey(connection, namespace)));
+
+    return draft && typeof draft.validator === 'string' ? draft : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Save the draft of a namespace.
+ *
+ * @param {String} connection - The connection id.
+ * @param {Object} namespace - The namespace.
+ * @param {Object} draft - The draft.
+ * @param {Storage} storage - The storage.
+ */
+export const saveDraft = (connection, namespace, draft, storage = getStorage()) => {
+  if (storage) {
+    try {
+      storage.setItem(getDraftKey(connection, namespace), JSON.stringify(draft));
+    } catch (error) {
+      // The storage is full, the draft is not kept.
+    }
+  }
+};
+
+/**
+ * Remove the draft of a namespace.
+ *
+ * @param {String} connection - The connection id.
+ * @param {Object} namespace - The namespace.
+ * @param {Storage} storage - The storage.
+ */
+export const removeDraft = (connection, namespace, storage = getStorage()) => {
+  if (storage) {
+    storage.removeItem(getDraftKey(connection, namespace));
+  }
+};
@@ -0,0 +1,118 @@
+import {
+  getDraftKey,
+  createDraft,
+  isDraftStale,
+  loadDraft,
+  saveDraft,
+  removeDraft
+} from 'utils/validation-draft';
+
+describe('validation-draft utils', () => {
+  const namespace = { database: 'db', collection: 'coll' };
+  const prevValidation = {
+    validator: '{}',
+    validationAction: 'error',
+    validationLevel: 'strict'
+  };
+  const validation = {
+    validator: '{ name: { $exists: true } }',
+    validationAction: 'warn',
+    validationLevel: 'strict',
+    isChanged: true,
+    prevValidation
+  };
+  let storage;
+
+  beforeEach(() => {
+    const items = {};
+
+    storage = {
+      getItem: (key) => (items.hasOwnProperty(key) ? items[key] : null),
+      setItem: (key, value) => {
+        items[key] = value;
+      },
+      removeItem: (key) => {
+        delete items[key];
+      }
+    };
+  });
+
+  describe('#getDraftKey', () => {
+    it('keys the draft by connection and namespace', () => {
+      expect(getDraftKey('localhost:27017', namespace)).to.equal(
+        'compass-schema-validation/draft/localhost:27017/db.coll'
+      );
+    });
+  });
+
+  describe('#createDraft', () => {
+    it('keeps the changes and the validation they are based on', () => {
+      const draft = createDraft(validation);
+
+      expect(draft).to.include({
+        validator: '{ name: { $exists: true } }',
+        validationAction: 'warn',
+        validationLevel: 'strict'
+      });
+      expect(draft.base).to.deep.equal(prevValidation);
+    });
+
+    it('keeps the start and the base of a started draft', () => {
+      const started = { ...createDraft(validation), timestamp: 1 };
+      const draft = createDraft({
+        ...validation,
+        validator: '{}',
+        prevValidation: { ...prevValidation, validationLevel: 'moderate' }
+      }, started);
+
+      expect(draft.validator).to.equal('{}');
+      expect(draft.timestamp).to.equal(1);
+      expect(draft.base).to.deep.equal(prevValidation);
+    });
+  });
+
+  describe('#isDraftStale', () => {
+    const draft = createDraft(validation);
+
+    it('returns false when the server validation did not change', () => {
+      expect(isDraftStale(draft, { ...prevValidation, isChanged: false })).to.equal(false);
+    });
+
+    it('returns true when the server validation changed', () => {
+      expect(isDraftStale(draft, { ...prevValidation, validationLevel: 'moderate' })).to.equal(true);
+    });
+
+    it('returns false before the server validation is fetched', () => {
+      expect(isDraftStale(draft, undefined)).to.equal(false);
+    });
+  });
+
+  describe('storage', () => {
+    it('loads a saved draft', () => {
+      const draft = createDraft(validation);
+
+      saveDraft('localhost:27017', namespace, draft, storage);
+
+      expect(loadDraft('localhost:27017', namespace, storage)).to.deep.equal(draft);
+    });
+
+    it('keeps drafts per connection', () => {
+      saveDraft('localhost:27017', namespace, createDraft(validation), storage);
+
+      expect(loadDraft('localhost:27018', namespace, storage)).to.equal(null);
+    });
+
+    it('removes a draft', () => {
+      saveDraft('localhost:27017', namespace, createDraft(validation), storage);
+      removeDraft('localhost:27017', namespace, storage);
+
+      expect(loadDraft('localhost:27017', namespace, storage)).to.equal(null);
+    });
+
+    it('ignores unreadable drafts', () => {
+      storage.setItem(getDraftKey('localhost:27017', namespace), '{');
+
+      expect(loadDraft('localhost:27017', namespace, storage)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+import { EJSON } from 'bson';
+import { isPlainObject } from 'lodash';
+import { OPTION_VERSIONS } from 'utils/check-compatibility';
+import { WARNING } from 'utils/lint-validator';
+import { convertJsonSchema, convertValidator } from 'utils/convert-json-schema';
+import { toDraft07, toTypeScript } from 'utils/export-schema';
+
+/**
+ * The formats validations are exported in.
+ */
+export const EXPORT_FORMATS = {
+  ejson: 'Extended JSON',
+  jsonSchema: 'JSON Schema ($jsonSchema)',
+  draft07: 'JSON Schema (draft-07)',
+  typescript: 'TypeScript'
+};
+
+/**
+ * The export formats that need a $jsonSchema.
+ */
+export const SCHEMA_FORMATS = ['jsonSchema', 'draft07', 'typescript'];
+
+/**
+ * The file name suffix of each export format.
+ */
+const FILE_SUFFIXES = {
+  ejson: '-validation.json',
+  jsonSchema: '-schema.json',
+  draft07: '-schema.draft-07.json',
+  typescript: '.ts'
+};
+
+/**
+ * The serializers of the export formats that need a $jsonSchema.
+ */
+const SCHEMA_SERIALIZERS = {
+  jsonSchema: (schema) => JSON.stringify(schema, null, 2),
+  draft07: (schema, name) => JSON.stringify(toDraft07(schema, name), null, 2),
+  typescript: (schema, name) => toTypeScript(schema, name)
+};
+
+/**
+ * Keywords that mark a plain JSON Schema document.
+ */
+const SCHEMA_KEYWORDS = [
+  '$schema',
+  'type',
+  'bsonType',
+  'properties',
+  'required',
+  'items',
+  'definitions',
+  'additionalProperties',
+  'anyOf',
+  'allOf',
+  'oneOf'
+];
+
+/**
+ * Check if a document is a plain JSON Schema rather than a validator.
+ *
+ * @param {Object} document - The document.
+ *
+ * @returns {Boolean} If it is a JSON Schema.
+ */
+export const isJsonSchema = (document) => (
+  !document.hasOwnProperty('$jsonSchema') &&
+  SCHEMA_KEYWORDS.some((keyword) => document.hasOwnProperty(keyword))
+);
+
+/**
+ * Serialize a validation for a file. Validations are written as relaxed
+ * Extended JSON v2.
+ *
+ * @param {Object} validation - The validation with the parsed validator.
+ * @param {String} format - One of the export formats.
+ * @param {String} name - The collection name, titles the generated types.
+ *
+ * @returns {String} The file content, null if the format does not apply.
+ */
+export const exportValidation = (validation, format, name) => {
+  if (SCHEMA_FORMATS.indexOf(format) > -1) {
+    const schema = validation.validator && validation.validator.$jsonSchema;
+
+    return isPlainObject(schema) ? SCHEMA_SERIALIZERS[format](schema, name) : null;
+  }
+
+  return EJSON.stringify({
+    validator: validation.validator,
+    validationAction: validation.validationAction,
+    validationLevel: validation.validationLevel
+  }, null, 2, { relaxed: true });
+};
+
+/**
+ * Get the name of an exported file.
+ *
+ * @param {Object} namespace - The namespace.
+ * @param {String} format - One of the export formats.
+ *
+ * @returns {String} The file name.
+ */
+export const getExportFileName = (namespace, format) => (
+  `${namespace.database}.${namespace.collection}${FILE_SUFFIXES[format]}`
+);
+
+/**
+ * Check the validation options of an imported file.
+ *
+ * @param {Object} document - The imported document.
+ *
+ * @returns {String} The error message, null if the options are valid.
+ */
+const checkOptions = (document) => {
+  const invalid = Object.keys(OPTION_VERSIONS).find((option) => (
+    document[option] !== undefined && !OPTION_VERSIONS[option][document[option]]
+  ));
+
+  return invalid ? `"${document[invalid]}" is not a valid ${invalid}.` : null;
+};
+
+/**
+ * Parse an imported file as Extended JSON v2. Files can hold an exported
+ * validation, a validator or a plain JSON Schema. Standard JSON Schema keywords are
+ * converted to the ones MongoDB accepts.
+ *
+ * @param {String} text - The file content.
+ *
+ * @returns {Object} The error message or the validation with the parsed
+ * validator and the options the file sets, and the conversions made.
+ */
+export const parseValidationFile = (text) => {
+  let document;
+
+  try {
+    document = EJSON.parse(text, { relaxed: true });
+  } catch (error) {
+    return { error: `The file is not valid JSON: ${error.message}`, validation: null, conversions: [] };
+  }
+
+  if (!isPlainObject(document)) {
+    return { error: 'The file must contain a JSON object.', validation: null, conversions: [] };
+  }
+
+  if (isJsonSchema(document)) {
+    const converted = convertJsonSchema(document);
+
+    return {
+      error: null,
+      validation: { validator: { $jsonSchema: converted.schema } },
+      conversions: [{
+        severity: WARNING,
+        path: ['$jsonSchema'],
+        message: 'The JSON Schema was wrapped in $jsonSchema.'
+      }].concat(converted.report)
+    };
+  }
+
+  if (!isPlainObject(document.validator)) {
+    const converted = convertValidator(document);
+
+    return {
+      error: null,
+      validation: { validator: converted.validator },
+      conversions: converted.report
+    };
+  }
+
+  const error = checkOptions(document);
+
+  if (error) {
+    return { error, validation: null, conversions: [] };
+  }
+
+  const converted = convertValidator(document.validator);
+  const validation = { validator: converted.validator };
+
+  Object.keys(OPTION_VERSIONS).forEach((option) => {
+    if (document[option] !== undefined) {
+      validation[option] = document[option];
+    }
+  });
+
+  return { error: null, validation, conversions: converted.report };
+};
+
+/**
+ * Let the user save a file.
+ *
+ * @param {String} fileName - The file name.
+ * @param {String} text - The file content.
+ */
+export const downloadFile = (fileName, text) => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
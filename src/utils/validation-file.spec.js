@@ -0,0 +1,146 @@
+import { checkValidator } from 'modules/validation';
+import {
+  exportValidation,
+  getExportFileName,
+  parseValidationFile,
+  isJsonSchema
+} from 'utils/validation-file';
+
+describe('validation-file utils', () => {
+  const validation = {
+    validator: checkValidator(
+      '{ $jsonSchema: { properties: { _id: { enum: [ObjectId(\'5b5f1d1b1a3e4e2c3c6b7a8e\')] } } } }'
+    ).validator,
+    validationAction: 'warn',
+    validationLevel: 'moderate'
+  };
+
+  describe('#exportValidation', () => {
+    it('exports the validation as relaxed extended JSON v2', () => {
+      expect(JSON.parse(exportValidation(validation, 'ejson'))).to.deep.equal({
+        validator: {
+          $jsonSchema: {
+            properties: { _id: { enum: [{ $oid: '5b5f1d1b1a3e4e2c3c6b7a8e' }] } }
+          }
+        },
+        validationAction: 'warn',
+        validationLevel: 'moderate'
+      });
+    });
+
+    it('exports the $jsonSchema as plain JSON', () => {
+      expect(JSON.parse(exportValidation(validation, 'jsonSchema'))).to.deep.equal({
+        properties: { _id: { enum: ['5b5f1d1b1a3e4e2c3c6b7a8e'] } }
+      });
+    });
+
+    it('exports the $jsonSchema as draft-07', () => {
+      const exported = JSON.parse(exportValidation(validation, 'draft07', 'coll'));
+
+      expect(exported.title).to.equal('coll');
+      expect(exported.properties._id.enum).to.deep.equal(['5b5f1d1b1a3e4e2c3c6b7a8e']);
+    });
+
+    it('exports the $jsonSchema as TypeScript', () => {
+      expect(exportValidation(validation, 'typescript', 'coll')).
+        to.equal('import { ObjectId } from \'bson\';\n\nexport interface Coll {\n  _id?: ObjectId;\n}\n');
+    });
+
+    it('does not export a JSON Schema without $jsonSchema', () => {
+      expect(exportValidation({ validator: { a: 1 } }, 'jsonSchema')).to.equal(null);
+    });
+  });
+
+  describe('#getExportFileName', () => {
+    it('names the file after the namespace', () => {
+      expect(getExportFileName({ database: 'db', collection: 'coll' }, 'jsonSchema')).
+        to.equal('db.coll-schema.json');
+      expect(getExportFileName({ database: 'db', collection: 'coll' }, 'typescript')).
+        to.equal('db.coll.ts');
+    });
+  });
+
+  describe('#parseValidationFile', () => {
+    it('round trips an exported validation', () => {
+      const result = parseValidationFile(exportValidation(validation, 'ejson'));
+
+      expect(result.error).to.equal(null);
+      expect(result.validation.validationAction).to.equal('warn');
+      expect(
+        result.validation.validator.$jsonSchema.properties._id.enum[0].toHexString()
+      ).to.equal('5b5f1d1b1a3e4e2c3c6b7a8e');
+    });
+
+    it('wraps a plain JSON Schema', () => {
+      expect(parseValidationFile('{ "required": ["name"] }')).to.deep.equal({
+        error: null,
+        validation: { validator: { $jsonSchema: { required: ['name'] } } },
+        conversions: [{
+          severity: 'warning',
+          path: ['$jsonSchema'],
+          message: 'The JSON Schema was wrapped in $jsonSchema.'
+        }]
+      });
+    });
+
+    it('accepts a validator', () => {
+      expect(parseValidationFile('{ "name": { "$exists": true } }')).to.deep.equal({
+        error: null,
+        validation: { validator: { name: { $exists: true } } },
+        conversions: []
+      });
+    });
+
+    it('accepts canonical Extended JSON v2', () => {
+      const result = parseValidationFile(JSON.stringify({
+        validator: {
+          $jsonSchema: {
+            properties: { a: { minimum: { $numberInt: '3' } } }
+          },
+          b: { $regex: { $regularExpression: { pattern: '^a', options: 'i' } } },
+          c: { $gt: { $date: { $numberLong: '0' } } }
+        },
+        validationLevel: 'strict'
+      }));
+      const validator = result.validation.validator;
+
+      expect(result.error).to.equal(null);
+      expect(validator.$jsonSchema.properties.a.minimum).to.equal(3);
+      expect(validator.b.$regex._bsontype).to.equal('BSONRegExp');
+      expect(validator.b.$regex.pattern).to.equal('^a');
+      expect(validator.b.$regex.options).to.equal('i');
+      expect(validator.c.$gt).to.be.an.instanceof(Date);
+      expect(validator.c.$gt.getTime()).to.equal(0);
+    });
+
+    it('rejects invalid JSON', () => {
+      expect(parseValidationFile('{').error).to.match(/^The file is not valid JSON/);
+    });
+
+    it('rejects invalid options', () => {
+      expect(parseValidationFile('{ "validator": {}, "validationLevel": "loose" }')).
+        to.deep.equal({
+          error: '"loose" is not a valid validationLevel.',
+          validation: null,
+          conversions: []
+        });
+    });
+
+    it('converts standard JSON Schema keywords', () => {
+      const result = parseValidationFile(
+        '{ "$schema": "http://json-schema.org/draft-07/schema#", "type": "integer" }'
+      );
+
+      expect(result.validation.validator).to.deep.equal({
+        $jsonSchema: { bsonType: ['int', 'long'] }
+      });
+      expect(result.conversions).to.have.length(3);
+    });
+  });
+
+  describe('#isJsonSchema', () => {
+    it('does not treat validators as JSON Schema', () => {
+      expect(isJsonSchema({ $jsonSchema: { required: ['a'] } })).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { getStorage } from 'utils/storage';
+
+/**
+ * The prefix of the local storage keys.
+ */
+const KEY_PREFIX = 'compass-schema-validation/history';
+
+/**
+ * The number of versions kept per namespace.
+ */
+export const MAX_VERSIONS = 50;
+
+/**
+ * Get the storage key of a namespace on a connection.
+ *
+ * @param {String} connection - The connection id, null if unknown.
+ * @param {Object} namespace - The namespace.
+ *
+ * @returns {String} The key.
+ */
+export const getHistoryKey = (connection, namespace) => (
+  `${KEY_PREFIX}/${connection || 'unknown'}/${namespace.database}.${namespace.collection}`
+);
+
+/**
+ * Identify the connection of the data service.
+ *
+ * @param {DataService} dataService - The data service.
+ *
+ * @returns {String} The host and port, null if unknown.
+ */
+export const getConnectionId = (dataService) => {
+  const model = dataService && dataService.client && dataService.client.model;
+
+  if (!model) {
+    return null;
+  }
+
+  return model.instanceId || `${model.hostname}:${model.port}`;
+};
+
+/**
+ * Load the saved versions of a namespace, newest first.
+ *
+ * @param {String} connection - The connection id.
+ * @param {Object} namespace - The namespace.
+ * @param {Storage} storage - The storage.
+ *
+ * @returns {Array} The versions.
+ */
+export const loadHistory = (connection, namespace, storage = getStorage()) => {
+  if (!storage) {
+    return [];
+  }
+
+  try {
+    const versions = JSON.parse(storage.getItem(getHistoryKey(connection, namespace)));
+
+    return Array.isArray(versions) ? versions : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Add versions to the saved versions of a namespace.
+ *
+ * @param {String} connection - The connection id.
+ * @param {Object} namespace - The namespace.
+ * @param {Array} added - The versions to add, newest first, each with the
+ * timestamp, validator, validationAction, validationLevel and connection,
+ * and isObserved when only the time they were replaced is known.
+ * @param {Storage} storage - The storage.
+ *
+ * @returns {Array} The versions, newest first.
+ */
+export const addVersions = (connection, namespace, added, storage = getStorage()) => {
+  const versions = added.concat(loadHistory(connection, namespace, storage)).slice(0, MAX_VERSIONS);
+
+  if (storage) {
+    try {
+      storage.setItem(getHistoryKey(connection, namespace), JSON.stringify(versions));
+    } catch (error) {
+      // The storage is full, keep the versions for this session only.
+    }
+  }
+
+  return versions;
+};
@@ -0,0 +1,82 @@
+import {
+  loadHistory,
+  addVersions,
+  getConnectionId,
+  getHistoryKey,
+  MAX_VERSIONS
+} from 'utils/validation-history';
+
+describe('validation-history utils', () => {
+  const namespace = { database: 'db', collection: 'coll' };
+  let storage;
+
+  beforeEach(() => {
+    const items = {};
+
+    storage = {
+      getItem: (key) => (items.hasOwnProperty(key) ? items[key] : null),
+      setItem: (key, value) => {
+        items[key] = value;
+      }
+    };
+  });
+
+  describe('#loadHistory', () => {
+    it('returns no versions for a new namespace', () => {
+      expect(loadHistory('localhost:27017', namespace, storage)).to.deep.equal([]);
+    });
+
+    it('ignores unreadable history', () => {
+      storage.setItem(getHistoryKey('localhost:27017', namespace), '{');
+
+      expect(loadHistory('localhost:27017', namespace, storage)).to.deep.equal([]);
+    });
+  });
+
+  describe('#addVersions', () => {
+    it('stores the newest version first', () => {
+      addVersions('localhost:27017', namespace, [{ timestamp: 1 }], storage);
+      addVersions('localhost:27017', namespace, [{ timestamp: 2 }], storage);
+
+      expect(loadHistory('localhost:27017', namespace, storage)).to.deep.equal([
+        { timestamp: 2 },
+        { timestamp: 1 }
+      ]);
+    });
+
+    it('keeps the history per namespace', () => {
+      addVersions('localhost:27017', namespace, [{ timestamp: 1 }], storage);
+
+      expect(loadHistory('localhost:27017', { database: 'db', collection: 'other' }, storage)).to.deep.equal([]);
+    });
+
+    it('keeps the history per connection', () => {
+      addVersions('localhost:27017', namespace, [{ timestamp: 1 }], storage);
+
+      expect(loadHistory('localhost:27018', namespace, storage)).to.deep.equal([]);
+    });
+
+    it('drops the oldest versions', () => {
+      for (let i = 0; i <= MAX_VERSIONS; i++) {
+        addVersions('localhost:27017', namespace, [{ timestamp: i }], storage);
+      }
+
+      const versions = loadHistory('localhost:27017', namespace, storage);
+
+      expect(versions).to.have.length(MAX_VERSIONS);
+      expect(versions[MAX_VERSIONS - 1].timestamp).to.equal(1);
+    });
+  });
+
+  describe('#getConnectionId', () => {
+    it('returns the instance id of the connection', () => {
+      const dataService = { client: { model: { instanceId: 'localhost:27017' } } };
+
+      expect(getConnectionId(dataService)).to.equal('localhost:27017');
+    });
+
+    it('returns null without a connection', () => {
+      expect(getConnectionId(null)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,352 @@
+import { isPlainObject, uniq } from 'lodash';
+import { stringify as javascriptStringify } from 'javascript-stringify';
+import { getStorage } from 'utils/storage';
+
+/**
+ * The local storage key of the custom templates.
+ */
+const STORAGE_KEY = 'compass-schema-validation/templates';
+
+/**
+ * Matches the parameter placeholders of a fragment, e.g. {{field}}.
+ */
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+/**
+ * Matches a string that is a single placeholder.
+ */
+const WHOLE_PLACEHOLDER = /^\{\{(\w+)\}\}$/;
+
+/**
+ * The numeric bsonTypes.
+ */
+const NUMBER_TYPES = ['int', 'long', 'double', 'decimal'];
+
+/**
+ * The parameter types, each reads the text of its input.
+ */
+export const PARAMETER_TYPES = {
+  string: (text) => text,
+  list: (text) => text.split(',').map((item) => item.trim()).filter((item) => item !== ''),
+  value: (text) => {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+};
+
+/**
+ * The templates that ship with the plugin. A fragment is a properties
+ * block, its keys and values can hold parameter placeholders.
+ */
+export const BUILT_IN_TEMPLATES = [{
+  id: 'email',
+  name: 'Email address',
+  description: 'A string that looks like an email address.',
+  parameters: [{ name: 'field', label: 'Field', type: 'string', default: 'email' }],
+  fragment: {
+    '{{field}}': {
+      bsonType: 'string',
+      pattern: '^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$',
+      description: 'must be an email address'
+    }
+  }
+}, {
+  id: 'enum',
+  name: 'Enumeration',
+  description: 'A value that is one of a fixed list.',
+  parameters: [
+    { name: 'field', label: 'Field', type: 'string', default: 'status' },
+    { name: 'values', label: 'Values (comma separated)', type: 'list', default: 'active, inactive' }
+  ],
+  fragment: {
+    '{{field}}': {
+      enum: '{{values}}',
+      description: 'must be one of the allowed values'
+    }
+  }
+}, {
+  id: 'geojson-point',
+  name: 'GeoJSON point',
+  description: 'A GeoJSON point with a longitude and a latitude.',
+  parameters: [{ name: 'field', label: 'Field', type: 'string', default: 'location' }],
+  fragment: {
+    '{{field}}': {
+      bsonType: 'object',
+      required: ['type', 'coordinates'],
+      properties: {
+        type: { enum: ['Point'] },
+        coordinates: {
+          bsonType: 'array',
+          minItems: 2,
+          maxItems: 2,
+          items: { bsonType: NUMBER_TYPES }
+        }
+      },
+      description: 'must be a GeoJSON point'
+    }
+  }
+}, {
+  id: 'date',
+  name: 'Date',
+  description: 'A BSON date.',
+  parameters: [{ name: 'field', label: 'Field', type: 'string', default: 'createdAt' }],
+  fragment: {
+    '{{field}}': {
+      bsonType: 'date',
+      description: 'must be a date'
+    }
+  }
+}, {
+  id: 'iso-date-string',
+  name: 'ISO 8601 date string',
+  description: 'A string holding an ISO 8601 date or date and time.',
+  parameters: [{ name: 'field', label: 'Field', type: 'string', default: 'date' }],
+  fragment: {
+    '{{field}}': {
+      bsonType: 'string',
+      pattern: '^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})?)?$',
+      description: 'must be an ISO 8601 date'
+    }
+  }
+}, {
+  id: 'number-range',
+  name: 'Number range',
+  description: 'A number between a minimum and a maximum.',
+  parameters: [
+    { name: 'field', label: 'Field', type: 'string', default: 'age' },
+    { name: 'minimum', label: 'Minimum', type: 'value', default: '0' },
+    { name: 'maximum', label: 'Maximum', type: 'value', default: '120' }
+  ],
+  fragment: {
+    '{{field}}': {
+      bsonType: NUMBER_TYPES,
+      minimum: '{{minimum}}',
+      maximum: '{{maximum}}',
+      description: 'must be a number in the range'
+    }
+  }
+}];
+
+/**
+ * Get the default values of the template parameters.
+ *
+ * @param {Object} template - The template.
+ *
+ * @returns {Object} The value text of each parameter.
+ */
+export const getDefaultValues = (template) => template.parameters.reduce((values, parameter) => ({
+  ...values,
+  [parameter.name]: parameter.default
+}), {});
+
+/**
+ * Replace the placeholders of a fragment value.
+ *
+ * @param {Any} value - The value.
+ * @param {Object} params - The parameter values.
+ *
+ * @returns {Any} The value with the parameters.
+ */
+const fill = (value, params) => {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_PLACEHOLDER);
+
+    if (whole && params.hasOwnProperty(whole[1])) {
+      return params[whole[1]];
+    }
+
+    return value.replace(PLACEHOLDER, (placeholder, name) => (
+      params.hasOwnProperty(name) ? String(params[name]) : placeholder
+    ));
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => fill(item, params));
+  }
+
+  if (isPlainObject(value)) {
+    return Object.keys(value).reduce((filled, key) => ({
+      ...filled,
+      [fill(key, params)]: fill(value[key], params)
+    }), {});
+  }
+
+  return value;
+};
+
+/**
+ * Fill in the parameters of a template. A placeholder that makes up a whole
+ * value is replaced with the typed parameter, e.g. a list.
+ *
+ * @param {Object} template - The template.
+ * @param {Object} values - The value text of each parameter, the defaults
+ * are used for missing ones.
+ *
+ * @returns {Object} The properties fragment.
+ */
+export const fillTemplate = (template, values = {}) => {
+  const params = template.parameters.reduce((typed, parameter) => {
+    const text = values.hasOwnProperty(parameter.name) ? values[parameter.name] : parameter.default;
+
+    return { ...typed, [parameter.name]: PARAMETER_TYPES[parameter.type](text) };
+  }, {});
+
+  return fill(template.fragment, params);
+};
+
+/**
+ * Format a fragment as properties to insert in a properties block.
+ *
+ * @param {Object} fragment - The properties fragment.
+ *
+ * @returns {String} The properties without the enclosing braces.
+ */
+export const formatFragment = (fragment) => {
+  const lines = javascriptStringify(fragment, null, 2).split('\n');
+
+  return lines.slice(1, -1).map((line) => line.slice(2)).join('\n');
+};
+
+/**
+ * Merge a fragment into the properties of the $jsonSchema of a validator,
+ * the $jsonSchema is added when the validator has none.
+ *
+ * @param {Object} validator - The parsed validator.
+ * @param {Object} fragment - The properties fragment.
+ *
+ * @returns {Object} The validator.
+ */
+export const mergeFragment = (validator, fragment) => {
+  const base = isPlainObject(validator) ? validator : {};
+  const schema = isPlainObject(base.$jsonSchema) ? base.$jsonSchema : { bsonType: 'object' };
+
+  return {
+    ...base,
+    $jsonSchema: {
+      ...schema,
+      properties: { ...schema.properties, ...fragment }
+    }
+  };
+};
+
+/**
+ * Find the parameters of a fragment from its placeholders.
+ *
+ * @param {Object} fragment - The properties fragment.
+ *
+ * @returns {Array} The parameters.
+ */
+export const findParameters = (fragment) => {
+  const names = [];
+
+  javascriptStringify(fragment).replace(PLACEHOLDER, (placeholder, name) => {
+    names.push(name);
+
+    return placeholder;
+  });
+
+  return uniq(names).map((name) => ({ name, label: name, type: 'value', default: '' }));
+};
+
+/**
+ * Create a custom template.
+ *
+ * @param {String} name - The name.
+ * @param {String} description - The description.
+ * @param {Any} fragment - The parsed properties fragment.
+ *
+ * @returns {Object} The error message or the template.
+ */
+export const createTemplate = (name, description, fragment) => {
+  if (!name.trim()) {
+    return { error: 'The template needs a name.', template: null };
+  }
+
+  if (!isPlainObject(fragment) || !Object.keys(fragment).length ||
+      !Object.keys(fragment).every((key) => isPlainObject(fragment[key]))) {
+    return {
+      error: 'The fragment must be a properties block, e.g. { field: { bsonType: \'string\' } }.',
+      template: null
+    };
+  }
+
+  return {
+    error: null,
+    template: {
+      id: `custom-${Date.now()}`,
+      name: name.trim(),
+      description: description.trim(),
+      parameters: findParameters(fragment),
+      fragment,
+      isCustom: true
+    }
+  };
+};
+
+/**
+ * Load the custom templates.
+ *
+ * @param {Storage} storage - The storage.
+ *
+ * @returns {Array} The templates.
+ */
+export const loadTemplates = (storage = getStorage()) => {
+  if (!storage) {
+    return [];
+  }
+
+  try {
+    const templates = JSON.parse(storage.getItem(STORAGE_KEY));
+
+    return Array.isArray(templates) ? templates : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Store the custom templates.
+ *
+ * @param {Array} templates - The templates.
+ * @param {Storage} storage - The storage.
+ *
+ * @returns {Array} The templates.
+ */
+const storeTemplates = (templates, storage) => {
+  if (storage) {
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(templates));
+    } catch (error) {
+      // The storage is full, keep the templates for this session only.
+    }
+  }
+
+  return templates;
+};
+
+/**
+ * Add a custom template.
+ *
+ * @param {Object} template - The template.
+ * @param {Storage} storage - The storage.
+ *
+ * @returns {Array} The custom templates.
+ */
+export const addTemplate = (template, storage = getStorage()) => (
+  storeTemplates(loadTemplates(storage).concat([template]), storage)
+);
+
+/**
+ * Remove a custom template.
+ *
+ * @param {String} id - The template id.
+ * @param {Storage} storage - The storage.
+ *
+ * @returns {Array} The custom templates.
+ */
+export const removeTemplate = (id, storage = getStorage()) => (
+  storeTemplates(loadTemplates(storage).filter((template) => template.id !== id), storage)
+);
@@ -0,0 +1,161 @@
+import {
+  BUILT_IN_TEMPLATES,
+  getDefaultValues,
+  fillTemplate,
+  formatFragment,
+  mergeFragment,
+  findParameters,
+  createTemplate,
+  loadTemplates,
+  addTemplate,
+  removeTemplate
+} from 'utils/validation-templates';
+
+describe('validation-templates utils', () => {
+  const enumTemplate = BUILT_IN_TEMPLATES.find((template) => template.id === 'enum');
+
+  describe('#getDefaultValues', () => {
+    it('returns the default of each parameter', () => {
+      expect(getDefaultValues(enumTemplate)).to.deep.equal({
+        field: 'status',
+        values: 'active, inactive'
+      });
+    });
+  });
+
+  describe('#fillTemplate', () => {
+    it('fills in the default values', () => {
+      expect(fillTemplate(enumTemplate)).to.deep.equal({
+        status: {
+          enum: ['active', 'inactive'],
+          description: 'must be one of the allowed values'
+        }
+      });
+    });
+
+    it('fills in the given values', () => {
+      expect(fillTemplate(enumTemplate, { field: 'size', values: 'S,M, L' })).to.deep.equal({
+        size: {
+          enum: ['S', 'M', 'L'],
+          description: 'must be one of the allowed values'
+        }
+      });
+    });
+
+    it('parses value parameters', () => {
+      const range = BUILT_IN_TEMPLATES.find((template) => template.id === 'number-range');
+      const fragment = fillTemplate(range, { minimum: '18' });
+
+      expect(fragment.age).to.include({ minimum: 18, maximum: 120 });
+    });
+
+    it('interpolates placeholders inside strings', () => {
+      const template = {
+        parameters: [{ name: 'field', type: 'string', default: 'name' }],
+        fragment: { '{{field}}': { description: '{{field}} is required', title: '{{other}}' } }
+      };
+
+      expect(fillTemplate(template)).to.deep.equal({
+        name: { description: 'name is required', title: '{{other}}' }
+      });
+    });
+
+    it('fills in every built-in template', () => {
+      BUILT_IN_TEMPLATES.forEach((template) => {
+        expect(JSON.stringify(fillTemplate(template))).to.not.include('{{');
+      });
+    });
+  });
+
+  describe('#formatFragment', () => {
+    it('formats the properties without braces', () => {
+      expect(formatFragment({ name: { bsonType: 'string' } })).to.equal(
+        'name: {\n  bsonType: \'string\'\n}'
+      );
+    });
+  });
+
+  describe('#mergeFragment', () => {
+    const fragment = { age: { bsonType: 'int' } };
+
+    it('adds a $jsonSchema to an empty validator', () => {
+      expect(mergeFragment({}, fragment)).to.deep.equal({
+        $jsonSchema: { bsonType: 'object', properties: fragment }
+      });
+    });
+
+    it('merges into the existing properties', () => {
+      const validator = {
+        $jsonSchema: {
+          required: ['name'],
+          properties: { name: { bsonType: 'string' }, age: { bsonType: 'string' } }
+        },
+        status: 'active'
+      };
+
+      expect(mergeFragment(validator, fragment)).to.deep.equal({
+        $jsonSchema: {
+          required: ['name'],
+          properties: { name: { bsonType: 'string' }, age: { bsonType: 'int' } }
+        },
+        status: 'active'
+      });
+    });
+  });
+
+  describe('#findParameters', () => {
+    it('returns each placeholder once', () => {
+      expect(findParameters({ '{{field}}': { description: '{{field}}', maxLength: '{{max}}' } }))
+        .to.deep.equal([
+          { name: 'field', label: 'field', type: 'value', default: '' },
+          { name: 'max', label: 'max', type: 'value', default: '' }
+        ]);
+    });
+  });
+
+  describe('#createTemplate', () => {
+    it('requires a name', () => {
+      expect(createTemplate(' ', '', { name: {} }).error).to.equal('The template needs a name.');
+    });
+
+    it('requires a properties block', () => {
+      expect(createTemplate('Name', '', { bsonType: 'string' }).error).to.not.equal(null);
+    });
+
+    it('returns the custom template', () => {
+      const template = createTemplate(' SKU ', 'A product code.', {
+        '{{field}}': { bsonType: 'string', pattern: '^[A-Z]{3}-\\d+$' }
+      }).template;
+
+      expect(template).to.include({ name: 'SKU', description: 'A product code.', isCustom: true });
+      expect(template.parameters).to.have.length(1);
+    });
+  });
+
+  describe('custom template storage', () => {
+    let storage;
+
+    beforeEach(() => {
+      const items = {};
+
+      storage = {
+        getItem: (key) => (items.hasOwnProperty(key) ? items[key] : null),
+        setItem: (key, value) => {
+          items[key] = value;
+        }
+      };
+    });
+
+    it('returns no templates initially', () => {
+      expect(loadTemplates(storage)).to.deep.equal([]);
+    });
+
+    it('adds and removes templates', () => {
+      addTemplate({ id: 'a' }, storage);
+      addTemplate({ id: 'b' }, storage);
+      removeTemplate('a', storage);
+
+      expect(loadTemplates(storage)).to.deep.equal([{ id: 'b' }]);
+    });
+  });
+});
@@ -0,0 +1,249 @@
+import { EJSON, Long } from 'bson';
+import queryParser from 'mongodb-query-parser';
+import { stringify as javascriptStringify } from 'javascript-stringify';
+import { isPlainObject } from 'lodash';
+
+/**
+ * The mongo shell syntax.
+ */
+export const SHELL = 'shell';
+
+/**
+ * The relaxed Extended JSON syntax.
+ */
+export const RELAXED = 'relaxed';
+
+/**
+ * The canonical Extended JSON syntax.
+ */
+export const CANONICAL = 'canonical';
+
+/**
+ * The syntaxes the validator can be edited in.
+ */
+export const SYNTAX_OPTIONS = {
+  [SHELL]: 'Shell',
+  [RELAXED]: 'Relaxed EJSON',
+  [CANONICAL]: 'Canonical EJSON'
+};
+
+/**
+ * Matches the position JSON.parse appends to its messages.
+ */
+const JSON_POSITION = /\s*at position (\d+)$/;
+
+/**
+ * The largest long that is written as a number.
+ */
+const MAX_SAFE_LONG = Math.pow(2, 53);
+
+/**
+ * Matches the longs written with a string in shell syntax.
+ */
+const NUMBER_LONG_STRING = /NumberLong\(\s*(['"])(-?\d+)\1\s*\)/g;
+
+/**
+ * Write a long, beyond the safe integers as a string.
+ *
+ * @param {Long} value - The long.
+ *
+ * @returns {String} The shell syntax.
+ */
+const writeLong = (value) => {
+  const number = value.toNumber();
+
+  return Math.abs(number) < MAX_SAFE_LONG ?
+    `NumberLong(${number})` :
+    `NumberLong('${value.toString()}')`;
+};
+
+/**
+ * Write a regular expression, as a literal when JavaScript supports its
+ * options and as a $regex with $options otherwise.
+ *
+ * @param {BSONRegExp} value - The regular expression.
+ * @param {Function} next - Writes nested values.
+ *
+ * @returns {String} The shell syntax.
+ */
+const writeRegExp = (value, next) => {
+  try {
+    return next(new RegExp(value.pattern, value.options));
+  } catch (error) {
+    return `{ $regex: ${next(value.pattern)}, $options: ${next(value.options)} }`;
+  }
+};
+
+/**
+ * Read the longs beyond the safe integers by their bits, the shell parser
+ * reads NumberLong strings as numbers. The calls are padded so the offsets
+ * of syntax errors stay the same.
+ *
+ * @param {String} text - The shell syntax.
+ *
+ * @returns {String} The shell syntax the parser reads exactly.
+ */
+export const readLongs = (text) => text.replace(NUMBER_LONG_STRING, (call, quote, digits) => {
+  const value = Long.fromString(digits);
+
+  if (Math.abs(value.toNumber()) < MAX_SAFE_LONG) {
+    return call;
+  }
+
+  const bits = `Long(${value.getLowBits()}, ${value.getHighBits()}`;
+
+  return `${bits}${' '.repeat(Math.max(call.length - bits.length - 1, 0))})`;
+});
+
+/**
+ * Write the BSON values in shell syntax. Integral doubles are wrapped so
+ * they stay doubles, every other number is written as is.
+ */
+const BSON_WRITERS = {
+  ObjectID: (value) => `ObjectId('${value.toHexString()}')`,
+  ObjectId: (value) => `ObjectId('${value.toHexString()}')`,
+  Long: writeLong,
+  Int32: (value) => String(value.valueOf()),
+  Double: (value) => (
+    Number.isInteger(value.valueOf()) ? `Double(${value.valueOf()})` : String(value.valueOf())
+  ),
+  Decimal128: (value) => `NumberDecimal('${value.toString()}')`,
+  Timestamp: (value) => `Timestamp(${value.getLowBits()}, ${value.getHighBits()})`,
+  Binary: (value) => (
+    `BinData(${value.sub_type}, '${Buffer.from(value.value(true), 'binary').toString('base64')}')`
+  ),
+  BSONRegExp: writeRegExp,
+  Code: (value, next) => `Code(${next(value.code)})`,
+  Symbol: (value, next) => `Symbol(${next(value.value)})`,
+  BSONSymbol: (value, next) => `Symbol(${next(value.value)})`,
+  MinKey: () => 'MinKey()',
+  MaxKey: () => 'MaxKey()'
+};
+
+/**
+ * Write a value of the validator in shell syntax.
+ *
+ * @param {Object} value - The value.
+ * @param {String} indent - The indentation.
+ * @param {Function} next - Writes nested values.
+ *
+ * @returns {String} The shell syntax.
+ */
+const writeShellValue = (value, indent, next) => {
+  if (value instanceof Date) {
+    return `ISODate('${value.toISOString()}')`;
+  }
+
+  const writer = value ? BSON_WRITERS[value._bsontype] : null;
+
+  return writer ? writer(value, next) : next(value);
+};
+
+/**
+ * Write a parsed validator as text.
+ *
+ * @param {Object} validator - The parsed validator.
+ * @param {String} syntax - The syntax, shell by default.
+ *
+ * @returns {String} The text.
+ */
+export const stringifyValidator = (validator, syntax = SHELL) => {
+  if (syntax === SHELL) {
+    return javascriptStringify(validator, writeShellValue, 2);
+  }
+
+  return EJSON.stringify(validator, null, 2, { relaxed: syntax === RELAXED });
+};
+
+/**
+ * Parse Extended JSON. The position JSON.parse reports is kept as the
+ * offset of the error.
+ *
+ * @param {String} text - The text.
+ * @param {String} syntax - The Extended JSON syntax.
+ *
+ * @returns {Object} The parsed value.
+ */
+const parseExtendedJson = (text, syntax) => {
+  try {
+    return EJSON.parse(text, { relaxed: syntax === RELAXED });
+  } catch (error) {
+    const match = JSON_POSITION.exec(error.message);
+    const syntaxError = new SyntaxError(error.message.replace(JSON_POSITION, ''));
+
+    if (match) {
+      syntaxError.offset = Number(match[1]);
+    }
+
+    throw syntaxError;
+  }
+};
+
+/**
+ * Parse text that must be an object.
+ *
+ * @param {String} text - The text.
+ * @param {String} syntax - The syntax.
+ * @param {String} name - The name of the object for the error message.
+ *
+ * @returns {Object} The parsed object and the syntax error.
+ */
+const parseObject = (text, syntax, name) => {
+  try {
+    const value = syntax === SHELL ? queryParser.parseFilter(readLongs(text)) : parseExtendedJson(text, syntax);
+
+    if (!isPlainObject(value)) {
+      return { value: null, syntaxError: { message: `The ${name} must be an object.` } };
+    }
+
+    return { value, syntaxError: null };
+  } catch (error) {
+    return { value: null, syntaxError: error };
+  }
+};
+
+/**
+ * Parse validator text.
+ *
+ * @param {String} text - The text.
+ * @param {String} syntax - The syntax, shell by default.
+ *
+ * @returns {Object} The parsed validator and the syntax error.
+ */
+export const parseValidator = (text, syntax = SHELL) => {
+  const parsed = parseObject(text, syntax, 'validator');
+
+  return { validator: parsed.value, syntaxError: parsed.syntaxError };
+};
+
+/**
+ * Parse document text.
+ *
+ * @param {String} text - The text.
+ * @param {String} syntax - The syntax, shell by default.
+ *
+ * @returns {Object} The parsed document and the syntax error.
+ */
+export const parseDocument = (text, syntax = SHELL) => {
+  const parsed = parseObject(text, syntax, 'document');
+
+  return { document: parsed.value, syntaxError: parsed.syntaxError };
+};
+
+/**
+ * Convert validator text between syntaxes.
+ *
+ * @param {String} text - The text.
+ * @param {String} from - The syntax of the text.
+ * @param {String} to - The syntax to convert to.
+ *
+ * @returns {Object} The converted text and the syntax error of the text.
+ */
+export const convertValidator = (text, from, to) => {
+  const parsed = parseValidator(text, from);
+
+  return {
+    validator: parsed.syntaxError ? null : stringifyValidator(parsed.validator, to),
+    syntaxError: parsed.syntaxError
+  };
+};
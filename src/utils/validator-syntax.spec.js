@@ -0,0 +1,129 @@
+import {
+  SHELL,
+  RELAXED,
+  CANONICAL,
+  stringifyValidator,
+  parseValidator,
+  parseDocument,
+  convertValidator
+} from 'utils/validator-syntax';
+
+describe('validator-syntax utils', () => {
+  const shell = `{
+  _id: ObjectId('5e1f0ff0a1b2c3d4e5f60718'),
+  count: NumberLong(5),
+  created: ISODate('2020-01-01T00:00:00.000Z'),
+  ratio: Double(2),
+  price: NumberDecimal('1.20'),
+  name: /^a/i,
+  $jsonSchema: {
+    required: [
+      'name'
+    ]
+  }
+}`;
+
+  describe('#stringifyValidator', () => {
+    it('writes BSON values with shell constructors', () => {
+      const validator = parseValidator(shell).validator;
+
+      expect(stringifyValidator(validator)).to.equal(shell);
+    });
+
+    it('writes canonical Extended JSON', () => {
+      const text = stringifyValidator({ a: 1 }, CANONICAL);
+
+      expect(JSON.parse(text)).to.deep.equal({ a: { $numberInt: '1' } });
+    });
+
+    it('writes relaxed Extended JSON', () => {
+      expect(JSON.parse(stringifyValidator({ a: 1 }, RELAXED))).to.deep.equal({ a: 1 });
+    });
+  });
+
+  describe('#parseValidator', () => {
+    it('parses Extended JSON', () => {
+      const validator = parseValidator('{ "_id": { "$oid": "5e1f0ff0a1b2c3d4e5f60718" } }', RELAXED).validator;
+
+      expect(validator._id.toHexString()).to.equal('5e1f0ff0a1b2c3d4e5f60718');
+    });
+
+    it('returns the offset of Extended JSON syntax errors', () => {
+      const syntaxError = parseValidator('{ "a": }', RELAXED).syntaxError;
+
+      expect(syntaxError.offset).to.equal(7);
+      expect(syntaxError.message).to.not.include('position');
+    });
+
+    it('requires an object', () => {
+      expect(parseValidator('[]', CANONICAL).syntaxError.message).to.equal(
+        'The validator must be an object.'
+      );
+    });
+
+    it('returns shell syntax errors', () => {
+      expect(parseValidator('{ a: }').syntaxError).to.not.equal(null);
+    });
+  });
+
+  describe('#parseDocument', () => {
+    it('parses documents in shell syntax', () => {
+      expect(parseDocument('{ a: NumberLong(1) }').document.a._bsontype).to.equal('Long');
+    });
+
+    it('requires an object', () => {
+      expect(parseDocument('1', RELAXED).syntaxError.message).to.equal('The document must be an object.');
+    });
+  });
+
+  describe('#convertValidator', () => {
+    it('converts to canonical Extended JSON and back without loss', () => {
+      const canonical = convertValidator(shell, SHELL, CANONICAL).validator;
+
+      expect(convertValidator(canonical, CANONICAL, SHELL).validator).to.equal(shell);
+    });
+
+    it('writes numbers as plain numbers in relaxed Extended JSON', () => {
+      const relaxed = convertValidator(shell, SHELL, RELAXED).validator;
+
+      expect(JSON.parse(relaxed)).to.include({ count: 5, ratio: 2 });
+    });
+
+    it('keeps integral doubles', () => {
+      const canonical = convertValidator('{ a: Double(2), b: 2 }', SHELL, CANONICAL).validator;
+
+      expect(JSON.parse(canonical).a).to.have.property('$numberDouble');
+      expect(JSON.parse(canonical).b).to.deep.equal({ $numberInt: '2' });
+      expect(convertValidator(canonical, CANONICAL, SHELL).validator).to.equal(
+        '{\n  a: Double(2),\n  b: 2\n}'
+      );
+    });
+
+    it('keeps longs beyond the safe integers', () => {
+      const canonical = '{ "a": { "$numberLong": "9007199254740993" } }';
+      const text = convertValidator(canonical, CANONICAL, SHELL).validator;
+
+      expect(text).to.equal('{\n  a: NumberLong(\'9007199254740993\')\n}');
+      expect(JSON.parse(convertValidator(text, SHELL, CANONICAL).validator)).to.deep.equal({
+        a: { $numberLong: '9007199254740993' }
+      });
+    });
+
+    it('writes regular expressions with options JavaScript rejects as $regex', () => {
+      const canonical = '{ "a": { "$regularExpression": { "pattern": "a b", "options": "x" } } }';
+      const text = convertValidator(canonical, CANONICAL, SHELL).validator;
+
+      expect(text).to.equal('{\n  a: { $regex: \'a b\', $options: \'x\' }\n}');
+      expect(parseValidator(text).validator).to.deep.equal({
+        a: { $regex: 'a b', $options: 'x' }
+      });
+    });
+
+    it('returns the syntax error of the text', () => {
+      const converted = convertValidator('{ a: ', SHELL, RELAXED);
+
+      expect(converted.validator).to.equal(null);
+      expect(converted.syntaxError).to.not.equal(null);
+    });
+  });
+});